@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+
+/**
+ * dotclar: deploy and inspect contract versions from a Clarinet project directory
+ */
+
+const { parseArgs } = require('util');
+const { loadConfig } = require('../cli/config');
+const ApiClient = require('../cli/apiClient');
+const commands = require('../cli/commands');
+
+const USAGE = `Usage: dotclar <command> [options]
+
+Commands:
+  deploy                 Deploy the Clarinet project as a new version
+  history                List deployed versions, highest first
+  show <version>         Show one version
+  diff <from> <to>       Compare two versions
+  fetch <version>        Write a version's contract code to disk
+  status                 Compare the project with the latest deployed version
+
+Options:
+  --dir <path>           Clarinet project directory (default: current directory)
+  --config <file>        Config file (default: nearest dotclar.json)
+  --api-url <url>        API base URL (default: http://localhost:3000)
+  --wallet <address>     Wallet address
+  --repo <name>          Repository name (default: project name in Clarinet.toml)
+  --repo-owner <address> Wallet the repository was created under, when deploying as a collaborator
+  --json                 Print JSON
+  -h, --help             Show this help
+
+deploy:   --bump <major|minor|patch>  --channel <name>  --build <metadata>  -m, --message <text>
+          --author <text>  --no-git  --dry-run
+history:  --limit <n>  --cursor <cursor>  --range <range>
+show:     --code
+fetch:    --out <dir>  --force
+
+The private key that signs deployments is read from DOTCLAR_PRIVATE_KEY.`;
+
+// Positional arguments each command takes
+const ARGUMENTS = {
+  deploy: [],
+  history: [],
+  show: ['version'],
+  diff: ['from', 'to'],
+  fetch: ['version'],
+  status: []
+};
+
+const OPTIONS = {
+  dir: { type: 'string' },
+  config: { type: 'string' },
+  'api-url': { type: 'string' },
+  wallet: { type: 'string' },
+  repo: { type: 'string' },
+  'repo-owner': { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  bump: { type: 'string' },
+  channel: { type: 'string' },
+  build: { type: 'string' },
+  message: { type: 'string', short: 'm' },
+  author: { type: 'string' },
+  'no-git': { type: 'boolean' },
+  'dry-run': { type: 'boolean' },
+  limit: { type: 'string' },
+  cursor: { type: 'string' },
+  range: { type: 'string' },
+  code: { type: 'boolean' },
+  out: { type: 'string' },
+  force: { type: 'boolean' }
+};
+
+/**
+ * Prints a command's result
+ * @param {Object} result - { data, text }
+ * @param {boolean} json - Print JSON
+ */
+const printResult = ({ data, text }, json) => {
+  if (json) {
+    process.stdout.write(`${JSON.stringify({ success: true, data }, null, 2)}\n`);
+  } else if (text) {
+    process.stdout.write(`${text}\n`);
+  }
+};
+
+/**
+ * Prints an error, including the API's field-level errors
+ * @param {Error} error - Error
+ * @param {boolean} json - Print JSON
+ */
+const printError = (error, json) => {
+  const details = error.details || {};
+  if (json) {
+    process.stdout.write(`${JSON.stringify({
+      ...details,
+      success: false,
+      message: error.message,
+      ...(error.status && { status: error.status }),
+      ...(error.code && !details.code && { code: error.code })
+    }, null, 2)}\n`);
+    return;
+  }
+
+  process.stderr.write(`dotclar: ${error.message}\n`);
+  for (const problem of details.errors || []) {
+    process.stderr.write(`  ${typeof problem === 'string' ? problem : `${problem.field} ${problem.message}`}\n`);
+  }
+};
+
+const main = async () => {
+  let parsed;
+  try {
+    parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    process.stderr.write(`dotclar: ${error.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  const { values: options, positionals } = parsed;
+  const [name, ...args] = positionals;
+  if (options.help || !name || name === 'help') {
+    process.stdout.write(`${USAGE}\n`);
+    return name || options.help ? 0 : 2;
+  }
+  if (!ARGUMENTS[name]) {
+    process.stderr.write(`dotclar: unknown command "${name}"\n\n${USAGE}\n`);
+    return 2;
+  }
+  if (args.length !== ARGUMENTS[name].length) {
+    const expected = ARGUMENTS[name].map(argument => `<${argument}>`).join(' ');
+    process.stderr.write(`dotclar: usage: dotclar ${name}${expected ? ` ${expected}` : ''}\n`);
+    return 2;
+  }
+
+  const projectDir = options.dir || process.cwd();
+  let json = Boolean(options.json) || process.env.DOTCLAR_OUTPUT === 'json';
+  try {
+    const config = loadConfig({
+      projectDir,
+      configFile: options.config,
+      overrides: {
+        apiUrl: options['api-url'],
+        wallet: options.wallet,
+        repo: options.repo,
+        repoOwner: options['repo-owner'],
+        output: options.json ? 'json' : undefined
+      }
+    });
+    json = config.output === 'json';
+
+    const client = new ApiClient({ apiUrl: config.apiUrl });
+    const result = await commands[name]({ config, client, projectDir, options }, ...args);
+    printResult(result, json);
+    return 0;
+  } catch (error) {
+    printError(error, json);
+    return 1;
+  }
+};
+
+main().then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,156 @@
+const axios = require('axios');
+const { isValidVersion } = require('../utils/versionManager');
+
+/**
+ * Client for the dotClar API, as used by the CLI
+ */
+class ApiClient {
+  constructor({ apiUrl, timeout = 60000 }) {
+    this.apiUrl = apiUrl;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Send a request and unwrap the response envelope
+   * @param {string} method - HTTP method
+   * @param {string} path - Path under /api, with segments already encoded
+   * @param {Object} options - Request options
+   * @param {Object} options.params - Query parameters
+   * @param {Object} options.data - JSON body
+   * @param {boolean} options.text - Return the raw response text instead of data
+   * @returns {Promise<*>} data of the response, or its text
+   */
+  async request(method, path, { params, data, text = false } = {}) {
+    let response;
+    try {
+      response = await axios.request({
+        method,
+        url: `${this.apiUrl}/api${path}`,
+        params,
+        data,
+        timeout: this.timeout,
+        responseType: text ? 'text' : 'json',
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity
+      });
+    } catch (error) {
+      throw this.toError(error);
+    }
+    return text ? response.data : response.data.data;
+  }
+
+  /**
+   * Convert an axios error to an error carrying the API's message and status
+   * @param {Error} error - axios error
+   * @returns {Error} Error with status and details (the API's error body) when the API answered
+   */
+  toError(error) {
+    if (!error.response) {
+      const failure = new Error(`Cannot reach the API at ${this.apiUrl}: ${error.message}`);
+      failure.code = 'API_UNREACHABLE';
+      return failure;
+    }
+
+    let body = error.response.data;
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch (parseError) {
+        body = { message: body };
+      }
+    }
+
+    const failure = new Error((body && body.message) || `Request failed with status ${error.response.status}`);
+    failure.status = error.response.status;
+    failure.details = body;
+    return failure;
+  }
+
+  /**
+   * Build the API path of a repository
+   * @param {string} walletAddress - Wallet the repository is under
+   * @param {string} repo - Repository name
+   * @returns {string} Path
+   */
+  repoPath(walletAddress, repo) {
+    return `/deployments/${encodeURIComponent(walletAddress)}/${encodeURIComponent(repo)}`;
+  }
+
+  /**
+   * Deploy a new version
+   * @param {Object} body - Deploy request body
+   * @returns {Promise<Object>} { deployment, quota }
+   */
+  async deploy(body) {
+    // The wallet is repeated in the query so a body over the size limit still reports its quota
+    return this.request('post', '/deploy', { data: body, params: { walletAddress: body.walletAddress } });
+  }
+
+  /**
+   * Get one page of a repository's history
+   * @param {string} walletAddress - Wallet the repository is under
+   * @param {string} repo - Repository name
+   * @param {Object} query - History query parameters
+   * @returns {Promise<Object>} { deployments, nextCursor, total }
+   */
+  async history(walletAddress, repo, query = {}) {
+    return this.request('get', this.repoPath(walletAddress, repo), { params: query });
+  }
+
+  /**
+   * Get a single version of a repository
+   * @param {string} walletAddress - Wallet the repository is under
+   * @param {string} repo - Repository name
+   * @param {string} version - Exact version
+   * @param {Object} query - Extra history query parameters (fields, excludeCode)
+   * @returns {Promise<Object>} History row of the version
+   */
+  async version(walletAddress, repo, version, query = {}) {
+    if (!isValidVersion(version)) {
+      throw new Error(`Invalid version: ${version} (expected MAJOR.MINOR.PATCH[-PRERELEASE][+BUILD])`);
+    }
+    const { deployments } = await this.history(walletAddress, repo, { ...query, range: version, limit: 1 });
+    const deployment = deployments.find(row => row.version === version);
+    if (!deployment) {
+      const error = new Error(`Version not found for the specified repository: ${version}`);
+      error.status = 404;
+      throw error;
+    }
+    return deployment;
+  }
+
+  /**
+   * Get the highest deployed version of a repository
+   * @param {string} walletAddress - Wallet the repository is under
+   * @param {string} repo - Repository name
+   * @param {Object} query - Extra history query parameters (fields, excludeCode)
+   * @returns {Promise<Object|null>} History row, or null if nothing is deployed
+   */
+  async latest(walletAddress, repo, query = {}) {
+    try {
+      const { deployments } = await this.history(walletAddress, repo, { ...query, sort: 'version', order: 'desc', limit: 1 });
+      return deployments[0] || null;
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Compare two versions of a repository
+   * @param {string} walletAddress - Wallet the repository is under
+   * @param {string} repo - Repository name
+   * @param {string} from - Base version
+   * @param {string} to - Target version
+   * @param {string} format - json or patch
+   * @returns {Promise<Object|string>} Diff data, or the unified diff text for patch
+   */
+  async diff(walletAddress, repo, from, to, format = 'json') {
+    return this.request('get', `${this.repoPath(walletAddress, repo)}/diff`, {
+      params: { from, to, format },
+      text: format === 'patch'
+    });
+  }
+}
+
+module.exports = ApiClient;
@@ -0,0 +1,202 @@
+/**
+ * Reads Clarinet projects into the contractCode payload the CLI deploys, and writes
+ * deployed contract code back to disk
+ *
+ * The payload maps project paths to file text: Clarinet.toml and every contract it lists.
+ * Settings files (which hold devnet mnemonics), tests and deployment plans are left out.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { checkPath } = require('../utils/project');
+
+const MANIFEST_FILE_NAME = 'Clarinet.toml';
+
+// File a deployed contractCode is written to when it is not a map of paths to text
+const CONTRACT_CODE_FILE_NAME = 'contractCode.json';
+
+/**
+ * Parses a TOML string value (basic or literal)
+ * @param {string} raw - Value text after the "="
+ * @returns {string|undefined} String value, or undefined for other value types
+ */
+const parseTomlString = (raw) => {
+  const literal = raw.match(/^'([^']*)'/);
+  if (literal) return literal[1];
+  const basic = raw.match(/^"((?:[^"\\]|\\.)*)"/);
+  if (basic) return JSON.parse(`"${basic[1]}"`);
+  return undefined;
+};
+
+/**
+ * Splits a TOML table header into its keys, e.g. contracts."my-token" → ['contracts', 'my-token']
+ * @param {string} header - Header text between the brackets
+ * @returns {string[]} Keys
+ */
+const parseTomlKeys = (header) => {
+  const keys = [];
+  const pattern = /\s*(?:"((?:[^"\\]|\\.)*)"|'([^']*)'|([A-Za-z0-9_-]+))\s*(?:\.|$)/y;
+  let match;
+  while (pattern.lastIndex < header.length && (match = pattern.exec(header))) {
+    keys.push(match[1] !== undefined ? JSON.parse(`"${match[1]}"`) : (match[2] !== undefined ? match[2] : match[3]));
+  }
+  return keys;
+};
+
+/**
+ * Extracts the project name and contracts from a Clarinet.toml manifest
+ * Only string settings are read, which is all the CLI needs.
+ * @param {string} text - Manifest text
+ * @returns {Object} Object with name and contracts ([{ name, path }], in manifest order)
+ */
+const parseClarinetManifest = (text) => {
+  const tables = {};
+  let table = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('#')) continue;
+
+    const header = trimmed.match(/^\[([^\[\]]+)\]/);
+    if (header) {
+      table = parseTomlKeys(header[1]).join('\u0000');
+      tables[table] = tables[table] || {};
+      continue;
+    }
+
+    const assignment = trimmed.match(/^([A-Za-z0-9_-]+)\s*=\s*(.*)$/);
+    if (assignment && table !== null) {
+      const value = parseTomlString(assignment[2]);
+      if (value !== undefined) tables[table][assignment[1]] = value;
+    }
+  }
+
+  const contracts = Object.entries(tables)
+    .map(([key, settings]) => ({ keys: key.split('\u0000'), settings }))
+    .filter(({ keys, settings }) => keys.length === 2 && keys[0] === 'contracts' && settings.path)
+    .map(({ keys, settings }) => ({ name: keys[1], path: settings.path }));
+
+  return {
+    name: tables.project ? tables.project.name || null : null,
+    contracts
+  };
+};
+
+/**
+ * Reads a Clarinet project and builds its contractCode payload
+ * @param {string} dir - Project directory (containing Clarinet.toml)
+ * @returns {Object} Object with name (project name), contracts and contractCode (path → text, sorted by path)
+ */
+const readClarinetProject = (dir) => {
+  const root = path.resolve(dir);
+  const manifestPath = path.join(root, MANIFEST_FILE_NAME);
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`${root} is not a Clarinet project: ${MANIFEST_FILE_NAME} not found`);
+  }
+
+  const manifest = fs.readFileSync(manifestPath, 'utf8');
+  const { name, contracts } = parseClarinetManifest(manifest);
+  if (contracts.length === 0) {
+    throw new Error(`${MANIFEST_FILE_NAME} does not list any contracts`);
+  }
+
+  const files = { [MANIFEST_FILE_NAME]: manifest };
+  for (const contract of contracts) {
+    const absolute = path.resolve(root, contract.path);
+    const relative = path.relative(root, absolute).split(path.sep).join('/');
+    const problem = checkPath(relative);
+    if (problem) {
+      throw new Error(`Contract ${contract.name}: ${contract.path} must be inside the project (${problem})`);
+    }
+    if (!fs.existsSync(absolute)) {
+      throw new Error(`Contract ${contract.name}: ${contract.path} not found`);
+    }
+    files[relative] = fs.readFileSync(absolute, 'utf8');
+  }
+
+  const contractCode = Object.fromEntries(Object.keys(files).sort().map(file => [file, files[file]]));
+  return { name, contracts, contractCode };
+};
+
+/**
+ * Lists the files a deployed contractCode is written to
+ * @param {*} contractCode - Contract code from a deployment
+ * @returns {Object} Map of project path → text
+ */
+const toProjectFiles = (contractCode) => {
+  const isFileMap = contractCode && typeof contractCode === 'object' && !Array.isArray(contractCode)
+    && Object.entries(contractCode).every(([file, text]) => typeof text === 'string' && !checkPath(file));
+
+  return isFileMap
+    ? contractCode
+    : { [CONTRACT_CODE_FILE_NAME]: `${JSON.stringify(contractCode, null, 2)}\n` };
+};
+
+/**
+ * Writes a deployed contractCode into a directory
+ * Files that exist with different content are only overwritten with force.
+ * @param {string} dir - Target directory
+ * @param {*} contractCode - Contract code from a deployment
+ * @param {Object} options - Write options
+ * @param {boolean} options.force - Overwrite files that differ
+ * @returns {Object} Object with written and unchanged paths
+ */
+const writeContractCode = (dir, contractCode, { force = false } = {}) => {
+  const root = path.resolve(dir);
+  const files = toProjectFiles(contractCode);
+  const written = [];
+  const unchanged = [];
+  const conflicts = [];
+
+  for (const [file, text] of Object.entries(files)) {
+    const absolute = path.join(root, ...file.split('/'));
+    if (!fs.existsSync(absolute)) {
+      written.push(file);
+    } else if (fs.readFileSync(absolute, 'utf8') === text) {
+      unchanged.push(file);
+    } else if (force) {
+      written.push(file);
+    } else {
+      conflicts.push(file);
+    }
+  }
+
+  if (conflicts.length > 0) {
+    const error = new Error(`Local files differ and would be overwritten (use --force): ${conflicts.join(', ')}`);
+    error.code = 'WOULD_OVERWRITE';
+    error.details = { conflicts };
+    throw error;
+  }
+
+  for (const file of written) {
+    const absolute = path.join(root, ...file.split('/'));
+    fs.mkdirSync(path.dirname(absolute), { recursive: true });
+    fs.writeFileSync(absolute, files[file]);
+  }
+
+  return { written, unchanged };
+};
+
+/**
+ * Lists the files that differ between local and deployed contract code
+ * @param {*} local - Local contractCode
+ * @param {*} deployed - Deployed contractCode
+ * @returns {Object} Object with added (local only), modified and removed (deployed only) paths
+ */
+const compareContractCode = (local, deployed) => {
+  const before = toProjectFiles(deployed);
+  const after = toProjectFiles(local);
+  return {
+    added: Object.keys(after).filter(file => !(file in before)),
+    modified: Object.keys(after).filter(file => file in before && before[file] !== after[file]),
+    removed: Object.keys(before).filter(file => !(file in after))
+  };
+};
+
+module.exports = {
+  MANIFEST_FILE_NAME,
+  parseClarinetManifest,
+  readClarinetProject,
+  writeContractCode,
+  compareContractCode
+};
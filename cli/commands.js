@@ -0,0 +1,323 @@
+/**
+ * dotclar CLI commands
+ *
+ * Each command resolves to { data, text }: data is printed as JSON with --json, text otherwise.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { computeContractCodeCid } = require('../utils/cid');
+const { buildActionMessage, signWalletMessage } = require('../utils/walletSignature');
+const {
+  MANIFEST_FILE_NAME,
+  readClarinetProject,
+  writeContractCode,
+  compareContractCode
+} = require('./clarinetProject');
+
+// History fields shown by history and show
+const SUMMARY_FIELDS = ['version', 'deployedAt', 'contractCodeHash', 'codeChanged', 'message', 'author', 'deployedBy', 'rollback'];
+const DETAIL_FIELDS = [...SUMMARY_FIELDS, 'walletAddress', 'contractRepoName', 'git', 'signer', 'pin', 'onChain', 'files', 'fileChanges'];
+
+/**
+ * Fails with a message naming how to provide a missing setting
+ * @param {*} value - Setting value
+ * @param {string} name - Setting name
+ * @param {string} hint - How to set it
+ * @returns {*} The value
+ */
+const requireSetting = (value, name, hint) => {
+  if (!value) {
+    const error = new Error(`Missing setting: ${name} (${hint})`);
+    error.code = 'MISSING_SETTING';
+    throw error;
+  }
+  return value;
+};
+
+/**
+ * Resolves the repository a command works on
+ * @param {Object} ctx - Command context
+ * @returns {Object} Object with walletAddress (the repository's wallet) and repo
+ */
+const resolveRepo = ({ config, projectDir }) => {
+  let repo = config.repo;
+  if (!repo) {
+    try {
+      repo = readClarinetProject(projectDir).name;
+    } catch (error) {
+      repo = null;
+    }
+  }
+
+  return {
+    walletAddress: requireSetting(config.repoOwner || config.wallet, 'wallet', 'set wallet in dotclar.json, DOTCLAR_WALLET or --wallet'),
+    repo: requireSetting(repo, 'repo', `set repo in dotclar.json, DOTCLAR_REPO or --repo, or run in a project whose ${MANIFEST_FILE_NAME} has a name`)
+  };
+};
+
+/**
+ * Reads the current git commit of a directory, if it is in a git work tree
+ * @param {string} dir - Directory
+ * @returns {Object|null} { sha, branch } or null
+ */
+const readGitCommit = (dir) => {
+  const git = (...args) => execFileSync('git', args, { cwd: dir, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  try {
+    const sha = git('rev-parse', 'HEAD');
+    const branch = git('rev-parse', '--abbrev-ref', 'HEAD');
+    return branch && branch !== 'HEAD' ? { sha, branch } : { sha };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Formats the changes between local and deployed files, one line per file
+ * @param {Object} changes - { added, modified, removed }
+ * @returns {string[]} Lines
+ */
+const formatChanges = ({ added, modified, removed }) => [
+  ...added.map(file => `  added:    ${file}`),
+  ...modified.map(file => `  modified: ${file}`),
+  ...removed.map(file => `  removed:  ${file}`)
+];
+
+/**
+ * Deploy the Clarinet project as a new version
+ * @param {Object} ctx - Command context
+ * @returns {Promise<Object>} { data, text }
+ */
+const deploy = async (ctx) => {
+  const { config, client, projectDir, options } = ctx;
+  const project = readClarinetProject(projectDir);
+  const walletAddress = requireSetting(config.wallet, 'wallet', 'set wallet in dotclar.json, DOTCLAR_WALLET or --wallet');
+  const contractRepoName = requireSetting(config.repo || project.name, 'repo', `set repo in dotclar.json, DOTCLAR_REPO or --repo, or name the project in ${MANIFEST_FILE_NAME}`);
+  const repoOwner = config.repoOwner && config.repoOwner !== walletAddress ? config.repoOwner : undefined;
+  const contractCodeHash = computeContractCodeCid(project.contractCode);
+
+  const body = {
+    walletAddress,
+    ...(repoOwner && { repoOwner }),
+    contractRepoName,
+    contractCode: project.contractCode,
+    ...(options.bump && { bump: options.bump }),
+    ...(options.channel && { channel: options.channel }),
+    ...(options.build && { build: options.build }),
+    ...(options.message && { message: options.message }),
+    ...(options.author && { author: options.author })
+  };
+  const git = options['no-git'] ? null : readGitCommit(projectDir);
+  if (git) body.git = git;
+
+  const files = Object.keys(project.contractCode);
+  if (options['dry-run']) {
+    const { contractCode, ...request } = body;
+    return {
+      data: { dryRun: true, contractCodeHash, files, request },
+      text: [
+        `Would deploy ${contractRepoName} from ${walletAddress}${repoOwner ? ` to ${repoOwner}` : ''}`,
+        `  hash:  ${contractCodeHash}`,
+        ...(git ? [`  git:   ${git.sha}${git.branch ? ` (${git.branch})` : ''}`] : []),
+        '  files:',
+        ...files.map(file => `    ${file}`)
+      ].join('\n')
+    };
+  }
+
+  const type = config.signatureType || (walletAddress.startsWith('0x') ? 'ethereum' : 'stacks');
+  const privateKey = requireSetting(config.privateKey, 'privateKey', 'set DOTCLAR_PRIVATE_KEY to sign deployments');
+  const nonce = crypto.randomUUID();
+  const timestamp = new Date().toISOString();
+  const message = buildActionMessage('deployment', {
+    walletAddress,
+    contractRepoName,
+    fields: repoOwner ? [['namespace', repoOwner], ['hash', contractCodeHash]] : [['hash', contractCodeHash]],
+    nonce,
+    timestamp
+  });
+  body.signature = { type, signature: signWalletMessage(type, message, privateKey), nonce, timestamp };
+
+  const result = await client.deploy(body);
+  const { deployment, quota } = result;
+  return {
+    data: result,
+    text: [
+      `Deployed ${deployment.contractRepoName} ${deployment.version}${deployment.bump ? ` (${deployment.bump}${deployment.bumpReason ? `: ${deployment.bumpReason}` : ''})` : ''}`,
+      `  hash:  ${deployment.contractCodeHash}`,
+      `  files: ${files.length}`,
+      ...(quota && quota.limit !== null
+        ? [`  quota: ${quota.used} of ${quota.limit} bytes used`]
+        : []),
+      ...(deployment.diagnostics || []).map(({ source, line, column, message }) => `  warning: ${[source, line, column].filter(Boolean).join(':')}${source || line ? ' ' : ''}${message}`)
+    ].join('\n')
+  };
+};
+
+/**
+ * List the repository's versions, highest first
+ * @param {Object} ctx - Command context
+ * @returns {Promise<Object>} { data, text }
+ */
+const history = async (ctx) => {
+  const { client, options } = ctx;
+  const { walletAddress, repo } = resolveRepo(ctx);
+  const page = await client.history(walletAddress, repo, {
+    fields: SUMMARY_FIELDS.join(','),
+    ...(options.limit && { limit: options.limit }),
+    ...(options.cursor && { cursor: options.cursor }),
+    ...(options.range && { range: options.range })
+  });
+
+  const width = Math.max(7, ...page.deployments.map(row => row.version.length));
+  const lines = page.deployments.map(row => [
+    row.version.padEnd(width),
+    row.deployedAt,
+    row.contractCodeHash,
+    row.rollback ? `rollback to ${row.rollback.toVersion}` : (row.message || '')
+  ].join('  ').trimEnd());
+
+  return {
+    data: page,
+    text: [
+      `${repo}: ${page.total} version${page.total === 1 ? '' : 's'}`,
+      ...lines,
+      ...(page.nextCursor ? [`More: dotclar history --cursor ${page.nextCursor}`] : [])
+    ].join('\n')
+  };
+};
+
+/**
+ * Show one version
+ * @param {Object} ctx - Command context
+ * @param {string} version - Version
+ * @returns {Promise<Object>} { data, text }
+ */
+const show = async (ctx, version) => {
+  const { client, options } = ctx;
+  const { walletAddress, repo } = resolveRepo(ctx);
+  const deployment = await client.version(walletAddress, repo, version, {
+    fields: (options.code ? [...DETAIL_FIELDS, 'contractCode'] : DETAIL_FIELDS).join(',')
+  });
+
+  const lines = [
+    `${deployment.contractRepoName} ${deployment.version}`,
+    `  hash:        ${deployment.contractCodeHash}`,
+    `  deployed:    ${deployment.deployedAt}${deployment.deployedBy ? ` by ${deployment.deployedBy}` : ''}`,
+    `  changed:     ${deployment.codeChanged ? 'yes' : 'no'}`
+  ];
+  if (deployment.message) lines.push(`  message:     ${deployment.message}`);
+  if (deployment.author) lines.push(`  author:      ${deployment.author}`);
+  if (deployment.git) lines.push(`  git:         ${deployment.git.sha || ''}${deployment.git.branch ? ` (${deployment.git.branch})` : ''}`);
+  if (deployment.rollback) lines.push(`  rollback:    ${deployment.rollback.fromVersion || '-'} -> ${deployment.rollback.toVersion}`);
+  if (deployment.pin) lines.push(`  pin:         ${deployment.pin.status}`);
+  if (deployment.onChain) {
+    lines.push('  on chain:', ...deployment.onChain.map(link => `    ${link.network} ${link.contractAddress}${link.txId ? ` (tx ${link.txId})` : ''}`));
+  }
+  if (deployment.files) {
+    lines.push('  files:', ...deployment.files.map(file => `    ${file.path} (${file.size} bytes)`));
+  }
+  if (options.code) {
+    lines.push('', deployment.contractCodeError
+      ? `Contract code unavailable: ${deployment.contractCodeError}`
+      : JSON.stringify(deployment.contractCode, null, 2));
+  }
+
+  return { data: deployment, text: lines.join('\n') };
+};
+
+/**
+ * Compare two versions
+ * @param {Object} ctx - Command context
+ * @param {string} from - Base version
+ * @param {string} to - Target version
+ * @returns {Promise<Object>} { data, text }
+ */
+const diff = async (ctx, from, to) => {
+  const { config, client } = ctx;
+  const { walletAddress, repo } = resolveRepo(ctx);
+
+  if (config.output === 'json') {
+    return { data: await client.diff(walletAddress, repo, from, to, 'json') };
+  }
+  const patch = await client.diff(walletAddress, repo, from, to, 'patch');
+  return { text: patch.trimEnd() || `No changes between ${from} and ${to}` };
+};
+
+/**
+ * Write a version's contract code to disk
+ * @param {Object} ctx - Command context
+ * @param {string} version - Version
+ * @returns {Promise<Object>} { data, text }
+ */
+const fetch = async (ctx, version) => {
+  const { client, projectDir, options } = ctx;
+  const { walletAddress, repo } = resolveRepo(ctx);
+  const deployment = await client.version(walletAddress, repo, version, {
+    fields: 'version,contractCodeHash,contractCode'
+  });
+  if (deployment.contractCodeError) {
+    throw new Error(`Contract code of ${version} is unavailable: ${deployment.contractCodeError}`);
+  }
+
+  const outDir = path.resolve(options.out || projectDir);
+  const { written, unchanged } = writeContractCode(outDir, deployment.contractCode, { force: options.force });
+  return {
+    data: { version: deployment.version, contractCodeHash: deployment.contractCodeHash, directory: outDir, written, unchanged },
+    text: [
+      `Fetched ${repo} ${deployment.version} into ${outDir}`,
+      ...written.map(file => `  wrote:     ${file}`),
+      ...unchanged.map(file => `  unchanged: ${file}`)
+    ].join('\n')
+  };
+};
+
+/**
+ * Report whether the local project differs from the latest deployed version
+ * @param {Object} ctx - Command context
+ * @returns {Promise<Object>} { data, text }
+ */
+const status = async (ctx) => {
+  const { client, projectDir } = ctx;
+  const project = readClarinetProject(projectDir);
+  const { walletAddress, repo } = resolveRepo(ctx);
+  const localHash = computeContractCodeCid(project.contractCode);
+
+  const latest = await client.latest(walletAddress, repo, { fields: 'version,contractCodeHash,deployedAt' });
+  if (!latest) {
+    const changes = compareContractCode(project.contractCode, {});
+    return {
+      data: { repo, walletAddress, localHash, latest: null, upToDate: false, changes },
+      text: [`${repo} has not been deployed yet`, ...formatChanges(changes)].join('\n')
+    };
+  }
+
+  if (latest.contractCodeHash === localHash) {
+    return {
+      data: { repo, walletAddress, localHash, latest, upToDate: true, changes: { added: [], modified: [], removed: [] } },
+      text: `Up to date with ${repo} ${latest.version} (${localHash})`
+    };
+  }
+
+  const deployed = await client.version(walletAddress, repo, latest.version, { fields: 'version,contractCode' });
+  const changes = deployed.contractCodeError
+    ? null
+    : compareContractCode(project.contractCode, deployed.contractCode);
+  return {
+    data: { repo, walletAddress, localHash, latest, upToDate: false, changes },
+    text: [
+      `Local changes since ${repo} ${latest.version}:`,
+      ...(changes ? formatChanges(changes) : [`  (deployed code unavailable: ${deployed.contractCodeError})`])
+    ].join('\n')
+  };
+};
+
+module.exports = {
+  deploy,
+  history,
+  show,
+  diff,
+  fetch,
+  status
+};
@@ -0,0 +1,129 @@
+/**
+ * Settings for the dotclar CLI
+ *
+ * Settings are merged from, lowest precedence first: ~/.dotclar.json, the nearest dotclar.json
+ * at or above the project directory (or the file named by --config / DOTCLAR_CONFIG),
+ * DOTCLAR_* environment variables and command-line options.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CONFIG_FILE_NAME = 'dotclar.json';
+const GLOBAL_CONFIG_FILE_NAME = '.dotclar.json';
+
+const DEFAULTS = {
+  apiUrl: 'http://localhost:3000',
+  output: 'text'
+};
+
+// Setting name → environment variable
+const ENV_VARIABLES = {
+  apiUrl: 'DOTCLAR_API_URL',
+  wallet: 'DOTCLAR_WALLET',
+  repo: 'DOTCLAR_REPO',
+  repoOwner: 'DOTCLAR_REPO_OWNER',
+  signatureType: 'DOTCLAR_SIGNATURE_TYPE',
+  privateKey: 'DOTCLAR_PRIVATE_KEY',
+  output: 'DOTCLAR_OUTPUT'
+};
+
+const SETTINGS = Object.keys(ENV_VARIABLES);
+
+/**
+ * Reads a JSON config file
+ * @param {string} file - File path
+ * @returns {Object} Settings in the file
+ */
+const readConfigFile = (file) => {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read config file ${file}: ${error.message}`);
+  }
+
+  let settings;
+  try {
+    settings = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Config file ${file} is not valid JSON: ${error.message}`);
+  }
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error(`Config file ${file} must contain a JSON object`);
+  }
+
+  const unknown = Object.keys(settings).filter(name => !SETTINGS.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Config file ${file} has unknown settings: ${unknown.join(', ')}`);
+  }
+  return settings;
+};
+
+/**
+ * Finds the nearest project config file at or above a directory
+ * @param {string} dir - Directory to start from
+ * @returns {string|null} File path, or null if there is none
+ */
+const findConfigFile = (dir) => {
+  let current = path.resolve(dir);
+  for (;;) {
+    const candidate = path.join(current, CONFIG_FILE_NAME);
+    if (fs.existsSync(candidate)) return candidate;
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+};
+
+/**
+ * Keeps only the settings that are set
+ * @param {Object} settings - Settings, some possibly undefined or empty
+ * @returns {Object} Settings with a value
+ */
+const compact = (settings) => Object.fromEntries(
+  Object.entries(settings).filter(([, value]) => value !== undefined && value !== null && value !== '')
+);
+
+/**
+ * Loads the CLI settings
+ * @param {Object} options - Where to look
+ * @param {string} options.projectDir - Project directory the command works on
+ * @param {string} options.configFile - Explicit config file (--config)
+ * @param {Object} options.overrides - Settings given as command-line options
+ * @param {Object} options.env - Environment variables (defaults to process.env)
+ * @returns {Object} Settings, with configFile set to the project config file used, if any
+ */
+const loadConfig = ({ projectDir = process.cwd(), configFile, overrides = {}, env = process.env } = {}) => {
+  const globalFile = path.join(os.homedir(), GLOBAL_CONFIG_FILE_NAME);
+  const globalSettings = fs.existsSync(globalFile) ? readConfigFile(globalFile) : {};
+
+  const projectFile = configFile || env.DOTCLAR_CONFIG || findConfigFile(projectDir);
+  const projectSettings = projectFile ? readConfigFile(projectFile) : {};
+
+  const envSettings = Object.fromEntries(SETTINGS.map(name => [name, env[ENV_VARIABLES[name]]]));
+
+  const settings = {
+    ...DEFAULTS,
+    ...compact(globalSettings),
+    ...compact(projectSettings),
+    ...compact(envSettings),
+    ...compact(overrides)
+  };
+
+  if (!['text', 'json'].includes(settings.output)) {
+    throw new Error('output must be "text" or "json"');
+  }
+  if (settings.signatureType && !['ethereum', 'stacks'].includes(settings.signatureType)) {
+    throw new Error('signatureType must be "ethereum" or "stacks"');
+  }
+
+  return { ...settings, apiUrl: settings.apiUrl.replace(/\/+$/, ''), configFile: projectFile || null };
+};
+
+module.exports = {
+  CONFIG_FILE_NAME,
+  ENV_VARIABLES,
+  loadConfig
+};
@@ -0,0 +1,417 @@
+const Deployment = require('../models/Deployment');
+const Tag = require('../models/Tag');
+const Repository = require('../models/Repository');
+const ipfsService = require('../services/ipfsService');
+const signatureService = require('../services/signatureService');
+const storageQuota = require('../services/storageQuota');
+const rateLimiter = require('../services/rateLimiter');
+const {
+  buildFileDag,
+  buildDirectoryDag,
+  readFileDag,
+  readDirectoryDag,
+  decodeUnixFsNode,
+  encodeBase58
+} = require('../utils/cid');
+const { CODEC_DAG_PB, CODEC_JSON, createJsonBlock, encodeCar, decodeCar } = require('../utils/car');
+const { summarizeClarityInterface } = require('../utils/clarityParser');
+const { extractSearchText } = require('../utils/search');
+const { isValidVersion } = require('../utils/versionManager');
+const { toFilesObject } = require('../utils/project');
+
+const ARCHIVE_FORMAT = 'dotclar-repo-archive';
+const ARCHIVE_FORMAT_VERSION = 1;
+// Largest single contract file accepted from an archive
+const MAX_CONTENT_BYTES = 10 * 1024 * 1024;
+
+/**
+ * @desc    Export the full history of a repository as a CARv1 archive
+ *          The archive's root is a JSON manifest of the deployment records and tags; every
+ *          version's content follows as the dag-pb blocks of its UnixFS file, or of its UnixFS
+ *          directory for multi-file projects.
+ * @route   GET /api/deployments/:walletAddress/:repo/export
+ * @access  Public
+ */
+const exportRepo = async (req, res) => {
+  try {
+    const { walletAddress, repo } = req.params;
+
+    const [deployments, tags] = await Promise.all([
+      Deployment.findRepoHistory(walletAddress, repo),
+      Tag.findByRepo(walletAddress, repo)
+    ]);
+
+    if (deployments.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No deployments found for the specified repository'
+      });
+    }
+
+    // Each distinct content is stored once, however many versions share it
+    const blocks = new Map();
+    const projects = new Map(deployments.filter(dep => dep.files && dep.files.length > 0).map(dep => [dep.contractCodeHash, dep]));
+    for (const hash of new Set(deployments.map(dep => dep.contractCodeHash))) {
+      let dag;
+      try {
+        if (projects.has(hash)) {
+          const { files } = projects.get(hash);
+          const contents = await Promise.all(files.map(file => ipfsService.getContent(file.hash)));
+          dag = buildDirectoryDag(files.map((file, index) => ({ path: file.path, content: contents[index] })));
+        } else {
+          dag = buildFileDag(await ipfsService.getContent(hash));
+        }
+      } catch (error) {
+        return res.status(502).json({
+          success: false,
+          message: `Could not retrieve content ${hash} from IPFS`,
+          code: error.code,
+          error: error.message
+        });
+      }
+      if (dag.cid !== hash) {
+        return res.status(502).json({
+          success: false,
+          message: `Content retrieved for ${hash} does not match its CID`
+        });
+      }
+      dag.blocks.forEach(({ hash: cid, block }) => blocks.set(encodeBase58(cid), { cid, bytes: block }));
+    }
+
+    const manifest = createJsonBlock({
+      format: ARCHIVE_FORMAT,
+      formatVersion: ARCHIVE_FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      walletAddress,
+      contractRepoName: repo,
+      // Oldest version first
+      deployments: [...deployments].reverse().map(dep => ({
+        version: dep.version,
+        contractCodeHash: dep.contractCodeHash,
+        deployedAt: dep.deployedAt,
+        message: dep.message || null,
+        author: dep.author || null,
+        git: dep.git || null,
+        rollback: dep.rollback && dep.rollback.toVersion ? dep.rollback : null,
+        // An imported version keeps the unverified signature its archive gave
+        signature: dep.signature || (dep.importedFrom && dep.importedFrom.signature) || null
+      })),
+      tags: tags.map(tag => ({
+        name: tag.name,
+        version: tag.version,
+        signature: tag.signature || null
+      }))
+    });
+
+    const car = encodeCar([manifest.cid], [manifest, ...blocks.values()]);
+    const filename = `${repo.replace(/[^A-Za-z0-9._-]/g, '_')}.car`;
+
+    res.status(200).set({
+      'Content-Type': 'application/vnd.ipld.car; version=1',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'X-Archive-Root': manifest.cidString
+    }).send(car);
+
+  } catch (error) {
+    console.error('Export repository error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export repository',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Read and check the manifest and contents of a decoded archive
+ * @param   {Object} archive - Result of decodeCar
+ * @returns {Object} Object with manifest and contents (Map of CID → { content, contractCode } for
+ *          single files, { files, contractCode } for projects), or error
+ */
+const readArchive = ({ roots, blocks }) => {
+  const root = roots.length === 1 ? blocks.get(roots[0]) : null;
+  if (!root || root.codec !== CODEC_JSON) {
+    return { error: 'Archive must have a single JSON manifest as its root' };
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(root.bytes.toString('utf8'));
+  } catch {
+    return { error: 'Archive manifest is not valid JSON' };
+  }
+
+  if (manifest.format !== ARCHIVE_FORMAT || manifest.formatVersion !== ARCHIVE_FORMAT_VERSION) {
+    return { error: `Archive manifest must be ${ARCHIVE_FORMAT} version ${ARCHIVE_FORMAT_VERSION}` };
+  }
+  if (!Array.isArray(manifest.deployments) || manifest.deployments.length === 0 || !Array.isArray(manifest.tags || [])) {
+    return { error: 'Archive manifest must list at least one deployment' };
+  }
+
+  const getBlock = (cid) => {
+    const block = blocks.get(cid);
+    return block && block.codec === CODEC_DAG_PB ? block.bytes : undefined;
+  };
+
+  const contents = new Map();
+  for (const record of manifest.deployments) {
+    if (!record || !isValidVersion(record.version) || typeof record.contractCodeHash !== 'string') {
+      return { error: 'Every manifest deployment needs a valid version and contractCodeHash' };
+    }
+    if (contents.has(record.contractCodeHash)) continue;
+
+    try {
+      const rootBlock = getBlock(record.contractCodeHash);
+      if (rootBlock && decodeUnixFsNode(rootBlock).type === 'directory') {
+        const files = readDirectoryDag(record.contractCodeHash, getBlock, MAX_CONTENT_BYTES);
+        contents.set(record.contractCodeHash, { files, contractCode: toFilesObject(files) });
+        continue;
+      }
+
+      const content = readFileDag(record.contractCodeHash, getBlock, MAX_CONTENT_BYTES);
+      const contractCode = JSON.parse(content.toString('utf8'));
+      if (typeof contractCode !== 'object' || contractCode === null) {
+        throw new Error('content is not a JSON object');
+      }
+      contents.set(record.contractCodeHash, { content, contractCode });
+    } catch (error) {
+      return { error: `Content of version ${record.version} is unreadable: ${error.message}` };
+    }
+  }
+
+  return { manifest, contents };
+};
+
+/**
+ * @desc    Import a repository archive produced by exportRepo, keeping the original versions
+ *          Every block is verified against its CID. Versions already present with the same
+ *          content are skipped; a version present with different content aborts the import.
+ * @route   POST /api/deployments/:walletAddress/:repo/import
+ * @access  Wallet signature (owner)
+ */
+const importRepo = async (req, res) => {
+  // Storage quota still charged for the upload, given back if the import fails
+  let charged = null;
+
+  try {
+    const { walletAddress, repo } = req.params;
+    const { archive, pin = false, signature } = req.body;
+
+    let decoded;
+    try {
+      decoded = decodeCar(Buffer.from(archive, 'base64'));
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid archive: ${error.message}`
+      });
+    }
+
+    const { manifest, contents, error: archiveError } = readArchive(decoded);
+    if (archiveError) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid archive: ${archiveError}`
+      });
+    }
+    const archiveRoot = decoded.roots[0];
+
+    // Compare with what the target repository already holds
+    const existing = new Map(
+      (await Deployment.findRepoHistory(walletAddress, repo)).map(dep => [dep.version, dep])
+    );
+    const conflicts = manifest.deployments
+      .filter(record => existing.has(record.version) && existing.get(record.version).contractCodeHash !== record.contractCodeHash)
+      .map(record => record.version);
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Versions already exist with different content: ${conflicts.join(', ')}`
+      });
+    }
+
+    const authorization = await signatureService.authorizeRepoAction({
+      repository: req.repository,
+      walletAddress,
+      contractRepoName: repo,
+      role: 'owner',
+      action: 'import',
+      fields: [['archive', archiveRoot], ['pin', String(pin)]],
+      signature
+    });
+    if (!authorization.verified) {
+      return res.status(authorization.status).json({
+        success: false,
+        message: authorization.reason
+      });
+    }
+
+    // Count the import against the signing wallet only now that its signature is verified
+    if (await rateLimiter.limitWallet('deploy', authorization.signer, res)) return;
+
+    // Uploading the content to the provider is charged to the signing wallet's storage quota
+    const contentBytes = (entry) => (entry.files
+      ? entry.files.reduce((sum, file) => sum + file.content.length, 0)
+      : entry.content.length);
+    let quota = null;
+    if (pin === true) {
+      const uploadBytes = [...contents.values()].reduce((sum, entry) => sum + contentBytes(entry), 0);
+      const reservation = await storageQuota.reserve(authorization.signer, uploadBytes);
+      if (!reservation.allowed) {
+        return res.status(413).json(storageQuota.exceededBody(reservation.quota));
+      }
+      quota = reservation.quota;
+      charged = { walletAddress: authorization.signer, bytes: uploadBytes };
+    }
+
+    // Importing into a new repository registers it, owned by the importing wallet
+    if (!req.repository) {
+      await Repository.findOrCreate(walletAddress, repo);
+    }
+
+    // Make the content available locally and, on request, on the configured IPFS provider
+    const pinned = [];
+    const pinFailures = [];
+    const pinStates = new Map();
+    for (const [hash, entry] of contents) {
+      if (entry.files) {
+        // Projects are cached file by file, as they are read
+        entry.entries = buildDirectoryDag(entry.files).entries;
+        const contentsByPath = new Map(entry.files.map(file => [file.path, file.content]));
+        for (const file of entry.entries) {
+          await ipfsService.cache.set(file.hash, contentsByPath.get(file.path));
+        }
+      } else {
+        await ipfsService.cache.set(hash, entry.content);
+      }
+      if (pin === true) {
+        let error;
+        try {
+          if (entry.files) {
+            await ipfsService.uploadProject(entry.files);
+          } else {
+            await ipfsService.uploadContent(entry.content);
+          }
+          ({ error } = await ipfsService.pinContent(hash));
+        } catch (uploadError) {
+          error = uploadError.message;
+          await storageQuota.release(authorization.signer, contentBytes(entry));
+          charged.bytes -= contentBytes(entry);
+        }
+        if (error) {
+          pinFailures.push({ contractCodeHash: hash, error });
+        } else {
+          pinned.push(hash);
+        }
+        pinStates.set(hash, { status: error ? 'failed' : 'pinned', error, checkedAt: new Date() });
+      }
+    }
+
+    const importedAt = new Date();
+    const imported = [];
+    const skipped = [];
+    for (const record of manifest.deployments) {
+      if (existing.has(record.version)) {
+        skipped.push(record.version);
+        continue;
+      }
+
+      const { contractCode, entries } = contents.get(record.contractCodeHash);
+      const deployment = new Deployment({
+        walletAddress,
+        contractRepoName: repo,
+        contractCodeHash: record.contractCodeHash,
+        version: record.version,
+        deployedAt: record.deployedAt,
+        message: record.message || undefined,
+        author: record.author || undefined,
+        git: record.git || undefined,
+        rollback: record.rollback || undefined,
+        files: entries,
+        contractInterface: summarizeClarityInterface(contractCode),
+        searchText: extractSearchText(contractCode),
+        pin: pinStates.get(record.contractCodeHash),
+        importedFrom: {
+          walletAddress: manifest.walletAddress,
+          contractRepoName: manifest.contractRepoName,
+          archive: archiveRoot,
+          importedAt,
+          signature: record.signature || undefined
+        }
+      });
+
+      try {
+        existing.set(record.version, await deployment.save());
+        imported.push(record.version);
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        // Deployed concurrently; the version now exists and is left as it is
+        skipped.push(record.version);
+      }
+    }
+
+    // Recreate tags that do not exist yet; existing tags are never moved by an import
+    const tagsCreated = [];
+    const tagsSkipped = [];
+    for (const { name, version, signature: tagSignature } of manifest.tags || []) {
+      const deployment = existing.get(version);
+      if (!deployment || await Tag.findByName(walletAddress, repo, name)) {
+        tagsSkipped.push(name);
+        continue;
+      }
+      try {
+        await Tag.create({
+          walletAddress,
+          contractRepoName: repo,
+          name,
+          deployment: deployment._id,
+          version,
+          signature: tagSignature || undefined
+        });
+        tagsCreated.push(name);
+      } catch (error) {
+        if (error.name !== 'ValidationError' && error.code !== 11000) throw error;
+        tagsSkipped.push(name);
+      }
+    }
+
+    charged = null;
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${imported.length} version${imported.length === 1 ? '' : 's'}`,
+      data: {
+        archive: archiveRoot,
+        imported,
+        skipped,
+        tags: { created: tagsCreated, skipped: tagsSkipped },
+        pinned,
+        pinFailures,
+        quota
+      }
+    });
+
+  } catch (error) {
+    if (charged && charged.bytes > 0) {
+      await storageQuota.release(charged.walletAddress, charged.bytes);
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid deployment record in archive',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    console.error('Import repository error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import repository',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  exportRepo,
+  importRepo
+};
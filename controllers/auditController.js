@@ -0,0 +1,130 @@
+const Deployment = require('../models/Deployment');
+const ContentAudit = require('../models/ContentAudit');
+const contentAuditor = require('../services/contentAuditor');
+const signatureService = require('../services/signatureService');
+const { parseLimit } = require('../utils/pagination');
+
+/**
+ * @desc    Shape an audit report for API responses
+ * @param   {Object} report - ContentAudit document
+ * @returns {Object} Report response object
+ */
+const formatAudit = (report) => ({
+  id: report._id,
+  walletAddress: report.walletAddress || null,
+  contractRepoName: report.contractRepoName || null,
+  trigger: report.trigger,
+  status: report.status,
+  error: report.error || null,
+  startedAt: report.startedAt,
+  finishedAt: report.finishedAt || null,
+  summary: report.summary,
+  problems: report.problems,
+  problemsTruncated: report.problemsTruncated
+});
+
+/**
+ * @desc    Check that every version of a repository is retrievable and matches its CID
+ *          Every version is fetched from the provider, bypassing the cache, so only the owner may
+ *          start an audit; scheduled reports are listed publicly by listAudits.
+ * @route   POST /api/deployments/:walletAddress/:repo/audit
+ * @access  Wallet signature of the owner
+ */
+const auditRepo = async (req, res) => {
+  try {
+    const { walletAddress, repo } = req.params;
+    const { signature } = req.body || {};
+
+    if (!(await Deployment.exists({ walletAddress, contractRepoName: repo }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'No deployments found for the specified repository'
+      });
+    }
+
+    const authorization = await signatureService.authorizeRepoAction({
+      repository: req.repository,
+      walletAddress,
+      contractRepoName: repo,
+      role: 'owner',
+      action: 'audit',
+      fields: [],
+      signature
+    });
+    if (!authorization.verified) {
+      return res.status(authorization.status).json({
+        success: false,
+        message: authorization.reason
+      });
+    }
+
+    const report = await contentAuditor.audit({ walletAddress, contractRepoName: repo });
+
+    if (report.status === 'failed') {
+      return res.status(500).json({
+        success: false,
+        message: 'Content audit failed',
+        error: report.error,
+        data: { audit: formatAudit(report) }
+      });
+    }
+
+    const problems = report.summary.missing + report.summary.unreachable + report.summary.corrupted;
+    res.status(200).json({
+      success: true,
+      message: problems === 0
+        ? 'All content is retrievable and matches its CID'
+        : `${problems} content${problems === 1 ? '' : 's'} failed the audit`,
+      data: { audit: formatAudit(report) }
+    });
+
+  } catch (error) {
+    console.error('Audit repository error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to audit repository content',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    List recent content audit reports, scheduled and manual
+ * @route   GET /api/audits
+ * @access  Public
+ */
+const listAudits = async (req, res) => {
+  try {
+    const { walletAddress, repo, limit } = req.query;
+
+    if ([walletAddress, repo].some(value => value !== undefined && typeof value !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        message: 'walletAddress and repo must be single values'
+      });
+    }
+
+    const reports = await ContentAudit.findRecent({ walletAddress, contractRepoName: repo }, parseLimit(limit));
+
+    res.status(200).json({
+      success: true,
+      message: 'Audit reports retrieved successfully',
+      data: {
+        audits: reports.map(formatAudit)
+      }
+    });
+
+  } catch (error) {
+    console.error('List audits error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve audit reports',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  auditRepo,
+  listAudits
+};
@@ -1,6 +1,27 @@
 const Deployment = require('../models/Deployment');
-const { getNextVersion } = require('../utils/versionManager');
+const Repository = require('../models/Repository');
+const {
+  getNextVersion,
+  getChannel,
+  isValidChannel,
+  isValidBuild
+} = require('../utils/versionManager');
+const { detectBump } = require('../utils/contractInterface');
+const { diffObjects, toPatch } = require('../utils/diff');
+const { maxSatisfying, satisfies, isValidRange } = require('../utils/versionRange');
+const { decodeCursor, parseLimit } = require('../utils/pagination');
+const { buildChangelog, renderMarkdown } = require('../utils/changelog');
+const { summarizeClarityInterface } = require('../utils/clarityParser');
+const { extractSearchText, deriveSearchKeys } = require('../utils/search');
+const { normalizeProjectFiles, toFilesObject, diffProjectFiles } = require('../utils/project');
+const { buildDirectoryDag, serializeContractCode } = require('../utils/cid');
+const { formatOnChainLinks, findSharedLink, checkLinkAuthority, onChainConflictBody } = require('../utils/onChain');
 const ipfsService = require('../services/ipfsService');
+const signatureService = require('../services/signatureService');
+const webhookService = require('../services/webhookService');
+const deploymentStream = require('../services/deploymentStream');
+const storageQuota = require('../services/storageQuota');
+const rateLimiter = require('../services/rateLimiter');
 
 /**
  * @desc    Compare two IPFS hashes for changes
@@ -16,76 +37,691 @@ const hasContractCodeChanged = (oldHash, newHash) => {
   return oldHash !== newHash;
 };
 
+/**
+ * @desc    Choose the version bump for new contract code relative to the latest release
+ * @param   {Object|null} latestRelease - Latest release deployment, or null if none
+ * @param   {Function} loadContractCode - Returns the new contract code or project files (only called when inferring)
+ * @param   {string} bump - Explicitly requested bump, if any
+ * @returns {Promise<Object>} Object with bump (null for a first release) and reason
+ * @throws  When the contract code of either version cannot be retrieved
+ */
+const chooseBump = async (latestRelease, loadContractCode, bump) => {
+  if (!latestRelease) {
+    return { bump: null, reason: 'First release' };
+  }
+  if (bump) {
+    return { bump, reason: 'Requested explicitly' };
+  }
+
+  // Infer the bump by comparing interfaces with the latest release on IPFS
+  const [previousCode, contractCode] = await Promise.all([
+    ipfsService.getDeploymentCode(latestRelease),
+    loadContractCode()
+  ]);
+  return detectBump(previousCode, contractCode);
+};
+
+/**
+ * @desc    Validate the optional commit message, author and git metadata of a deploy request
+ * @param   {Object} body - Request body
+ * @returns {Object} Object with metadata to store, or errors listing the invalid fields
+ */
+const parseCommitMetadata = ({ message, author, git }) => {
+  if (git !== undefined && (typeof git !== 'object' || git === null || Array.isArray(git))) {
+    return { errors: ['Git metadata must be an object with sha and/or branch'] };
+  }
+
+  const metadata = {
+    message,
+    author,
+    git: git ? { sha: git.sha, branch: git.branch } : undefined
+  };
+
+  const error = new Deployment(metadata).validateSync(['message', 'author', 'git']);
+  if (error) {
+    return { errors: Object.values(error.errors).map(err => err.message) };
+  }
+
+  return { metadata };
+};
+
+/**
+ * @desc    Validate the on-chain contracts a deploy request links the new version to
+ * @param   {Object|Object[]} onChain - One { network, contractAddress, txId } or a list of them
+ * @param   {string} linkedBy - Deploying wallet
+ * @returns {Object} Object with links (normalized), or errors listing the invalid ones
+ */
+const parseOnChainLinks = (onChain, linkedBy) => {
+  if (onChain === undefined) {
+    return { links: [] };
+  }
+
+  const list = (Array.isArray(onChain) ? onChain : [onChain])
+    .map(({ network, contractAddress, txId }) => ({ network, contractAddress, txId, linkedBy }));
+  const draft = new Deployment({ onChain: list });
+  const error = draft.validateSync(['onChain']);
+  if (error) {
+    return { errors: Object.values(error.errors).map(err => err.message) };
+  }
+
+  const links = draft.onChain.map(link => link.toObject());
+  const seen = new Set();
+  for (const { network, contractAddress } of links) {
+    const key = `${network}:${contractAddress}`;
+    if (seen.has(key)) {
+      return { errors: [`Contract ${contractAddress} on ${network} is listed more than once`] };
+    }
+    seen.add(key);
+  }
+
+  return { links };
+};
+
+/**
+ * @desc    Shape a saved deployment for webhook event payloads
+ * @param   {Object} deployment - Deployment document
+ * @returns {Object} Event data
+ */
+const formatDeploymentEvent = (deployment) => ({
+  deployment: {
+    id: deployment._id,
+    contractCodeHash: deployment.contractCodeHash,
+    version: deployment.version,
+    channel: getChannel(deployment.version),
+    deployedAt: deployment.deployedAt,
+    message: deployment.message || null,
+    author: deployment.author || null,
+    git: deployment.git || null,
+    rollback: deployment.rollback && deployment.rollback.toVersion ? deployment.rollback : null,
+    onChain: formatOnChainLinks(deployment.onChain)
+  }
+});
+
+const MAX_VERSION_ATTEMPTS = 5;
+
+/**
+ * @desc    Pin deployed content and report failures to webhook subscribers
+ * @param   {string} walletAddress - Deploying wallet
+ * @param   {string} contractRepoName - Repository name
+ * @param   {string} contractCodeHash - IPFS hash of the content
+ * @returns {Promise<Object>} Pin state to record on the deployment
+ */
+const pinDeployedContent = async (walletAddress, contractRepoName, contractCodeHash) => {
+  const { pinned, error } = await ipfsService.pinContent(contractCodeHash);
+  if (!pinned) {
+    webhookService.emit('pin.failed', {
+      walletAddress,
+      contractRepoName,
+      data: { contractCodeHash, error }
+    });
+  }
+
+  // The newest version is retained by every retention policy
+  return {
+    status: pinned ? 'pinned' : 'failed',
+    retained: true,
+    error: error || undefined,
+    checkedAt: new Date()
+  };
+};
+
+/**
+ * @desc    Shape a deployment's recorded pin state for API responses
+ * @param   {Object} pin - Deployment pin state
+ * @returns {Object|null} Pin state, or null if it was never recorded
+ */
+const formatPinState = (pin) => (pin && pin.status ? {
+  status: pin.status,
+  error: pin.error || null,
+  checkedAt: pin.checkedAt || null
+} : null);
+
+/**
+ * @desc    Shape a project's file list for API responses
+ * @param   {Object[]} files - Deployment files
+ * @returns {Object[]|null} Files with path, hash and size, or null for single-file contract code
+ */
+const formatProjectFiles = (files) => (files && files.length > 0
+  ? files.map(({ path, hash, size }) => ({ path, hash, size }))
+  : null);
+
+/**
+ * @desc    Respond 502 when retrieved content failed verification against its CID
+ * @param   {Object} res - Express response
+ * @param   {Error} error - Retrieval error
+ * @returns {boolean} Whether a response was sent
+ */
+const sendContentMismatch = (res, error) => {
+  if (error.code !== ipfsService.CONTENT_CID_MISMATCH) return false;
+  res.status(502).json({
+    success: false,
+    message: 'Content retrieved from IPFS does not match its CID',
+    code: error.code,
+    error: error.message
+  });
+  return true;
+};
+
+/**
+ * @desc    Save a new deployment, re-planning its version when a concurrent deploy claims it first
+ *          Versions are unique per repo, so the losing save fails with a duplicate key error.
+ *          Identical content collapses into the winning version; different content is re-planned
+ *          against the updated history. A mainnet or testnet contract claimed concurrently halts with 409.
+ * @param   {Function} plan - Async function returning { deployment, ...extra } to save, or { halt } to stop
+ * @returns {Promise<Object>} The plan result with the saved deployment, or { halt: { status, body } }
+ */
+const saveWithVersionRetry = async (plan) => {
+  for (let attempt = 1; attempt <= MAX_VERSION_ATTEMPTS; attempt++) {
+    const planned = await plan();
+    if (planned.halt) {
+      return planned;
+    }
+
+    try {
+      return { ...planned, deployment: await planned.deployment.save() };
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      // A mainnet or testnet contract the deployment links to was claimed concurrently
+      if (error.keyPattern && error.keyPattern.onChainKeys) {
+        const links = planned.deployment.onChain;
+        const [conflict] = await Deployment.findOnChainConflicts(links, planned.deployment._id);
+        return {
+          halt: {
+            status: 409,
+            body: conflict
+              ? onChainConflictBody(findSharedLink(links, conflict), conflict)
+              : { success: false, message: 'A linked contract was claimed concurrently; please retry' }
+          }
+        };
+      }
+
+      const { walletAddress, contractRepoName, versionKey, contractCodeHash, version } = planned.deployment;
+      const winner = await Deployment.findOne({ walletAddress, contractRepoName, versionKey }).exec();
+
+      if (winner && !hasContractCodeChanged(winner.contractCodeHash, contractCodeHash)) {
+        return {
+          halt: {
+            status: 409,
+            body: {
+              success: false,
+              message: `Identical contract code was deployed concurrently as version ${winner.version}`,
+              data: {
+                deployment: {
+                  id: winner._id,
+                  version: winner.version,
+                  contractCodeHash: winner.contractCodeHash,
+                  deployedAt: winner.deployedAt
+                }
+              }
+            }
+          }
+        };
+      }
+
+      console.warn(`Version ${version} of ${contractRepoName} was claimed concurrently, retrying (attempt ${attempt})`);
+    }
+  }
+
+  return {
+    halt: {
+      status: 409,
+      body: {
+        success: false,
+        message: `Could not allocate a version after ${MAX_VERSION_ATTEMPTS} attempts due to concurrent deploys; please retry`
+      }
+    }
+  };
+};
+
+// Fields a history row can include, selectable with ?fields=
+const HISTORY_FIELDS = [
+  'id',
+  'walletAddress',
+  'contractRepoName',
+  'contractCodeHash',
+  'version',
+  'deployedAt',
+  'codeChanged',
+  'message',
+  'author',
+  'git',
+  'rollback',
+  'pin',
+  'deployedBy',
+  'signer',
+  'files',
+  'fileChanges',
+  'onChain',
+  'contractCode'
+];
+
+// Sort options for history routes, mapped to the indexed field backing each
+const HISTORY_SORT_FIELDS = {
+  version: 'versionKey',
+  deployedAt: 'deployedAt'
+};
+
+/**
+ * @desc    Parse the pagination, filter and field selection query of a history route
+ * @param   {Object} query - Request query
+ * @param   {Object} defaults - Route defaults: sort and fields
+ * @returns {Object} Object with options, or error describing the first invalid parameter
+ */
+const parseHistoryQuery = (query, defaults) => {
+  const { range, since, until, hash, cursor, sort = defaults.sort, order = 'desc' } = query;
+
+  if (!HISTORY_SORT_FIELDS[sort]) {
+    return { error: `Invalid sort: must be one of ${Object.keys(HISTORY_SORT_FIELDS).join(', ')}` };
+  }
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'Invalid order: must be asc or desc' };
+  }
+  if (range !== undefined && !isValidRange(range)) {
+    return { error: `Invalid version range: ${range}` };
+  }
+
+  const window = {};
+  for (const [name, value, op] of [['since', since, '$gte'], ['until', until, '$lte']]) {
+    if (value === undefined) continue;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      return { error: `Invalid ${name}: must be an ISO 8601 date` };
+    }
+    window[op] = date;
+  }
+
+  if (cursor !== undefined) {
+    try {
+      decodeCursor(cursor);
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  let fields = defaults.fields;
+  if (query.fields !== undefined) {
+    fields = String(query.fields).split(',').map(field => field.trim()).filter(Boolean);
+    const unknown = fields.filter(field => !HISTORY_FIELDS.includes(field));
+    if (fields.length === 0 || unknown.length > 0) {
+      return { error: `Invalid fields: must be a comma-separated list of ${HISTORY_FIELDS.join(', ')}` };
+    }
+  }
+
+  return {
+    options: {
+      range,
+      window: Object.keys(window).length > 0 ? window : null,
+      hash,
+      cursor,
+      sortField: HISTORY_SORT_FIELDS[sort],
+      direction: order === 'asc' ? 1 : -1,
+      limit: parseLimit(query.limit),
+      fields
+    }
+  };
+};
+
+/**
+ * @desc    Build the MongoDB filter for a history query
+ *          Version ranges are matched in memory against the distinct versions in scope, since
+ *          SemVer range semantics cannot be expressed as a query on the sort key.
+ * @param   {Object} scope - Base filter (wallet, and repo for repo history)
+ * @param   {Object} options - Parsed history options
+ * @returns {Promise<Object>} MongoDB filter
+ */
+const buildHistoryFilter = async (scope, { range, window, hash }) => {
+  const filter = { ...scope };
+
+  if (range !== undefined) {
+    const versions = await Deployment.distinct('version', scope).exec();
+    filter.version = { $in: versions.filter(version => satisfies(version, range)) };
+  }
+  if (window) {
+    filter.deployedAt = window;
+  }
+  if (hash) {
+    filter.contractCodeHash = hash;
+  }
+
+  return filter;
+};
+
+/**
+ * @desc    Shape a page of deployments into history rows with only the selected fields
+ *          Change detection and contract code are only looked up for rows on the page; the
+ *          predecessors change detection compares against are fetched in one query.
+ * @param   {Object[]} deployments - Deployments on the current page
+ * @param   {string[]} fields - Selected fields
+ * @returns {Promise<Object[]>} History rows
+ */
+const formatHistoryRows = async (deployments, fields) => {
+  const previousHashes = fields.includes('codeChanged')
+    ? await Deployment.findPreviousHashes(deployments)
+    : new Map();
+
+  return Promise.all(deployments.map(async (deploy) => {
+    const values = {
+      id: deploy._id,
+      walletAddress: deploy.walletAddress,
+      contractRepoName: deploy.contractRepoName,
+      contractCodeHash: deploy.contractCodeHash,
+      version: deploy.version,
+      deployedAt: deploy.deployedAt,
+      message: deploy.message || null,
+      author: deploy.author || null,
+      git: deploy.git || null,
+      rollback: deploy.rollback && deploy.rollback.toVersion ? deploy.rollback : null,
+      pin: formatPinState(deploy.pin),
+      // Versions deployed before collaborators existed were signed by the repository's wallet
+      deployedBy: deploy.deployedBy || deploy.walletAddress,
+      signer: deploy.signature ? { type: deploy.signature.type, publicKey: deploy.signature.publicKey } : null,
+      files: formatProjectFiles(deploy.files),
+      fileChanges: deploy.fileChanges || null,
+      onChain: formatOnChainLinks(deploy.onChain)
+    };
+
+    const row = {};
+    for (const field of fields) {
+      if (field === 'codeChanged') {
+        const previousHash = previousHashes.get(String(deploy._id));
+        row.codeChanged = previousHash
+          ? hasContractCodeChanged(previousHash, deploy.contractCodeHash)
+          : true; // First deployment always has changes
+      } else if (field === 'contractCode') {
+        try {
+          row.contractCode = await ipfsService.getDeploymentCode(deploy);
+        } catch (error) {
+          console.error(`Failed to retrieve contract code from IPFS: ${error.message}`);
+          row.contractCodeError = error.code === ipfsService.CONTENT_CID_MISMATCH
+            ? 'Content retrieved from IPFS does not match its CID'
+            : 'Failed to retrieve from IPFS';
+        }
+      } else {
+        row[field] = values[field];
+      }
+    }
+
+    return row;
+  }));
+};
+
 /**
  * @desc    Create a new deployment with automatic versioning and IPFS storage
+ *          Accepts either contractCode (a JSON object stored as one file) or files (a multi-file
+ *          project stored as a directory), as JSON or as a multipart upload. walletAddress is the
+ *          signing wallet; repoOwner addresses another wallet's repository it may deploy to.
  * @route   POST /api/deploy
- * @access  Public
+ * @access  Wallet signature (owner or deployer)
  */
 const createDeployment = async (req, res) => {
+  // Bytes charged to the deploying wallet, released unless a deployment is saved
+  let reservedBytes = 0;
+
   try {
-    const { walletAddress, contractCode, contractRepoName } = req.body;
+    const { walletAddress: deployer, repoOwner, contractCode, files, contractRepoName, bump, channel, build, onChain, signature } = req.body;
 
-    // Validate required fields
-    if (!walletAddress || !contractCode || !contractRepoName) {
+    // Field types are checked by the route's schema; one of contractCode and files is required
+    if (!contractCode && !files) {
       return res.status(400).json({
         success: false,
-        message: 'Missing required fields: walletAddress, contractCode, contractRepoName'
+        message: 'Missing required field: contractCode or files'
       });
     }
 
-  // Wallet address format validation removed to allow any wallet address
-
-    // Validate contract code is an object
-    if (typeof contractCode !== 'object' || contractCode === null) {
+    if (contractCode && files) {
       return res.status(400).json({
         success: false,
-        message: 'Contract code must be a valid JSON object'
+        message: 'Provide either contractCode or files, not both'
       });
     }
 
-    // Upload contract code to IPFS
-    console.log('Uploading contract code to IPFS...');
-    const contractCodeHash = await ipfsService.uploadContractCode(contractCode);
-    
-    // Pin the content to ensure it stays available
-    await ipfsService.pinContent(contractCodeHash);
-
-    // Find the latest deployment for this repo
-    const latestDeployment = await Deployment.findLatestByRepo(walletAddress, contractRepoName);
-
-    let nextVersion;
-    let message;
-
-    if (latestDeployment) {
-      // Check if contract code has changed by comparing IPFS hashes
-      const codeChanged = hasContractCodeChanged(latestDeployment.contractCodeHash, contractCodeHash);
-      
-      if (!codeChanged) {
-        // No change → return error instead of saving
+    // Validate project file paths and contents
+    let projectFiles = null;
+    if (files) {
+      const normalized = normalizeProjectFiles(files);
+      if (normalized.errors) {
         return res.status(400).json({
           success: false,
-          message: 'nothing to commit, everything is up to date'
+          message: 'Invalid project files',
+          errors: normalized.errors
         });
       }
+      projectFiles = normalized.files;
+    }
+
+    // Validate optional pre-release channel and build metadata
+    if (channel !== undefined && !isValidChannel(channel)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Channel must be a single alphanumeric identifier (e.g. "beta", "rc")'
+      });
+    }
+
+    if (build !== undefined && !isValidBuild(build)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Build metadata must be dot-separated alphanumeric identifiers'
+      });
+    }
+
+    // Validate optional commit message, author and git metadata
+    const { metadata, errors: metadataErrors } = parseCommitMetadata(req.body);
+    if (metadataErrors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid commit metadata',
+        errors: metadataErrors
+      });
+    }
+
+    // Validate optional on-chain contracts the version was deployed as
+    const { links: onChainLinks, errors: onChainErrors } = parseOnChainLinks(onChain, deployer);
+    if (onChainErrors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid on-chain deployment',
+        errors: onChainErrors
+      });
+    }
 
-      // Increment version if code changed
-      nextVersion = getNextVersion(latestDeployment.version);
-      message = 'Deployment created successfully with new version';
-    } else {
-      // First deployment for this repo
-      nextVersion = getNextVersion(null);
-      message = 'Deployment created successfully (first version)';
+    // Compute the IPFS hash locally so unchanged code never reaches Pinata; a project's
+    // hash is the CID of its directory
+    const projectDag = projectFiles && buildDirectoryDag(projectFiles);
+    const contractCodeHash = projectDag ? projectDag.cid : ipfsService.computeHash(contractCode);
+
+    // Bytes the upload adds to the deploying wallet's storage quota
+    const uploadBytes = projectFiles
+      ? projectFiles.reduce((sum, file) => sum + file.content.length, 0)
+      : serializeContractCode(contractCode).length;
+
+    // Projects are summarized and searched as a map of file path → text
+    const code = projectFiles ? toFilesObject(projectFiles) : contractCode;
+
+    // Summarize any Clarity source; parse problems are reported, never fatal
+    const contractInterface = summarizeClarityInterface(code);
+
+    // Versions are stored under the wallet the repository was created under, whoever deploys them
+    const repository = await Repository.resolve(repoOwner || deployer, contractRepoName);
+    if (!repository && repoOwner && repoOwner !== deployer) {
+      return res.status(404).json({
+        success: false,
+        message: `Repository ${repoOwner}/${contractRepoName} not found`
+      });
     }
+    const walletAddress = repository ? repository.walletAddress : deployer;
 
-    // Create new deployment with IPFS hash
-    const deployment = new Deployment({
+    // Mainnet and testnet contracts must have been deployed by a wallet of the repository, which
+    // the signing wallet must be for the authorization below to succeed
+    const linkWallets = repository ? repository.memberWallets() : [deployer];
+    const unauthorizedLink = onChainLinks.map(link => checkLinkAuthority(link, linkWallets)).find(Boolean);
+    if (unauthorizedLink) {
+      return res.status(403).json({
+        success: false,
+        message: unauthorizedLink
+      });
+    }
+
+    // Verify the wallet may deploy to the repository and signed this exact deployment
+    const authorization = await signatureService.authorizeRepoAction({
+      repository,
       walletAddress,
-      contractCodeHash,
       contractRepoName,
-      version: nextVersion
+      signer: deployer,
+      role: 'deployer',
+      action: 'deployment',
+      fields: [['hash', contractCodeHash]],
+      signature
     });
+    if (!authorization.verified) {
+      return res.status(authorization.status).json({
+        success: false,
+        message: authorization.reason
+      });
+    }
+
+    // Count the deploy against the signing wallet only now that its signature is verified
+    if (await rateLimiter.limitWallet('deploy', authorization.signer, res)) return;
+
+    // A mainnet or testnet contract is only ever one version; the unique index settles races
+    const [onChainConflict] = await Deployment.findOnChainConflicts(onChainLinks);
+    if (onChainConflict) {
+      return res.status(409).json(onChainConflictBody(findSharedLink(onChainLinks, onChainConflict), onChainConflict));
+    }
+
+    // First deploys register the repository, owned by the deploying wallet
+    if (!repository) {
+      await Repository.findOrCreate(walletAddress, contractRepoName);
+    }
+
+    // Outcome of pinning the uploaded content, recorded on the deployment
+    let pinState = null;
+    // Deploying wallet's storage quota after the upload
+    let quota = null;
+
+    const result = await saveWithVersionRetry(async () => {
+      // Split the repo's history (highest version first) into releases and the requested channel
+      const history = await Deployment.findRepoHistory(walletAddress, contractRepoName);
+      const releases = history.filter(dep => getChannel(dep.version) === null);
+      const channelDeployments = channel
+        ? history.filter(dep => getChannel(dep.version) === channel)
+        : releases;
+
+      // Latest deployment in the same channel, used for change detection
+      const latestDeployment = channelDeployments[0] || null;
+      // Highest release, which the bump is applied to
+      const latestRelease = releases[0] || null;
+
+      if (latestDeployment) {
+        // Check if contract code has changed by comparing IPFS hashes
+        const codeChanged = hasContractCodeChanged(latestDeployment.contractCodeHash, contractCodeHash);
+
+        if (!codeChanged) {
+          // No change → return error instead of saving
+          return {
+            halt: {
+              status: 400,
+              body: { success: false, message: 'nothing to commit, everything is up to date' }
+            }
+          };
+        }
+      }
 
-    const savedDeployment = await deployment.save();
+      // Files changed since the previous project version in the channel
+      const fileChanges = projectDag && latestDeployment && latestDeployment.files && latestDeployment.files.length > 0
+        ? diffProjectFiles(latestDeployment.files, projectDag.entries)
+        : undefined;
+
+      let bumpType;
+      let bumpReason;
+      try {
+        ({ bump: bumpType, reason: bumpReason } = await chooseBump(latestRelease, async () => code, bump));
+      } catch (error) {
+        return {
+          halt: {
+            status: 502,
+            body: {
+              success: false,
+              message: 'Could not retrieve previous version to infer bump; pass bump explicitly',
+              code: error.code,
+              error: error.message
+            }
+          }
+        };
+      }
+
+      const nextVersion = getNextVersion(latestRelease ? latestRelease.version : null, bumpType || 'patch', {
+        channel,
+        latestChannelVersion: channel && latestDeployment ? latestDeployment.version : null,
+        build
+      });
+
+      if (!pinState) {
+        // Charge the upload to the deploying wallet before anything reaches the provider
+        const reservation = await storageQuota.reserve(deployer, uploadBytes);
+        if (!reservation.allowed) {
+          return { halt: { status: 413, body: storageQuota.exceededBody(reservation.quota) } };
+        }
+        reservedBytes = uploadBytes;
+        quota = reservation.quota;
+
+        // Upload contract code to IPFS (fails if the provider assigns a different CID)
+        console.log('Uploading contract code to IPFS...');
+        if (projectFiles) {
+          await ipfsService.uploadProject(projectFiles);
+        } else {
+          await ipfsService.uploadContractCode(contractCode);
+        }
+
+        // Pin the content to ensure it stays available; failures are retried by pin reconciliation
+        pinState = await pinDeployedContent(walletAddress, contractRepoName, contractCodeHash);
+      }
+
+      return {
+        // Create new deployment with IPFS hash
+        deployment: new Deployment({
+          walletAddress,
+          contractCodeHash,
+          contractRepoName,
+          version: nextVersion,
+          deployedBy: deployer,
+          signature: authorization.record,
+          ...metadata,
+          files: projectDag ? projectDag.entries : undefined,
+          fileChanges,
+          contractInterface,
+          searchText: extractSearchText(code),
+          pin: pinState,
+          onChain: onChainLinks.length > 0 ? onChainLinks : undefined
+        }),
+        bumpType,
+        bumpReason,
+        message: history.length > 0
+          ? 'Deployment created successfully with new version'
+          : 'Deployment created successfully (first version)'
+      };
+    });
+
+    if (result.halt) {
+      // Halting after the upload (a concurrent identical deploy, a contract claimed concurrently,
+      // retries run out) saves nothing, so the upload is not charged
+      if (reservedBytes) {
+        await storageQuota.release(req.body.walletAddress, reservedBytes);
+      }
+      return res.status(result.halt.status).json(result.halt.body);
+    }
+    reservedBytes = 0;
+
+    const { deployment: savedDeployment, bumpType, bumpReason, message } = result;
+
+    deploymentStream.publish(savedDeployment);
+    webhookService.emit('deployment.created', {
+      walletAddress,
+      contractRepoName,
+      data: formatDeploymentEvent(savedDeployment)
+    });
 
     res.status(201).json({
       success: true,
@@ -97,13 +733,33 @@ const createDeployment = async (req, res) => {
           contractRepoName: savedDeployment.contractRepoName,
           contractCodeHash: savedDeployment.contractCodeHash,
           version: savedDeployment.version,
+          channel: getChannel(savedDeployment.version),
           deployedAt: savedDeployment.deployedAt,
-          codeChanged: true
-        }
+          deployedBy: savedDeployment.deployedBy,
+          signer: {
+            type: savedDeployment.signature.type,
+            publicKey: savedDeployment.signature.publicKey
+          },
+          message: savedDeployment.message || null,
+          author: savedDeployment.author || null,
+          git: savedDeployment.git || null,
+          codeChanged: true,
+          files: formatProjectFiles(savedDeployment.files),
+          fileChanges: savedDeployment.fileChanges || null,
+          pin: formatPinState(savedDeployment.pin),
+          onChain: formatOnChainLinks(savedDeployment.onChain),
+          bump: bumpType,
+          bumpReason,
+          diagnostics: contractInterface ? contractInterface.diagnostics : []
+        },
+        quota
       }
     });
 
   } catch (error) {
+    if (reservedBytes) {
+      await storageQuota.release(req.body.walletAddress, reservedBytes);
+    }
     console.error('Create deployment error:', error);
     res.status(500).json({
       success: false,
@@ -113,8 +769,183 @@ const createDeployment = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Republish an earlier version's contract code as a new version
+ * @route   POST /api/deployments/:walletAddress/:repo/rollback
+ * @access  Wallet signature (owner or deployer)
+ */
+const rollbackDeployment = async (req, res) => {
+  try {
+    const { walletAddress, repo } = req.params;
+    const { version, bump, signer, signature } = req.body;
+
+    const { metadata, errors: metadataErrors } = parseCommitMetadata(req.body);
+    if (metadataErrors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid commit metadata',
+        errors: metadataErrors
+      });
+    }
+
+    const target = await Deployment.findOne({ walletAddress, contractRepoName: repo, version })
+      .select('+searchText')
+      .exec();
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${version} not found for the specified repository`
+      });
+    }
+
+    let authorization = null;
+    let pinState = null;
+
+    const result = await saveWithVersionRetry(async () => {
+      const history = await Deployment.findRepoHistory(walletAddress, repo);
+      const latestRelease = history.find(dep => getChannel(dep.version) === null) || null;
+
+      if (latestRelease && !hasContractCodeChanged(latestRelease.contractCodeHash, target.contractCodeHash)) {
+        return {
+          halt: {
+            status: 400,
+            body: {
+              success: false,
+              message: `nothing to commit, ${latestRelease.version} already has the code of ${target.version}`
+            }
+          }
+        };
+      }
+
+      if (!authorization) {
+        // The wallet signs a deployment of the restored content hash
+        authorization = await signatureService.authorizeRepoAction({
+          repository: req.repository,
+          walletAddress,
+          contractRepoName: repo,
+          signer,
+          role: 'deployer',
+          action: 'deployment',
+          fields: [['hash', target.contractCodeHash]],
+          signature
+        });
+
+        // Count the rollback against the signing wallet only now that its signature is verified
+        if (authorization.verified && await rateLimiter.limitWallet('deploy', authorization.signer, res)) {
+          return { halt: { sent: true } };
+        }
+      }
+      if (!authorization.verified) {
+        return { halt: { status: authorization.status, body: { success: false, message: authorization.reason } } };
+      }
+
+      let bumpType;
+      let bumpReason;
+      try {
+        ({ bump: bumpType, reason: bumpReason } = await chooseBump(
+          latestRelease,
+          () => ipfsService.getDeploymentCode(target),
+          bump
+        ));
+      } catch (error) {
+        return {
+          halt: {
+            status: 502,
+            body: {
+              success: false,
+              message: 'Could not retrieve contract code to infer bump; pass bump explicitly',
+              code: error.code,
+              error: error.message
+            }
+          }
+        };
+      }
+
+      const nextVersion = getNextVersion(latestRelease ? latestRelease.version : null, bumpType || 'patch');
+
+      if (!pinState) {
+        // The restored version may have been unpinned by the repo's retention policy
+        pinState = await pinDeployedContent(walletAddress, repo, target.contractCodeHash);
+      }
+
+      return {
+        // Content is already on IPFS, so nothing is uploaded
+        deployment: new Deployment({
+          walletAddress,
+          contractCodeHash: target.contractCodeHash,
+          contractRepoName: repo,
+          version: nextVersion,
+          deployedBy: authorization.signer,
+          signature: authorization.record,
+          ...metadata,
+          files: target.files && target.files.length > 0 ? target.files : undefined,
+          contractInterface: target.contractInterface,
+          searchText: target.searchText,
+          pin: pinState,
+          rollback: {
+            fromVersion: latestRelease ? latestRelease.version : null,
+            toVersion: target.version
+          }
+        }),
+        bumpType,
+        bumpReason
+      };
+    });
+
+    if (result.halt) {
+      // A rate-limited rollback has already been answered with 429
+      if (result.halt.sent) return;
+      return res.status(result.halt.status).json(result.halt.body);
+    }
+
+    const { deployment: savedDeployment, bumpType, bumpReason } = result;
+
+    deploymentStream.publish(savedDeployment);
+    webhookService.emit('deployment.rolled_back', {
+      walletAddress,
+      contractRepoName: repo,
+      data: formatDeploymentEvent(savedDeployment)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Rolled back to ${target.version} as ${savedDeployment.version}`,
+      data: {
+        deployment: {
+          id: savedDeployment._id,
+          walletAddress: savedDeployment.walletAddress,
+          contractRepoName: savedDeployment.contractRepoName,
+          contractCodeHash: savedDeployment.contractCodeHash,
+          version: savedDeployment.version,
+          deployedAt: savedDeployment.deployedAt,
+          rollback: savedDeployment.rollback,
+          message: savedDeployment.message || null,
+          author: savedDeployment.author || null,
+          git: savedDeployment.git || null,
+          pin: formatPinState(savedDeployment.pin),
+          bump: bumpType,
+          bumpReason
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Rollback deployment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to roll back deployment',
+      error: error.message
+    });
+  }
+};
+
+// Query parameters of the paged wallet history; without any, the original response shape is kept
+const HISTORY_QUERY_PARAMS = ['limit', 'cursor', 'sort', 'order', 'range', 'since', 'until', 'hash', 'fields'];
+
 /**
  * @desc    Get all deployments for a wallet address
+ *          With no history query parameters, responds with only the latest version of each
+ *          repository, keyed by repository name as before paging was added.
  * @route   GET /api/deployments/:walletAddress
  * @access  Public
  */
@@ -122,48 +953,67 @@ const getDeploymentsByWallet = async (req, res) => {
   try {
     const { walletAddress } = req.params;
 
-    if (!walletAddress) {
+    if (!HISTORY_QUERY_PARAMS.some(param => req.query[param] !== undefined)) {
+      const latest = await Deployment.findLatestPerRepo(walletAddress);
+      const data = { walletAddress };
+      for (const repository of latest) {
+        data[repository._id] = {
+          version: repository.version,
+          ipfsHash: repository.contractCodeHash
+        };
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: latest.length > 0 ? 'Deployments retrieved successfully' : 'No deployments found',
+        data
+      });
+    }
+
+    const parsed = parseHistoryQuery(req.query, {
+      sort: 'deployedAt',
+      fields: HISTORY_FIELDS.filter(field => field !== 'contractCode')
+    });
+    if (parsed.error) {
       return res.status(400).json({
         success: false,
-        message: 'Wallet address is required'
+        message: parsed.error
       });
     }
+    const { options } = parsed;
 
-    const deployments = await Deployment.findByWallet(walletAddress);
+    const repositories = await Deployment.findLatestPerRepo(walletAddress);
 
-    if (!deployments || deployments.length === 0) {
+    if (repositories.length === 0) {
       return res.status(200).json({
         success: true,
         message: 'No deployments found',
-        data: { walletAddress }
+        data: { walletAddress, repositories: {}, deployments: [], nextCursor: null, total: 0 }
       });
     }
 
-    // Group by contractRepoName and get the latest version
-    const latestByRepo = {};
-    deployments.forEach(dep => {
-      const repoName = dep.contractRepoName;
-      if (!latestByRepo[repoName] || dep.version > latestByRepo[repoName].version) {
-        latestByRepo[repoName] = {
-          latestVersion: dep.version,
-          contractCodeHash: dep.contractCodeHash
-        };
-      }
-    });
+    const filter = await buildHistoryFilter({ walletAddress }, options);
+    const page = await Deployment.findPage(filter, options);
 
-    // Build response object
-    const data = { walletAddress };
-    for (const repoName in latestByRepo) {
-      data[repoName] = {
-        version: latestByRepo[repoName].latestVersion,
-        ipfsHash: latestByRepo[repoName].contractCodeHash
+    // Latest version of each repository, regardless of the history filters
+    const latestByRepo = {};
+    for (const repository of repositories) {
+      latestByRepo[repository._id] = {
+        version: repository.version,
+        ipfsHash: repository.contractCodeHash
       };
     }
 
     res.status(200).json({
       success: true,
       message: 'Deployments retrieved successfully',
-      data
+      data: {
+        walletAddress,
+        repositories: latestByRepo,
+        deployments: await formatHistoryRows(page.deployments, options.fields),
+        nextCursor: page.nextCursor,
+        total: page.total
+      }
     });
 
   } catch (error) {
@@ -186,13 +1036,124 @@ const getRepoDeploymentHistory = async (req, res) => {
     const { walletAddress, repo } = req.params;
     const { excludeCode } = req.query; // Optional query param to exclude contract code
 
-    if (!walletAddress || !repo) {
+    const parsed = parseHistoryQuery(req.query, {
+      sort: 'version',
+      fields: excludeCode === 'true'
+        ? HISTORY_FIELDS.filter(field => field !== 'contractCode')
+        : HISTORY_FIELDS
+    });
+    if (parsed.error) {
       return res.status(400).json({
         success: false,
-        message: 'Wallet address and repository name are required'
+        message: parsed.error
+      });
+    }
+    const { options } = parsed;
+
+    const latest = await Deployment.findLatestByRepo(walletAddress, repo);
+
+    if (!latest) {
+      return res.status(404).json({
+        success: false,
+        message: 'No deployments found for the specified repository'
+      });
+    }
+
+    const filter = await buildHistoryFilter({ walletAddress, contractRepoName: repo }, options);
+    const page = await Deployment.findPage(filter, options);
+
+    res.status(200).json({
+      success: true,
+      message: 'Deployment history retrieved successfully',
+      data: {
+        deployments: await formatHistoryRows(page.deployments, options.fields),
+        nextCursor: page.nextCursor,
+        total: page.total
+      }
+    });
+
+  } catch (error) {
+    console.error('Get deployment history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve deployment history',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Diff the contract code of two versions of a repository
+ * @route   GET /api/deployments/:walletAddress/:repo/diff
+ * @access  Public
+ */
+const getRepoDeploymentDiff = async (req, res) => {
+  try {
+    const { walletAddress, repo } = req.params;
+    const { from, to, format } = req.query;
+
+    const [fromDeployment, toDeployment] = await Promise.all([
+      Deployment.findByVersion(walletAddress, repo, from),
+      Deployment.findByVersion(walletAddress, repo, to)
+    ]);
+
+    const missing = [[from, fromDeployment], [to, toDeployment]]
+      .filter(([, deployment]) => !deployment)
+      .map(([version]) => version);
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: `Version not found for the specified repository: ${missing.join(', ')}`
       });
     }
 
+    const [fromCode, toCode] = await Promise.all([
+      ipfsService.getDeploymentCode(fromDeployment),
+      ipfsService.getDeploymentCode(toDeployment)
+    ]);
+
+    const diff = diffObjects(fromCode, toCode);
+
+    if (format === 'patch') {
+      return res.status(200).type('text/plain').send(toPatch(diff));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Deployment diff retrieved successfully',
+      data: {
+        from: { version: fromDeployment.version, contractCodeHash: fromDeployment.contractCodeHash },
+        to: { version: toDeployment.version, contractCodeHash: toDeployment.contractCodeHash },
+        codeChanged: hasContractCodeChanged(fromDeployment.contractCodeHash, toDeployment.contractCodeHash),
+        // Paths added, modified and removed when both versions are projects
+        fileChanges: fromDeployment.files && fromDeployment.files.length > 0 && toDeployment.files && toDeployment.files.length > 0
+          ? diffProjectFiles(fromDeployment.files, toDeployment.files)
+          : null,
+        diff
+      }
+    });
+
+  } catch (error) {
+    if (sendContentMismatch(res, error)) return;
+    console.error('Get deployment diff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to diff deployments',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Render the changelog of a repository, grouped by major and minor version
+ * @route   GET /api/deployments/:walletAddress/:repo/changelog
+ * @access  Public
+ */
+const getRepoChangelog = async (req, res) => {
+  try {
+    const { walletAddress, repo } = req.params;
+    const { format } = req.query;
+
     const deployments = await Deployment.findRepoHistory(walletAddress, repo);
 
     if (deployments.length === 0) {
@@ -202,51 +1163,136 @@ const getRepoDeploymentHistory = async (req, res) => {
       });
     }
 
-    // Add change detection and contract code to response
-    const deploymentsWithDetails = await Promise.all(
-      deployments.map(async (deploy, index) => {
-        const previousDeploy = index > 0 ? deployments[index - 1] : null;
-        const codeChanged = previousDeploy 
-          ? hasContractCodeChanged(previousDeploy.contractCodeHash, deploy.contractCodeHash)
-          : true; // First deployment always has changes
+    const changelog = buildChangelog(deployments);
 
-        const result = {
-          id: deploy._id,
-          walletAddress: deploy.walletAddress,
-          contractRepoName: deploy.contractRepoName,
-          contractCodeHash: deploy.contractCodeHash,
-          version: deploy.version,
-          deployedAt: deploy.deployedAt,
-          codeChanged
-        };
+    if (format === 'markdown') {
+      return res.status(200).type('text/markdown').send(renderMarkdown(repo, changelog));
+    }
 
-        // Include the actual contract code from IPFS by default
-        if (excludeCode !== 'true') {
-          try {
-            result.contractCode = await ipfsService.getContractCode(deploy.contractCodeHash);
-          } catch (error) {
-            console.error(`Failed to retrieve contract code from IPFS: ${error.message}`);
-            result.contractCodeError = 'Failed to retrieve from IPFS';
-          }
-        }
+    res.status(200).json({
+      success: true,
+      message: 'Changelog retrieved successfully',
+      data: {
+        walletAddress,
+        contractRepoName: repo,
+        changelog
+      }
+    });
 
-        return result;
-      })
-    );
+  } catch (error) {
+    console.error('Get changelog error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate changelog',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the Clarity interface summary of a version of a repository
+ * @route   GET /api/deployments/:walletAddress/:repo/:version/interface
+ * @access  Public
+ */
+const getDeploymentInterface = async (req, res) => {
+  try {
+    const { walletAddress, repo, version } = req.params;
+
+    const deployment = await Deployment.findByVersion(walletAddress, repo, version);
+    if (!deployment) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${version} not found for the specified repository`
+      });
+    }
+
+    let { contractInterface } = deployment;
+    if (contractInterface === undefined) {
+      // Deployed before interfaces were extracted; summarize once and keep the result
+      const contractCode = await ipfsService.getContractCode(deployment.contractCodeHash);
+      contractInterface = summarizeClarityInterface(contractCode);
+      await Deployment.updateOne(
+        { _id: deployment._id },
+        { $set: { contractInterface, ...deriveSearchKeys(contractInterface) } }
+      ).exec();
+    }
+
+    if (!contractInterface) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${version} contains no Clarity source`
+      });
+    }
 
     res.status(200).json({
       success: true,
-      message: 'Deployment history retrieved successfully',
+      message: 'Contract interface retrieved successfully',
       data: {
-        deployments: deploymentsWithDetails
+        walletAddress,
+        contractRepoName: repo,
+        version: deployment.version,
+        contractCodeHash: deployment.contractCodeHash,
+        interface: contractInterface
       }
     });
 
   } catch (error) {
-    console.error('Get deployment history error:', error);
+    if (sendContentMismatch(res, error)) return;
+    console.error('Get contract interface error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to retrieve deployment history',
+      message: 'Failed to retrieve contract interface',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Resolve the highest deployment of a repository satisfying a version range
+ * @route   GET /api/deployments/:walletAddress/:repo/resolve
+ * @access  Public
+ */
+const resolveRepoVersion = async (req, res) => {
+  try {
+    const { walletAddress, repo } = req.params;
+    const { range } = req.query;
+
+    if (!isValidRange(range)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid range query parameter is required (e.g. ^1.2.0, ~1.2, >=1.0.0 <2, 1.x || 2.x)'
+      });
+    }
+
+    const deployments = await Deployment.findRepoHistory(walletAddress, repo);
+    const version = maxSatisfying(deployments.map(dep => dep.version), range);
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: `No deployment satisfies range ${range}`
+      });
+    }
+
+    const deployment = deployments.find(dep => dep.version === version);
+
+    res.status(200).json({
+      success: true,
+      message: 'Version resolved successfully',
+      data: {
+        range,
+        id: deployment._id,
+        version: deployment.version,
+        ipfsHash: deployment.contractCodeHash,
+        deployedAt: deployment.deployedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Resolve version error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve version',
       error: error.message
     });
   }
@@ -261,25 +1307,38 @@ const getContractCode = async (req, res) => {
   try {
     const { hash } = req.params;
 
-    if (!hash) {
-      return res.status(400).json({
-        success: false,
-        message: 'IPFS hash is required'
-      });
+    // Content behind a CID never changes, so the CID itself is a strong validator
+    const etag = `"${hash}"`;
+    const ifNoneMatch = req.get('If-None-Match');
+    if (ifNoneMatch && (ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some(tag => tag.trim() === etag))) {
+      res.set('ETag', etag);
+      return res.status(304).end();
     }
 
-    const contractCode = await ipfsService.getContractCode(hash);
+    // A project's hash is a directory; serve it as a map of file path → text
+    const project = await Deployment.findOne({ contractCodeHash: hash, 'files.0': { $exists: true } })
+      .select('contractCodeHash files')
+      .exec();
+    const contractCode = project
+      ? await ipfsService.getDeploymentCode(project)
+      : await ipfsService.getContractCode(hash);
 
+    res.set({
+      'ETag': etag,
+      'Cache-Control': 'public, max-age=31536000, immutable'
+    });
     res.status(200).json({
       success: true,
       message: 'Contract code retrieved successfully',
       data: {
         contractCode,
-        ipfsHash: hash
+        ipfsHash: hash,
+        files: formatProjectFiles(project && project.files)
       }
     });
 
   } catch (error) {
+    if (sendContentMismatch(res, error)) return;
     console.error('Get contract code error:', error);
     res.status(500).json({
       success: false,
@@ -291,8 +1350,13 @@ const getContractCode = async (req, res) => {
 
 module.exports = {
   createDeployment,
+  rollbackDeployment,
   getDeploymentsByWallet,
   getRepoDeploymentHistory,
+  getRepoDeploymentDiff,
+  getRepoChangelog,
+  getDeploymentInterface,
+  resolveRepoVersion,
   getContractCode,
   hasContractCodeChanged // Export for testing if needed
 };
\ No newline at end of file
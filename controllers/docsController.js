@@ -0,0 +1,71 @@
+const { buildOpenApiDocument } = require('../utils/openapi');
+const { schemas } = require('../schemas/components');
+const deploymentOperations = require('../schemas/deploymentSchemas');
+const { version } = require('../package.json');
+
+// Swagger UI release the docs page loads from the CDN
+const SWAGGER_UI_VERSION = '5.17.14';
+
+// The document never changes while the process runs, so it is built once
+let openApiDocument = null;
+
+/**
+ * @desc    Build (once) the OpenAPI document of the API
+ * @returns {Object} OpenAPI 3.1 document
+ */
+const getDocument = () => {
+  if (!openApiDocument) {
+    openApiDocument = buildOpenApiDocument({
+      info: {
+        title: 'dotClar Smart Contract Versioning API',
+        version,
+        description: 'Semantic versioning, IPFS storage and history of smart contract deployments. '
+          + 'Signed actions and message formats are described in the README.'
+      },
+      basePath: '/api',
+      operations: deploymentOperations,
+      schemas
+    });
+  }
+  return openApiDocument;
+};
+
+/**
+ * @desc    Get the OpenAPI 3.1 document of the API
+ * @route   GET /api/openapi.json
+ * @access  Public
+ */
+const getOpenApiDocument = (req, res) => {
+  res.status(200).json(getDocument());
+};
+
+/**
+ * @desc    Browse the OpenAPI document with Swagger UI
+ * @route   GET /api/docs
+ * @access  Public
+ */
+const getDocsPage = (req, res) => {
+  const assets = `https://unpkg.com/swagger-ui-dist@${SWAGGER_UI_VERSION}`;
+  res.status(200).type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>dotClar API</title>
+  <link rel="stylesheet" href="${assets}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${assets}/swagger-ui-bundle.js" crossorigin></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: '${req.baseUrl}/openapi.json', dom_id: '#swagger-ui' });
+  </script>
+</body>
+</html>
+`);
+};
+
+module.exports = {
+  getOpenApiDocument,
+  getDocsPage
+};
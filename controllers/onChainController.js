@@ -0,0 +1,397 @@
+const Deployment = require('../models/Deployment');
+const ipfsService = require('../services/ipfsService');
+const signatureService = require('../services/signatureService');
+const webhookService = require('../services/webhookService');
+const {
+  NETWORKS,
+  normalizeContractAddress,
+  normalizeTxId,
+  checkLinkAuthority,
+  onChainConflictBody,
+  formatOnChainLinks
+} = require('../utils/onChain');
+
+/**
+ * @desc    Shape a deployment for on-chain lookup responses
+ * @param   {Object} deployment - Deployment document
+ * @returns {Object} Deployment summary
+ */
+const formatLinkedDeployment = (deployment) => ({
+  id: deployment._id,
+  walletAddress: deployment.walletAddress,
+  contractRepoName: deployment.contractRepoName,
+  version: deployment.version,
+  contractCodeHash: deployment.contractCodeHash,
+  deployedAt: deployment.deployedAt
+});
+
+/**
+ * @desc    Retrieve a deployment's source for a lookup response, unless excluded
+ *          Retrieval failures are reported in contractCodeError, as in history rows.
+ * @param   {Object} deployment - Deployment document
+ * @param   {boolean} excludeCode - Leave the source out
+ * @returns {Promise<Object>} Object with contractCode or contractCodeError, or empty
+ */
+const retrieveSource = async (deployment, excludeCode) => {
+  if (excludeCode) return {};
+  try {
+    return { contractCode: await ipfsService.getDeploymentCode(deployment) };
+  } catch (error) {
+    console.error(`Failed to retrieve contract code from IPFS: ${error.message}`);
+    return {
+      contractCodeError: error.code === ipfsService.CONTENT_CID_MISMATCH
+        ? 'Content retrieved from IPFS does not match its CID'
+        : 'Failed to retrieve from IPFS'
+    };
+  }
+};
+
+/**
+ * @desc    Pick the most recently linked match among deployments found by a lookup
+ * @param   {Object[]} deployments - Deployments with at least one matching link
+ * @param   {Function} matches - Predicate selecting the matching links
+ * @returns {Object|null} { deployment, link } or null
+ */
+const mostRecentLink = (deployments, matches) => {
+  let best = null;
+  for (const deployment of deployments) {
+    for (const link of deployment.onChain.filter(matches)) {
+      if (!best || link.linkedAt > best.link.linkedAt) best = { deployment, link };
+    }
+  }
+  return best;
+};
+
+/**
+ * @desc    Respond with the version an on-chain lookup found, and its source
+ * @param   {Object} res - Express response
+ * @param   {Object|null} found - { deployment, link } or null
+ * @param   {string} notFound - Message when nothing was found
+ * @param   {boolean} excludeCode - Leave the source out
+ */
+const sendLookup = async (res, found, notFound, excludeCode) => {
+  if (!found) {
+    return res.status(404).json({
+      success: false,
+      message: notFound
+    });
+  }
+
+  const { deployment, link } = found;
+  res.status(200).json({
+    success: true,
+    message: 'On-chain deployment retrieved successfully',
+    data: {
+      link: formatOnChainLinks([link])[0],
+      deployment: formatLinkedDeployment(deployment),
+      ...await retrieveSource(deployment, excludeCode)
+    }
+  });
+};
+
+/**
+ * @desc    Link a version to the on-chain contract it was deployed as, or add the transaction
+ *          id to an existing link
+ * @route   POST /api/deployments/:walletAddress/:repo/:version/onchain
+ * @access  Wallet signature (owner or deployer)
+ */
+const linkOnChain = async (req, res) => {
+  try {
+    const { walletAddress, repo, version } = req.params;
+    const { network, contractAddress, txId, signer, signature } = req.body;
+
+    const deployment = await Deployment.findByVersion(walletAddress, repo, version);
+    if (!deployment) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${version} not found for the specified repository`
+      });
+    }
+
+    // Reject invalid links before consuming the signature nonce
+    const draft = new Deployment({ onChain: [{ network, contractAddress, txId }] });
+    const error = draft.validateSync(['onChain']);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid on-chain deployment',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    const link = draft.onChain[0].toObject();
+
+    const existing = (deployment.onChain || []).find(
+      current => current.network === link.network && current.contractAddress === link.contractAddress
+    );
+    if (existing && existing.txId && link.txId && existing.txId !== link.txId) {
+      return res.status(409).json({
+        success: false,
+        message: `Version ${version} is already linked to ${link.contractAddress} on ${network} by transaction ${existing.txId}`
+      });
+    }
+    if (existing && (!link.txId || existing.txId === link.txId)) {
+      return res.status(200).json({
+        success: true,
+        message: `Version ${version} is already linked to this contract`,
+        data: {
+          deployment: formatLinkedDeployment(deployment),
+          link: formatOnChainLinks([existing])[0],
+          onChain: formatOnChainLinks(deployment.onChain)
+        }
+      });
+    }
+
+    // Mainnet and testnet contracts must have been deployed by a wallet of the repository, which
+    // the signing wallet must be for the authorization below to succeed
+    const linkWallets = req.repository ? req.repository.memberWallets() : [walletAddress];
+    const unauthorizedLink = checkLinkAuthority(link, linkWallets);
+    if (unauthorizedLink) {
+      return res.status(403).json({
+        success: false,
+        message: unauthorizedLink
+      });
+    }
+
+    const authorization = await signatureService.authorizeRepoAction({
+      repository: req.repository,
+      walletAddress,
+      contractRepoName: repo,
+      signer,
+      role: 'deployer',
+      action: 'onchain',
+      fields: [
+        ['version', version],
+        ['network', network],
+        ['contract', contractAddress],
+        ...(txId ? [['txid', txId]] : [])
+      ],
+      signature
+    });
+    if (!authorization.verified) {
+      return res.status(authorization.status).json({
+        success: false,
+        message: authorization.reason
+      });
+    }
+
+    // A mainnet or testnet contract is only ever one version; the unique index settles races
+    const [conflict] = await Deployment.findOnChainConflicts([link], deployment._id);
+    if (conflict) {
+      return res.status(409).json(onChainConflictBody(link, conflict));
+    }
+
+    let saved;
+    try {
+      saved = existing
+        ? await Deployment.setOnChainTxId(deployment._id, link, link.txId)
+        : await Deployment.addOnChainLink(deployment._id, { ...link, linkedBy: authorization.signer });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      const [winner] = await Deployment.findOnChainConflicts([link], deployment._id);
+      return res.status(409).json(winner
+        ? onChainConflictBody(link, winner)
+        : { success: false, message: 'The contract was linked concurrently; please retry' });
+    }
+    if (!saved) {
+      return res.status(409).json({
+        success: false,
+        message: 'The link was changed concurrently; please retry'
+      });
+    }
+
+    const updated = await Deployment.findById(deployment._id).exec();
+    const savedLink = updated.onChain.find(
+      current => current.network === link.network && current.contractAddress === link.contractAddress
+    );
+
+    webhookService.emit('deployment.linked', {
+      walletAddress,
+      contractRepoName: repo,
+      data: {
+        deployment: formatLinkedDeployment(updated),
+        link: formatOnChainLinks([savedLink])[0]
+      }
+    });
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: existing ? 'Transaction id added to on-chain deployment' : 'Version linked to on-chain deployment',
+      data: {
+        deployment: formatLinkedDeployment(updated),
+        link: formatOnChainLinks([savedLink])[0],
+        onChain: formatOnChainLinks(updated.onChain)
+      }
+    });
+
+  } catch (error) {
+    console.error('Link on-chain deployment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to link on-chain deployment',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    List a repository's on-chain deployments, with the current version on each network
+ *          The current version on a network is the highest version linked to a contract there.
+ * @route   GET /api/deployments/:walletAddress/:repo/onchain
+ * @access  Public
+ */
+const getRepoOnChain = async (req, res) => {
+  try {
+    const { walletAddress, repo } = req.params;
+
+    const latest = await Deployment.findLatestByRepo(walletAddress, repo);
+    if (!latest) {
+      return res.status(404).json({
+        success: false,
+        message: 'No deployments found for the specified repository'
+      });
+    }
+
+    // Highest version first, so the first deployment seen on a network is its current version
+    const deployments = await Deployment.findOnChainByRepo(walletAddress, repo);
+    const current = Object.fromEntries(NETWORKS.map(network => {
+      const deployment = deployments.find(dep => dep.onChain.some(link => link.network === network));
+      return [network, deployment
+        ? {
+          ...formatLinkedDeployment(deployment),
+          onChain: formatOnChainLinks(deployment.onChain.filter(link => link.network === network))
+        }
+        : null];
+    }));
+
+    res.status(200).json({
+      success: true,
+      message: 'On-chain deployments retrieved successfully',
+      data: {
+        walletAddress,
+        contractRepoName: repo,
+        current,
+        deployments: deployments.map(deployment => ({
+          ...formatLinkedDeployment(deployment),
+          onChain: formatOnChainLinks(deployment.onChain)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get on-chain deployments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve on-chain deployments',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the current version of a repository on a network, with its source
+ * @route   GET /api/deployments/:walletAddress/:repo/onchain/:network
+ * @access  Public
+ */
+const getCurrentOnNetwork = async (req, res) => {
+  try {
+    const { walletAddress, repo, network } = req.params;
+    const excludeCode = req.query.excludeCode === 'true';
+
+    const deployment = await Deployment.findCurrentOnNetwork(walletAddress, repo, network);
+    if (!deployment) {
+      return res.status(404).json({
+        success: false,
+        message: `No version of ${repo} is deployed on ${network}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Current version retrieved successfully',
+      data: {
+        network,
+        deployment: formatLinkedDeployment(deployment),
+        onChain: formatOnChainLinks(deployment.onChain.filter(link => link.network === network)),
+        ...await retrieveSource(deployment, excludeCode)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get current on-chain version error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve current version',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Find the version deployed at a contract principal or address, with its source
+ *          When a devnet contract was linked to several versions, the latest link wins.
+ * @route   GET /api/onchain/contract/:contractAddress
+ * @access  Public
+ */
+const getByContractAddress = async (req, res) => {
+  try {
+    const { contractAddress } = req.params;
+    const { network } = req.query;
+    const address = normalizeContractAddress(contractAddress);
+
+    const deployments = await Deployment.findByContractAddress(address, network);
+    const found = mostRecentLink(deployments, link => link.contractAddress === address && (!network || link.network === network));
+
+    await sendLookup(
+      res,
+      found,
+      `No version is linked to contract ${address}${network ? ` on ${network}` : ''}`,
+      req.query.excludeCode === 'true'
+    );
+
+  } catch (error) {
+    console.error('Get deployment by contract address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve on-chain deployment',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Find the version deployed by a transaction, with its source
+ * @route   GET /api/onchain/tx/:txId
+ * @access  Public
+ */
+const getByTxId = async (req, res) => {
+  try {
+    const { network } = req.query;
+    const txId = normalizeTxId(req.params.txId);
+
+    const deployments = await Deployment.findByTxId(txId, network);
+    const found = mostRecentLink(deployments, link => link.txId === txId && (!network || link.network === network));
+
+    await sendLookup(
+      res,
+      found,
+      `No version is linked to transaction ${txId}${network ? ` on ${network}` : ''}`,
+      req.query.excludeCode === 'true'
+    );
+
+  } catch (error) {
+    console.error('Get deployment by transaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve on-chain deployment',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  linkOnChain,
+  getRepoOnChain,
+  getCurrentOnNetwork,
+  getByContractAddress,
+  getByTxId
+};
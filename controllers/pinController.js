@@ -0,0 +1,318 @@
+const Deployment = require('../models/Deployment');
+const Tag = require('../models/Tag');
+const RetentionPolicy = require('../models/RetentionPolicy');
+const PinReconciliation = require('../models/PinReconciliation');
+const signatureService = require('../services/signatureService');
+const pinReconciler = require('../services/pinReconciler');
+const { selectRetained } = require('../utils/retention');
+const { parseLimit } = require('../utils/pagination');
+
+// Reconciliation reports shown alongside a repo's pin states
+const RECENT_REPORTS = 5;
+
+/**
+ * @desc    Shape a retention policy for API responses
+ * @param   {Object|null} policy - RetentionPolicy document
+ * @returns {Object|null} Policy response object, or null when the repo keeps everything
+ */
+const formatPolicy = (policy) => policy && ({
+  keepLast: policy.keepLast,
+  keepTagged: policy.keepTagged,
+  keepMajors: policy.keepMajors,
+  createdAt: policy.createdAt,
+  updatedAt: policy.updatedAt
+});
+
+/**
+ * @desc    Shape a reconciliation report for API responses
+ * @param   {Object} report - PinReconciliation document
+ * @returns {Object} Report response object
+ */
+const formatReport = (report) => ({
+  id: report._id,
+  walletAddress: report.walletAddress || null,
+  contractRepoName: report.contractRepoName || null,
+  trigger: report.trigger,
+  dryRun: report.dryRun,
+  status: report.status,
+  error: report.error || null,
+  startedAt: report.startedAt,
+  finishedAt: report.finishedAt || null,
+  summary: report.summary,
+  actions: report.actions,
+  actionsTruncated: report.actionsTruncated
+});
+
+/**
+ * @desc    Get the retention policy of a repository
+ * @route   GET /api/deployments/:walletAddress/:repo/retention
+ * @access  Public
+ */
+const getRetentionPolicy = async (req, res) => {
+  try {
+    const { walletAddress, repo } = req.params;
+
+    const policy = await RetentionPolicy.findByRepo(walletAddress, repo);
+
+    res.status(200).json({
+      success: true,
+      message: policy ? 'Retention policy retrieved successfully' : 'No retention policy; every version is kept pinned',
+      data: {
+        walletAddress,
+        contractRepoName: repo,
+        policy: formatPolicy(policy)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get retention policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve retention policy',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create or replace the retention policy of a repository
+ *          Takes effect at the next reconciliation.
+ * @route   PUT /api/deployments/:walletAddress/:repo/retention
+ * @access  Wallet signature (owner)
+ */
+const setRetentionPolicy = async (req, res) => {
+  try {
+    const { walletAddress, repo } = req.params;
+    const { keepLast, keepTagged = true, keepMajors = false, signature } = req.body;
+
+    const policy = await RetentionPolicy.findByRepo(walletAddress, repo)
+      || new RetentionPolicy({ walletAddress, contractRepoName: repo });
+    const created = policy.isNew;
+    policy.set({ keepLast, keepTagged, keepMajors });
+
+    // Reject invalid policies before consuming the signature nonce
+    await policy.validate();
+
+    const authorization = await signatureService.authorizeRepoAction({
+      repository: req.repository,
+      walletAddress,
+      contractRepoName: repo,
+      role: 'owner',
+      action: 'retention',
+      fields: [
+        ['keepLast', String(policy.keepLast)],
+        ['keepTagged', String(policy.keepTagged)],
+        ['keepMajors', String(policy.keepMajors)]
+      ],
+      signature
+    });
+    if (!authorization.verified) {
+      return res.status(authorization.status).json({
+        success: false,
+        message: authorization.reason
+      });
+    }
+
+    policy.signature = authorization.record;
+    const savedPolicy = await policy.save();
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Retention policy created successfully' : 'Retention policy updated successfully',
+      data: {
+        walletAddress,
+        contractRepoName: repo,
+        policy: formatPolicy(savedPolicy)
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid retention policy',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    console.error('Set retention policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to set retention policy',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Report the recorded pin state of every version of a repository
+ *          retainedByPolicy reflects the current policy, which may not have been reconciled yet.
+ * @route   GET /api/deployments/:walletAddress/:repo/pins
+ * @access  Public
+ */
+const getRepoPins = async (req, res) => {
+  try {
+    const { walletAddress, repo } = req.params;
+
+    const [history, tags, policy, reports] = await Promise.all([
+      Deployment.findRepoHistory(walletAddress, repo),
+      Tag.findByRepo(walletAddress, repo),
+      RetentionPolicy.findByRepo(walletAddress, repo),
+      PinReconciliation.findRecent({ walletAddress, contractRepoName: repo }, RECENT_REPORTS)
+    ]);
+
+    if (history.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No deployments found for the specified repository'
+      });
+    }
+
+    const retained = selectRetained(history, tags.map(tag => tag.version), policy);
+    const summary = { pinned: 0, unpinned: 0, failed: 0, unknown: 0 };
+    const versions = history.map(dep => {
+      const pin = dep.pin && dep.pin.status ? dep.pin : null;
+      summary[pin ? pin.status : 'unknown']++;
+      return {
+        version: dep.version,
+        contractCodeHash: dep.contractCodeHash,
+        retainedByPolicy: retained.has(String(dep._id)),
+        reasons: retained.get(String(dep._id)) || [],
+        pin: pin && {
+          status: pin.status,
+          retained: pin.retained === undefined ? null : pin.retained,
+          error: pin.error || null,
+          checkedAt: pin.checkedAt || null
+        }
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Pin states retrieved successfully',
+      data: {
+        walletAddress,
+        contractRepoName: repo,
+        policy: formatPolicy(policy),
+        summary,
+        versions,
+        reconciliations: reports.map(formatReport)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get repo pins error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve pin states',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Reconcile the pins of a repository against its retention policy
+ *          A dry run changes no pins but still lists every pin at the provider and stores a
+ *          report, so it is signed too, by any wallet with a role in the repository.
+ * @route   POST /api/deployments/:walletAddress/:repo/pins/reconcile
+ * @access  Wallet signature of the owner (any role for dryRun)
+ */
+const reconcileRepoPins = async (req, res) => {
+  try {
+    const { walletAddress, repo } = req.params;
+    const { dryRun = false, signer, signature } = req.body || {};
+
+    if (!(await Deployment.exists({ walletAddress, contractRepoName: repo }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'No deployments found for the specified repository'
+      });
+    }
+
+    // A dry run's signature names it, so it cannot be replayed as a real reconciliation
+    const authorization = await signatureService.authorizeRepoAction({
+      repository: req.repository,
+      walletAddress,
+      contractRepoName: repo,
+      signer,
+      role: dryRun ? 'viewer' : 'owner',
+      action: 'reconcile',
+      fields: dryRun ? [['dryRun', 'true']] : [],
+      signature
+    });
+    if (!authorization.verified) {
+      return res.status(authorization.status).json({
+        success: false,
+        message: authorization.reason
+      });
+    }
+
+    const report = await pinReconciler.reconcile({ walletAddress, contractRepoName: repo, dryRun });
+
+    if (report.status === 'failed') {
+      return res.status(502).json({
+        success: false,
+        message: 'Pin reconciliation failed',
+        error: report.error,
+        data: { reconciliation: formatReport(report) }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: dryRun ? 'Dry run complete; no pins were changed' : 'Pins reconciled successfully',
+      data: { reconciliation: formatReport(report) }
+    });
+
+  } catch (error) {
+    console.error('Reconcile pins error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reconcile pins',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    List recent pin reconciliation reports, scheduled and manual
+ * @route   GET /api/pins/reports
+ * @access  Public
+ */
+const listReconciliations = async (req, res) => {
+  try {
+    const { walletAddress, repo, limit } = req.query;
+
+    if ([walletAddress, repo].some(value => value !== undefined && typeof value !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        message: 'walletAddress and repo must be single values'
+      });
+    }
+
+    const reports = await PinReconciliation.findRecent({ walletAddress, contractRepoName: repo }, parseLimit(limit));
+
+    res.status(200).json({
+      success: true,
+      message: 'Reconciliation reports retrieved successfully',
+      data: {
+        reconciliations: reports.map(formatReport)
+      }
+    });
+
+  } catch (error) {
+    console.error('List reconciliations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve reconciliation reports',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getRetentionPolicy,
+  setRetentionPolicy,
+  getRepoPins,
+  reconcileRepoPins,
+  listReconciliations
+};
@@ -0,0 +1,158 @@
+const ipfsService = require('../services/ipfsService');
+
+// Immutable content may be cached by clients and proxies forever
+const IMMUTABLE_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+/**
+ * @desc    Answer a conditional request for immutable content addressed by a CID
+ * @param   {Object} req - Express request
+ * @param   {Object} res - Express response
+ * @param   {string} etag - Quoted entity tag derived from the CID
+ * @returns {boolean} Whether a 304 response was sent
+ */
+const sendNotModified = (req, res, etag) => {
+  const ifNoneMatch = req.get('If-None-Match');
+  if (ifNoneMatch && (ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some(tag => tag.trim() === etag))) {
+    res.set('ETag', etag);
+    res.status(304).end();
+    return true;
+  }
+  return false;
+};
+
+/**
+ * @desc    Respond to a failed project lookup with the status matching its error code
+ * @param   {Object} res - Express response
+ * @param   {Error} error - Lookup error
+ * @param   {string} context - Log prefix for unexpected errors
+ */
+const sendProjectError = (res, error, context) => {
+  if (error.code === ipfsService.NOT_A_DIRECTORY) {
+    return res.status(400).json({
+      success: false,
+      message: 'IPFS hash is not a multi-file project',
+      code: error.code
+    });
+  }
+  if (error.code === ipfsService.PATH_NOT_FOUND) {
+    return res.status(404).json({
+      success: false,
+      message: 'Path not found in project',
+      code: error.code,
+      error: error.message
+    });
+  }
+  if (error.code === ipfsService.CONTENT_CID_MISMATCH) {
+    return res.status(502).json({
+      success: false,
+      message: 'Content retrieved from IPFS does not match its CID',
+      code: error.code,
+      error: error.message
+    });
+  }
+  console.error(`${context}:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Failed to retrieve project from IPFS',
+    error: error.message
+  });
+};
+
+/**
+ * @desc    Get a file of a multi-file project, or list a directory of it
+ *          format=raw returns the file bytes instead of a JSON envelope.
+ * @route   GET /api/contract/:hash/*
+ * @access  Public
+ */
+const getProjectPath = async (req, res) => {
+  try {
+    const { hash } = req.params;
+    const path = req.params[0];
+    const { format } = req.query;
+
+    // The path is part of the immutable address, so it belongs in the validator too
+    const etag = `"${hash}/${path}"`;
+    if (sendNotModified(req, res, etag)) return;
+
+    const entry = await ipfsService.getProjectPath(hash, path);
+
+    res.set({
+      'ETag': etag,
+      'Cache-Control': IMMUTABLE_CACHE_CONTROL
+    });
+
+    if (entry.type === 'directory') {
+      return res.status(200).json({
+        success: true,
+        message: 'Project directory listed successfully',
+        data: {
+          ipfsHash: hash,
+          path,
+          type: 'directory',
+          hash: entry.hash,
+          entries: entry.entries
+        }
+      });
+    }
+
+    if (format === 'raw') {
+      return res.status(200).type('application/octet-stream').send(entry.content);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Project file retrieved successfully',
+      data: {
+        ipfsHash: hash,
+        path,
+        type: 'file',
+        hash: entry.hash,
+        size: entry.content.length,
+        content: entry.content.toString('utf8')
+      }
+    });
+
+  } catch (error) {
+    sendProjectError(res, error, 'Get project file error');
+  }
+};
+
+/**
+ * @desc    List every file and directory of a multi-file project
+ * @route   GET /api/tree/:hash
+ * @access  Public
+ */
+const getProjectTree = async (req, res) => {
+  try {
+    const { hash } = req.params;
+
+    const etag = `"${hash}"`;
+    if (sendNotModified(req, res, etag)) return;
+
+    const entries = await ipfsService.listProject(hash);
+    const files = entries.filter(entry => entry.type === 'file');
+
+    res.set({
+      'ETag': etag,
+      'Cache-Control': IMMUTABLE_CACHE_CONTROL
+    });
+    res.status(200).json({
+      success: true,
+      message: 'Project tree retrieved successfully',
+      data: {
+        ipfsHash: hash,
+        fileCount: files.length,
+        totalSize: files.reduce((sum, file) => sum + file.size, 0),
+        entries
+      }
+    });
+
+  } catch (error) {
+    sendProjectError(res, error, 'Get project tree error');
+  }
+};
+
+module.exports = {
+  getProjectPath,
+  getProjectTree
+};
@@ -0,0 +1,32 @@
+const storageQuota = require('../services/storageQuota');
+
+/**
+ * @desc    Get a wallet's cumulative uploaded bytes and remaining storage quota
+ * @route   GET /api/quota/:walletAddress
+ * @access  Public
+ */
+const getStorageQuota = async (req, res) => {
+  try {
+    const { walletAddress } = req.params;
+
+    res.status(200).json({
+      success: true,
+      message: 'Storage quota retrieved successfully',
+      data: {
+        quota: await storageQuota.getUsage(walletAddress)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get storage quota error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve storage quota',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getStorageQuota
+};
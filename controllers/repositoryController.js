@@ -0,0 +1,517 @@
+const Deployment = require('../models/Deployment');
+const Repository = require('../models/Repository');
+const signatureService = require('../services/signatureService');
+const webhookService = require('../services/webhookService');
+
+/**
+ * @desc    Shape a repository for API responses
+ * @param   {Object} repository - Repository document
+ * @returns {Object} Repository response object
+ */
+const formatRepository = (repository) => ({
+  walletAddress: repository.walletAddress,
+  contractRepoName: repository.contractRepoName,
+  owner: repository.owner,
+  collaborators: repository.collaborators.map(({ walletAddress, role, addedAt }) => ({ walletAddress, role, addedAt })),
+  pendingTransfer: repository.pendingTransfer && repository.pendingTransfer.to
+    ? { to: repository.pendingTransfer.to, requestedAt: repository.pendingTransfer.requestedAt }
+    : null,
+  transfers: repository.transfers.map(({ from, to, requestedAt, acceptedAt }) => ({ from, to, requestedAt, acceptedAt })),
+  createdAt: repository.createdAt || null,
+  updatedAt: repository.updatedAt || null
+});
+
+/**
+ * @desc    Check whether a wallet already has another repository named like the one transferred to it
+ *          Repositories deployed before registration existed have no Repository document, so the
+ *          wallet's own deployments under the name count too; the transferred repository would
+ *          otherwise take over the routes that address them.
+ * @param   {string} walletAddress - Wallet receiving the repository
+ * @param   {Object} repository - Repository being transferred
+ * @returns {Promise<boolean>} True if the name is taken
+ */
+const hasNameClash = async (walletAddress, repository) => {
+  const { contractRepoName } = repository;
+  const registered = await Repository.resolve(walletAddress, contractRepoName);
+  if (registered) {
+    return !registered._id.equals(repository._id);
+  }
+  return Boolean(await Deployment.exists({ walletAddress, contractRepoName }));
+};
+
+/**
+ * @desc    Route parameter handler resolving :walletAddress/:repo to the repository's creating wallet
+ *          A repository stays addressable under the wallet it was created under and under its
+ *          current owner, so routes keep resolving after a transfer. The resolved repository is
+ *          attached as req.repository (null when not registered).
+ * @param   {Object} req - Express request
+ * @param   {Object} res - Express response
+ * @param   {Function} next - Next middleware
+ * @param   {string} repo - Repository name
+ */
+const resolveRepoParam = async (req, res, next, repo) => {
+  try {
+    const repository = await Repository.resolve(req.params.walletAddress, repo);
+    req.repository = repository;
+    if (repository) {
+      req.params.walletAddress = repository.walletAddress;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Find the repository of a request, registering repositories that predate registration
+ * @param   {Object} req - Express request with resolved walletAddress and repo params
+ * @returns {Promise<Object|null>} Repository document, or null if the repository has no deployments
+ */
+const loadRepository = async (req) => {
+  if (req.repository) return req.repository;
+
+  const { walletAddress, repo } = req.params;
+  if (!(await Deployment.exists({ walletAddress, contractRepoName: repo }))) {
+    return null;
+  }
+  return Repository.findOrCreate(walletAddress, repo);
+};
+
+/**
+ * @desc    List the repositories a wallet owns or collaborates on
+ * @route   GET /api/repos/:walletAddress
+ * @access  Public
+ */
+const listRepositories = async (req, res) => {
+  try {
+    const { walletAddress } = req.params;
+
+    const repositories = await Repository.find({
+      $or: [{ owner: walletAddress }, { 'collaborators.walletAddress': walletAddress }]
+    }).sort({ contractRepoName: 1 }).exec();
+
+    res.status(200).json({
+      success: true,
+      message: 'Repositories retrieved successfully',
+      data: {
+        walletAddress,
+        repositories: repositories.map(repository => ({
+          ...formatRepository(repository),
+          role: repository.roleOf(walletAddress)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('List repositories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve repositories',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the owner, collaborators and transfers of a repository
+ * @route   GET /api/repos/:walletAddress/:repo
+ * @access  Public
+ */
+const getRepository = async (req, res) => {
+  try {
+    const { walletAddress, repo } = req.params;
+
+    let repository = req.repository;
+    if (!repository && await Deployment.exists({ walletAddress, contractRepoName: repo })) {
+      // Deployed before repositories were registered; owned by the wallet it was created under
+      repository = new Repository({ walletAddress, contractRepoName: repo, owner: walletAddress });
+    }
+    if (!repository) {
+      return res.status(404).json({
+        success: false,
+        message: 'Repository not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Repository retrieved successfully',
+      data: { repository: formatRepository(repository) }
+    });
+
+  } catch (error) {
+    console.error('Get repository error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve repository',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Add a collaborator to a repository or change their role
+ * @route   PUT /api/repos/:walletAddress/:repo/collaborators/:collaborator
+ * @access  Wallet signature (owner)
+ */
+const setCollaborator = async (req, res) => {
+  try {
+    const { walletAddress, repo, collaborator } = req.params;
+    const { role, signature } = req.body;
+
+    const repository = await loadRepository(req);
+    if (!repository) {
+      return res.status(404).json({
+        success: false,
+        message: 'Repository not found'
+      });
+    }
+
+    if (collaborator === repository.owner) {
+      return res.status(400).json({
+        success: false,
+        message: 'The owner cannot also be a collaborator'
+      });
+    }
+
+    const existing = repository.collaborators.find(entry => entry.walletAddress === collaborator);
+    const previousRole = existing ? existing.role : null;
+    if (existing) {
+      existing.role = role;
+    } else {
+      repository.collaborators.push({ walletAddress: collaborator, role });
+    }
+
+    // Reject invalid roles before consuming the signature nonce
+    await repository.validate();
+
+    const authorization = await signatureService.authorizeRepoAction({
+      repository,
+      walletAddress,
+      contractRepoName: repo,
+      role: 'owner',
+      action: 'collaborator',
+      fields: [['collaborator', collaborator], ['role', role]],
+      signature
+    });
+    if (!authorization.verified) {
+      return res.status(authorization.status).json({
+        success: false,
+        message: authorization.reason
+      });
+    }
+
+    const savedRepository = await repository.save();
+
+    res.status(previousRole ? 200 : 201).json({
+      success: true,
+      message: previousRole ? `Collaborator role changed from ${previousRole} to ${role}` : 'Collaborator added successfully',
+      data: { repository: formatRepository(savedRepository) }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid collaborator',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    console.error('Set collaborator error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to set collaborator',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Remove a collaborator from a repository
+ * @route   DELETE /api/repos/:walletAddress/:repo/collaborators/:collaborator
+ * @access  Wallet signature (owner)
+ */
+const removeCollaborator = async (req, res) => {
+  try {
+    const { walletAddress, repo, collaborator } = req.params;
+    const { signature } = req.body || {};
+
+    const repository = await loadRepository(req);
+    const index = repository ? repository.collaborators.findIndex(entry => entry.walletAddress === collaborator) : -1;
+    if (index === -1) {
+      return res.status(404).json({
+        success: false,
+        message: `${collaborator} is not a collaborator of the specified repository`
+      });
+    }
+
+    const authorization = await signatureService.authorizeRepoAction({
+      repository,
+      walletAddress,
+      contractRepoName: repo,
+      role: 'owner',
+      action: 'uncollaborator',
+      fields: [['collaborator', collaborator]],
+      signature
+    });
+    if (!authorization.verified) {
+      return res.status(authorization.status).json({
+        success: false,
+        message: authorization.reason
+      });
+    }
+
+    repository.collaborators.splice(index, 1);
+    const savedRepository = await repository.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Collaborator removed successfully',
+      data: { repository: formatRepository(savedRepository) }
+    });
+
+  } catch (error) {
+    console.error('Remove collaborator error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove collaborator',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Offer ownership of a repository to another wallet
+ *          Nothing changes until the new owner accepts; a new offer replaces a pending one.
+ * @route   POST /api/repos/:walletAddress/:repo/transfer
+ * @access  Wallet signature (owner)
+ */
+const requestTransfer = async (req, res) => {
+  try {
+    const { walletAddress, repo } = req.params;
+    const { to, signature } = req.body;
+
+    if (!to || typeof to !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: to (wallet address of the new owner)'
+      });
+    }
+
+    const repository = await loadRepository(req);
+    if (!repository) {
+      return res.status(404).json({
+        success: false,
+        message: 'Repository not found'
+      });
+    }
+
+    if (to === repository.owner) {
+      return res.status(400).json({
+        success: false,
+        message: 'The repository is already owned by that wallet'
+      });
+    }
+
+    // The new owner must not already have another repository addressed by the same name
+    if (await hasNameClash(to, repository)) {
+      return res.status(409).json({
+        success: false,
+        message: `${to} already has a repository named ${repo}`
+      });
+    }
+
+    const authorization = await signatureService.authorizeRepoAction({
+      repository,
+      walletAddress,
+      contractRepoName: repo,
+      role: 'owner',
+      action: 'transfer',
+      fields: [['to', to]],
+      signature
+    });
+    if (!authorization.verified) {
+      return res.status(authorization.status).json({
+        success: false,
+        message: authorization.reason
+      });
+    }
+
+    repository.pendingTransfer = { to, requestedAt: new Date() };
+    const savedRepository = await repository.save();
+
+    res.status(202).json({
+      success: true,
+      message: `Transfer offered to ${to}; it takes effect once they accept`,
+      data: { repository: formatRepository(savedRepository) }
+    });
+
+  } catch (error) {
+    console.error('Request transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request transfer',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Withdraw a pending ownership transfer
+ * @route   DELETE /api/repos/:walletAddress/:repo/transfer
+ * @access  Wallet signature (owner)
+ */
+const cancelTransfer = async (req, res) => {
+  try {
+    const { walletAddress, repo } = req.params;
+    const { signature } = req.body || {};
+
+    const repository = req.repository;
+    if (!repository || !repository.pendingTransfer || !repository.pendingTransfer.to) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending transfer for the specified repository'
+      });
+    }
+
+    const authorization = await signatureService.authorizeRepoAction({
+      repository,
+      walletAddress,
+      contractRepoName: repo,
+      role: 'owner',
+      action: 'cancel-transfer',
+      fields: [['to', repository.pendingTransfer.to]],
+      signature
+    });
+    if (!authorization.verified) {
+      return res.status(authorization.status).json({
+        success: false,
+        message: authorization.reason
+      });
+    }
+
+    repository.pendingTransfer = undefined;
+    const savedRepository = await repository.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Transfer cancelled',
+      data: { repository: formatRepository(savedRepository) }
+    });
+
+  } catch (error) {
+    console.error('Cancel transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel transfer',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Accept a pending ownership transfer, signed by the new owner
+ *          The full version history, tags and policies stay with the repository. The previous
+ *          owner loses access unless re-added as a collaborator.
+ * @route   POST /api/repos/:walletAddress/:repo/transfer/accept
+ * @access  Wallet signature (new owner)
+ */
+const acceptTransfer = async (req, res) => {
+  try {
+    const { walletAddress, repo } = req.params;
+    const { signature } = req.body || {};
+
+    const repository = req.repository;
+    if (!repository || !repository.pendingTransfer || !repository.pendingTransfer.to) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending transfer for the specified repository'
+      });
+    }
+
+    const { to, requestedAt } = repository.pendingTransfer;
+    const from = repository.owner;
+
+    if (await hasNameClash(to, repository)) {
+      return res.status(409).json({
+        success: false,
+        message: `${to} already has a repository named ${repo}`
+      });
+    }
+
+    const authorization = await signatureService.verifyActionSignature({
+      walletAddress: to,
+      contractRepoName: repo,
+      action: 'accept-transfer',
+      fields: [
+        ...(to === walletAddress ? [] : [['namespace', walletAddress]]),
+        ['from', from]
+      ],
+      signature
+    });
+    if (!authorization.verified) {
+      return res.status(401).json({
+        success: false,
+        message: authorization.reason
+      });
+    }
+
+    // Only applies if the offer is unchanged since it was read
+    let updated;
+    try {
+      updated = await Repository.findOneAndUpdate(
+        { _id: repository._id, owner: from, 'pendingTransfer.to': to },
+        {
+          $set: { owner: to },
+          $unset: { pendingTransfer: 1 },
+          $pull: { collaborators: { walletAddress: to } },
+          $push: { transfers: { from, to, requestedAt, acceptedAt: new Date() } }
+        },
+        { new: true }
+      ).exec();
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return res.status(409).json({
+        success: false,
+        message: `${to} already has a repository named ${repo}`
+      });
+    }
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'The transfer was changed or cancelled concurrently'
+      });
+    }
+
+    webhookService.emit('repository.transferred', {
+      walletAddress,
+      contractRepoName: repo,
+      data: { repository: { walletAddress, contractRepoName: repo, from, to } }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Ownership transferred from ${from} to ${to}`,
+      data: { repository: formatRepository(updated) }
+    });
+
+  } catch (error) {
+    console.error('Accept transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept transfer',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  resolveRepoParam,
+  listRepositories,
+  getRepository,
+  setCollaborator,
+  removeCollaborator,
+  requestTransfer,
+  cancelTransfer,
+  acceptTransfer
+};
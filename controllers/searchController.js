@@ -0,0 +1,96 @@
+const Deployment = require('../models/Deployment');
+const { parseLimit } = require('../utils/pagination');
+const { MAX_QUERY_LENGTH, MAX_FUZZY_QUERY_LENGTH } = require('../utils/search');
+
+/**
+ * @desc    Search deployments across repositories by repo name, wallet, function, trait or source text
+ * @route   GET /api/search
+ * @access  Public
+ */
+const searchDeployments = async (req, res) => {
+  try {
+    const { q, repo, repoMatch = 'prefix', walletAddress, function: functionName, trait, latest } = req.query;
+
+    for (const [name, value] of Object.entries({ q, repo, walletAddress, function: functionName, trait })) {
+      if (value !== undefined && typeof value !== 'string') {
+        return res.status(400).json({
+          success: false,
+          message: `Query parameter ${name} must be a single value`
+        });
+      }
+    }
+
+    if (!q && !repo && !walletAddress && !functionName && !trait) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide at least one of: q, repo, walletAddress, function, trait'
+      });
+    }
+
+    if (repoMatch !== 'prefix' && repoMatch !== 'fuzzy') {
+      return res.status(400).json({
+        success: false,
+        message: 'repoMatch must be one of: prefix, fuzzy'
+      });
+    }
+
+    // Long queries make text search and repo name regexes expensive
+    for (const [name, value] of Object.entries({ q, repo })) {
+      if (value && value.length > MAX_QUERY_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          message: `Query parameter ${name} cannot exceed ${MAX_QUERY_LENGTH} characters`
+        });
+      }
+    }
+    if (repo && repoMatch === 'fuzzy' && repo.length > MAX_FUZZY_QUERY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Fuzzy repo matching is limited to ${MAX_FUZZY_QUERY_LENGTH} characters; use repoMatch=prefix`
+      });
+    }
+
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const limit = parseLimit(req.query.limit);
+
+    const { results, total } = await Deployment.search(
+      { q, repo, repoMatch, walletAddress, functionName, trait, latest: latest === 'true' },
+      { offset, limit }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Search completed successfully',
+      data: {
+        results: results.map(result => ({
+          id: result._id,
+          walletAddress: result.walletAddress,
+          contractRepoName: result.contractRepoName,
+          version: result.version,
+          contractCodeHash: result.contractCodeHash,
+          deployedAt: result.deployedAt,
+          message: result.message || null,
+          functionNames: result.functionNames || [],
+          implementedTraits: result.implementedTraits || [],
+          score: result.score
+        })),
+        total,
+        offset,
+        limit,
+        nextOffset: offset + results.length < total ? offset + results.length : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search deployments',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  searchDeployments
+};
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const Deployment = require('../models/Deployment');
+const deploymentStream = require('../services/deploymentStream');
+require('dotenv').config();
+
+const KEEPALIVE_MS = parseInt(process.env.STREAM_KEEPALIVE_MS, 10) || 15 * 1000;
+// Reconnection delay suggested to clients
+const RECONNECT_MS = 5 * 1000;
+const REPLAY_BATCH_SIZE = 100;
+// Sequence numbers before Last-Event-ID that are replayed again on reconnect. Numbers are reserved
+// before the insert, so a deploy can become visible after one with a higher number; the overlap
+// covers deploys still in flight when the client saw its last event.
+const REPLAY_LOOKBACK = parseInt(process.env.STREAM_REPLAY_LOOKBACK, 10) || 100;
+
+/**
+ * @desc    Write one Server-Sent Event for a deployment
+ * @param   {Object} res - Express response
+ * @param   {Object} event - Deployment event from deploymentStream.toEvent
+ */
+const writeDeploymentEvent = (res, event) => {
+  res.write(`id: ${event.sequence}\nevent: deployment\ndata: ${JSON.stringify(event)}\n\n`);
+};
+
+/**
+ * @desc    Find the sequence number to replay after from a Last-Event-ID
+ *          Clients connected before event ids were sequence numbers send a deployment id instead.
+ * @param   {string} lastEventId - Last-Event-ID sent by the client
+ * @returns {Promise<number|null>} Sequence number, or null if the id is not recognised
+ */
+const parseLastEventId = async (lastEventId) => {
+  if (/^\d+$/.test(lastEventId)) return Number(lastEventId);
+  if (mongoose.isValidObjectId(lastEventId)) return Deployment.findSequenceOf(lastEventId);
+  return null;
+};
+
+/**
+ * @desc    Stream newly saved deployments as Server-Sent Events
+ *          Event ids are deployment sequence numbers, shared by every instance but reserved before
+ *          the insert, so they only roughly follow save order. A reconnecting client sends the last
+ *          one it saw as Last-Event-ID, and everything from REPLAY_LOOKBACK numbers before it is
+ *          replayed from the database first; clients drop events whose deployment id they have seen.
+ * @route   GET /api/stream/deployments
+ * @access  Public
+ */
+const streamDeployments = async (req, res) => {
+  const { walletAddress, repo } = req.query;
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+  const filter = {};
+  if (walletAddress) filter.walletAddress = walletAddress;
+  if (repo) filter.contractRepoName = repo;
+  const matches = (event) =>
+    (!walletAddress || event.walletAddress === walletAddress) &&
+    (!repo || event.contractRepoName === repo);
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Stop reverse proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+  // Live events are held back until missed ones have been replayed, keeping the stream in order
+  let buffered = [];
+  const replayed = new Set();
+  let closed = false;
+
+  const onDeployment = (event) => {
+    if (!matches(event)) return;
+    if (buffered) {
+      buffered.push(event);
+    } else {
+      writeDeploymentEvent(res, event);
+    }
+  };
+  deploymentStream.on('deployment', onDeployment);
+
+  const keepAlive = setInterval(() => res.write(': ping\n\n'), KEEPALIVE_MS);
+
+  req.on('close', () => {
+    closed = true;
+    clearInterval(keepAlive);
+    deploymentStream.off('deployment', onDeployment);
+  });
+
+  if (lastEventId) {
+    try {
+      const lastSeen = await parseLastEventId(lastEventId);
+      let after = lastSeen === null ? null : Math.max(lastSeen - REPLAY_LOOKBACK, 0);
+      while (after !== null && !closed) {
+        const missed = await Deployment.findSavedAfter(after, filter, REPLAY_BATCH_SIZE);
+        for (const deployment of missed) {
+          const event = deploymentStream.toEvent(deployment);
+          replayed.add(event.id);
+          writeDeploymentEvent(res, event);
+        }
+        if (missed.length < REPLAY_BATCH_SIZE) break;
+        after = missed[missed.length - 1].sequence;
+      }
+    } catch (error) {
+      console.error('Deployment stream replay error:', error);
+      res.write(`event: error\ndata: ${JSON.stringify({ message: 'Failed to replay missed deployments' })}\n\n`);
+    }
+  }
+
+  const pending = buffered;
+  buffered = null;
+  pending
+    .filter(event => !replayed.has(event.id))
+    .forEach(event => writeDeploymentEvent(res, event));
+};
+
+module.exports = {
+  streamDeployments
+};
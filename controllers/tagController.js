@@ -0,0 +1,208 @@
+const Deployment = require('../models/Deployment');
+const Tag = require('../models/Tag');
+const signatureService = require('../services/signatureService');
+const webhookService = require('../services/webhookService');
+
+/**
+ * @desc    Shape a tag document for API responses
+ * @param   {Object} tag - Tag document with deployment populated
+ * @returns {Object} Tag response object
+ */
+const formatTag = (tag) => ({
+  name: tag.name,
+  version: tag.version,
+  deploymentId: tag.deployment._id || tag.deployment,
+  contractCodeHash: tag.deployment.contractCodeHash,
+  createdAt: tag.createdAt,
+  updatedAt: tag.updatedAt
+});
+
+/**
+ * @desc    List the tags of a repository
+ * @route   GET /api/deployments/:walletAddress/:repo/tags
+ * @access  Public
+ */
+const listTags = async (req, res) => {
+  try {
+    const { walletAddress, repo } = req.params;
+
+    const tags = await Tag.findByRepo(walletAddress, repo);
+
+    res.status(200).json({
+      success: true,
+      message: 'Tags retrieved successfully',
+      data: {
+        walletAddress,
+        contractRepoName: repo,
+        tags: tags.map(formatTag)
+      }
+    });
+
+  } catch (error) {
+    console.error('List tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve tags',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create a tag or move it to another version
+ * @route   PUT /api/deployments/:walletAddress/:repo/tags/:tag
+ * @access  Wallet signature (owner or deployer)
+ */
+const setTag = async (req, res) => {
+  try {
+    const { walletAddress, repo, tag: name } = req.params;
+    const { version, signer, signature } = req.body;
+
+    const deployment = await Deployment.findByVersion(walletAddress, repo, version);
+    if (!deployment) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${version} not found for the specified repository`
+      });
+    }
+
+    let tag = await Tag.findByName(walletAddress, repo, name);
+    const previousVersion = tag ? tag.version : null;
+
+    if (tag) {
+      tag.deployment = deployment._id;
+      tag.version = deployment.version;
+    } else {
+      tag = new Tag({
+        walletAddress,
+        contractRepoName: repo,
+        name,
+        deployment: deployment._id,
+        version: deployment.version
+      });
+    }
+
+    // Reject invalid tag names before consuming the signature nonce
+    await tag.validate();
+
+    const authorization = await signatureService.authorizeRepoAction({
+      repository: req.repository,
+      walletAddress,
+      contractRepoName: repo,
+      signer,
+      role: 'deployer',
+      action: 'tag',
+      fields: [['tag', name], ['version', version]],
+      signature
+    });
+    if (!authorization.verified) {
+      return res.status(authorization.status).json({
+        success: false,
+        message: authorization.reason
+      });
+    }
+
+    tag.signature = authorization.record;
+    const savedTag = await tag.save();
+    savedTag.deployment = deployment;
+
+    webhookService.emit(previousVersion ? 'tag.moved' : 'tag.created', {
+      walletAddress,
+      contractRepoName: repo,
+      data: { tag: { ...formatTag(savedTag), previousVersion } }
+    });
+
+    res.status(previousVersion ? 200 : 201).json({
+      success: true,
+      message: previousVersion ? `Tag moved from ${previousVersion} to ${deployment.version}` : 'Tag created successfully',
+      data: {
+        tag: {
+          ...formatTag(savedTag),
+          previousVersion
+        }
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tag',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    console.error('Set tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to set tag',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a tag
+ * @route   DELETE /api/deployments/:walletAddress/:repo/tags/:tag
+ * @access  Wallet signature (owner or deployer)
+ */
+const deleteTag = async (req, res) => {
+  try {
+    const { walletAddress, repo, tag: name } = req.params;
+    const { signer, signature } = req.body || {};
+
+    const tag = await Tag.findByName(walletAddress, repo, name);
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: `Tag ${name} not found for the specified repository`
+      });
+    }
+
+    const authorization = await signatureService.authorizeRepoAction({
+      repository: req.repository,
+      walletAddress,
+      contractRepoName: repo,
+      signer,
+      role: 'deployer',
+      action: 'untag',
+      fields: [['tag', name]],
+      signature
+    });
+    if (!authorization.verified) {
+      return res.status(authorization.status).json({
+        success: false,
+        message: authorization.reason
+      });
+    }
+
+    await tag.deleteOne();
+
+    webhookService.emit('tag.deleted', {
+      walletAddress,
+      contractRepoName: repo,
+      data: { tag: { name: tag.name, version: tag.version } }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Tag deleted successfully',
+      data: {
+        tag: { name: tag.name, version: tag.version }
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete tag',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  listTags,
+  setTag,
+  deleteTag
+};
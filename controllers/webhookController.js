@@ -0,0 +1,371 @@
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const Repository = require('../models/Repository');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const signatureService = require('../services/signatureService');
+const webhookService = require('../services/webhookService');
+const { parseLimit } = require('../utils/pagination');
+
+// Stands in for the repo in signed messages of wallet-wide webhooks
+const ALL_REPOS = '*';
+
+/**
+ * @desc    Reduce a webhook URL to its origin, since paths often embed credentials
+ * @param   {string} url - Webhook URL
+ * @returns {string} Redacted URL
+ */
+const redactUrl = (url) => {
+  const { origin, pathname, search } = new URL(url);
+  return pathname === '/' && !search ? origin : `${origin}/…`;
+};
+
+/**
+ * @desc    Shape a webhook document for API responses
+ * @param   {Object} webhook - Webhook document
+ * @returns {Object} Webhook response object
+ */
+const formatWebhook = (webhook) => ({
+  id: webhook._id,
+  walletAddress: webhook.walletAddress,
+  contractRepoName: webhook.contractRepoName,
+  repoWalletAddress: webhook.repoWalletAddress || null,
+  url: redactUrl(webhook.url),
+  events: webhook.events,
+  active: webhook.active,
+  createdAt: webhook.createdAt,
+  updatedAt: webhook.updatedAt
+});
+
+/**
+ * @desc    Shape a delivery document for API responses
+ * @param   {Object} delivery - WebhookDelivery document
+ * @returns {Object} Delivery response object
+ */
+const formatDelivery = (delivery) => ({
+  id: delivery._id,
+  event: delivery.event,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+  lastAttemptAt: delivery.lastAttemptAt || null,
+  lastResponseStatus: delivery.lastResponseStatus || null,
+  lastError: delivery.lastError || null,
+  deliveredAt: delivery.deliveredAt || null,
+  createdAt: delivery.createdAt,
+  payload: delivery.payload
+});
+
+/**
+ * @desc    Find a webhook of a wallet by id
+ * @param   {string} walletAddress - Owning wallet
+ * @param   {string} id - Webhook id
+ * @returns {Promise<Object|null>} Webhook document, or null if not found
+ */
+const findWalletWebhook = (walletAddress, id) => {
+  if (!mongoose.isValidObjectId(id)) return Promise.resolve(null);
+  return Webhook.findOne({ _id: id, walletAddress }).exec();
+};
+
+/**
+ * @desc    Register a webhook for a repository or a whole wallet
+ *          A repository webhook may be registered by any wallet with a role in the repository;
+ *          repoOwner addresses a repository under another wallet (its creating wallet or owner).
+ * @route   POST /api/webhooks/:walletAddress
+ * @access  Wallet signature (wallet-wide), or any role in the repository
+ */
+const createWebhook = async (req, res) => {
+  try {
+    const { walletAddress } = req.params;
+    const { url, contractRepoName = null, repoOwner, events = Webhook.WEBHOOK_EVENTS, signature } = req.body;
+
+    if (!url) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: url'
+      });
+    }
+
+    if (!Array.isArray(events)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Events must be an array of event names'
+      });
+    }
+
+    const webhook = new Webhook({
+      walletAddress,
+      contractRepoName,
+      url,
+      events: [...new Set(events)],
+      secret: webhookService.generateSecret()
+    });
+
+    // Reject invalid webhooks before consuming the signature nonce
+    await webhook.validate();
+
+    const fields = [['url', webhook.url], ['events', webhook.events.join(',')]];
+    let authorization;
+    if (webhook.contractRepoName) {
+      // Events are keyed by the wallet the repository was created under, whoever owns it now
+      const repository = await Repository.resolve(repoOwner || walletAddress, webhook.contractRepoName);
+      if (!repository && repoOwner && repoOwner !== walletAddress) {
+        return res.status(404).json({
+          success: false,
+          message: `Repository ${repoOwner}/${webhook.contractRepoName} not found`
+        });
+      }
+      webhook.repoWalletAddress = repository ? repository.walletAddress : walletAddress;
+
+      authorization = await signatureService.authorizeRepoAction({
+        repository,
+        walletAddress: webhook.repoWalletAddress,
+        contractRepoName: webhook.contractRepoName,
+        signer: walletAddress,
+        role: 'viewer',
+        action: 'webhook',
+        fields,
+        signature
+      });
+    } else {
+      authorization = {
+        status: 401,
+        ...await signatureService.verifyActionSignature({
+          walletAddress,
+          contractRepoName: ALL_REPOS,
+          action: 'webhook',
+          fields,
+          signature
+        })
+      };
+    }
+    if (!authorization.verified) {
+      return res.status(authorization.status).json({
+        success: false,
+        message: authorization.reason
+      });
+    }
+
+    webhook.signature = authorization.record;
+    const savedWebhook = await webhook.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created successfully; store the secret now, it will not be shown again',
+      data: {
+        webhook: {
+          ...formatWebhook(savedWebhook),
+          url: savedWebhook.url,
+          secret: savedWebhook.secret
+        }
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    console.error('Create webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create webhook',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    List the webhooks of a wallet, with URLs redacted
+ * @route   GET /api/webhooks/:walletAddress
+ * @access  Public
+ */
+const listWebhooks = async (req, res) => {
+  try {
+    const { walletAddress } = req.params;
+
+    const webhooks = await Webhook.findByWallet(walletAddress);
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhooks retrieved successfully',
+      data: {
+        walletAddress,
+        webhooks: webhooks.map(formatWebhook)
+      }
+    });
+
+  } catch (error) {
+    console.error('List webhooks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve webhooks',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a webhook
+ * @route   DELETE /api/webhooks/:walletAddress/:id
+ * @access  Wallet signature
+ */
+const deleteWebhook = async (req, res) => {
+  try {
+    const { walletAddress, id } = req.params;
+    const { signature } = req.body || {};
+
+    const webhook = await findWalletWebhook(walletAddress, id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const authorization = await signatureService.verifyActionSignature({
+      walletAddress,
+      contractRepoName: webhook.contractRepoName || ALL_REPOS,
+      action: 'unwebhook',
+      fields: [['webhook', String(webhook._id)]],
+      signature
+    });
+    if (!authorization.verified) {
+      return res.status(401).json({
+        success: false,
+        message: authorization.reason
+      });
+    }
+
+    await webhook.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook deleted successfully',
+      data: {
+        webhook: formatWebhook(webhook)
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete webhook',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    List the most recent deliveries of a webhook
+ * @route   GET /api/webhooks/:walletAddress/:id/deliveries
+ * @access  Public
+ */
+const listDeliveries = async (req, res) => {
+  try {
+    const { walletAddress, id } = req.params;
+    const { status, limit } = req.query;
+
+    if (status !== undefined && !['pending', 'delivered', 'dead'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be one of: pending, delivered, dead'
+      });
+    }
+
+    const webhook = await findWalletWebhook(walletAddress, id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const deliveries = await WebhookDelivery.findRecent(webhook._id, { status, limit: parseLimit(limit) });
+
+    res.status(200).json({
+      success: true,
+      message: 'Deliveries retrieved successfully',
+      data: {
+        webhook: formatWebhook(webhook),
+        deliveries: deliveries.map(formatDelivery)
+      }
+    });
+
+  } catch (error) {
+    console.error('List deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve deliveries',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Redeliver a delivery now, resetting its retry schedule
+ * @route   POST /api/webhooks/:walletAddress/:id/deliveries/:deliveryId/redeliver
+ * @access  Wallet signature
+ */
+const redeliverDelivery = async (req, res) => {
+  try {
+    const { walletAddress, id, deliveryId } = req.params;
+    const { signature } = req.body || {};
+
+    const webhook = await findWalletWebhook(walletAddress, id);
+    const delivery = webhook && mongoose.isValidObjectId(deliveryId)
+      ? await WebhookDelivery.findOne({ _id: deliveryId, webhook: webhook._id }).exec()
+      : null;
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    const authorization = await signatureService.verifyActionSignature({
+      walletAddress,
+      contractRepoName: webhook.contractRepoName || ALL_REPOS,
+      action: 'redeliver',
+      fields: [['delivery', String(delivery._id)]],
+      signature
+    });
+    if (!authorization.verified) {
+      return res.status(401).json({
+        success: false,
+        message: authorization.reason
+      });
+    }
+
+    const attempted = await webhookService.redeliver(delivery);
+
+    res.status(200).json({
+      success: true,
+      message: attempted.status === 'delivered'
+        ? 'Delivery succeeded'
+        : 'Delivery failed; it will be retried',
+      data: {
+        delivery: formatDelivery(attempted)
+      }
+    });
+
+  } catch (error) {
+    console.error('Redeliver error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to redeliver',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createWebhook,
+  listWebhooks,
+  deleteWebhook,
+  listDeliveries,
+  redeliverDelivery
+};
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// Audit reports are kept this long
+const REPORT_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+// Content that failed the audit, with every version referencing it
+const auditProblemSchema = new mongoose.Schema({
+  contractCodeHash: {
+    type: String,
+    required: true
+  },
+  // missing: the provider does not have the content; unreachable: the provider could not be
+  // queried; corrupted: the content retrieved does not hash to its CID
+  status: {
+    type: String,
+    enum: ['missing', 'unreachable', 'corrupted'],
+    required: true
+  },
+  error: {
+    type: String
+  },
+  versions: [{
+    _id: false,
+    walletAddress: String,
+    contractRepoName: String,
+    version: String
+  }]
+}, {
+  _id: false
+});
+
+const contentAuditSchema = new mongoose.Schema({
+  // Set for audits of one repo; absent for audits of every deployment
+  walletAddress: {
+    type: String
+  },
+  contractRepoName: {
+    type: String
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    required: true
+  },
+  // running: in progress; completed: every content was checked; failed: aborted (see error)
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  error: {
+    type: String
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+    expires: REPORT_RETENTION_SECONDS
+  },
+  finishedAt: {
+    type: Date
+  },
+  summary: {
+    deployments: { type: Number, default: 0 },
+    contents: { type: Number, default: 0 },
+    ok: { type: Number, default: 0 },
+    missing: { type: Number, default: 0 },
+    unreachable: { type: Number, default: 0 },
+    corrupted: { type: Number, default: 0 }
+  },
+  problems: {
+    type: [auditProblemSchema],
+    default: []
+  },
+  // Set when more problems were found than are stored
+  problemsTruncated: {
+    type: Boolean,
+    default: false
+  }
+});
+
+contentAuditSchema.index({ walletAddress: 1, contractRepoName: 1, startedAt: -1 });
+
+// Static method to list the most recent audits, optionally for one repo only
+contentAuditSchema.statics.findRecent = function({ walletAddress, contractRepoName } = {}, limit) {
+  const filter = {};
+  if (walletAddress) filter.walletAddress = walletAddress;
+  if (contractRepoName) filter.contractRepoName = contractRepoName;
+  return this.find(filter).sort({ startedAt: -1 }).limit(limit).exec();
+};
+
+const ContentAudit = mongoose.model('ContentAudit', contentAuditSchema);
+
+module.exports = ContentAudit;
@@ -1,4 +1,144 @@
 const mongoose = require('mongoose');
+const Sequence = require('./Sequence');
+const { SEMVER_PATTERN, toSortKey, isValidVersion } = require('../utils/versionManager');
+const { encodeCursor, buildCursorFilter } = require('../utils/pagination');
+const { MAX_QUERY_LENGTH, deriveSearchKeys, escapeRegex, fuzzyPattern } = require('../utils/search');
+const {
+  NETWORKS,
+  normalizeContractAddress,
+  checkContractAddress,
+  isValidTxId,
+  normalizeTxId,
+  onChainKey
+} = require('../utils/onChain');
+
+// pinned: pinned on the provider; unpinned: deliberately not pinned (outside the retention
+// policy); failed: should be pinned but the last attempt failed
+const PIN_STATUSES = ['pinned', 'unpinned', 'failed'];
+
+// Name of the Sequence deployments are numbered from
+const DEPLOYMENT_SEQUENCE = 'deployments';
+
+// Wallet signature authorizing a deployment
+const deploymentSignatureSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['ethereum', 'stacks'],
+    required: true
+  },
+  signature: {
+    type: String,
+    required: true
+  },
+  publicKey: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  timestamp: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  }
+}, {
+  _id: false
+});
+
+// Source control commit the deployed code was built from
+const gitCommitSchema = new mongoose.Schema({
+  sha: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^[0-9a-f]{7,64}$/, 'Git commit sha must be 7 to 64 hexadecimal characters']
+  },
+  branch: {
+    type: String,
+    trim: true,
+    maxlength: [255, 'Git branch cannot exceed 255 characters']
+  }
+}, {
+  _id: false
+});
+
+// A file of a multi-file project, stored under the project directory on IPFS
+const projectFileSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true
+  },
+  // CID of the file itself, inside the project directory
+  hash: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  }
+}, {
+  _id: false
+});
+
+// Files that differ from the previous version in the same channel
+const fileChangesSchema = new mongoose.Schema({
+  added: [String],
+  modified: [String],
+  removed: [String]
+}, {
+  _id: false
+});
+
+// A contract this version was deployed as on chain (see utils/onChain)
+const onChainLinkSchema = new mongoose.Schema({
+  network: {
+    type: String,
+    required: [true, 'Network is required'],
+    enum: {
+      values: NETWORKS,
+      message: `Network must be one of: ${NETWORKS.join(', ')}`
+    }
+  },
+  // Stacks contract principal or EVM contract address
+  contractAddress: {
+    type: String,
+    required: [true, 'Contract address is required'],
+    set: normalizeContractAddress,
+    validate: {
+      validator: function(value) {
+        const problem = checkContractAddress(value, this.network);
+        if (problem) throw new Error(problem);
+        return true;
+      },
+      message: props => props.reason.message
+    }
+  },
+  // Transaction that deployed the contract, when known
+  txId: {
+    type: String,
+    set: normalizeTxId,
+    validate: {
+      validator: isValidTxId,
+      message: 'Transaction id must be 32 bytes of hex, optionally 0x-prefixed'
+    }
+  },
+  // Wallet that recorded the link
+  linkedBy: {
+    type: String
+  },
+  linkedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
 
 const deploymentSchema = new mongoose.Schema({
   walletAddress: {
@@ -11,7 +151,9 @@ const deploymentSchema = new mongoose.Schema({
     required: [true, 'Contract repository name is required'],
     trim: true,
     minlength: [1, 'Repository name must be at least 1 character long'],
-    maxlength: [100, 'Repository name cannot exceed 100 characters']
+    maxlength: [100, 'Repository name cannot exceed 100 characters'],
+    // Repository names are signed as one line of the action message
+    match: [/^[^\u0000-\u001f\u007f]*$/, 'Repository name must not contain control characters']
   },
   contractCodeHash: {
     type: String,
@@ -28,25 +170,189 @@ const deploymentSchema = new mongoose.Schema({
   version: {
     type: String,
     required: [true, 'Version is required'],
-    match: [/^\d+\.\d+\.\d+$/, 'Version must be in format MAJOR.MINOR.PATCH']
+    match: [SEMVER_PATTERN, 'Version must be in format MAJOR.MINOR.PATCH[-PRERELEASE][+BUILD]']
+  },
+  // Derived from version; sorts by SemVer precedence (see versionManager.toSortKey)
+  versionKey: {
+    type: String
   },
   deployedAt: {
     type: Date,
     default: Date.now
+  },
+  // Wallet that signed the deployment: the repository's owner or a collaborator
+  deployedBy: {
+    type: String,
+    trim: true
+  },
+  signature: {
+    type: deploymentSignatureSchema
+  },
+  // Why this version exists, as given by the deployer
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Message cannot exceed 2000 characters']
+  },
+  author: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Author cannot exceed 200 characters']
+  },
+  git: {
+    type: gitCommitSchema
+  },
+  // Set for multi-file projects, whose contractCodeHash is the CID of a UnixFS directory
+  files: {
+    type: [projectFileSchema],
+    default: undefined
+  },
+  // Set for projects deployed after an earlier project version in the same channel
+  fileChanges: {
+    type: fileChangesSchema
+  },
+  // Clarity interface summary extracted at deploy time (see utils/clarityParser)
+  contractInterface: {
+    type: Object
+  },
+  // Search keys derived from contractInterface
+  functionNames: {
+    type: [String],
+    default: undefined
+  },
+  implementedTraits: {
+    type: [String],
+    default: undefined
+  },
+  // Contract source captured at deploy time for free-text search (see utils/search)
+  searchText: {
+    type: String,
+    select: false
+  },
+  // Set when this version was recreated from a repo archive (see archiveController)
+  importedFrom: {
+    walletAddress: {
+      type: String
+    },
+    contractRepoName: {
+      type: String
+    },
+    archive: {
+      type: String
+    },
+    importedAt: {
+      type: Date
+    },
+    // Signature the archive gives for the version; not verified by this server, so kept apart
+    // from signature and never reported as the version's signer
+    signature: {
+      type: deploymentSignatureSchema
+    }
+  },
+  // Pin state of contractCodeHash on the IPFS provider, set at deploy time and by pin
+  // reconciliation; retained records whether the repo's retention policy keeps this version
+  pin: {
+    status: {
+      type: String,
+      enum: PIN_STATUSES
+    },
+    retained: {
+      type: Boolean
+    },
+    error: {
+      type: String
+    },
+    checkedAt: {
+      type: Date
+    }
+  },
+  // Contracts this version was deployed as on chain, given at deploy time or linked later
+  onChain: {
+    type: [onChainLinkSchema],
+    default: undefined
+  },
+  // network:contractAddress of each mainnet and testnet link, unique across deployments so a
+  // contract is only ever linked to one version (kept in step with onChain)
+  onChainKeys: {
+    type: [String],
+    default: undefined,
+    select: false
+  },
+  // Number drawn from a counter shared by every instance just before the insert, so concurrent
+  // saves may commit out of order; the live stream's event id
+  sequence: {
+    type: Number
+  },
+  // Set when this version republishes the code of an earlier version
+  rollback: {
+    fromVersion: {
+      type: String
+    },
+    toVersion: {
+      type: String
+    }
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Indexes are built by server.js once legacy records have their versionKey backfilled
+  autoIndex: false
 });
 
 // Compound index for efficient queries
 deploymentSchema.index({ walletAddress: 1, contractRepoName: 1 });
 deploymentSchema.index({ deployedAt: -1 });
 deploymentSchema.index({ contractCodeHash: 1 }); // Index for IPFS hash lookups
+deploymentSchema.index({ walletAddress: 1, deployedAt: -1 }); // Index for paginated wallet history
+deploymentSchema.index({ 'pin.status': 1 }); // Index for pin reports
+// Indexes for on-chain lookups and per-network current versions
+deploymentSchema.index({ 'onChain.contractAddress': 1 });
+deploymentSchema.index({ 'onChain.txId': 1 });
+deploymentSchema.index({ walletAddress: 1, contractRepoName: 1, 'onChain.network': 1, versionKey: -1 });
+deploymentSchema.index({ onChainKeys: 1 }, { unique: true, partialFilterExpression: { onChainKeys: { $exists: true } } });
+// Indexes for search
+deploymentSchema.index({ contractRepoName: 1 });
+deploymentSchema.index({ functionNames: 1 });
+deploymentSchema.index({ implementedTraits: 1 });
+deploymentSchema.index(
+  { contractRepoName: 'text', functionNames: 'text', message: 'text', searchText: 'text' },
+  {
+    name: 'deployment_search',
+    weights: { contractRepoName: 10, functionNames: 5, message: 2, searchText: 1 },
+    // Source code, not prose: no stemming or stop words
+    default_language: 'none'
+  }
+);
+// Versions are unique per repo (by precedence), which serializes concurrent version allocation
+deploymentSchema.index({ walletAddress: 1, contractRepoName: 1, versionKey: -1 }, { unique: true });
+// Index for replaying the live stream
+deploymentSchema.index({ sequence: 1 }, { unique: true, partialFilterExpression: { sequence: { $exists: true } } });
+
+// Keep the sort key in step with the version
+deploymentSchema.pre('validate', function(next) {
+  if (this.isModified('version') && isValidVersion(this.version)) {
+    this.versionKey = toSortKey(this.version);
+  }
+  if (this.isModified('contractInterface')) {
+    Object.assign(this, deriveSearchKeys(this.contractInterface));
+  }
+  if (this.isModified('onChain')) {
+    const keys = (this.onChain || []).map(onChainKey).filter(Boolean);
+    this.onChainKeys = keys.length > 0 ? keys : undefined;
+  }
+  next();
+});
+
+// Number new deployments as they are saved
+deploymentSchema.pre('save', async function() {
+  if (this.isNew && this.sequence === undefined) {
+    this.sequence = await Sequence.reserve(DEPLOYMENT_SEQUENCE);
+  }
+});
 
-// Static method to find latest deployment for a repo
+// Static method to find the highest version deployed for a repo
 deploymentSchema.statics.findLatestByRepo = function(walletAddress, contractRepoName) {
   return this.findOne({ walletAddress, contractRepoName })
-    .sort({ deployedAt: -1 })
+    .sort({ versionKey: -1 })
     .exec();
 };
 
@@ -55,11 +361,336 @@ deploymentSchema.statics.findByWallet = function(walletAddress) {
   return this.find({ walletAddress }).sort({ deployedAt: -1 }).exec();
 };
 
-// Static method to find deployment history for a specific repo
+// Static method to find deployment history for a specific repo, highest version first
 deploymentSchema.statics.findRepoHistory = function(walletAddress, contractRepoName) {
-  return this.find({ walletAddress, contractRepoName }).sort({ deployedAt: -1 }).exec();
+  return this.find({ walletAddress, contractRepoName }).sort({ versionKey: -1 }).exec();
+};
+
+// Static method to find the highest version of each repo deployed by a wallet
+deploymentSchema.statics.findLatestPerRepo = function(walletAddress) {
+  return this.aggregate([
+    { $match: { walletAddress } },
+    { $sort: { contractRepoName: 1, versionKey: -1 } },
+    {
+      $group: {
+        _id: '$contractRepoName',
+        version: { $first: '$version' },
+        contractCodeHash: { $first: '$contractCodeHash' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]).exec();
+};
+
+// Static method to find the content hash of the version preceding each of several deployments in
+// its repo, in one round trip; deployments without a predecessor are left out of the map
+deploymentSchema.statics.findPreviousHashes = async function(deployments) {
+  if (deployments.length === 0) return new Map();
+
+  const results = await this.aggregate([
+    { $match: { _id: { $in: deployments.map(dep => dep._id) } } },
+    {
+      $lookup: {
+        from: this.collection.name,
+        let: { walletAddress: '$walletAddress', contractRepoName: '$contractRepoName', versionKey: '$versionKey' },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ['$walletAddress', '$$walletAddress'] },
+                  { $eq: ['$contractRepoName', '$$contractRepoName'] },
+                  { $lt: ['$versionKey', '$$versionKey'] }
+                ]
+              }
+            }
+          },
+          { $sort: { versionKey: -1 } },
+          { $limit: 1 },
+          { $project: { _id: 0, contractCodeHash: 1 } }
+        ],
+        as: 'previous'
+      }
+    },
+    { $unwind: '$previous' },
+    { $project: { contractCodeHash: '$previous.contractCodeHash' } }
+  ]).exec();
+
+  return new Map(results.map(result => [String(result._id), result.contractCodeHash]));
+};
+
+// Static method to fetch one page of deployments matching a filter
+deploymentSchema.statics.findPage = async function(filter, { sortField, direction, cursor, limit }) {
+  const query = cursor ? { $and: [filter, buildCursorFilter(sortField, direction, cursor)] } : filter;
+
+  // Fetch one extra document to learn whether another page follows
+  const [documents, total] = await Promise.all([
+    this.find(query).sort({ [sortField]: direction, _id: direction }).limit(limit + 1).exec(),
+    this.countDocuments(filter).exec()
+  ]);
+
+  const deployments = documents.slice(0, limit);
+  const nextCursor = documents.length > limit
+    ? encodeCursor(deployments[deployments.length - 1], sortField)
+    : null;
+
+  return { deployments, nextCursor, total };
+};
+
+// Static method to find deployments saved after a given sequence number, oldest first
+deploymentSchema.statics.findSavedAfter = function(sequence, filter, limit) {
+  return this.find({ ...filter, sequence: { $gt: sequence } }).sort({ sequence: 1 }).limit(limit).exec();
+};
+
+// Static method to get the sequence number of a deployment, or null if it has none
+deploymentSchema.statics.findSequenceOf = async function(id) {
+  const deployment = await this.findById(id).select('sequence').lean().exec();
+  return deployment && deployment.sequence !== undefined ? deployment.sequence : null;
+};
+
+// Static method to search deployments, best matches first
+deploymentSchema.statics.search = async function({ q, repo, repoMatch, walletAddress, functionName, trait, latest }, { offset, limit }) {
+  if ((q && q.length > MAX_QUERY_LENGTH) || (repo && repo.length > MAX_QUERY_LENGTH)) {
+    throw new RangeError(`Search queries are limited to ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  const match = {};
+  if (q) match.$text = { $search: q };
+  if (walletAddress) match.walletAddress = walletAddress;
+  if (repo) {
+    match.contractRepoName = repoMatch === 'fuzzy'
+      ? { $regex: fuzzyPattern(repo), $options: 'i' }
+      : { $regex: `^${escapeRegex(repo)}` };
+  }
+  if (functionName) match.functionNames = functionName;
+  if (trait) match.implementedTraits = trait;
+
+  // Closer repo name matches rank higher: exact, then prefix, then substring, then fuzzy
+  const repoScore = repo
+    ? {
+      $switch: {
+        branches: [
+          { case: { $eq: [{ $toLower: '$contractRepoName' }, repo.toLowerCase()] }, then: 3 },
+          { case: { $regexMatch: { input: '$contractRepoName', regex: `^${escapeRegex(repo)}`, options: 'i' } }, then: 2 },
+          { case: { $regexMatch: { input: '$contractRepoName', regex: escapeRegex(repo), options: 'i' } }, then: 1.5 }
+        ],
+        default: 1
+      }
+    }
+    : 0;
+
+  const pipeline = [
+    { $match: match },
+    { $addFields: { score: { $add: [q ? { $meta: 'textScore' } : 0, repoScore] } } }
+  ];
+
+  if (latest) {
+    // Keep only the highest matching version of each repo
+    pipeline.push(
+      { $sort: { walletAddress: 1, contractRepoName: 1, versionKey: -1 } },
+      { $group: { _id: { walletAddress: '$walletAddress', contractRepoName: '$contractRepoName' }, deployment: { $first: '$$ROOT' } } },
+      { $replaceRoot: { newRoot: '$deployment' } }
+    );
+  }
+
+  pipeline.push(
+    { $sort: { score: -1, deployedAt: -1, _id: -1 } },
+    {
+      $facet: {
+        results: [
+          { $skip: offset },
+          { $limit: limit },
+          { $project: { searchText: 0, contractInterface: 0, signature: 0, 'importedFrom.signature': 0 } }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  );
+
+  const [{ results, total }] = await this.aggregate(pipeline).exec();
+  return { results, total: total.length > 0 ? total[0].count : 0 };
+};
+
+// Static method to find a specific version of a repo
+deploymentSchema.statics.findByVersion = function(walletAddress, contractRepoName, version) {
+  return this.findOne({ walletAddress, contractRepoName, version }).exec();
+};
+
+// Static method to find the deployments linked to an on-chain contract, optionally on one network
+deploymentSchema.statics.findByContractAddress = function(contractAddress, network) {
+  const link = { contractAddress: normalizeContractAddress(contractAddress) };
+  if (network) link.network = network;
+  return this.find({ onChain: { $elemMatch: link } }).exec();
+};
+
+// Static method to find the deployments linked to an on-chain transaction, optionally on one network
+deploymentSchema.statics.findByTxId = function(txId, network) {
+  const link = { txId: normalizeTxId(txId) };
+  if (network) link.network = network;
+  return this.find({ onChain: { $elemMatch: link } }).exec();
+};
+
+// Static method to find the deployments already linked to any of a set of mainnet or testnet
+// contracts; devnet contracts may be linked again since devnet chains are reset
+deploymentSchema.statics.findOnChainConflicts = function(links, excludeId) {
+  const keys = links.map(onChainKey).filter(Boolean);
+  if (keys.length === 0) return Promise.resolve([]);
+
+  const filter = { onChainKeys: { $in: keys } };
+  if (excludeId) filter._id = { $ne: excludeId };
+  return this.find(filter).select('walletAddress contractRepoName version onChain').exec();
+};
+
+// Static method to link a deployment to an on-chain contract it is not linked to yet; fails with
+// a duplicate key error if another deployment claimed the mainnet or testnet contract first
+deploymentSchema.statics.addOnChainLink = async function(id, link) {
+  const { network, contractAddress } = link;
+  const key = onChainKey(link);
+  const result = await this.updateOne(
+    { _id: id, onChain: { $not: { $elemMatch: { network, contractAddress } } } },
+    key ? { $push: { onChain: link, onChainKeys: key } } : { $push: { onChain: link } }
+  ).exec();
+  return result.modifiedCount > 0;
+};
+
+// Static method to record the transaction id of an existing on-chain link that has none
+deploymentSchema.statics.setOnChainTxId = async function(id, { network, contractAddress }, txId) {
+  const result = await this.updateOne(
+    { _id: id, onChain: { $elemMatch: { network, contractAddress, txId: null } } },
+    { $set: { 'onChain.$.txId': txId } }
+  ).exec();
+  return result.modifiedCount > 0;
+};
+
+// Static method to find the highest version of a repo deployed on a network
+deploymentSchema.statics.findCurrentOnNetwork = function(walletAddress, contractRepoName, network) {
+  return this.findOne({ walletAddress, contractRepoName, 'onChain.network': network })
+    .sort({ versionKey: -1 })
+    .exec();
+};
+
+// Static method to list the versions of a repo deployed on chain, highest version first
+deploymentSchema.statics.findOnChainByRepo = function(walletAddress, contractRepoName) {
+  return this.find({ walletAddress, contractRepoName, 'onChain.0': { $exists: true } })
+    .sort({ versionKey: -1 })
+    .exec();
+};
+
+// Static method to list the distinct repos matching a filter
+deploymentSchema.statics.findRepoKeys = function(filter = {}) {
+  return this.aggregate([
+    { $match: filter },
+    { $group: { _id: { walletAddress: '$walletAddress', contractRepoName: '$contractRepoName' } } },
+    { $sort: { '_id.walletAddress': 1, '_id.contractRepoName': 1 } },
+    { $replaceRoot: { newRoot: '$_id' } }
+  ]).exec();
+};
+
+// Static method to list each distinct content hash matching a filter with the versions using it
+deploymentSchema.statics.findContentRefs = function(filter = {}) {
+  return this.aggregate([
+    { $match: filter },
+    { $sort: { walletAddress: 1, contractRepoName: 1, versionKey: -1 } },
+    {
+      $group: {
+        _id: '$contractCodeHash',
+        // Whether the content is a project directory rather than a single file
+        project: { $max: { $gt: [{ $size: { $ifNull: ['$files', []] } }, 0] } },
+        versions: { $push: { walletAddress: '$walletAddress', contractRepoName: '$contractRepoName', version: '$version' } }
+      }
+    },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, contractCodeHash: '$_id', project: 1, versions: 1 } }
+  ]).allowDiskUse(true).exec();
+};
+
+// Static method to record the pin state of several deployments at once
+deploymentSchema.statics.setPinState = function(ids, { status, retained, error = null }) {
+  const pin = { status, retained, checkedAt: new Date() };
+  if (error) pin.error = error;
+  return this.updateMany({ _id: { $in: ids } }, { $set: { pin } }).exec();
+};
+
+// Static method to populate versionKey on documents created before it existed
+deploymentSchema.statics.backfillVersionKeys = async function() {
+  const missing = await this.find({ versionKey: { $exists: false } }).select('version').lean().exec();
+  const operations = missing
+    .filter(dep => isValidVersion(dep.version))
+    .map(dep => ({
+      updateOne: {
+        filter: { _id: dep._id },
+        update: { $set: { versionKey: toSortKey(dep.version) } }
+      }
+    }));
+
+  if (operations.length > 0) {
+    await this.bulkWrite(operations);
+  }
+  return operations.length;
+};
+
+// Static method to number documents saved before sequence numbers existed, in creation order
+deploymentSchema.statics.backfillSequences = async function() {
+  const missing = await this.find({ sequence: { $exists: false } }).select('_id').sort({ _id: 1 }).lean().exec();
+  if (missing.length === 0) return 0;
+
+  const last = await Sequence.reserve(DEPLOYMENT_SEQUENCE, missing.length);
+  const first = last - missing.length + 1;
+  await this.bulkWrite(missing.map((dep, i) => ({
+    updateOne: {
+      filter: { _id: dep._id },
+      update: { $set: { sequence: first + i } }
+    }
+  })));
+  return missing.length;
+};
+
+// Static method to populate search keys on documents that have an interface summary but predate them
+deploymentSchema.statics.backfillSearchKeys = async function() {
+  const missing = await this.find({ contractInterface: { $ne: null }, functionNames: { $exists: false } })
+    .select('contractInterface')
+    .lean()
+    .exec();
+  const operations = missing.map(dep => ({
+    updateOne: {
+      filter: { _id: dep._id },
+      update: { $set: deriveSearchKeys(dep.contractInterface) }
+    }
+  }));
+
+  if (operations.length > 0) {
+    await this.bulkWrite(operations);
+  }
+  return operations.length;
+};
+
+// Static method to find versions stored more than once in a repo, which block the unique version index
+deploymentSchema.statics.findDuplicateVersions = function(limit = 20) {
+  return this.aggregate([
+    { $match: { versionKey: { $exists: true } } },
+    {
+      $group: {
+        _id: { walletAddress: '$walletAddress', contractRepoName: '$contractRepoName', versionKey: '$versionKey' },
+        version: { $first: '$version' },
+        count: { $sum: 1 }
+      }
+    },
+    { $match: { count: { $gt: 1 } } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        walletAddress: '$_id.walletAddress',
+        contractRepoName: '$_id.contractRepoName',
+        version: 1,
+        count: 1
+      }
+    }
+  ]).allowDiskUse(true).exec();
 };
 
 const Deployment = mongoose.model('Deployment', deploymentSchema);
+Deployment.PIN_STATUSES = PIN_STATUSES;
+Deployment.NETWORKS = NETWORKS;
 
 module.exports = Deployment;
\ No newline at end of file
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+// Reconciliation reports are kept this long
+const REPORT_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+// A change to the pin set made (or, in a dry run, planned) by a reconciliation
+const pinActionSchema = new mongoose.Schema({
+  contractCodeHash: {
+    type: String,
+    required: true
+  },
+  // repin: retained but not pinned; unpin: pinned but no longer retained;
+  // untracked: pinned but not referenced by any deployment (reported, never unpinned)
+  action: {
+    type: String,
+    enum: ['repin', 'unpin', 'untracked'],
+    required: true
+  },
+  // planned: dry run or report-only; done: applied; failed: the provider call failed
+  result: {
+    type: String,
+    enum: ['planned', 'done', 'failed'],
+    required: true
+  },
+  error: {
+    type: String
+  },
+  versions: [{
+    _id: false,
+    walletAddress: String,
+    contractRepoName: String,
+    version: String
+  }]
+}, {
+  _id: false
+});
+
+const pinReconciliationSchema = new mongoose.Schema({
+  // Set for runs limited to one repo; absent for runs over every repo
+  walletAddress: {
+    type: String
+  },
+  contractRepoName: {
+    type: String
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    required: true
+  },
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  // running: in progress; completed: every repo was examined; failed: aborted (see error)
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  error: {
+    type: String
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+    expires: REPORT_RETENTION_SECONDS
+  },
+  finishedAt: {
+    type: Date
+  },
+  summary: {
+    repos: { type: Number, default: 0 },
+    deployments: { type: Number, default: 0 },
+    listedPins: { type: Number, default: 0 },
+    retained: { type: Number, default: 0 },
+    released: { type: Number, default: 0 },
+    repinned: { type: Number, default: 0 },
+    unpinned: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    untracked: { type: Number, default: 0 }
+  },
+  actions: {
+    type: [pinActionSchema],
+    default: []
+  },
+  // Set when more actions were taken than are stored
+  actionsTruncated: {
+    type: Boolean,
+    default: false
+  }
+});
+
+pinReconciliationSchema.index({ walletAddress: 1, contractRepoName: 1, startedAt: -1 });
+
+// Static method to list the most recent reports, optionally for one repo only
+pinReconciliationSchema.statics.findRecent = function({ walletAddress, contractRepoName } = {}, limit) {
+  const filter = {};
+  if (walletAddress) filter.walletAddress = walletAddress;
+  if (contractRepoName) filter.contractRepoName = contractRepoName;
+  return this.find(filter).sort({ startedAt: -1 }).limit(limit).exec();
+};
+
+const PinReconciliation = mongoose.model('PinReconciliation', pinReconciliationSchema);
+
+module.exports = PinReconciliation;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Requests counted against one limit key during one fixed window
+const rateLimitCounterSchema = new mongoose.Schema({
+  // Policy, key type and key, e.g. deploy:ip:203.0.113.7 or read:wallet:SP2J6...
+  key: {
+    type: String,
+    required: true
+  },
+  windowStart: {
+    type: Date,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  // Counters are removed once their window has closed
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0
+  }
+});
+
+rateLimitCounterSchema.index({ key: 1, windowStart: 1 }, { unique: true });
+
+// Static method to count a request in a window, returning the window's request count so far
+rateLimitCounterSchema.statics.hit = async function(key, windowStart, expiresAt) {
+  const increment = () => this.findOneAndUpdate(
+    { key, windowStart },
+    { $inc: { count: 1 }, $setOnInsert: { expiresAt } },
+    { upsert: true, new: true }
+  ).lean().exec();
+
+  try {
+    return (await increment()).count;
+  } catch (error) {
+    // Two instances inserted the window's counter at once; the loser increments the winner's
+    if (error.code === 11000) {
+      return (await increment()).count;
+    }
+    throw error;
+  }
+};
+
+const RateLimitCounter = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
+
+module.exports = RateLimitCounter;
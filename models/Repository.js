@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+
+// deployer: may publish versions, roll back and tag; viewer: listed without publish rights
+const COLLABORATOR_ROLES = ['deployer', 'viewer'];
+
+// Rank of each role; a wallet may act when its rank reaches the rank an action requires
+const ROLE_RANKS = { viewer: 1, deployer: 2, owner: 3 };
+
+const collaboratorSchema = new mongoose.Schema({
+  walletAddress: {
+    type: String,
+    required: [true, 'Collaborator wallet address is required'],
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: {
+      values: COLLABORATOR_ROLES,
+      message: `Role must be one of: ${COLLABORATOR_ROLES.join(', ')}`
+    },
+    required: [true, 'Collaborator role is required']
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+// A completed change of owner
+const ownershipTransferSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    required: true
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  requestedAt: {
+    type: Date
+  },
+  acceptedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+const repositorySchema = new mongoose.Schema({
+  // Wallet the repository was created under. Deployments, tags and policies stay keyed by it
+  // for the repository's whole life, so its history survives ownership transfers.
+  walletAddress: {
+    type: String,
+    required: [true, 'Wallet address is required'],
+    trim: true
+  },
+  contractRepoName: {
+    type: String,
+    required: [true, 'Contract repository name is required'],
+    trim: true,
+    // Repository names are signed as one line of the action message
+    match: [/^[^\u0000-\u001f\u007f]*$/, 'Repository name must not contain control characters']
+  },
+  owner: {
+    type: String,
+    required: [true, 'Owner wallet address is required'],
+    trim: true
+  },
+  collaborators: {
+    type: [collaboratorSchema],
+    default: []
+  },
+  // Transfer offered by the owner and waiting for the new owner's acceptance
+  pendingTransfer: {
+    to: {
+      type: String,
+      trim: true
+    },
+    requestedAt: {
+      type: Date
+    }
+  },
+  transfers: {
+    type: [ownershipTransferSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+// One repository of each name per wallet it was created under, and per owner, so the repo
+// addressed by a wallet and name is never ambiguous
+repositorySchema.index({ walletAddress: 1, contractRepoName: 1 }, { unique: true });
+repositorySchema.index({ owner: 1, contractRepoName: 1 }, { unique: true });
+repositorySchema.index({ 'collaborators.walletAddress': 1 });
+
+// Static method to find the repository addressed by a wallet (creator or current owner) and name
+repositorySchema.statics.resolve = function(walletAddress, contractRepoName) {
+  return this.findOne({
+    contractRepoName,
+    $or: [{ walletAddress }, { owner: walletAddress }]
+  }).exec();
+};
+
+// Static method to register a repository for its creating wallet unless it already exists
+repositorySchema.statics.findOrCreate = function(walletAddress, contractRepoName) {
+  return this.findOneAndUpdate(
+    { walletAddress, contractRepoName },
+    { $setOnInsert: { walletAddress, contractRepoName, owner: walletAddress } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).exec();
+};
+
+// Static method to list the wallets repositories owned by a wallet were created under
+repositorySchema.statics.findOwnedKeys = function(owner) {
+  return this.find({ owner }).select('walletAddress contractRepoName').lean().exec();
+};
+
+// Instance method to get a wallet's role: owner, deployer, viewer or null
+repositorySchema.methods.roleOf = function(walletAddress) {
+  if (walletAddress === this.owner) return 'owner';
+  const collaborator = this.collaborators.find(entry => entry.walletAddress === walletAddress);
+  return collaborator ? collaborator.role : null;
+};
+
+// Instance method to list the wallets of the repository: its creating wallet, owner and collaborators
+repositorySchema.methods.memberWallets = function() {
+  return [...new Set([this.walletAddress, this.owner, ...this.collaborators.map(entry => entry.walletAddress)])];
+};
+
+const Repository = mongoose.model('Repository', repositorySchema);
+Repository.COLLABORATOR_ROLES = COLLABORATOR_ROLES;
+Repository.ROLE_RANKS = ROLE_RANKS;
+
+module.exports = Repository;
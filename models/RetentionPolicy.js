@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Which versions of a repo keep their content pinned; repos without a policy keep everything
+const retentionPolicySchema = new mongoose.Schema({
+  walletAddress: {
+    type: String,
+    required: [true, 'Wallet address is required'],
+    trim: true
+  },
+  contractRepoName: {
+    type: String,
+    required: [true, 'Contract repository name is required'],
+    trim: true
+  },
+  // Most recent versions to keep, by version precedence
+  keepLast: {
+    type: Number,
+    required: [true, 'keepLast is required'],
+    min: [1, 'keepLast must be at least 1'],
+    max: [10000, 'keepLast cannot exceed 10000'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'keepLast must be an integer'
+    }
+  },
+  // Also keep every version a tag points at
+  keepTagged: {
+    type: Boolean,
+    default: true
+  },
+  // Also keep the first release (X.0.0) of every major version
+  keepMajors: {
+    type: Boolean,
+    default: false
+  },
+  signature: {
+    type: Object
+  }
+}, {
+  timestamps: true
+});
+
+// One policy per repo
+retentionPolicySchema.index({ walletAddress: 1, contractRepoName: 1 }, { unique: true });
+
+// Static method to find the policy of a repo
+retentionPolicySchema.statics.findByRepo = function(walletAddress, contractRepoName) {
+  return this.findOne({ walletAddress, contractRepoName }).exec();
+};
+
+const RetentionPolicy = mongoose.model('RetentionPolicy', retentionPolicySchema);
+
+module.exports = RetentionPolicy;
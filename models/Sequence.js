@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Named counter handing out increasing numbers, shared by every instance
+const sequenceSchema = new mongoose.Schema({
+  // Sequence name, e.g. deployments
+  _id: {
+    type: String
+  },
+  // Last number handed out
+  value: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Static method to reserve the next `count` numbers of a sequence, returning the last of them
+sequenceSchema.statics.reserve = async function(name, count = 1) {
+  const increment = () => this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { value: count } },
+    { upsert: true, new: true }
+  ).lean().exec();
+
+  try {
+    return (await increment()).value;
+  } catch (error) {
+    // Two instances created the sequence at once; the loser increments the winner's
+    if (error.code === 11000) {
+      return (await increment()).value;
+    }
+    throw error;
+  }
+};
+
+const Sequence = mongoose.model('Sequence', sequenceSchema);
+
+module.exports = Sequence;
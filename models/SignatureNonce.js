@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Nonces must outlive the accepted timestamp window (± max age) so they cannot be replayed
+const NONCE_TTL_SECONDS = 2 * (parseInt(process.env.SIGNATURE_MAX_AGE_SECONDS, 10) || 300);
+
+const signatureNonceSchema = new mongoose.Schema({
+  walletAddress: {
+    type: String,
+    required: [true, 'Wallet address is required'],
+    trim: true
+  },
+  nonce: {
+    type: String,
+    required: [true, 'Nonce is required']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: NONCE_TTL_SECONDS
+  }
+});
+
+// Each nonce may only be used once per wallet
+signatureNonceSchema.index({ walletAddress: 1, nonce: 1 }, { unique: true });
+
+// Static method to record a nonce, returning false if it was already used
+signatureNonceSchema.statics.consume = async function(walletAddress, nonce) {
+  try {
+    await this.create({ walletAddress, nonce });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+const SignatureNonce = mongoose.model('SignatureNonce', signatureNonceSchema);
+
+module.exports = SignatureNonce;
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Bytes a wallet has uploaded to IPFS through the API, counted against its storage quota
+const storageUsageSchema = new mongoose.Schema({
+  walletAddress: {
+    type: String,
+    required: [true, 'Wallet address is required'],
+    trim: true,
+    unique: true
+  },
+  bytesUploaded: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  uploads: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastUploadAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to find a wallet's usage, or null if it has never uploaded
+storageUsageSchema.statics.findByWallet = function(walletAddress) {
+  return this.findOne({ walletAddress }).lean().exec();
+};
+
+// Static method to add an upload to a wallet's usage if it stays within the quota
+// (0 for no quota), returning the updated usage or null when the upload does not fit
+storageUsageSchema.statics.reserve = async function(walletAddress, bytes, quota) {
+  try {
+    await this.updateOne(
+      { walletAddress },
+      { $setOnInsert: { walletAddress, bytesUploaded: 0, uploads: 0 } },
+      { upsert: true }
+    ).exec();
+  } catch (error) {
+    // Created concurrently by another request
+    if (error.code !== 11000) throw error;
+  }
+
+  // The condition and the increment are applied together, so concurrent uploads cannot
+  // overshoot the quota
+  const filter = quota > 0
+    ? { walletAddress, bytesUploaded: { $lte: quota - bytes } }
+    : { walletAddress };
+  return this.findOneAndUpdate(
+    filter,
+    { $inc: { bytesUploaded: bytes, uploads: 1 }, $set: { lastUploadAt: new Date() } },
+    { new: true }
+  ).lean().exec();
+};
+
+// Static method to give back the bytes of an upload that failed
+storageUsageSchema.statics.release = function(walletAddress, bytes) {
+  return this.updateOne(
+    { walletAddress, bytesUploaded: { $gte: bytes } },
+    { $inc: { bytesUploaded: -bytes, uploads: -1 } }
+  ).exec();
+};
+
+const StorageUsage = mongoose.model('StorageUsage', storageUsageSchema);
+
+module.exports = StorageUsage;
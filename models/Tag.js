@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const { isValidVersion } = require('../utils/versionManager');
+
+const tagSchema = new mongoose.Schema({
+  walletAddress: {
+    type: String,
+    required: [true, 'Wallet address is required'],
+    trim: true
+  },
+  contractRepoName: {
+    type: String,
+    required: [true, 'Contract repository name is required'],
+    trim: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Tag name is required'],
+    trim: true,
+    maxlength: [50, 'Tag name cannot exceed 50 characters'],
+    match: [/^[A-Za-z0-9][A-Za-z0-9._-]*$/, 'Tag name may only contain letters, numbers, ".", "_" and "-"'],
+    validate: {
+      validator: function(value) {
+        // A tag that looks like a version would be ambiguous wherever either is accepted
+        return !isValidVersion(value);
+      },
+      message: 'Tag name cannot be a version number'
+    }
+  },
+  deployment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deployment',
+    required: [true, 'Tagged deployment is required']
+  },
+  version: {
+    type: String,
+    required: [true, 'Tagged version is required']
+  },
+  signature: {
+    type: Object
+  }
+}, {
+  timestamps: true
+});
+
+// One tag of each name per repo
+tagSchema.index({ walletAddress: 1, contractRepoName: 1, name: 1 }, { unique: true });
+tagSchema.index({ deployment: 1 });
+
+// Static method to list the tags of a repo with their deployments' hashes
+tagSchema.statics.findByRepo = function(walletAddress, contractRepoName) {
+  return this.find({ walletAddress, contractRepoName })
+    .sort({ name: 1 })
+    .populate('deployment', 'contractCodeHash')
+    .exec();
+};
+
+// Static method to find a single tag of a repo
+tagSchema.statics.findByName = function(walletAddress, contractRepoName, name) {
+  return this.findOne({ walletAddress, contractRepoName, name }).exec();
+};
+
+const Tag = mongoose.model('Tag', tagSchema);
+
+module.exports = Tag;
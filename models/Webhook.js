@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const { checkWebhookUrl } = require('../utils/webhookUrl');
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = [
+  'deployment.created',
+  'deployment.rolled_back',
+  'deployment.linked',
+  'tag.created',
+  'tag.moved',
+  'tag.deleted',
+  'pin.failed',
+  'repository.transferred'
+];
+
+const webhookSchema = new mongoose.Schema({
+  // Wallet that registered the webhook and manages it
+  walletAddress: {
+    type: String,
+    required: [true, 'Wallet address is required'],
+    trim: true
+  },
+  // Null for a webhook covering every repo the wallet owns
+  contractRepoName: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Wallet the webhook's repo was created under, which its events are keyed by
+  repoWalletAddress: {
+    type: String,
+    trim: true
+  },
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true,
+    maxlength: [2048, 'Webhook URL cannot exceed 2048 characters'],
+    // Resolves the host, so loopback, link-local and private addresses are refused at registration
+    validate: {
+      validator: async function(value) {
+        const problem = await checkWebhookUrl(value);
+        if (problem) throw new Error(problem);
+        return true;
+      },
+      message: props => props.reason.message
+    }
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: {
+        values: WEBHOOK_EVENTS,
+        message: `Webhook events must be among: ${WEBHOOK_EVENTS.join(', ')}`
+      }
+    }],
+    validate: {
+      validator: function(value) {
+        return value.length > 0;
+      },
+      message: 'Webhook must subscribe to at least one event'
+    }
+  },
+  // HMAC-SHA256 key for payload signatures; only returned when the webhook is created
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  signature: {
+    type: Object
+  }
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ walletAddress: 1, contractRepoName: 1 });
+webhookSchema.index({ repoWalletAddress: 1, contractRepoName: 1 });
+
+// Static method to find the active webhooks subscribed to an event in a repo: the repo's own
+// webhooks, and the wallet-wide webhooks of its current owner
+webhookSchema.statics.findSubscribers = function(walletAddress, contractRepoName, owner, event) {
+  return this.find({
+    $or: [
+      { repoWalletAddress: walletAddress, contractRepoName },
+      { walletAddress: owner, contractRepoName: null }
+    ],
+    events: event,
+    active: true
+  }).exec();
+};
+
+// Static method to populate repoWalletAddress on repo webhooks registered before it existed, when
+// only the creating wallet could register them
+webhookSchema.statics.backfillRepoWallets = async function() {
+  const result = await this.updateMany(
+    { contractRepoName: { $ne: null }, repoWalletAddress: { $exists: false } },
+    [{ $set: { repoWalletAddress: '$walletAddress' } }]
+  ).exec();
+  return result.modifiedCount;
+};
+
+// Static method to list the webhooks of a wallet
+webhookSchema.statics.findByWallet = function(walletAddress) {
+  return this.find({ walletAddress }).sort({ createdAt: -1 }).exec();
+};
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+Webhook.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+
+module.exports = Webhook;
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Deliveries are kept this long for inspection and redelivery
+const DELIVERY_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: [true, 'Webhook is required']
+  },
+  event: {
+    type: String,
+    required: [true, 'Event is required']
+  },
+  payload: {
+    type: Object,
+    required: [true, 'Payload is required']
+  },
+  // pending: awaiting its first attempt or a retry; delivered: a 2xx response was received;
+  // dead: every attempt failed and no more retries will be made
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'dead'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAttemptAt: {
+    type: Date
+  },
+  lastResponseStatus: {
+    type: Number
+  },
+  lastError: {
+    type: String
+  },
+  deliveredAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: DELIVERY_RETENTION_SECONDS
+  }
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+// Static method to claim a due delivery, hiding it from other workers until the lease expires
+webhookDeliverySchema.statics.claimDue = function(leaseMs) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + leaseMs) } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  ).exec();
+};
+
+// Static method to list the most recent deliveries of a webhook
+webhookDeliverySchema.statics.findRecent = function(webhookId, { status, limit }) {
+  const filter = { webhook: webhookId };
+  if (status) filter.status = status;
+  return this.find(filter).sort({ createdAt: -1 }).limit(limit).exec();
+};
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
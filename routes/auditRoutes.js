@@ -0,0 +1,14 @@
+const express = require('express');
+const { listAudits } = require('../controllers/auditController');
+
+const router = express.Router();
+
+/**
+ * @route   GET /audits
+ * @desc    List recent content audit reports, newest first
+ * @query   walletAddress, repo to limit to one repository's audits; limit
+ * @access  Public
+ */
+router.get('/audits', listAudits);
+
+module.exports = router;
@@ -1,40 +1,242 @@
 const express = require('express');
 const {
   createDeployment,
+  rollbackDeployment,
   getDeploymentsByWallet,
   getRepoDeploymentHistory,
+  getRepoDeploymentDiff,
+  getRepoChangelog,
+  getDeploymentInterface,
+  resolveRepoVersion,
   getContractCode
 } = require('../controllers/deploymentController');
+const { listTags, setTag, deleteTag } = require('../controllers/tagController');
+const { exportRepo, importRepo } = require('../controllers/archiveController');
+const {
+  getRetentionPolicy,
+  setRetentionPolicy,
+  getRepoPins,
+  reconcileRepoPins
+} = require('../controllers/pinController');
+const { auditRepo } = require('../controllers/auditController');
+const { getProjectPath, getProjectTree } = require('../controllers/projectController');
+const { resolveRepoParam } = require('../controllers/repositoryController');
+const { getStorageQuota } = require('../controllers/quotaController');
+const {
+  linkOnChain,
+  getRepoOnChain,
+  getCurrentOnNetwork,
+  getByContractAddress,
+  getByTxId
+} = require('../controllers/onChainController');
+const { multipartBody } = require('../utils/multipart');
+const { validateRequest } = require('../utils/validation');
+const operations = require('../schemas/deploymentSchemas');
+const rateLimiter = require('../services/rateLimiter');
 
 const router = express.Router();
 
+// Repositories stay addressable under their creating wallet after an ownership transfer
+router.param('repo', resolveRepoParam);
+
 /**
  * @route   POST /deploy
  * @desc    Create a new deployment with automatic versioning and IPFS storage
- * @access  Public
+ *          JSON with contractCode or files, or multipart/form-data with one part per project file
+ * @access  Wallet signature
  */
-router.post('/deploy', createDeployment);
+router.post('/deploy', multipartBody({ limit: '10mb', jsonFields: ['signature', 'git', 'onChain'] }), rateLimiter.limit('deploy'), validateRequest(operations.createDeployment), createDeployment);
 
 /**
  * @route   GET /deployments/:walletAddress
  * @desc    Get all deployments for a specific wallet address
+ * @query   limit, cursor; sort=version|deployedAt, order=asc|desc; range, since, until, hash; fields
  * @access  Public
  */
-router.get('/deployments/:walletAddress', getDeploymentsByWallet);
+router.get('/deployments/:walletAddress', rateLimiter.limit('read'), validateRequest(operations.getDeploymentsByWallet), getDeploymentsByWallet);
 
 /**
  * @route   GET /deployments/:walletAddress/:repo
  * @desc    Get deployment history for a specific repository
- * @query   includeCode=true to retrieve actual contract code from IPFS
+ * @query   limit, cursor; sort=version|deployedAt, order=asc|desc; range, since, until, hash; fields;
+ *          excludeCode=true to skip retrieving contract code from IPFS
+ * @access  Public
+ */
+router.get('/deployments/:walletAddress/:repo', rateLimiter.limit('read'), validateRequest(operations.getRepoDeploymentHistory), getRepoDeploymentHistory);
+
+/**
+ * @route   GET /deployments/:walletAddress/:repo/diff
+ * @desc    Diff the contract code of two versions of a repository
+ * @query   from, to (versions); format=patch for a plain unified diff
+ * @access  Public
+ */
+router.get('/deployments/:walletAddress/:repo/diff', rateLimiter.limit('read'), validateRequest(operations.getRepoDeploymentDiff), getRepoDeploymentDiff);
+
+/**
+ * @route   GET /deployments/:walletAddress/:repo/changelog
+ * @desc    Render the changelog of a repository, grouped by major and minor version
+ * @query   format=markdown for a Markdown document
+ * @access  Public
+ */
+router.get('/deployments/:walletAddress/:repo/changelog', validateRequest(operations.getRepoChangelog), getRepoChangelog);
+
+/**
+ * @route   GET /deployments/:walletAddress/:repo/resolve
+ * @desc    Resolve the highest deployment satisfying an npm-style version range
+ * @query   range (e.g. ^1.2.0, ~1.2, >=1.0.0 <2, 1.x || 2.x)
+ * @access  Public
+ */
+router.get('/deployments/:walletAddress/:repo/resolve', validateRequest(operations.resolveRepoVersion), resolveRepoVersion);
+
+/**
+ * @route   GET /deployments/:walletAddress/:repo/:version/interface
+ * @desc    Get the Clarity interface summary of a version
+ * @access  Public
+ */
+router.get('/deployments/:walletAddress/:repo/:version/interface', rateLimiter.limit('read'), validateRequest(operations.getDeploymentInterface), getDeploymentInterface);
+
+/**
+ * @route   POST /deployments/:walletAddress/:repo/:version/onchain
+ * @desc    Link a version to the contract it was deployed as on a network, or add the link's txId
+ * @access  Wallet signature
+ */
+router.post('/deployments/:walletAddress/:repo/:version/onchain', validateRequest(operations.linkOnChain), linkOnChain);
+
+/**
+ * @route   GET /deployments/:walletAddress/:repo/onchain
+ * @desc    List a repository's on-chain deployments and its current version on each network
+ * @access  Public
+ */
+router.get('/deployments/:walletAddress/:repo/onchain', validateRequest(operations.getRepoOnChain), getRepoOnChain);
+
+/**
+ * @route   GET /deployments/:walletAddress/:repo/onchain/:network
+ * @desc    Get the current version of a repository on a network, with its contract code
+ * @query   excludeCode=true to skip retrieving contract code from IPFS
+ * @access  Public
+ */
+router.get('/deployments/:walletAddress/:repo/onchain/:network', rateLimiter.limit('read'), validateRequest(operations.getCurrentOnNetwork), getCurrentOnNetwork);
+
+/**
+ * @route   POST /deployments/:walletAddress/:repo/rollback
+ * @desc    Republish an earlier version's contract code as a new version
+ * @access  Wallet signature
+ */
+router.post('/deployments/:walletAddress/:repo/rollback', rateLimiter.limit('deploy'), validateRequest(operations.rollbackDeployment), rollbackDeployment);
+
+/**
+ * @route   GET /deployments/:walletAddress/:repo/export
+ * @desc    Export every version and tag of a repository as a CARv1 archive
+ * @access  Public
+ */
+router.get('/deployments/:walletAddress/:repo/export', rateLimiter.limit('read'), validateRequest(operations.exportRepo), exportRepo);
+
+/**
+ * @route   POST /deployments/:walletAddress/:repo/import
+ * @desc    Import a CARv1 archive, verifying each block and keeping the original versions
+ * @access  Wallet signature
+ */
+router.post('/deployments/:walletAddress/:repo/import', rateLimiter.limit('deploy'), validateRequest(operations.importRepo), importRepo);
+
+/**
+ * @route   GET /deployments/:walletAddress/:repo/tags
+ * @desc    List the named tags of a repository
+ * @access  Public
+ */
+router.get('/deployments/:walletAddress/:repo/tags', validateRequest(operations.listTags), listTags);
+
+/**
+ * @route   PUT /deployments/:walletAddress/:repo/tags/:tag
+ * @desc    Create a tag or move it to another version
+ * @access  Wallet signature
+ */
+router.put('/deployments/:walletAddress/:repo/tags/:tag', validateRequest(operations.setTag), setTag);
+
+/**
+ * @route   DELETE /deployments/:walletAddress/:repo/tags/:tag
+ * @desc    Delete a tag
+ * @access  Wallet signature
+ */
+router.delete('/deployments/:walletAddress/:repo/tags/:tag', validateRequest(operations.deleteTag), deleteTag);
+
+/**
+ * @route   GET /deployments/:walletAddress/:repo/retention
+ * @desc    Get the pin retention policy of a repository
  * @access  Public
  */
-router.get('/deployments/:walletAddress/:repo', getRepoDeploymentHistory);
+router.get('/deployments/:walletAddress/:repo/retention', validateRequest(operations.getRetentionPolicy), getRetentionPolicy);
+
+/**
+ * @route   PUT /deployments/:walletAddress/:repo/retention
+ * @desc    Create or replace the pin retention policy of a repository
+ * @access  Wallet signature
+ */
+router.put('/deployments/:walletAddress/:repo/retention', validateRequest(operations.setRetentionPolicy), setRetentionPolicy);
+
+/**
+ * @route   GET /deployments/:walletAddress/:repo/pins
+ * @desc    Report the pin state of every version and recent reconciliations
+ * @access  Public
+ */
+router.get('/deployments/:walletAddress/:repo/pins', validateRequest(operations.getRepoPins), getRepoPins);
+
+/**
+ * @route   POST /deployments/:walletAddress/:repo/pins/reconcile
+ * @desc    Re-pin retained versions and unpin the rest; dryRun=true only reports
+ * @access  Wallet signature (owner, or any role for dryRun)
+ */
+router.post('/deployments/:walletAddress/:repo/pins/reconcile', rateLimiter.limit('read'), validateRequest(operations.reconcileRepoPins), reconcileRepoPins);
+
+/**
+ * @route   POST /deployments/:walletAddress/:repo/audit
+ * @desc    Check every version's content is retrievable and matches its CID
+ * @access  Wallet signature (owner)
+ */
+router.post('/deployments/:walletAddress/:repo/audit', rateLimiter.limit('read'), validateRequest(operations.auditRepo), auditRepo);
 
 /**
  * @route   GET /contract/:hash
- * @desc    Get contract code from IPFS hash
+ * @desc    Get contract code from IPFS hash, verified against the hash (immutable; ETag/If-None-Match supported)
+ * @access  Public
+ */
+router.get('/contract/:hash', rateLimiter.limit('read'), validateRequest(operations.getContractCode), getContractCode);
+
+/**
+ * @route   GET /contract/:hash/*
+ * @desc    Get one file of a multi-file project, or list one of its directories
+ * @query   format=raw for the file bytes
+ * @access  Public
+ */
+router.get('/contract/:hash/*', rateLimiter.limit('read'), validateRequest(operations.getProjectPath), getProjectPath);
+
+/**
+ * @route   GET /tree/:hash
+ * @desc    List every file and directory of a multi-file project
+ * @access  Public
+ */
+router.get('/tree/:hash', rateLimiter.limit('read'), validateRequest(operations.getProjectTree), getProjectTree);
+
+/**
+ * @route   GET /onchain/contract/:contractAddress
+ * @desc    Find the version deployed at a contract principal or address, with its contract code
+ * @query   network; excludeCode=true to skip retrieving contract code from IPFS
+ * @access  Public
+ */
+router.get('/onchain/contract/:contractAddress', rateLimiter.limit('read'), validateRequest(operations.getByContractAddress), getByContractAddress);
+
+/**
+ * @route   GET /onchain/tx/:txId
+ * @desc    Find the version deployed by a transaction, with its contract code
+ * @query   network; excludeCode=true to skip retrieving contract code from IPFS
+ * @access  Public
+ */
+router.get('/onchain/tx/:txId', rateLimiter.limit('read'), validateRequest(operations.getByTxId), getByTxId);
+
+/**
+ * @route   GET /quota/:walletAddress
+ * @desc    Get a wallet's cumulative uploaded bytes and remaining storage quota
  * @access  Public
  */
-router.get('/contract/:hash', getContractCode);
+router.get('/quota/:walletAddress', validateRequest(operations.getStorageQuota), getStorageQuota);
 
 module.exports = router;
\ No newline at end of file
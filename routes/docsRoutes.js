@@ -0,0 +1,20 @@
+const express = require('express');
+const { getOpenApiDocument, getDocsPage } = require('../controllers/docsController');
+
+const router = express.Router();
+
+/**
+ * @route   GET /openapi.json
+ * @desc    Get the OpenAPI 3.1 document generated from the route schemas
+ * @access  Public
+ */
+router.get('/openapi.json', getOpenApiDocument);
+
+/**
+ * @route   GET /docs
+ * @desc    Browse the OpenAPI document with Swagger UI
+ * @access  Public
+ */
+router.get('/docs', getDocsPage);
+
+module.exports = router;
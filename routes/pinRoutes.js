@@ -0,0 +1,14 @@
+const express = require('express');
+const { listReconciliations } = require('../controllers/pinController');
+
+const router = express.Router();
+
+/**
+ * @route   GET /pins/reports
+ * @desc    List recent pin reconciliation reports, newest first
+ * @query   walletAddress, repo to limit to one repository's runs; limit
+ * @access  Public
+ */
+router.get('/pins/reports', listReconciliations);
+
+module.exports = router;
@@ -0,0 +1,67 @@
+const express = require('express');
+const {
+  resolveRepoParam,
+  listRepositories,
+  getRepository,
+  setCollaborator,
+  removeCollaborator,
+  requestTransfer,
+  cancelTransfer,
+  acceptTransfer
+} = require('../controllers/repositoryController');
+
+const router = express.Router();
+
+// Address repositories by their creating wallet or their current owner
+router.param('repo', resolveRepoParam);
+
+/**
+ * @route   GET /repos/:walletAddress
+ * @desc    List the repositories a wallet owns or collaborates on
+ * @access  Public
+ */
+router.get('/repos/:walletAddress', listRepositories);
+
+/**
+ * @route   GET /repos/:walletAddress/:repo
+ * @desc    Get the owner, collaborators and ownership transfers of a repository
+ * @access  Public
+ */
+router.get('/repos/:walletAddress/:repo', getRepository);
+
+/**
+ * @route   PUT /repos/:walletAddress/:repo/collaborators/:collaborator
+ * @desc    Add a collaborator (deployer or viewer) or change their role
+ * @access  Wallet signature (owner)
+ */
+router.put('/repos/:walletAddress/:repo/collaborators/:collaborator', setCollaborator);
+
+/**
+ * @route   DELETE /repos/:walletAddress/:repo/collaborators/:collaborator
+ * @desc    Remove a collaborator
+ * @access  Wallet signature (owner)
+ */
+router.delete('/repos/:walletAddress/:repo/collaborators/:collaborator', removeCollaborator);
+
+/**
+ * @route   POST /repos/:walletAddress/:repo/transfer
+ * @desc    Offer ownership of a repository to another wallet
+ * @access  Wallet signature (owner)
+ */
+router.post('/repos/:walletAddress/:repo/transfer', requestTransfer);
+
+/**
+ * @route   DELETE /repos/:walletAddress/:repo/transfer
+ * @desc    Withdraw a pending ownership transfer
+ * @access  Wallet signature (owner)
+ */
+router.delete('/repos/:walletAddress/:repo/transfer', cancelTransfer);
+
+/**
+ * @route   POST /repos/:walletAddress/:repo/transfer/accept
+ * @desc    Accept a pending ownership transfer; the history stays with the repository
+ * @access  Wallet signature (new owner)
+ */
+router.post('/repos/:walletAddress/:repo/transfer/accept', acceptTransfer);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const { searchDeployments } = require('../controllers/searchController');
+
+const router = express.Router();
+
+/**
+ * @route   GET /search
+ * @desc    Search deployments across repositories, best matches first
+ * @query   q (source text), repo + repoMatch=prefix|fuzzy, walletAddress, function, trait;
+ *          latest=true for one result per repo; offset, limit
+ * @access  Public
+ */
+router.get('/search', searchDeployments);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const { streamDeployments } = require('../controllers/streamController');
+
+const router = express.Router();
+
+/**
+ * @route   GET /stream/deployments
+ * @desc    Stream newly saved deployments as Server-Sent Events
+ * @query   walletAddress, repo to filter; Last-Event-ID header to replay missed deployments
+ * @access  Public
+ */
+router.get('/stream/deployments', streamDeployments);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require('express');
+const {
+  createWebhook,
+  listWebhooks,
+  deleteWebhook,
+  listDeliveries,
+  redeliverDelivery
+} = require('../controllers/webhookController');
+
+const router = express.Router();
+
+/**
+ * @route   POST /webhooks/:walletAddress
+ * @desc    Register a webhook for a repository or a whole wallet
+ * @access  Wallet signature
+ */
+router.post('/webhooks/:walletAddress', createWebhook);
+
+/**
+ * @route   GET /webhooks/:walletAddress
+ * @desc    List the webhooks of a wallet, with URLs redacted
+ * @access  Public
+ */
+router.get('/webhooks/:walletAddress', listWebhooks);
+
+/**
+ * @route   DELETE /webhooks/:walletAddress/:id
+ * @desc    Delete a webhook
+ * @access  Wallet signature
+ */
+router.delete('/webhooks/:walletAddress/:id', deleteWebhook);
+
+/**
+ * @route   GET /webhooks/:walletAddress/:id/deliveries
+ * @desc    List the most recent deliveries of a webhook
+ * @query   status=pending|delivered|dead, limit
+ * @access  Public
+ */
+router.get('/webhooks/:walletAddress/:id/deliveries', listDeliveries);
+
+/**
+ * @route   POST /webhooks/:walletAddress/:id/deliveries/:deliveryId/redeliver
+ * @desc    Redeliver a delivery now, resetting its retry schedule
+ * @access  Wallet signature
+ */
+router.post('/webhooks/:walletAddress/:id/deliveries/:deliveryId/redeliver', redeliverDelivery);
+
+module.exports = router;
@@ -0,0 +1,342 @@
+/**
+ * Schemas shared by the API's operations, published under components.schemas of the OpenAPI
+ * document and referenced from operations with ref()
+ */
+
+const { BUMP_TYPES, SEMVER_PATTERN } = require('../utils/versionManager');
+const { MAX_PROJECT_FILES } = require('../utils/project');
+const Deployment = require('../models/Deployment');
+const { NETWORKS } = require('../utils/onChain');
+
+/**
+ * Builds a reference to a shared schema
+ * @param {string} name - Schema name
+ * @returns {Object} $ref schema
+ */
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * Allows null in addition to a schema
+ * @param {Object} schema - Schema
+ * @returns {Object} Schema accepting the value or null
+ */
+const nullable = (schema) => (schema.type ? { ...schema, type: [].concat(schema.type, 'null') } : { anyOf: [schema, { type: 'null' }] });
+
+/**
+ * Builds the schema of a successful response envelope
+ * @param {Object} data - Schema of the data property
+ * @returns {Object} Envelope schema
+ */
+const envelope = (data) => ({
+  type: 'object',
+  required: ['success', 'message', 'data'],
+  properties: {
+    success: { const: true },
+    message: { type: 'string' },
+    data
+  }
+});
+
+const schemas = {
+  WalletAddress: {
+    type: 'string',
+    minLength: 1,
+    description: 'Ethereum (0x...) or Stacks (SP.../ST...) wallet address',
+    example: 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7'
+  },
+  RepoName: {
+    type: 'string',
+    minLength: 1,
+    maxLength: 100,
+    pattern: '^[^\\u0000-\\u001f\\u007f]*$',
+    'x-message': 'must not contain control characters',
+    example: 'my-token'
+  },
+  Version: {
+    type: 'string',
+    pattern: SEMVER_PATTERN.source,
+    'x-message': 'must be a semantic version, e.g. 1.2.0 or 1.3.0-beta.2',
+    example: '1.2.0'
+  },
+  Cid: {
+    type: 'string',
+    minLength: 1,
+    description: 'IPFS content identifier (CIDv0)',
+    example: 'QmXF9VENWfAL3qXLiRQbbKJAXRU6Xx4uwqcsDZGQPRZha5'
+  },
+  Bump: {
+    type: 'string',
+    enum: BUMP_TYPES
+  },
+  Network: {
+    type: 'string',
+    enum: NETWORKS
+  },
+  ContractAddress: {
+    type: 'string',
+    minLength: 1,
+    description: 'Stacks contract principal (ADDRESS.contract-name) or 0x-prefixed EVM contract address',
+    example: 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7.my-token'
+  },
+  TxId: {
+    type: 'string',
+    pattern: '^(0x)?[0-9a-fA-F]{64}$',
+    'x-message': 'must be 32 bytes of hex, optionally 0x-prefixed',
+    example: '0x3f1a5c9e0b7d2f4a6c8e1b3d5f7a9c0e2b4d6f8a1c3e5b7d9f0a2c4e6b8d1f3a'
+  },
+  Timestamp: {
+    type: 'string',
+    format: 'date-time'
+  },
+  FieldError: {
+    type: 'object',
+    required: ['field', 'message'],
+    properties: {
+      field: { type: 'string', description: 'Location and path of the field, e.g. body.git.sha', example: 'body.bump' },
+      message: { type: 'string', example: 'must be one of: major, minor, patch' }
+    }
+  },
+  Error: {
+    type: 'object',
+    required: ['success', 'message'],
+    properties: {
+      success: { const: false },
+      message: { type: 'string' },
+      error: { type: 'string', description: 'Underlying error' },
+      code: { type: 'string', description: 'Machine-readable error code, e.g. CONTENT_CID_MISMATCH' },
+      errors: {
+        type: 'array',
+        description: 'Field-level problems for request validation failures; messages for model validation failures',
+        items: { anyOf: [ref('FieldError'), { type: 'string' }] }
+      },
+      rateLimit: ref('RateLimit'),
+      quota: ref('Quota')
+    }
+  },
+  RateLimit: {
+    type: 'object',
+    required: ['policy', 'scope', 'limit', 'remaining', 'resetAt'],
+    properties: {
+      policy: { type: 'string', enum: ['deploy', 'read'] },
+      scope: { type: 'string', enum: ['ip', 'wallet'] },
+      limit: { type: 'integer', minimum: 1 },
+      remaining: { type: 'integer', minimum: 0 },
+      windowSeconds: { type: 'integer', minimum: 1 },
+      resetAt: ref('Timestamp')
+    }
+  },
+  Signature: {
+    type: 'object',
+    description: 'Wallet signature over the action message (see the README). Requests without one are rejected with 401.',
+    properties: {
+      type: { type: 'string', enum: ['ethereum', 'stacks'] },
+      signature: { type: 'string', minLength: 1 },
+      nonce: { type: 'string', minLength: 1 },
+      timestamp: {
+        type: ['string', 'integer'],
+        minLength: 1,
+        minimum: 0,
+        description: 'Signing time, as an ISO 8601 string or as epoch milliseconds, exactly as it appears in the signed message'
+      }
+    }
+  },
+  GitCommit: {
+    type: 'object',
+    properties: {
+      sha: { type: 'string', pattern: '^[0-9a-fA-F]{7,64}$', 'x-message': 'must be 7 to 64 hexadecimal characters' },
+      branch: { type: 'string', maxLength: 255 }
+    }
+  },
+  Signer: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: ['ethereum', 'stacks'] },
+      publicKey: { type: 'string' }
+    }
+  },
+  PinState: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: Deployment.PIN_STATUSES },
+      error: nullable({ type: 'string' }),
+      checkedAt: nullable(ref('Timestamp'))
+    }
+  },
+  Rollback: {
+    type: 'object',
+    properties: {
+      fromVersion: nullable({ type: 'string' }),
+      toVersion: { type: 'string' }
+    }
+  },
+  ProjectFile: {
+    type: 'object',
+    required: ['path', 'hash', 'size'],
+    properties: {
+      path: { type: 'string' },
+      hash: ref('Cid'),
+      size: { type: 'integer', minimum: 0 }
+    }
+  },
+  FileChanges: {
+    type: 'object',
+    properties: {
+      added: { type: 'array', items: { type: 'string' } },
+      modified: { type: 'array', items: { type: 'string' } },
+      removed: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  ProjectFiles: {
+    type: 'object',
+    description: `Map of relative "/"-separated file path to file content (at most ${MAX_PROJECT_FILES} files)`,
+    additionalProperties: { type: 'string' },
+    example: { 'Clarinet.toml': '[project]\nname = "my-token"\n', 'contracts/token.clar': '(define-public (transfer) (ok true))' }
+  },
+  OnChainLinkInput: {
+    type: 'object',
+    required: ['network', 'contractAddress'],
+    properties: {
+      network: ref('Network'),
+      contractAddress: ref('ContractAddress'),
+      txId: ref('TxId')
+    }
+  },
+  OnChainLink: {
+    type: 'object',
+    required: ['network', 'contractAddress'],
+    properties: {
+      network: ref('Network'),
+      contractAddress: ref('ContractAddress'),
+      txId: nullable(ref('TxId')),
+      linkedBy: nullable(ref('WalletAddress')),
+      linkedAt: ref('Timestamp')
+    }
+  },
+  LinkedDeployment: {
+    type: 'object',
+    required: ['id', 'walletAddress', 'contractRepoName', 'version', 'contractCodeHash'],
+    properties: {
+      id: { type: 'string' },
+      walletAddress: ref('WalletAddress'),
+      contractRepoName: ref('RepoName'),
+      version: ref('Version'),
+      contractCodeHash: ref('Cid'),
+      deployedAt: ref('Timestamp')
+    }
+  },
+  OnChainDeployment: {
+    type: 'object',
+    required: ['id', 'walletAddress', 'contractRepoName', 'version', 'contractCodeHash', 'onChain'],
+    properties: {
+      id: { type: 'string' },
+      walletAddress: ref('WalletAddress'),
+      contractRepoName: ref('RepoName'),
+      version: ref('Version'),
+      contractCodeHash: ref('Cid'),
+      deployedAt: ref('Timestamp'),
+      onChain: { type: 'array', items: ref('OnChainLink') }
+    }
+  },
+  HistoryRow: {
+    type: 'object',
+    description: 'A deployment in a history listing; only the fields selected with ?fields= are present',
+    properties: {
+      id: { type: 'string' },
+      walletAddress: ref('WalletAddress'),
+      contractRepoName: ref('RepoName'),
+      contractCodeHash: ref('Cid'),
+      version: ref('Version'),
+      deployedAt: ref('Timestamp'),
+      codeChanged: { type: 'boolean' },
+      message: nullable({ type: 'string' }),
+      author: nullable({ type: 'string' }),
+      git: nullable(ref('GitCommit')),
+      rollback: nullable(ref('Rollback')),
+      pin: nullable(ref('PinState')),
+      deployedBy: ref('WalletAddress'),
+      signer: nullable(ref('Signer')),
+      files: nullable({ type: 'array', items: ref('ProjectFile') }),
+      fileChanges: nullable(ref('FileChanges')),
+      onChain: nullable({ type: 'array', items: ref('OnChainLink') }),
+      contractCode: { description: 'Contract code object, or a map of file path to text for projects' },
+      contractCodeError: { type: 'string', description: 'Set instead of contractCode when it could not be retrieved' }
+    }
+  },
+  Quota: {
+    type: 'object',
+    required: ['walletAddress', 'limit', 'used', 'remaining', 'uploads'],
+    properties: {
+      walletAddress: ref('WalletAddress'),
+      limit: nullable({ type: 'integer', description: 'Quota in bytes; null when there is none' }),
+      used: { type: 'integer', minimum: 0 },
+      remaining: nullable({ type: 'integer', minimum: 0 }),
+      uploads: { type: 'integer', minimum: 0 },
+      requested: { type: 'integer', description: 'Size of the rejected upload (413 responses only)' }
+    }
+  },
+  Tag: {
+    type: 'object',
+    required: ['name', 'version'],
+    properties: {
+      name: { type: 'string' },
+      version: ref('Version'),
+      deploymentId: { type: 'string' },
+      contractCodeHash: ref('Cid'),
+      createdAt: ref('Timestamp'),
+      updatedAt: ref('Timestamp'),
+      previousVersion: nullable(ref('Version'))
+    }
+  },
+  RetentionPolicy: {
+    type: 'object',
+    properties: {
+      keepLast: { type: 'integer', minimum: 1 },
+      keepTagged: { type: 'boolean' },
+      keepMajors: { type: 'boolean' },
+      createdAt: ref('Timestamp'),
+      updatedAt: ref('Timestamp')
+    }
+  },
+  Reconciliation: {
+    type: 'object',
+    required: ['id', 'trigger', 'dryRun', 'status', 'summary'],
+    properties: {
+      id: { type: 'string' },
+      walletAddress: nullable(ref('WalletAddress')),
+      contractRepoName: nullable(ref('RepoName')),
+      trigger: { type: 'string', enum: ['schedule', 'manual'] },
+      dryRun: { type: 'boolean' },
+      status: { type: 'string', enum: ['running', 'completed', 'failed'] },
+      error: nullable({ type: 'string' }),
+      startedAt: ref('Timestamp'),
+      finishedAt: nullable(ref('Timestamp')),
+      summary: { type: 'object' },
+      actions: { type: 'array', items: { type: 'object' } },
+      actionsTruncated: { type: 'boolean' }
+    }
+  },
+  Audit: {
+    type: 'object',
+    required: ['id', 'trigger', 'status', 'summary'],
+    properties: {
+      id: { type: 'string' },
+      walletAddress: nullable(ref('WalletAddress')),
+      contractRepoName: nullable(ref('RepoName')),
+      trigger: { type: 'string', enum: ['schedule', 'manual'] },
+      status: { type: 'string', enum: ['running', 'completed', 'failed'] },
+      error: nullable({ type: 'string' }),
+      startedAt: ref('Timestamp'),
+      finishedAt: nullable(ref('Timestamp')),
+      summary: { type: 'object' },
+      problems: { type: 'array', items: { type: 'object' } },
+      problemsTruncated: { type: 'boolean' }
+    }
+  }
+};
+
+module.exports = {
+  schemas,
+  ref,
+  nullable,
+  envelope
+};
@@ -0,0 +1,748 @@
+/**
+ * Request and response schemas of the routes in routes/deploymentRoutes.js, keyed by handler name
+ *
+ * Each operation gives its Express method and path, OpenAPI summary and tags, object schemas for
+ * its path params, query and body, and its responses by status code. A response has a JSON
+ * schema, or a content map for other media types. The routes validate requests against these
+ * (utils/validation.js), and the OpenAPI document is generated from them (utils/openapi.js).
+ */
+
+const { ref, nullable, envelope } = require('./components');
+const { MAX_PROJECT_FILES } = require('../utils/project');
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid request; errors lists each invalid field',
+  401: 'Missing, invalid, expired or replayed wallet signature',
+  403: 'The signing wallet lacks the repository role the action requires',
+  404: 'Not found',
+  409: 'Conflicts with the current state of the repository',
+  413: 'Request body too large, or storage quota exceeded (quota gives the remaining bytes)',
+  429: 'Rate limit exceeded (rateLimit gives the limit and reset time)',
+  500: 'Server error',
+  502: 'IPFS content could not be retrieved, or does not match its CID'
+};
+
+/**
+ * Builds the error responses of an operation
+ * @param {...number} codes - Status codes
+ * @returns {Object} Responses by status code
+ */
+const errors = (...codes) => Object.fromEntries(
+  codes.map(code => [code, { description: ERROR_DESCRIPTIONS[code], schema: ref('Error') }])
+);
+
+/**
+ * Builds an object schema from property schemas
+ * @param {Object} properties - Property schemas
+ * @param {string[]} required - Required properties
+ * @returns {Object} Object schema
+ */
+const object = (properties, required = []) => ({ type: 'object', properties, required });
+
+const repoParams = object({ walletAddress: ref('WalletAddress'), repo: ref('RepoName') }, ['walletAddress', 'repo']);
+const hashParams = object({ hash: ref('Cid') }, ['hash']);
+
+// Query of the on-chain lookups, which return the version's source unless excluded
+const lookupQuery = object({
+  network: ref('Network'),
+  excludeCode: { type: 'string', enum: ['true', 'false'], description: '"true" to leave out the contract code' }
+});
+
+// A version found by an on-chain lookup, with its source
+const linkedSource = {
+  contractCode: { description: 'Contract code object, or a map of file path to text for projects' },
+  contractCodeError: { type: 'string', description: 'Set instead of contractCode when it could not be retrieved' }
+};
+
+// Query parameters shared by the history routes
+const historyQuery = {
+  limit: { type: 'integer', minimum: 1, description: 'Page size (default 20, at most 100)' },
+  cursor: { type: 'string', description: 'nextCursor of the previous page' },
+  sort: { type: 'string', enum: ['version', 'deployedAt'] },
+  order: { type: 'string', enum: ['asc', 'desc'] },
+  range: { type: 'string', description: 'npm-style version range, e.g. ^1.2.0' },
+  since: { type: 'string', description: 'ISO 8601 date; deployments at or after it' },
+  until: { type: 'string', description: 'ISO 8601 date; deployments at or before it' },
+  hash: ref('Cid'),
+  fields: { type: 'string', description: 'Comma-separated HistoryRow fields to return' }
+};
+
+// Optional commit metadata accepted by deploys and rollbacks
+const commitMetadata = {
+  message: { type: 'string', maxLength: 2000 },
+  author: { type: 'string', maxLength: 200 },
+  git: ref('GitCommit')
+};
+
+const historyPage = {
+  deployments: { type: 'array', items: ref('HistoryRow') },
+  nextCursor: nullable({ type: 'string' }),
+  total: { type: 'integer', minimum: 0 }
+};
+
+const operations = {
+  createDeployment: {
+    method: 'post',
+    path: '/deploy',
+    tags: ['Deployments'],
+    summary: 'Deploy a new version of a repository',
+    description: 'Send either contractCode (one JSON object) or files (a multi-file project), not both. '
+      + 'As multipart/form-data, each file is a part whose filename is its project path, and signature, git and onChain are JSON-encoded fields.',
+    query: object({
+      walletAddress: { ...ref('WalletAddress'), description: 'Signing wallet, whose remaining storage quota is reported if the body is too large' }
+    }),
+    body: {
+      contentTypes: ['application/json', 'multipart/form-data'],
+      schema: object({
+        walletAddress: { ...ref('WalletAddress'), description: 'Signing wallet' },
+        repoOwner: { ...ref('WalletAddress'), description: 'Creating wallet or owner of a repository the signing wallet collaborates on' },
+        contractRepoName: ref('RepoName'),
+        contractCode: { type: 'object', description: 'Contract code object' },
+        files: { ...ref('ProjectFiles'), description: `Project files (at most ${MAX_PROJECT_FILES})` },
+        bump: ref('Bump'),
+        channel: { type: 'string', description: 'Pre-release channel, e.g. beta' },
+        build: { type: 'string', description: 'Build metadata, e.g. sha.5114f85' },
+        ...commitMetadata,
+        onChain: {
+          description: 'On-chain contract(s) the version was deployed as',
+          anyOf: [ref('OnChainLinkInput'), { type: 'array', minItems: 1, items: ref('OnChainLinkInput') }]
+        },
+        signature: ref('Signature')
+      }, ['walletAddress', 'contractRepoName'])
+    },
+    responses: {
+      201: {
+        description: 'Version created',
+        schema: envelope(object({
+          deployment: object({
+            id: { type: 'string' },
+            walletAddress: ref('WalletAddress'),
+            contractRepoName: ref('RepoName'),
+            contractCodeHash: ref('Cid'),
+            version: ref('Version'),
+            channel: nullable({ type: 'string' }),
+            deployedAt: ref('Timestamp'),
+            deployedBy: ref('WalletAddress'),
+            signer: ref('Signer'),
+            message: nullable({ type: 'string' }),
+            author: nullable({ type: 'string' }),
+            git: nullable(ref('GitCommit')),
+            codeChanged: { type: 'boolean' },
+            files: nullable({ type: 'array', items: ref('ProjectFile') }),
+            fileChanges: nullable(ref('FileChanges')),
+            pin: nullable(ref('PinState')),
+            onChain: nullable({ type: 'array', items: ref('OnChainLink') }),
+            bump: nullable(ref('Bump')),
+            bumpReason: { type: 'string' },
+            diagnostics: { type: 'array', items: { type: 'object' } }
+          }, ['id', 'version', 'contractCodeHash']),
+          quota: nullable(ref('Quota'))
+        }, ['deployment']))
+      },
+      ...errors(400, 401, 403, 404, 409, 413, 429, 500, 502)
+    }
+  },
+
+  getDeploymentsByWallet: {
+    method: 'get',
+    path: '/deployments/:walletAddress',
+    tags: ['History'],
+    summary: 'List the deployments of every repository of a wallet',
+    params: object({ walletAddress: ref('WalletAddress') }, ['walletAddress']),
+    query: object(historyQuery),
+    responses: {
+      200: {
+        description: 'A page of deployments, with the latest version of each repository. Without any query parameters, '
+          + 'only the latest version of each repository, keyed by repository name next to walletAddress.',
+        schema: envelope({
+          anyOf: [
+            object({
+              walletAddress: ref('WalletAddress'),
+              repositories: {
+                type: 'object',
+                additionalProperties: object({ version: ref('Version'), ipfsHash: ref('Cid') })
+              },
+              ...historyPage
+            }, ['deployments', 'total']),
+            {
+              ...object({ walletAddress: ref('WalletAddress') }, ['walletAddress']),
+              additionalProperties: object({ version: ref('Version'), ipfsHash: ref('Cid') })
+            }
+          ]
+        })
+      },
+      ...errors(400, 429, 500)
+    }
+  },
+
+  getRepoDeploymentHistory: {
+    method: 'get',
+    path: '/deployments/:walletAddress/:repo',
+    tags: ['History'],
+    summary: 'List the deployment history of a repository',
+    params: repoParams,
+    query: object({
+      ...historyQuery,
+      excludeCode: { type: 'boolean', description: 'Leave out contract code (ignored when fields is given)' }
+    }),
+    responses: {
+      200: { description: 'A page of deployments', schema: envelope(object(historyPage, ['deployments', 'total'])) },
+      ...errors(400, 404, 429, 500)
+    }
+  },
+
+  getRepoDeploymentDiff: {
+    method: 'get',
+    path: '/deployments/:walletAddress/:repo/diff',
+    tags: ['History'],
+    summary: 'Diff the contract code of two versions',
+    params: repoParams,
+    query: object({
+      from: ref('Version'),
+      to: ref('Version'),
+      format: { type: 'string', enum: ['json', 'patch'] }
+    }, ['from', 'to']),
+    responses: {
+      200: {
+        description: 'Structured diff, or a unified diff with format=patch',
+        content: {
+          'application/json': envelope(object({
+            from: object({ version: ref('Version'), contractCodeHash: ref('Cid') }),
+            to: object({ version: ref('Version'), contractCodeHash: ref('Cid') }),
+            codeChanged: { type: 'boolean' },
+            fileChanges: nullable(ref('FileChanges')),
+            diff: object({
+              added: { type: 'array' },
+              removed: { type: 'array' },
+              modified: { type: 'array' }
+            })
+          }, ['from', 'to', 'codeChanged', 'diff'])),
+          'text/plain': { type: 'string' }
+        }
+      },
+      ...errors(400, 404, 429, 500, 502)
+    }
+  },
+
+  getRepoChangelog: {
+    method: 'get',
+    path: '/deployments/:walletAddress/:repo/changelog',
+    tags: ['History'],
+    summary: 'Render the changelog of a repository',
+    params: repoParams,
+    query: object({ format: { type: 'string', enum: ['json', 'markdown'] } }),
+    responses: {
+      200: {
+        description: 'Changelog grouped by major and minor version, highest first',
+        content: {
+          'application/json': envelope(object({
+            walletAddress: ref('WalletAddress'),
+            contractRepoName: ref('RepoName'),
+            changelog: { type: 'array', items: { type: 'object' } }
+          }, ['changelog'])),
+          'text/markdown': { type: 'string' }
+        }
+      },
+      ...errors(400, 404, 500)
+    }
+  },
+
+  resolveRepoVersion: {
+    method: 'get',
+    path: '/deployments/:walletAddress/:repo/resolve',
+    tags: ['History'],
+    summary: 'Resolve the highest version satisfying a range',
+    params: repoParams,
+    query: object({ range: { type: 'string', minLength: 1, description: 'npm-style range, e.g. ^1.2.0, ~1.2, >=1.0.0 <2' } }, ['range']),
+    responses: {
+      200: {
+        description: 'Resolved version',
+        schema: envelope(object({
+          range: { type: 'string' },
+          id: { type: 'string' },
+          version: ref('Version'),
+          ipfsHash: ref('Cid'),
+          deployedAt: ref('Timestamp')
+        }, ['version', 'ipfsHash']))
+      },
+      ...errors(400, 404, 500)
+    }
+  },
+
+  getDeploymentInterface: {
+    method: 'get',
+    path: '/deployments/:walletAddress/:repo/:version/interface',
+    tags: ['History'],
+    summary: 'Get the Clarity interface summary of a version',
+    params: object({ walletAddress: ref('WalletAddress'), repo: ref('RepoName'), version: ref('Version') }, ['walletAddress', 'repo', 'version']),
+    responses: {
+      200: {
+        description: 'Interface summary',
+        schema: envelope(object({
+          walletAddress: ref('WalletAddress'),
+          contractRepoName: ref('RepoName'),
+          version: ref('Version'),
+          contractCodeHash: ref('Cid'),
+          interface: { type: 'object' }
+        }, ['version', 'interface']))
+      },
+      ...errors(400, 404, 429, 500, 502)
+    }
+  },
+
+  rollbackDeployment: {
+    method: 'post',
+    path: '/deployments/:walletAddress/:repo/rollback',
+    tags: ['Deployments'],
+    summary: "Republish an earlier version's code as a new version",
+    params: repoParams,
+    body: {
+      schema: object({
+        version: ref('Version'),
+        bump: ref('Bump'),
+        signer: { ...ref('WalletAddress'), description: 'Signing collaborator, when not the owner' },
+        ...commitMetadata,
+        signature: ref('Signature')
+      }, ['version'])
+    },
+    responses: {
+      201: {
+        description: 'Version created',
+        schema: envelope(object({
+          deployment: object({
+            id: { type: 'string' },
+            walletAddress: ref('WalletAddress'),
+            contractRepoName: ref('RepoName'),
+            contractCodeHash: ref('Cid'),
+            version: ref('Version'),
+            deployedAt: ref('Timestamp'),
+            rollback: ref('Rollback'),
+            message: nullable({ type: 'string' }),
+            author: nullable({ type: 'string' }),
+            git: nullable(ref('GitCommit')),
+            pin: nullable(ref('PinState')),
+            bump: nullable(ref('Bump')),
+            bumpReason: { type: 'string' }
+          }, ['id', 'version', 'rollback'])
+        }, ['deployment']))
+      },
+      ...errors(400, 401, 403, 404, 409, 429, 500, 502)
+    }
+  },
+
+  exportRepo: {
+    method: 'get',
+    path: '/deployments/:walletAddress/:repo/export',
+    tags: ['Archives'],
+    summary: 'Export the history of a repository as a CARv1 archive',
+    params: repoParams,
+    responses: {
+      200: {
+        description: 'CARv1 archive; its root, a JSON manifest, is also given in X-Archive-Root',
+        content: { 'application/vnd.ipld.car': { type: 'string', contentMediaType: 'application/vnd.ipld.car' } }
+      },
+      ...errors(400, 404, 429, 500, 502)
+    }
+  },
+
+  importRepo: {
+    method: 'post',
+    path: '/deployments/:walletAddress/:repo/import',
+    tags: ['Archives'],
+    summary: 'Import a CARv1 archive into a repository',
+    params: repoParams,
+    body: {
+      schema: object({
+        archive: { type: 'string', minLength: 1, contentEncoding: 'base64', description: 'Base64-encoded CAR file' },
+        pin: { type: 'boolean' },
+        signature: ref('Signature')
+      }, ['archive'])
+    },
+    responses: {
+      201: {
+        description: 'Versions imported',
+        schema: envelope(object({
+          archive: ref('Cid'),
+          imported: { type: 'array', items: ref('Version') },
+          skipped: { type: 'array', items: ref('Version') },
+          tags: object({ created: { type: 'array', items: { type: 'string' } }, skipped: { type: 'array', items: { type: 'string' } } }),
+          pinned: { type: 'array', items: ref('Cid') },
+          pinFailures: { type: 'array', items: object({ contractCodeHash: ref('Cid'), error: { type: 'string' } }) },
+          quota: nullable(ref('Quota'))
+        }, ['archive', 'imported', 'skipped']))
+      },
+      ...errors(400, 401, 403, 409, 413, 429, 500)
+    }
+  },
+
+  listTags: {
+    method: 'get',
+    path: '/deployments/:walletAddress/:repo/tags',
+    tags: ['Tags'],
+    summary: 'List the tags of a repository',
+    params: repoParams,
+    responses: {
+      200: {
+        description: 'Tags',
+        schema: envelope(object({
+          walletAddress: ref('WalletAddress'),
+          contractRepoName: ref('RepoName'),
+          tags: { type: 'array', items: ref('Tag') }
+        }, ['tags']))
+      },
+      ...errors(400, 500)
+    }
+  },
+
+  setTag: {
+    method: 'put',
+    path: '/deployments/:walletAddress/:repo/tags/:tag',
+    tags: ['Tags'],
+    summary: 'Create a tag or move it to another version',
+    params: object({ walletAddress: ref('WalletAddress'), repo: ref('RepoName'), tag: { type: 'string', minLength: 1, maxLength: 50 } }, ['walletAddress', 'repo', 'tag']),
+    body: {
+      schema: object({
+        version: ref('Version'),
+        signer: { ...ref('WalletAddress'), description: 'Signing collaborator, when not the owner' },
+        signature: ref('Signature')
+      }, ['version'])
+    },
+    responses: {
+      200: { description: 'Tag moved', schema: envelope(object({ tag: ref('Tag') }, ['tag'])) },
+      201: { description: 'Tag created', schema: envelope(object({ tag: ref('Tag') }, ['tag'])) },
+      ...errors(400, 401, 403, 404, 500)
+    }
+  },
+
+  deleteTag: {
+    method: 'delete',
+    path: '/deployments/:walletAddress/:repo/tags/:tag',
+    tags: ['Tags'],
+    summary: 'Delete a tag',
+    params: object({ walletAddress: ref('WalletAddress'), repo: ref('RepoName'), tag: { type: 'string', minLength: 1 } }, ['walletAddress', 'repo', 'tag']),
+    body: {
+      schema: object({
+        signer: { ...ref('WalletAddress'), description: 'Signing collaborator, when not the owner' },
+        signature: ref('Signature')
+      })
+    },
+    responses: {
+      200: { description: 'Tag deleted', schema: envelope(object({ tag: object({ name: { type: 'string' }, version: ref('Version') }) }, ['tag'])) },
+      ...errors(400, 401, 403, 404, 500)
+    }
+  },
+
+  getRetentionPolicy: {
+    method: 'get',
+    path: '/deployments/:walletAddress/:repo/retention',
+    tags: ['Pins'],
+    summary: 'Get the pin retention policy of a repository',
+    params: repoParams,
+    responses: {
+      200: {
+        description: 'Policy, or null when every version is kept pinned',
+        schema: envelope(object({
+          walletAddress: ref('WalletAddress'),
+          contractRepoName: ref('RepoName'),
+          policy: nullable(ref('RetentionPolicy'))
+        }, ['policy']))
+      },
+      ...errors(400, 500)
+    }
+  },
+
+  setRetentionPolicy: {
+    method: 'put',
+    path: '/deployments/:walletAddress/:repo/retention',
+    tags: ['Pins'],
+    summary: 'Create or replace the pin retention policy of a repository',
+    params: repoParams,
+    body: {
+      schema: object({
+        keepLast: { type: 'integer', minimum: 1, maximum: 10000 },
+        keepTagged: { type: 'boolean' },
+        keepMajors: { type: 'boolean' },
+        signature: ref('Signature')
+      }, ['keepLast'])
+    },
+    responses: {
+      200: { description: 'Policy replaced', schema: envelope(object({ policy: ref('RetentionPolicy') }, ['policy'])) },
+      201: { description: 'Policy created', schema: envelope(object({ policy: ref('RetentionPolicy') }, ['policy'])) },
+      ...errors(400, 401, 403, 500)
+    }
+  },
+
+  getRepoPins: {
+    method: 'get',
+    path: '/deployments/:walletAddress/:repo/pins',
+    tags: ['Pins'],
+    summary: 'Report the pin state of every version',
+    params: repoParams,
+    responses: {
+      200: {
+        description: 'Pin states and recent reconciliations',
+        schema: envelope(object({
+          walletAddress: ref('WalletAddress'),
+          contractRepoName: ref('RepoName'),
+          policy: nullable(ref('RetentionPolicy')),
+          summary: { type: 'object' },
+          versions: {
+            type: 'array',
+            items: object({
+              version: ref('Version'),
+              contractCodeHash: ref('Cid'),
+              retainedByPolicy: { type: 'boolean' },
+              reasons: { type: 'array', items: { type: 'string' } },
+              pin: nullable({ type: 'object' })
+            })
+          },
+          reconciliations: { type: 'array', items: ref('Reconciliation') }
+        }, ['versions']))
+      },
+      ...errors(400, 404, 500)
+    }
+  },
+
+  reconcileRepoPins: {
+    method: 'post',
+    path: '/deployments/:walletAddress/:repo/pins/reconcile',
+    tags: ['Pins'],
+    summary: 'Reconcile the pins of a repository with its retention policy',
+    params: repoParams,
+    body: {
+      schema: object({
+        dryRun: { type: 'boolean', description: 'Only report the planned actions; any role may sign it' },
+        signer: { ...ref('WalletAddress'), description: 'Signing collaborator, when not the owner (dryRun only)' },
+        signature: ref('Signature')
+      })
+    },
+    responses: {
+      200: { description: 'Reconciliation report', schema: envelope(object({ reconciliation: ref('Reconciliation') }, ['reconciliation'])) },
+      ...errors(400, 401, 403, 404, 429, 500, 502)
+    }
+  },
+
+  auditRepo: {
+    method: 'post',
+    path: '/deployments/:walletAddress/:repo/audit',
+    tags: ['Pins'],
+    summary: "Check every version's content is retrievable and matches its CID",
+    params: repoParams,
+    body: {
+      schema: object({ signature: ref('Signature') })
+    },
+    responses: {
+      200: { description: 'Audit report', schema: envelope(object({ audit: ref('Audit') }, ['audit'])) },
+      ...errors(400, 401, 403, 404, 429, 500)
+    }
+  },
+
+  getContractCode: {
+    method: 'get',
+    path: '/contract/:hash',
+    tags: ['Content'],
+    summary: 'Get the contract code stored under an IPFS hash',
+    params: hashParams,
+    responses: {
+      200: {
+        description: 'Contract code, verified against the hash; a project is returned as a map of path to text',
+        schema: envelope(object({
+          contractCode: {},
+          ipfsHash: ref('Cid'),
+          files: nullable({ type: 'array', items: ref('ProjectFile') })
+        }, ['contractCode', 'ipfsHash']))
+      },
+      304: { description: 'Not modified (If-None-Match matched the ETag)' },
+      ...errors(400, 429, 500, 502)
+    }
+  },
+
+  getProjectPath: {
+    method: 'get',
+    path: '/contract/:hash/*',
+    tags: ['Content'],
+    summary: 'Get one file of a multi-file project, or list one of its directories',
+    params: object({ hash: ref('Cid'), path: { type: 'string', minLength: 1, description: 'Path within the project; may contain "/"' } }, ['hash', 'path']),
+    query: object({ format: { type: 'string', enum: ['json', 'raw'] } }),
+    responses: {
+      200: {
+        description: 'The file (as text, or its bytes with format=raw) or the directory listing',
+        content: {
+          'application/json': envelope(object({
+            ipfsHash: ref('Cid'),
+            path: { type: 'string' },
+            type: { type: 'string', enum: ['file', 'directory'] },
+            hash: ref('Cid'),
+            size: { type: 'integer', minimum: 0 },
+            content: { type: 'string' },
+            entries: { type: 'array', items: { type: 'object' } }
+          }, ['ipfsHash', 'path', 'type', 'hash'])),
+          'application/octet-stream': { type: 'string', contentMediaType: 'application/octet-stream' }
+        }
+      },
+      304: { description: 'Not modified (If-None-Match matched the ETag)' },
+      ...errors(400, 404, 429, 500, 502)
+    }
+  },
+
+  getProjectTree: {
+    method: 'get',
+    path: '/tree/:hash',
+    tags: ['Content'],
+    summary: 'List every file and directory of a multi-file project',
+    params: hashParams,
+    responses: {
+      200: {
+        description: 'Project tree',
+        schema: envelope(object({
+          ipfsHash: ref('Cid'),
+          fileCount: { type: 'integer', minimum: 0 },
+          totalSize: { type: 'integer', minimum: 0 },
+          entries: {
+            type: 'array',
+            items: object({
+              path: { type: 'string' },
+              type: { type: 'string', enum: ['file', 'directory'] },
+              hash: ref('Cid'),
+              size: nullable({ type: 'integer', minimum: 0 })
+            }, ['path', 'type', 'hash'])
+          }
+        }, ['ipfsHash', 'entries']))
+      },
+      304: { description: 'Not modified (If-None-Match matched the ETag)' },
+      ...errors(400, 404, 429, 500, 502)
+    }
+  },
+
+  linkOnChain: {
+    method: 'post',
+    path: '/deployments/:walletAddress/:repo/:version/onchain',
+    tags: ['On-chain'],
+    summary: 'Link a version to the on-chain contract it was deployed as, or add the transaction id of a link',
+    params: object({ walletAddress: ref('WalletAddress'), repo: ref('RepoName'), version: ref('Version') }, ['walletAddress', 'repo', 'version']),
+    body: {
+      schema: object({
+        network: ref('Network'),
+        contractAddress: ref('ContractAddress'),
+        txId: ref('TxId'),
+        signer: { ...ref('WalletAddress'), description: 'Signing collaborator, when not the owner' },
+        signature: ref('Signature')
+      }, ['network', 'contractAddress'])
+    },
+    responses: {
+      200: {
+        description: 'Transaction id added, or the version was already linked to the contract',
+        schema: envelope(object({
+          deployment: ref('LinkedDeployment'),
+          link: ref('OnChainLink'),
+          onChain: { type: 'array', items: ref('OnChainLink') }
+        }, ['deployment', 'link']))
+      },
+      201: {
+        description: 'Version linked',
+        schema: envelope(object({
+          deployment: ref('LinkedDeployment'),
+          link: ref('OnChainLink'),
+          onChain: { type: 'array', items: ref('OnChainLink') }
+        }, ['deployment', 'link']))
+      },
+      ...errors(400, 401, 403, 404, 409, 500)
+    }
+  },
+
+  getRepoOnChain: {
+    method: 'get',
+    path: '/deployments/:walletAddress/:repo/onchain',
+    tags: ['On-chain'],
+    summary: 'List the on-chain deployments of a repository and its current version on each network',
+    description: 'The current version on a network is the highest version linked to a contract there.',
+    params: repoParams,
+    responses: {
+      200: {
+        description: 'On-chain deployments, highest version first',
+        schema: envelope(object({
+          walletAddress: ref('WalletAddress'),
+          contractRepoName: ref('RepoName'),
+          current: {
+            type: 'object',
+            description: 'Current version on each network, with its links there; null when none',
+            additionalProperties: nullable(ref('OnChainDeployment'))
+          },
+          deployments: {
+            type: 'array',
+            items: ref('OnChainDeployment')
+          }
+        }, ['current', 'deployments']))
+      },
+      ...errors(400, 404, 500)
+    }
+  },
+
+  getCurrentOnNetwork: {
+    method: 'get',
+    path: '/deployments/:walletAddress/:repo/onchain/:network',
+    tags: ['On-chain'],
+    summary: 'Get the current version of a repository on a network, with its source',
+    params: object({ walletAddress: ref('WalletAddress'), repo: ref('RepoName'), network: ref('Network') }, ['walletAddress', 'repo', 'network']),
+    query: object({ excludeCode: lookupQuery.properties.excludeCode }),
+    responses: {
+      200: {
+        description: 'Current version',
+        schema: envelope(object({
+          network: ref('Network'),
+          deployment: ref('LinkedDeployment'),
+          onChain: { type: 'array', items: ref('OnChainLink') },
+          ...linkedSource
+        }, ['network', 'deployment']))
+      },
+      ...errors(400, 404, 429, 500)
+    }
+  },
+
+  getByContractAddress: {
+    method: 'get',
+    path: '/onchain/contract/:contractAddress',
+    tags: ['On-chain'],
+    summary: 'Find the version deployed at a contract principal or address, with its source',
+    description: 'When a devnet contract was linked to several versions, the most recent link wins.',
+    params: object({ contractAddress: ref('ContractAddress') }, ['contractAddress']),
+    query: lookupQuery,
+    responses: {
+      200: {
+        description: 'Linked version',
+        schema: envelope(object({ link: ref('OnChainLink'), deployment: ref('LinkedDeployment'), ...linkedSource }, ['link', 'deployment']))
+      },
+      ...errors(400, 404, 429, 500)
+    }
+  },
+
+  getByTxId: {
+    method: 'get',
+    path: '/onchain/tx/:txId',
+    tags: ['On-chain'],
+    summary: 'Find the version deployed by a transaction, with its source',
+    params: object({ txId: ref('TxId') }, ['txId']),
+    query: lookupQuery,
+    responses: {
+      200: {
+        description: 'Linked version',
+        schema: envelope(object({ link: ref('OnChainLink'), deployment: ref('LinkedDeployment'), ...linkedSource }, ['link', 'deployment']))
+      },
+      ...errors(400, 404, 429, 500)
+    }
+  },
+
+  getStorageQuota: {
+    method: 'get',
+    path: '/quota/:walletAddress',
+    tags: ['Deployments'],
+    summary: "Get a wallet's uploaded bytes and remaining storage quota",
+    params: object({ walletAddress: ref('WalletAddress') }, ['walletAddress']),
+    responses: {
+      200: { description: 'Storage quota', schema: envelope(object({ quota: ref('Quota') }, ['quota'])) },
+      ...errors(400, 500)
+    }
+  }
+};
+
+module.exports = operations;
@@ -5,10 +5,31 @@ const bodyParser = require('body-parser');
 require('dotenv').config();
 
 const deploymentRoutes = require('./routes/deploymentRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const streamRoutes = require('./routes/streamRoutes');
+const searchRoutes = require('./routes/searchRoutes');
+const pinRoutes = require('./routes/pinRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const repositoryRoutes = require('./routes/repositoryRoutes');
+const docsRoutes = require('./routes/docsRoutes');
+const Deployment = require('./models/Deployment');
+const Webhook = require('./models/Webhook');
+const ipfsService = require('./services/ipfsService');
+const storageQuota = require('./services/storageQuota');
+const webhookService = require('./services/webhookService');
+const deploymentStream = require('./services/deploymentStream');
+const pinReconciler = require('./services/pinReconciler');
+const contentAuditor = require('./services/contentAuditor');
 
 const app = express();
 const PORT = process.env.PORT;
 
+// Behind a load balancer, rate limits must see the client's address rather than the proxy's
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : (Number.isInteger(hops) ? hops : process.env.TRUST_PROXY));
+}
+
 // Middleware
 app.use(cors());
 app.use(bodyParser.json({ limit: '10mb' }));
@@ -16,14 +37,43 @@ app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
 
 // Routes
 app.use('/api', deploymentRoutes);
+app.use('/api', webhookRoutes);
+app.use('/api', streamRoutes);
+app.use('/api', searchRoutes);
+app.use('/api', pinRoutes);
+app.use('/api', auditRoutes);
+app.use('/api', repositoryRoutes);
+app.use('/api', docsRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'OK', message: 'Server is running' });
+  res.status(200).json({
+    status: 'OK',
+    message: 'Server is running',
+    contentCache: ipfsService.getCacheStats()
+  });
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Bodies over the parser's size limit are rejected before reaching any route, so the wallet
+  // whose remaining quota is reported comes from the path or a walletAddress query parameter
+  if (err.type === 'entity.too.large') {
+    const pathWallet = /^\/api\/deployments\/([^/]+)\//.exec(req.path);
+    const walletAddress = typeof req.query.walletAddress === 'string'
+      ? req.query.walletAddress
+      : pathWallet && decodeURIComponent(pathWallet[1]);
+    const quota = walletAddress ? storageQuota.getUsage(walletAddress).catch(() => null) : Promise.resolve(null);
+    return quota.then(usage => res.status(413).json({
+      success: false,
+      message: usage && usage.remaining !== null
+        ? `Request body exceeds the ${err.limit}-byte limit; ${usage.remaining} of ${usage.limit} bytes of storage quota remaining`
+        : `Request body exceeds the ${err.limit}-byte limit`,
+      limit: err.limit,
+      quota: usage
+    }));
+  }
+
   console.error(err.stack);
   res.status(500).json({
     success: false,
@@ -42,8 +92,57 @@ app.use('*', (req, res) => {
 
 // Database connection
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => {
+  .then(async () => {
     console.log('Connected to MongoDB');
+
+    const backfilled = await Deployment.backfillVersionKeys();
+    if (backfilled > 0) {
+      console.log(`Backfilled version sort keys for ${backfilled} deployments`);
+    }
+
+    const indexed = await Deployment.backfillSearchKeys();
+    if (indexed > 0) {
+      console.log(`Backfilled search keys for ${indexed} deployments`);
+    }
+
+    const numbered = await Deployment.backfillSequences();
+    if (numbered > 0) {
+      console.log(`Backfilled stream sequence numbers for ${numbered} deployments`);
+    }
+
+    const rekeyed = await Webhook.backfillRepoWallets();
+    if (rekeyed > 0) {
+      console.log(`Backfilled repository wallets for ${rekeyed} webhooks`);
+    }
+
+    // Deploys rely on the unique version index to settle races, so the server must not start without it
+    try {
+      await Deployment.createIndexes();
+    } catch (error) {
+      console.error('Failed to build deployment indexes:', error.message);
+      // Most likely duplicate versions created before uniqueness was enforced
+      const duplicates = await Deployment.findDuplicateVersions().catch(() => []);
+      duplicates.forEach(({ walletAddress, contractRepoName, version, count }) => {
+        console.error(`  ${walletAddress}/${contractRepoName} has ${count} deployments of version ${version}`);
+      });
+      if (duplicates.length > 0) {
+        console.error('Remove or renumber the duplicate versions, then restart');
+      }
+      process.exit(1);
+    }
+
+    // Retry failed webhook deliveries in the background
+    webhookService.start();
+
+    // Stream deployments saved by every instance, not just this one
+    deploymentStream.start();
+
+    // Reconcile pins with retention policies on a schedule, if configured
+    pinReconciler.start();
+
+    // Check stored content is still retrievable and intact, if configured
+    contentAuditor.start();
+
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
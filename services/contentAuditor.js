@@ -0,0 +1,111 @@
+const Deployment = require('../models/Deployment');
+const ContentAudit = require('../models/ContentAudit');
+const ipfsService = require('./ipfsService');
+require('dotenv').config();
+
+// Problems stored per report; the summary always counts every problem
+const MAX_REPORT_PROBLEMS = 1000;
+
+// Contents checked at once; provider fetches are additionally capped by ipfsService
+const AUDIT_BATCH_SIZE = 4;
+
+/**
+ * Checks that the content of every deployment is still retrievable and intact
+ *
+ * Each distinct content hash is fetched from the provider, bypassing the cache, and verified
+ * against its CID. Content that is missing, unreachable or corrupted is recorded in a
+ * ContentAudit report together with every version that references it.
+ */
+class ContentAuditor {
+  constructor() {
+    // Scheduled audits are disabled unless an interval is configured
+    this.intervalMs = parseInt(process.env.CONTENT_AUDIT_INTERVAL_MS, 10) || 0;
+    this.timer = null;
+    this.running = null;
+  }
+
+  /**
+   * Audit the content of one repo or of every deployment
+   * @param {Object} options - Audit options
+   * @param {string} options.walletAddress - Limit the audit to a repo of this wallet
+   * @param {string} options.contractRepoName - Limit the audit to this repo
+   * @param {string} options.trigger - schedule or manual
+   * @returns {Promise<Object>} Saved ContentAudit report
+   */
+  async audit({ walletAddress, contractRepoName, trigger = 'manual' } = {}) {
+    const scope = walletAddress ? { walletAddress, contractRepoName } : null;
+    const report = await ContentAudit.create({ ...scope, trigger });
+    const { summary } = report;
+
+    try {
+      const contents = await Deployment.findContentRefs(scope || {});
+      summary.contents = contents.length;
+
+      for (let i = 0; i < contents.length; i += AUDIT_BATCH_SIZE) {
+        const batch = contents.slice(i, i + AUDIT_BATCH_SIZE);
+        const results = await Promise.all(batch.map(({ contractCodeHash, project }) => ipfsService.checkContent(contractCodeHash, { project })));
+
+        batch.forEach(({ contractCodeHash, versions }, index) => {
+          const { status, error } = results[index];
+          summary.deployments += versions.length;
+          summary[status]++;
+          if (status === 'ok') return;
+
+          if (report.problems.length >= MAX_REPORT_PROBLEMS) {
+            report.problemsTruncated = true;
+            return;
+          }
+          report.problems.push({ contractCodeHash, status, error, versions });
+        });
+      }
+
+      report.status = 'completed';
+    } catch (error) {
+      report.status = 'failed';
+      report.error = error.message;
+    }
+
+    report.finishedAt = new Date();
+    return report.save();
+  }
+
+  /**
+   * Run a scheduled audit of every deployment, unless one is already running
+   */
+  async runScheduled() {
+    if (this.running) return;
+    this.running = this.audit({ trigger: 'schedule' });
+    try {
+      const report = await this.running;
+      if (report.status === 'failed') {
+        console.error('Scheduled content audit failed:', report.error);
+      } else {
+        const { contents, missing, unreachable, corrupted } = report.summary;
+        console.log(`✓ Content audit of ${contents} contents: ${missing} missing, ${unreachable} unreachable, ${corrupted} corrupted`);
+      }
+    } catch (error) {
+      console.error('Scheduled content audit error:', error.message);
+    } finally {
+      this.running = null;
+    }
+  }
+
+  /**
+   * Start scheduled audits when CONTENT_AUDIT_INTERVAL_MS is set
+   */
+  start() {
+    if (this.timer || this.intervalMs <= 0) return;
+    this.timer = setInterval(() => this.runScheduled(), this.intervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop scheduled audits
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new ContentAuditor();
@@ -0,0 +1,141 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { contentMatchesCid } = require('../utils/cid');
+
+/**
+ * Cache for immutable IPFS content keyed by CID
+ *
+ * Content addressed by a CID never changes, so entries never need invalidation:
+ * a bounded in-memory LRU serves hot content, and an optional directory on disk
+ * keeps everything that has been fetched across restarts.
+ */
+class ContentCache {
+  constructor(options = {}) {
+    this.maxBytes = options.maxBytes !== undefined
+      ? options.maxBytes
+      : (parseInt(process.env.CONTENT_CACHE_MAX_BYTES, 10) || 64 * 1024 * 1024);
+    this.directory = options.directory !== undefined
+      ? options.directory
+      : process.env.CONTENT_CACHE_DIR || null;
+
+    // Map iteration order is insertion order, so the first key is the least recently used
+    this.entries = new Map();
+    this.bytes = 0;
+    this.stats = { memoryHits: 0, diskHits: 0, misses: 0, evictions: 0, corrupted: 0 };
+  }
+
+  /**
+   * Resolve the on-disk path for a CID, rejecting anything that is not a bare CID
+   * @param {string} hash - IPFS hash (CID)
+   * @returns {string|null} Absolute file path, or null when the disk cache is disabled
+   */
+  diskPath(hash) {
+    if (!this.directory || !/^[A-Za-z0-9]+$/.test(hash)) return null;
+    return path.resolve(this.directory, hash);
+  }
+
+  /**
+   * Look up content, checking memory first and then disk
+   * @param {string} hash - IPFS hash (CID)
+   * @returns {Promise<Buffer|null>} Cached bytes, or null on a miss
+   */
+  async get(hash) {
+    const cached = this.entries.get(hash);
+    if (cached) {
+      // Refresh recency
+      this.entries.delete(hash);
+      this.entries.set(hash, cached);
+      this.stats.memoryHits++;
+      return cached;
+    }
+
+    const file = this.diskPath(hash);
+    if (file) {
+      try {
+        const content = await fs.readFile(file);
+        if (contentMatchesCid(hash, content)) {
+          this.remember(hash, content);
+          this.stats.diskHits++;
+          return content;
+        }
+        // Altered on disk; drop it so the content is fetched and verified again
+        console.error(`Content cache entry ${hash} does not match its CID; discarding it`);
+        this.stats.corrupted++;
+        await fs.unlink(file).catch(() => {});
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error('Content cache read error:', error.message);
+        }
+      }
+    }
+
+    this.stats.misses++;
+    return null;
+  }
+
+  /**
+   * Store content in memory and, when enabled, on disk
+   * @param {string} hash - IPFS hash (CID)
+   * @param {Buffer} content - Content bytes
+   * @returns {Promise<void>}
+   */
+  async set(hash, content) {
+    this.remember(hash, content);
+
+    const file = this.diskPath(hash);
+    if (!file) return;
+
+    try {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const temp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(temp, content);
+      await fs.rename(temp, file);
+    } catch (error) {
+      // The disk cache is best effort; memory still holds the entry
+      console.error('Content cache write error:', error.message);
+    }
+  }
+
+  /**
+   * Insert into the in-memory LRU, evicting least recently used entries over the byte limit
+   * @param {string} hash - IPFS hash (CID)
+   * @param {Buffer} content - Content bytes
+   */
+  remember(hash, content) {
+    if (content.length > this.maxBytes) return;
+
+    if (this.entries.has(hash)) {
+      this.bytes -= this.entries.get(hash).length;
+      this.entries.delete(hash);
+    }
+    this.entries.set(hash, content);
+    this.bytes += content.length;
+
+    while (this.bytes > this.maxBytes) {
+      const [oldest, evicted] = this.entries.entries().next().value;
+      this.entries.delete(oldest);
+      this.bytes -= evicted.length;
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Report cache usage and hit/miss counts
+   * @returns {Object} Cache statistics
+   */
+  getStats() {
+    const hits = this.stats.memoryHits + this.stats.diskHits;
+    const lookups = hits + this.stats.misses;
+    return {
+      ...this.stats,
+      hits,
+      hitRate: lookups > 0 ? Number((hits / lookups).toFixed(4)) : null,
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+      disk: Boolean(this.directory)
+    };
+  }
+}
+
+module.exports = ContentCache;
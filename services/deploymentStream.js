@@ -0,0 +1,133 @@
+const { EventEmitter } = require('events');
+const Deployment = require('../models/Deployment');
+const { getChannel } = require('../utils/versionManager');
+require('dotenv').config();
+
+// How many recently published ids to remember when deduplicating change stream events
+const RECENT_LIMIT = 1000;
+
+// MongoDB error code for change streams on a standalone server
+const CHANGE_STREAM_UNSUPPORTED = 40573;
+
+/**
+ * Fan-out of newly saved deployments to live subscribers
+ *
+ * Deployments saved by this instance are published directly. When MongoDB supports change
+ * streams (replica sets and sharded clusters), inserts made by other instances arrive through
+ * a change stream as well; without one, the stream only carries this instance's deployments.
+ */
+class DeploymentStream extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per open SSE connection
+    this.setMaxListeners(0);
+    this.changeStream = null;
+    this.retryMs = parseInt(process.env.STREAM_CHANGE_STREAM_RETRY_MS, 10) || 30 * 1000;
+    this.retryTimer = null;
+    // Ids already emitted, so a local publish and its change stream event are not both sent
+    this.recent = new Set();
+  }
+
+  /**
+   * Shape a deployment for stream events
+   * @param {Object} deployment - Deployment document or plain object
+   * @returns {Object} Event data
+   */
+  toEvent(deployment) {
+    return {
+      id: String(deployment._id),
+      sequence: deployment.sequence,
+      walletAddress: deployment.walletAddress,
+      contractRepoName: deployment.contractRepoName,
+      contractCodeHash: deployment.contractCodeHash,
+      version: deployment.version,
+      channel: getChannel(deployment.version),
+      deployedAt: deployment.deployedAt,
+      message: deployment.message || null,
+      author: deployment.author || null,
+      git: deployment.git || null,
+      rollback: deployment.rollback && deployment.rollback.toVersion ? deployment.rollback : null
+    };
+  }
+
+  /**
+   * Emit a deployment to subscribers unless it was already emitted
+   * @param {Object} deployment - Deployment document or plain object
+   */
+  dispatch(deployment) {
+    const id = String(deployment._id);
+    if (this.recent.has(id)) return;
+
+    this.recent.add(id);
+    if (this.recent.size > RECENT_LIMIT) {
+      // Sets iterate in insertion order, so this drops the oldest id
+      this.recent.delete(this.recent.values().next().value);
+    }
+
+    this.emit('deployment', this.toEvent(deployment));
+  }
+
+  /**
+   * Publish a deployment saved by this instance
+   * @param {Object} deployment - Saved deployment document
+   */
+  publish(deployment) {
+    this.dispatch(deployment);
+  }
+
+  /**
+   * Watch the deployments collection so deployments saved by other instances are streamed too
+   * Falls back to in-process publishing when change streams are unavailable.
+   */
+  start() {
+    if (this.changeStream) return;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+
+    try {
+      const changeStream = Deployment.watch([{ $match: { operationType: 'insert' } }]);
+      changeStream.on('change', change => this.dispatch(change.fullDocument));
+      changeStream.on('error', error => this.fallback(changeStream, error));
+      this.changeStream = changeStream;
+    } catch (error) {
+      this.fallback(null, error);
+    }
+  }
+
+  /**
+   * Close a failed change stream and retry later, streaming in-process deployments meanwhile
+   * @param {Object|null} changeStream - Failed change stream
+   * @param {Error} error - Failure reason
+   */
+  fallback(changeStream, error) {
+    console.warn(`Deployment change stream unavailable, streaming this instance's deployments only: ${error.message}`);
+
+    if (changeStream) {
+      changeStream.close().catch(() => {});
+    }
+    if (this.changeStream === changeStream) {
+      this.changeStream = null;
+    }
+
+    // Standalone servers never support change streams, so only retry other failures
+    if (error.code !== CHANGE_STREAM_UNSUPPORTED && !this.retryTimer) {
+      this.retryTimer = setTimeout(() => this.start(), this.retryMs);
+      this.retryTimer.unref();
+    }
+  }
+
+  /**
+   * Stop watching the deployments collection
+   */
+  async stop() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    if (this.changeStream) {
+      const changeStream = this.changeStream;
+      this.changeStream = null;
+      await changeStream.close();
+    }
+  }
+}
+
+module.exports = new DeploymentStream();
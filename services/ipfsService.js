@@ -1,172 +1,438 @@
-const axios = require('axios');
-const FormData = require('form-data');
+const {
+  computeFileCid,
+  contentMatchesCid,
+  blockMatchesCid,
+  buildDirectoryDag,
+  decodeUnixFsNode,
+  computeContractCodeCid,
+  serializeContractCode
+} = require('../utils/cid');
+const { createProvider } = require('./providers');
+const ContentCache = require('./contentCache');
+const { createLimiter } = require('../utils/concurrency');
 require('dotenv').config();
 
+// Error code for content whose bytes do not hash to the requested CID
+const CONTENT_CID_MISMATCH = 'CONTENT_CID_MISMATCH';
+// Error codes for project lookups: the CID is not a directory, or the path is not in it
+const NOT_A_DIRECTORY = 'NOT_A_DIRECTORY';
+const PATH_NOT_FOUND = 'PATH_NOT_FOUND';
+
+// Directory nodes kept in memory; they are small and read on every project file lookup
+const BLOCK_CACHE_MAX_BYTES = 4 * 1024 * 1024;
+
 class IPFSService {
-constructor() {
-  this.pinataApiKey = process.env.PINATA_API_KEY;
-  this.pinataSecretApiKey = process.env.PINATA_SECRET_API_KEY;
-  this.pinataGateway = process.env.PINATA_GATEWAY;
-  this.pinataApiUrl = process.env.PINATA_API_URL;
+constructor(provider = createProvider(), cache = new ContentCache()) {
+  this.provider = provider;
+  this.cache = cache;
+  this.blockCache = new ContentCache({ maxBytes: BLOCK_CACHE_MAX_BYTES, directory: null });
+  this.fetchLimit = createLimiter(parseInt(process.env.IPFS_MAX_CONCURRENT_FETCHES, 10) || 4);
+  // Concurrent requests for the same CID share one fetch
+  this.inFlight = new Map();
 }
 
 
   /**
-   * Upload contract code to Pinata IPFS
+   * Compute the IPFS hash contract code will receive, without uploading it
+   * @param {Object} contractCode - Contract code object
+   * @returns {string} IPFS hash (CIDv0)
+   */
+  computeHash(contractCode) {
+    return computeContractCodeCid(contractCode);
+  }
+
+  /**
+   * Upload contract code to the configured IPFS provider
    * @param {Object} contractCode - Contract code object to upload
    * @returns {Promise<string>} IPFS hash (CID)
    */
   async uploadContractCode(contractCode) {
+    // Convert contract code to the JSON bytes its CID is computed from
+    return this.uploadContent(serializeContractCode(contractCode));
+  }
+
+  /**
+   * Upload raw content to the configured IPFS provider
+   * @param {Buffer} content - Content bytes
+   * @returns {Promise<string>} IPFS hash (CID)
+   */
+  async uploadContent(content) {
     try {
-      console.log('Uploading contract code to Pinata IPFS...');
-      
-      // Convert contract code to JSON string
-      const jsonString = JSON.stringify(contractCode, null, 2);
-      
-      // Create FormData
-      const form = new FormData();
-      form.append('file', Buffer.from(jsonString), {
-        filename: 'contract.json',
-        contentType: 'application/json'
-      });
+      console.log(`Uploading contract code to IPFS (${this.provider.name})...`);
 
-      // Pinata metadata
-      const metadata = JSON.stringify({
+      const expectedHash = computeFileCid(content);
+
+      const hash = await this.provider.upload(content, {
+        filename: 'contract.json',
         name: 'contract-code.json',
         keyvalues: {
           type: 'smart-contract',
           timestamp: new Date().toISOString()
         }
       });
-      form.append('pinataMetadata', metadata);
 
-      // Pinata options
-      const options = JSON.stringify({
-        cidVersion: 0
-      });
-      form.append('pinataOptions', options);
-
-      const response = await axios.post(`${this.pinataApiUrl}/pinning/pinFileToIPFS`, form, {
-        headers: {
-          'Content-Type': `multipart/form-data; boundary=${form._boundary}`,
-          'pinata_api_key': this.pinataApiKey,
-          'pinata_secret_api_key': this.pinataSecretApiKey,
-          ...form.getHeaders()
-        },
-        timeout: 30000
+      if (hash !== expectedHash) {
+        throw new Error(`CID mismatch: expected ${expectedHash}, ${this.provider.name} returned ${hash}`);
+      }
+
+      console.log(`✓ Contract code uploaded to IPFS: ${hash}`);
+      await this.cache.set(hash, content);
+      return hash;
+    } catch (error) {
+      console.error('IPFS upload error:', error.message);
+      if (error.response) {
+        console.error(`${this.provider.name} response:`, error.response.status, error.response.data);
+      }
+      throw new Error(`Failed to upload to IPFS: ${error.message}`);
+    }
+  }
+
+  /**
+   * Upload a multi-file project to the configured IPFS provider as a UnixFS directory
+   * @param {Array<{path: string, content: Buffer}>} files - Normalized project files
+   * @returns {Promise<string>} IPFS hash (CID) of the project directory
+   */
+  async uploadProject(files) {
+    try {
+      console.log(`Uploading contract project (${files.length} files) to IPFS (${this.provider.name})...`);
+
+      const { cid: expectedHash, entries } = buildDirectoryDag(files);
+
+      const hash = await this.provider.uploadDirectory(files, {
+        name: 'contract-project',
+        keyvalues: {
+          type: 'smart-contract',
+          timestamp: new Date().toISOString()
+        }
       });
 
-      if (response.data && response.data.IpfsHash) {
-        console.log(`✓ Contract code uploaded to Pinata IPFS: ${response.data.IpfsHash}`);
-        console.log(`✓ Gateway URL: ${this.pinataGateway}/ipfs/${response.data.IpfsHash}`);
-        return response.data.IpfsHash;
-      } else {
-        throw new Error('Invalid response from Pinata');
+      if (hash !== expectedHash) {
+        throw new Error(`CID mismatch: expected ${expectedHash}, ${this.provider.name} returned ${hash}`);
       }
+
+      console.log(`✓ Contract project uploaded to IPFS: ${hash}`);
+      const contents = new Map(files.map(file => [file.path, file.content]));
+      await Promise.all(entries.map(entry => this.cache.set(entry.hash, contents.get(entry.path))));
+      return hash;
     } catch (error) {
-      console.error('Pinata IPFS upload error:', error.message);
+      console.error('IPFS upload error:', error.message);
       if (error.response) {
-        console.error('Pinata response:', error.response.status, error.response.data);
+        console.error(`${this.provider.name} response:`, error.response.status, error.response.data);
       }
-      throw new Error(`Failed to upload to Pinata IPFS: ${error.message}`);
+      throw new Error(`Failed to upload to IPFS: ${error.message}`);
     }
   }
 
   /**
-   * Retrieve contract code from Pinata IPFS
+   * Fetch raw content from the provider and check it hashes to the requested CID
+   * Bypasses the cache; provider fetches are capped at IPFS_MAX_CONCURRENT_FETCHES at a time.
+   * @param {string} hash - IPFS hash (CID)
+   * @returns {Promise<Buffer>} Content bytes
+   * @throws  Error with code CONTENT_CID_MISMATCH when the content does not match the CID
+   */
+  fetchVerified(hash) {
+    return this.fetchLimit(async () => {
+      console.log(`Retrieving content from IPFS: ${hash}`);
+      const content = await this.provider.get(hash);
+
+      // A gateway can serve anything; only content that hashes to the CID is trusted
+      if (!contentMatchesCid(hash, content)) {
+        const error = new Error(`Content retrieved from ${this.provider.name} does not match CID ${hash} (got ${computeFileCid(content)})`);
+        error.code = CONTENT_CID_MISMATCH;
+        throw error;
+      }
+      return content;
+    });
+  }
+
+  /**
+   * Retrieve raw content by CID, serving from cache when possible
+   * Content fetched from the provider is verified against the CID before it is cached or returned.
+   * @param {string} hash - IPFS hash (CID)
+   * @returns {Promise<Buffer>} Content bytes
+   * @throws  Error with code CONTENT_CID_MISMATCH when the content does not match the CID
+   */
+  async getContent(hash) {
+    const cached = await this.cache.get(hash);
+    if (cached) {
+      return cached;
+    }
+
+    if (!this.inFlight.has(hash)) {
+      const fetch = this.fetchVerified(hash)
+        .then(async (content) => {
+          await this.cache.set(hash, content);
+          return content;
+        })
+        .finally(() => this.inFlight.delete(hash));
+      this.inFlight.set(hash, fetch);
+    }
+
+    return this.inFlight.get(hash);
+  }
+
+  /**
+   * Retrieve a dag-pb block by CID and decode it, verifying it against the CID
+   * @param {string} hash - IPFS hash (CID) of the block
+   * @param {Object} options - Options
+   * @param {boolean} options.cached - Whether verified blocks may be served from memory
+   * @returns {Promise<Object>} Decoded UnixFS node (type, fileSize, links)
+   * @throws  Error with code CONTENT_CID_MISMATCH when the block does not match the CID
+   */
+  async getNode(hash, { cached = true } = {}) {
+    let block = cached ? await this.blockCache.get(hash) : null;
+    if (!block) {
+      try {
+        block = await this.fetchLimit(() => this.provider.getBlock(hash));
+      } catch (error) {
+        // Lets callers tell which node of a DAG could not be fetched
+        error.cid = hash;
+        throw error;
+      }
+      if (!blockMatchesCid(hash, block)) {
+        const error = new Error(`Block retrieved from ${this.provider.name} does not match CID ${hash}`);
+        error.code = CONTENT_CID_MISMATCH;
+        throw error;
+      }
+      await this.blockCache.set(hash, block);
+    }
+    return decodeUnixFsNode(block);
+  }
+
+  /**
+   * List the entries of a project directory, recursively
+   * @param {string} hash - IPFS hash (CID) of the directory
+   * @param {Object} options - Options
+   * @param {string} options.prefix - Path prepended to every entry (used for sub-directories)
+   * @param {boolean} options.cached - Whether verified blocks may be served from memory
+   * @returns {Promise<Array>} Entries ({ path, type: file|directory, hash, size }) sorted by path
+   * @throws  Error with code NOT_A_DIRECTORY when the CID is not a UnixFS directory
+   */
+  async listProject(hash, { prefix = '', cached = true } = {}) {
+    const root = await this.getNode(hash, { cached });
+    if (root.type !== 'directory') {
+      const error = new Error(`${hash} is not a project directory`);
+      error.code = NOT_A_DIRECTORY;
+      throw error;
+    }
+
+    const entries = [];
+    const pending = root.links.map(link => [link, prefix]);
+    while (pending.length > 0) {
+      const [link, parent] = pending.shift();
+      const path = parent ? `${parent}/${link.name}` : link.name;
+      const node = await this.getNode(link.cid, { cached });
+      if (node.type === 'directory') {
+        entries.push({ path, type: 'directory', hash: link.cid, size: null });
+        node.links.forEach(child => pending.push([child, path]));
+      } else {
+        entries.push({ path, type: 'file', hash: link.cid, size: node.fileSize });
+      }
+    }
+
+    return entries.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+  }
+
+  /**
+   * Look up a path inside a project directory
+   * @param {string} hash - IPFS hash (CID) of the project directory
+   * @param {string} path - "/"-separated path relative to the project root
+   * @returns {Promise<Object>} { type: 'file', hash, content } or { type: 'directory', hash, entries }
+   * @throws  Error with code NOT_A_DIRECTORY or PATH_NOT_FOUND
+   */
+  async getProjectPath(hash, path) {
+    const segments = path.split('/').filter(Boolean);
+    let current = { cid: hash, node: await this.getNode(hash) };
+    if (current.node.type !== 'directory') {
+      const error = new Error(`${hash} is not a project directory`);
+      error.code = NOT_A_DIRECTORY;
+      throw error;
+    }
+
+    for (const segment of segments) {
+      const link = current.node.type === 'directory' && current.node.links.find(entry => entry.name === segment);
+      if (!link) {
+        const error = new Error(`${path} not found in project ${hash}`);
+        error.code = PATH_NOT_FOUND;
+        throw error;
+      }
+      current = { cid: link.cid, node: await this.getNode(link.cid) };
+    }
+
+    if (current.node.type === 'directory') {
+      return {
+        type: 'directory',
+        hash: current.cid,
+        entries: await this.listProject(current.cid, { prefix: segments.join('/') })
+      };
+    }
+    return { type: 'file', hash: current.cid, content: await this.getContent(current.cid) };
+  }
+
+  /**
+   * Retrieve every file of a project
+   * @param {string} hash - IPFS hash (CID) of the project directory
+   * @returns {Promise<Array<{path: string, content: Buffer}>>} Files sorted by path
+   */
+  async getProjectFiles(hash) {
+    const entries = (await this.listProject(hash)).filter(entry => entry.type === 'file');
+    const contents = await Promise.all(entries.map(entry => this.getContent(entry.hash)));
+    return entries.map((entry, index) => ({ path: entry.path, content: contents[index] }));
+  }
+
+  /**
+   * Retrieve the code of a deployment: the contract code object, or for a multi-file
+   * project a map of file path → text
+   * @param {Object} deployment - Deployment with contractCodeHash and, for projects, files
+   * @returns {Promise<Object>} Contract code object or project files map
+   */
+  async getDeploymentCode(deployment) {
+    if (!(deployment.files && deployment.files.length > 0)) {
+      return this.getContractCode(deployment.contractCodeHash);
+    }
+    try {
+      const contents = await Promise.all(deployment.files.map(file => this.getContent(file.hash)));
+      return Object.fromEntries(deployment.files.map((file, index) => [file.path, contents[index].toString('utf8')]));
+    } catch (error) {
+      console.error('IPFS retrieval error:', error.message);
+      const wrapped = new Error(`Failed to retrieve from IPFS: ${error.message}`);
+      wrapped.code = error.code;
+      throw wrapped;
+    }
+  }
+
+  /**
+   * Retrieve contract code from IPFS
    * @param {string} hash - IPFS hash (CID)
    * @returns {Promise<Object>} Contract code object
    */
   async getContractCode(hash) {
     try {
-      console.log(`Retrieving contract code from IPFS: ${hash}`);
-      
-      const response = await axios.get(`${this.pinataGateway}/ipfs/${hash}`, {
-        timeout: 30000,
-        headers: {
-          'Accept': 'application/json'
-        }
-      });
-
-      return response.data;
+      const content = await this.getContent(hash);
+      return JSON.parse(content.toString('utf8'));
     } catch (error) {
       console.error('IPFS retrieval error:', error.message);
-      throw new Error(`Failed to retrieve from IPFS: ${error.message}`);
+      const wrapped = new Error(`Failed to retrieve from IPFS: ${error.message}`);
+      wrapped.code = error.code;
+      throw wrapped;
     }
   }
 
   /**
-   * Pin content using Pinata API
+   * Pin content so it stays available
+   * Never throws; the outcome is returned so callers can record it.
    * @param {string} hash - IPFS hash to pin
-   * @returns {Promise<boolean>} Success status
+   * @returns {Promise<Object>} Object with pinned (boolean) and error (message or null)
    */
   async pinContent(hash) {
     try {
-      const response = await axios.post(`${this.pinataApiUrl}/pinning/pinByHash`, {
-        hashToPin: hash,
-        pinataMetadata: {
-          name: 'pinned-contract',
-          keyvalues: {
-            type: 'smart-contract',
-            pinnedAt: new Date().toISOString()
-          }
-        }
-      }, {
-        headers: {
-          'Content-Type': 'application/json',
-          'pinata_api_key': this.pinataApiKey,
-          'pinata_secret_api_key': this.pinataSecretApiKey
-        },
-        timeout: 30000
-      });
-
+      await this.provider.pin(hash);
       console.log(`✓ Content pinned: ${hash}`);
-      return true;
+      return { pinned: true, error: null };
     } catch (error) {
-      console.error('Pinata pinning error:', error.message);
-      return false;
+      console.error('IPFS pinning error:', error.message);
+      return { pinned: false, error: error.message };
     }
   }
 
   /**
-   * Check if content exists on IPFS via Pinata gateway
+   * Remove the pin of content that no longer needs to stay available
+   * @param {string} hash - IPFS hash to unpin
+   * @returns {Promise<void>}
+   */
+  async unpinContent(hash) {
+    await this.provider.unpin(hash);
+    console.log(`✓ Content unpinned: ${hash}`);
+  }
+
+  /**
+   * List the hashes currently pinned on the configured provider
+   * @returns {Promise<Set<string>>} Pinned IPFS hashes
+   */
+  async listPins() {
+    return new Set(await this.provider.listPins());
+  }
+
+  /**
+   * Check if content exists on IPFS
    * @param {string} hash - IPFS hash to check
    * @returns {Promise<boolean>} Whether content exists
    */
   async contentExists(hash) {
     try {
-      await axios.head(`${this.pinataGateway}/ipfs/${hash}`, {
-        timeout: 10000
-      });
-      return true;
+      return await this.provider.exists(hash);
     } catch (error) {
-      if (error.response && error.response.status === 404) {
-        return false;
-      }
       console.error('IPFS existence check error:', error.message);
       return false;
     }
   }
 
   /**
-   * Test Pinata authentication
+   * Check that content can be retrieved from the provider and matches its CID, bypassing the cache
+   * For a project every directory node and file is checked. Never throws.
+   * @param {string} hash - IPFS hash (CID)
+   * @param {Object} options - Options
+   * @param {boolean} options.project - Whether the CID is a project directory
+   * @returns {Promise<Object>} Object with status (ok, missing, unreachable or corrupted) and error
+   */
+  async checkContent(hash, { project = false } = {}) {
+    // The CID being fetched when the check failed
+    let current = hash;
+    try {
+      if (project) {
+        const entries = await this.listProject(hash, { cached: false });
+        for (const entry of entries.filter(item => item.type === 'file')) {
+          current = entry.hash;
+          await this.fetchVerified(entry.hash);
+        }
+      } else {
+        await this.fetchVerified(hash);
+      }
+      return { status: 'ok', error: null };
+    } catch (error) {
+      if (error.code === CONTENT_CID_MISMATCH) {
+        return { status: 'corrupted', error: error.message };
+      }
+
+      // Tell content the provider does not have from a provider that could not be reached
+      let exists = null;
+      try {
+        exists = await this.provider.exists(error.cid || current);
+      } catch {
+        // Still unreachable
+      }
+      return { status: exists === false ? 'missing' : 'unreachable', error: error.message };
+    }
+  }
+
+  /**
+   * Report content cache and fetch queue statistics
+   * @returns {Object} Cache statistics
+   */
+  getCacheStats() {
+    return {
+      ...this.cache.getStats(),
+      activeFetches: this.fetchLimit.activeCount,
+      queuedFetches: this.fetchLimit.pendingCount
+    };
+  }
+
+  /**
+   * Test provider connectivity and authentication
    */
   async testAuth() {
     try {
-      const response = await axios.get(`${this.pinataApiUrl}/data/testAuthentication`, {
-        headers: {
-          'pinata_api_key': this.pinataApiKey,
-          'pinata_secret_api_key': this.pinataSecretApiKey
-        },
-        timeout: 10000
-      });
-      console.log('✓ Pinata authentication successful:', response.data);
+      const result = await this.provider.testAuth();
+      console.log(`✓ ${this.provider.name} authentication successful:`, result);
       return true;
     } catch (error) {
-      console.error('✗ Pinata authentication failed:', error.response?.data || error.message);
+      console.error(`✗ ${this.provider.name} authentication failed:`, error.response?.data || error.message);
       return false;
     }
   }
 }
 
-module.exports = new IPFSService();
\ No newline at end of file
+module.exports = new IPFSService();
+module.exports.CONTENT_CID_MISMATCH = CONTENT_CID_MISMATCH;
+module.exports.NOT_A_DIRECTORY = NOT_A_DIRECTORY;
+module.exports.PATH_NOT_FOUND = PATH_NOT_FOUND;
@@ -0,0 +1,211 @@
+const Deployment = require('../models/Deployment');
+const Tag = require('../models/Tag');
+const RetentionPolicy = require('../models/RetentionPolicy');
+const PinReconciliation = require('../models/PinReconciliation');
+const ipfsService = require('./ipfsService');
+const { selectRetained } = require('../utils/retention');
+require('dotenv').config();
+
+// Actions stored per report; the summary always counts every action
+const MAX_REPORT_ACTIONS = 1000;
+
+/**
+ * Brings the provider's pin set in line with the deployments collection and retention policies
+ *
+ * Content is retained when any deployment referencing it is kept by its repo's policy. Retained
+ * content missing from the provider's pin list is re-pinned; pinned content no deployment retains
+ * is unpinned. Pins not referenced by any deployment are reported but never removed, since the
+ * provider account may hold content this service did not create. The outcome is recorded on every
+ * deployment (pin.status, pin.retained) and in a PinReconciliation report.
+ */
+class PinReconciler {
+  constructor() {
+    // Scheduled runs are disabled unless an interval is configured
+    this.intervalMs = parseInt(process.env.PIN_RECONCILE_INTERVAL_MS, 10) || 0;
+    this.scheduledDryRun = process.env.PIN_RECONCILE_DRY_RUN === 'true';
+    this.timer = null;
+    this.running = null;
+  }
+
+  /**
+   * Collect the deployments of the given repos, grouped by content hash
+   * @param {Object[]} repos - { walletAddress, contractRepoName } pairs
+   * @returns {Promise<Map>} contractCodeHash → { retained, deployments }
+   */
+  async collect(repos) {
+    const contents = new Map();
+
+    for (const repo of repos) {
+      const [history, tags, policy] = await Promise.all([
+        Deployment.find(repo).select('version contractCodeHash').sort({ versionKey: -1 }).lean().exec(),
+        Tag.find(repo).select('version').lean().exec(),
+        RetentionPolicy.findByRepo(repo.walletAddress, repo.contractRepoName)
+      ]);
+      const retained = selectRetained(history, tags.map(tag => tag.version), policy);
+
+      for (const deployment of history) {
+        const content = contents.get(deployment.contractCodeHash) || { retained: false, deployments: [] };
+        const kept = retained.has(String(deployment._id));
+        content.retained = content.retained || kept;
+        content.deployments.push({ ...repo, _id: deployment._id, version: deployment.version, retained: kept });
+        contents.set(deployment.contractCodeHash, content);
+      }
+    }
+
+    return contents;
+  }
+
+  /**
+   * Reconcile the pin set, for one repo or for every repo
+   * @param {Object} options - Run options
+   * @param {string} options.walletAddress - Limit the run to a repo of this wallet
+   * @param {string} options.contractRepoName - Limit the run to this repo
+   * @param {boolean} options.dryRun - Report what would change without changing anything
+   * @param {string} options.trigger - schedule or manual
+   * @returns {Promise<Object>} Saved PinReconciliation report
+   */
+  async reconcile({ walletAddress, contractRepoName, dryRun = false, trigger = 'manual' } = {}) {
+    const scope = walletAddress ? { walletAddress, contractRepoName } : null;
+    const report = await PinReconciliation.create({ ...scope, trigger, dryRun });
+    const { summary } = report;
+
+    const record = (contractCodeHash, action, result, content, error) => {
+      if (result === 'failed') summary.failed++;
+      else if (action === 'repin') summary.repinned++;
+      else if (action === 'unpin') summary.unpinned++;
+      else summary.untracked++;
+
+      if (report.actions.length >= MAX_REPORT_ACTIONS) {
+        report.actionsTruncated = true;
+        return;
+      }
+      report.actions.push({
+        contractCodeHash,
+        action,
+        result,
+        error,
+        versions: content
+          ? content.deployments.map(({ walletAddress: wallet, contractRepoName: repo, version }) => ({
+            walletAddress: wallet,
+            contractRepoName: repo,
+            version
+          }))
+          : []
+      });
+    };
+
+    try {
+      const pins = await ipfsService.listPins();
+      const repos = scope ? [scope] : await Deployment.findRepoKeys();
+      const contents = await this.collect(repos);
+
+      summary.repos = repos.length;
+      summary.listedPins = pins.size;
+
+      for (const [hash, content] of contents) {
+        summary.deployments += content.deployments.length;
+
+        // A repo-limited run cannot see other repos' policies, so content they reference is left pinned
+        const sharedElsewhere = scope && !content.retained && await Deployment.exists({
+          contractCodeHash: hash,
+          $nor: [scope]
+        });
+        const keep = content.retained || Boolean(sharedElsewhere);
+        let pinned = pins.has(hash);
+        let error = null;
+
+        if (keep) {
+          summary.retained++;
+          if (!pinned) {
+            if (dryRun) {
+              record(hash, 'repin', 'planned', content);
+            } else {
+              ({ pinned, error } = await ipfsService.pinContent(hash));
+              record(hash, 'repin', pinned ? 'done' : 'failed', content, error);
+            }
+          }
+        } else {
+          summary.released++;
+          if (pinned) {
+            if (dryRun) {
+              record(hash, 'unpin', 'planned', content);
+            } else {
+              try {
+                await ipfsService.unpinContent(hash);
+                pinned = false;
+                record(hash, 'unpin', 'done', content);
+              } catch (unpinError) {
+                error = unpinError.message;
+                record(hash, 'unpin', 'failed', content, error);
+              }
+            }
+          }
+        }
+
+        if (!dryRun) {
+          const status = pinned ? 'pinned' : (keep ? 'failed' : 'unpinned');
+          for (const retained of [true, false]) {
+            const ids = content.deployments.filter(dep => dep.retained === retained).map(dep => dep._id);
+            if (ids.length > 0) {
+              await Deployment.setPinState(ids, { status, retained, error: status === 'failed' ? error : null });
+            }
+          }
+        }
+      }
+
+      if (!scope) {
+        for (const hash of pins) {
+          if (!contents.has(hash)) record(hash, 'untracked', 'planned', null);
+        }
+      }
+
+      report.status = 'completed';
+    } catch (error) {
+      report.status = 'failed';
+      report.error = error.message;
+    }
+
+    report.finishedAt = new Date();
+    return report.save();
+  }
+
+  /**
+   * Run a scheduled reconciliation over every repo, unless one is already running
+   */
+  async runScheduled() {
+    if (this.running) return;
+    this.running = this.reconcile({ dryRun: this.scheduledDryRun, trigger: 'schedule' });
+    try {
+      const report = await this.running;
+      if (report.status === 'failed') {
+        console.error('Scheduled pin reconciliation failed:', report.error);
+      } else {
+        const { repinned, unpinned, failed } = report.summary;
+        console.log(`✓ Pin reconciliation${report.dryRun ? ' (dry run)' : ''}: ${repinned} repinned, ${unpinned} unpinned, ${failed} failed`);
+      }
+    } catch (error) {
+      console.error('Scheduled pin reconciliation error:', error.message);
+    } finally {
+      this.running = null;
+    }
+  }
+
+  /**
+   * Start scheduled reconciliation when PIN_RECONCILE_INTERVAL_MS is set
+   */
+  start() {
+    if (this.timer || this.intervalMs <= 0) return;
+    this.timer = setInterval(() => this.runScheduled(), this.intervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop scheduled reconciliation
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new PinReconciler();
@@ -0,0 +1,178 @@
+const fs = require('fs/promises');
+const { constants } = require('fs');
+const path = require('path');
+const { computeFileCid, encodeBase58, buildFileDag, buildDirectoryDag, decodeUnixFsNode } = require('../../utils/cid');
+
+/**
+ * Content-addressed storage provider on the local filesystem
+ *
+ * Files are stored under `<root>/blocks/<cid>` using the same CIDv0 an IPFS
+ * node would assign, so records created offline remain valid on IPFS.
+ * Directories keep each file under blocks/ and their directory nodes as raw
+ * dag-pb blocks under `<root>/dirs/<cid>`.
+ * Pins are recorded as empty marker files under `<root>/pins/<cid>`.
+ */
+class FilesystemProvider {
+  constructor(options = {}) {
+    this.name = 'filesystem';
+    this.root = path.resolve(options.root || process.env.IPFS_FS_PATH || '.ipfs-store');
+  }
+
+  /**
+   * Resolve the on-disk path for a hash, rejecting anything that is not a bare CID
+   * @param {string} directory - Sub-directory ("blocks", "dirs" or "pins")
+   * @param {string} hash - IPFS hash (CID)
+   * @returns {string} Absolute file path
+   */
+  pathFor(directory, hash) {
+    if (!/^[A-Za-z0-9]+$/.test(hash)) {
+      throw new Error(`Invalid IPFS hash: ${hash}`);
+    }
+    return path.join(this.root, directory, hash);
+  }
+
+  /**
+   * Store a file under its CID
+   * @param {Buffer} content - File bytes
+   * @returns {Promise<string>} IPFS hash (CID)
+   */
+  async upload(content) {
+    const hash = computeFileCid(content);
+    await this.writeAtomic(this.pathFor('blocks', hash), content);
+    return hash;
+  }
+
+  /**
+   * Write bytes to a path atomically
+   * @param {string} target - Absolute file path
+   * @param {Buffer} content - Bytes to write
+   * @returns {Promise<void>}
+   */
+  async writeAtomic(target, content) {
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    // Write to a temporary file first so readers never observe partial content
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temp, content);
+    await fs.rename(temp, target);
+  }
+
+  /**
+   * Store a directory of files under its root CID
+   * @param {Array<{path: string, content: Buffer}>} files - Files with relative paths
+   * @returns {Promise<string>} IPFS hash (CID) of the root directory
+   */
+  async uploadDirectory(files) {
+    const dag = buildDirectoryDag(files);
+
+    for (const { content } of files) {
+      await this.upload(content);
+    }
+    for (const { hash, block } of dag.blocks) {
+      if (decodeUnixFsNode(block).type === 'directory') {
+        await this.writeAtomic(this.pathFor('dirs', encodeBase58(hash)), block);
+      }
+    }
+
+    return dag.cid;
+  }
+
+  /**
+   * Read raw file bytes
+   * @param {string} hash - IPFS hash (CID)
+   * @returns {Promise<Buffer>} File bytes
+   */
+  async get(hash) {
+    try {
+      return await fs.readFile(this.pathFor('blocks', hash));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Content not found: ${hash}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read a raw dag-pb block: a stored directory node, or the root node of a stored file
+   * @param {string} hash - IPFS hash (CID) of the block
+   * @returns {Promise<Buffer>} Block bytes
+   */
+  async getBlock(hash) {
+    try {
+      return await fs.readFile(this.pathFor('dirs', hash));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    const { blocks } = buildFileDag(await this.get(hash));
+    return blocks[blocks.length - 1].block;
+  }
+
+  /**
+   * Record a pin for stored content
+   * @param {string} hash - IPFS hash to pin
+   * @returns {Promise<void>}
+   */
+  async pin(hash) {
+    if (!(await this.exists(hash))) {
+      throw new Error(`Cannot pin missing content: ${hash}`);
+    }
+    const marker = this.pathFor('pins', hash);
+    await fs.mkdir(path.dirname(marker), { recursive: true });
+    await fs.writeFile(marker, '');
+  }
+
+  /**
+   * Remove the pin marker of stored content; the content itself is kept
+   * @param {string} hash - IPFS hash to unpin
+   * @returns {Promise<void>}
+   */
+  async unpin(hash) {
+    try {
+      await fs.unlink(this.pathFor('pins', hash));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  /**
+   * List the hashes with a pin marker
+   * @returns {Promise<string[]>} Pinned IPFS hashes
+   */
+  async listPins() {
+    try {
+      return await fs.readdir(path.join(this.root, 'pins'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a file or directory is stored locally
+   * @param {string} hash - IPFS hash to check
+   * @returns {Promise<boolean>} Whether content exists
+   */
+  async exists(hash) {
+    for (const directory of ['blocks', 'dirs']) {
+      try {
+        await fs.access(this.pathFor(directory, hash));
+        return true;
+      } catch {
+        // Try the next location
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Verify the storage directory is writable
+   * @returns {Promise<Object>} Storage location
+   */
+  async testAuth() {
+    await fs.mkdir(this.root, { recursive: true });
+    await fs.access(this.root, constants.W_OK);
+    return { root: this.root };
+  }
+}
+
+module.exports = FilesystemProvider;
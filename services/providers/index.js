@@ -0,0 +1,30 @@
+const PinataProvider = require('./pinataProvider');
+const KuboProvider = require('./kuboProvider');
+const FilesystemProvider = require('./filesystemProvider');
+
+const providers = {
+  pinata: PinataProvider,
+  kubo: KuboProvider,
+  filesystem: FilesystemProvider
+};
+
+/**
+ * Instantiate the storage provider selected by configuration
+ * @param {string} name - Provider name (pinata, kubo or filesystem); defaults to IPFS_PROVIDER
+ * @param {Object} options - Provider-specific options
+ * @returns {Object} Provider implementing upload, uploadDirectory, get, getBlock, pin, unpin, listPins, exists and testAuth
+ */
+const createProvider = (name = process.env.IPFS_PROVIDER || 'pinata', options = {}) => {
+  const Provider = providers[name.toLowerCase()];
+  if (!Provider) {
+    throw new Error(`Unknown IPFS provider "${name}". Expected one of: ${Object.keys(providers).join(', ')}`);
+  }
+  return new Provider(options);
+};
+
+module.exports = {
+  createProvider,
+  PinataProvider,
+  KuboProvider,
+  FilesystemProvider
+};
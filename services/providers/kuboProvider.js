@@ -0,0 +1,182 @@
+const axios = require('axios');
+const FormData = require('form-data');
+
+/**
+ * Storage provider backed by a self-hosted Kubo (go-ipfs) node's HTTP RPC API
+ */
+class KuboProvider {
+  constructor(options = {}) {
+    this.name = 'kubo';
+    this.apiUrl = (options.apiUrl || process.env.KUBO_API_URL || 'http://127.0.0.1:5001').replace(/\/$/, '');
+    this.authorization = options.authorization || process.env.KUBO_AUTHORIZATION;
+  }
+
+  /**
+   * Issue an RPC call against the Kubo node (the RPC API only accepts POST)
+   * @param {string} command - RPC command path, e.g. "pin/add"
+   * @param {Object} params - Query string parameters
+   * @param {Object} config - Extra axios config
+   * @returns {Promise<Object>} Axios response
+   */
+  rpc(command, params = {}, config = {}) {
+    const { data = null, headers = {}, ...rest } = config;
+    return axios.post(`${this.apiUrl}/api/v0/${command}`, data, {
+      params,
+      headers: {
+        ...(this.authorization ? { 'Authorization': this.authorization } : {}),
+        ...headers
+      },
+      timeout: 30000,
+      ...rest
+    });
+  }
+
+  /**
+   * Add a file to the node using CIDv0 so hashes match the other providers
+   * @param {Buffer} content - File bytes
+   * @param {Object} options - Upload options
+   * @param {string} options.filename - File name used in the multipart body
+   * @returns {Promise<string>} IPFS hash (CID)
+   */
+  async upload(content, { filename = 'contract.json' } = {}) {
+    const form = new FormData();
+    form.append('file', content, {
+      filename,
+      contentType: 'application/json'
+    });
+
+    const response = await this.rpc('add', { 'cid-version': 0, pin: false }, {
+      data: form,
+      headers: form.getHeaders()
+    });
+
+    if (!response.data || !response.data.Hash) {
+      throw new Error('Invalid response from Kubo');
+    }
+
+    return response.data.Hash;
+  }
+
+  /**
+   * Add a directory of files to the node using CIDv0
+   * Files are sent under a common top-level directory whose CID is the result.
+   * @param {Array<{path: string, content: Buffer}>} files - Files with relative paths
+   * @returns {Promise<string>} IPFS hash (CID) of the directory
+   */
+  async uploadDirectory(files) {
+    const form = new FormData();
+    const directories = new Set(['project']);
+    for (const { path } of files) {
+      const segments = path.split('/');
+      for (let i = 1; i < segments.length; i++) {
+        directories.add(`project/${segments.slice(0, i).join('/')}`);
+      }
+    }
+    // Parent directories must precede their entries in the multipart body
+    [...directories].sort().forEach(directory => {
+      form.append('file', Buffer.alloc(0), {
+        filename: encodeURIComponent(directory),
+        contentType: 'application/x-directory'
+      });
+    });
+    files.forEach(({ path, content }) => {
+      form.append('file', content, {
+        filename: encodeURIComponent(`project/${path}`),
+        contentType: 'application/octet-stream'
+      });
+    });
+
+    const response = await this.rpc('add', { 'cid-version': 0, pin: false }, {
+      data: form,
+      headers: form.getHeaders(),
+      responseType: 'text',
+      timeout: 60000
+    });
+
+    // The response is one JSON object per added entry
+    const root = String(response.data).split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line))
+      .find(entry => entry.Name === 'project');
+    if (!root || !root.Hash) {
+      throw new Error('Invalid response from Kubo');
+    }
+
+    return root.Hash;
+  }
+
+  /**
+   * Retrieve raw file bytes from the node
+   * @param {string} hash - IPFS hash (CID)
+   * @returns {Promise<Buffer>} File bytes
+   */
+  async get(hash) {
+    const response = await this.rpc('cat', { arg: hash }, { responseType: 'arraybuffer' });
+    return Buffer.from(response.data);
+  }
+
+  /**
+   * Retrieve a raw dag-pb block from the node
+   * @param {string} hash - IPFS hash (CID) of the block
+   * @returns {Promise<Buffer>} Block bytes
+   */
+  async getBlock(hash) {
+    const response = await this.rpc('block/get', { arg: hash }, { responseType: 'arraybuffer' });
+    return Buffer.from(response.data);
+  }
+
+  /**
+   * Pin content recursively on the node
+   * @param {string} hash - IPFS hash to pin
+   * @returns {Promise<void>}
+   */
+  async pin(hash) {
+    await this.rpc('pin/add', { arg: hash });
+  }
+
+  /**
+   * Remove a recursive pin from the node
+   * @param {string} hash - IPFS hash to unpin
+   * @returns {Promise<void>}
+   */
+  async unpin(hash) {
+    await this.rpc('pin/rm', { arg: hash });
+  }
+
+  /**
+   * List the recursive pins of the node
+   * @returns {Promise<string[]>} Pinned IPFS hashes
+   */
+  async listPins() {
+    const response = await this.rpc('pin/ls', { type: 'recursive' }, { timeout: 60000 });
+    return Object.keys((response.data && response.data.Keys) || {});
+  }
+
+  /**
+   * Check whether the node holds the root block locally
+   * @param {string} hash - IPFS hash to check
+   * @returns {Promise<boolean>} Whether content exists
+   */
+  async exists(hash) {
+    try {
+      await this.rpc('block/stat', { arg: hash, offline: true }, { timeout: 10000 });
+      return true;
+    } catch (error) {
+      if (error.response && error.response.status === 500) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Verify the node is reachable and accepts our credentials
+   * @returns {Promise<Object>} Kubo version information
+   */
+  async testAuth() {
+    const response = await this.rpc('version', {}, { timeout: 10000 });
+    return response.data;
+  }
+}
+
+module.exports = KuboProvider;
@@ -0,0 +1,233 @@
+const axios = require('axios');
+const FormData = require('form-data');
+
+/**
+ * Storage provider backed by Pinata's pinning API and gateway
+ */
+class PinataProvider {
+  constructor(options = {}) {
+    this.name = 'pinata';
+    this.apiKey = options.apiKey || process.env.PINATA_API_KEY;
+    this.secretApiKey = options.secretApiKey || process.env.PINATA_SECRET_API_KEY;
+    this.gateway = options.gateway || process.env.PINATA_GATEWAY;
+    this.apiUrl = options.apiUrl || process.env.PINATA_API_URL || 'https://api.pinata.cloud';
+  }
+
+  /**
+   * Authentication headers sent with every Pinata API request
+   * @returns {Object} Header map
+   */
+  authHeaders() {
+    return {
+      'pinata_api_key': this.apiKey,
+      'pinata_secret_api_key': this.secretApiKey
+    };
+  }
+
+  /**
+   * Upload a file to Pinata IPFS
+   * @param {Buffer} content - File bytes
+   * @param {Object} options - Upload options
+   * @param {string} options.filename - File name used in the multipart body
+   * @param {string} options.name - Pinata metadata name
+   * @param {Object} options.keyvalues - Pinata metadata key/values
+   * @returns {Promise<string>} IPFS hash (CID)
+   */
+  async upload(content, { filename = 'contract.json', name = 'contract-code.json', keyvalues = {} } = {}) {
+    const form = new FormData();
+    form.append('file', content, {
+      filename,
+      contentType: 'application/json'
+    });
+
+    // Pinata metadata
+    form.append('pinataMetadata', JSON.stringify({ name, keyvalues }));
+
+    // Pinata options
+    form.append('pinataOptions', JSON.stringify({ cidVersion: 0 }));
+
+    const response = await axios.post(`${this.apiUrl}/pinning/pinFileToIPFS`, form, {
+      headers: {
+        'Content-Type': `multipart/form-data; boundary=${form._boundary}`,
+        ...this.authHeaders(),
+        ...form.getHeaders()
+      },
+      timeout: 30000
+    });
+
+    if (!response.data || !response.data.IpfsHash) {
+      throw new Error('Invalid response from Pinata');
+    }
+
+    console.log(`✓ Gateway URL: ${this.gateway}/ipfs/${response.data.IpfsHash}`);
+    return response.data.IpfsHash;
+  }
+
+  /**
+   * Upload a directory of files to Pinata IPFS as a single folder
+   * @param {Array<{path: string, content: Buffer}>} files - Files with relative paths
+   * @param {Object} options - Upload options
+   * @param {string} options.name - Pinata metadata name
+   * @param {Object} options.keyvalues - Pinata metadata key/values
+   * @returns {Promise<string>} IPFS hash (CID) of the folder
+   */
+  async uploadDirectory(files, { name = 'contract-project', keyvalues = {} } = {}) {
+    const form = new FormData();
+    files.forEach(({ path, content }) => {
+      form.append('file', content, {
+        filepath: `project/${path}`,
+        contentType: 'application/octet-stream'
+      });
+    });
+
+    form.append('pinataMetadata', JSON.stringify({ name, keyvalues }));
+    form.append('pinataOptions', JSON.stringify({ cidVersion: 0 }));
+
+    const response = await axios.post(`${this.apiUrl}/pinning/pinFileToIPFS`, form, {
+      headers: {
+        ...this.authHeaders(),
+        ...form.getHeaders()
+      },
+      maxBodyLength: Infinity,
+      timeout: 60000
+    });
+
+    if (!response.data || !response.data.IpfsHash) {
+      throw new Error('Invalid response from Pinata');
+    }
+
+    console.log(`✓ Gateway URL: ${this.gateway}/ipfs/${response.data.IpfsHash}`);
+    return response.data.IpfsHash;
+  }
+
+  /**
+   * Retrieve raw file bytes through the Pinata gateway
+   * @param {string} hash - IPFS hash (CID)
+   * @returns {Promise<Buffer>} File bytes
+   */
+  async get(hash) {
+    const response = await axios.get(`${this.gateway}/ipfs/${hash}`, {
+      timeout: 30000,
+      responseType: 'arraybuffer',
+      headers: {
+        'Accept': 'application/json'
+      }
+    });
+
+    return Buffer.from(response.data);
+  }
+
+  /**
+   * Retrieve a raw dag-pb block through the Pinata gateway
+   * @param {string} hash - IPFS hash (CID) of the block
+   * @returns {Promise<Buffer>} Block bytes
+   */
+  async getBlock(hash) {
+    const response = await axios.get(`${this.gateway}/ipfs/${hash}`, {
+      params: { format: 'raw' },
+      timeout: 30000,
+      responseType: 'arraybuffer',
+      headers: {
+        'Accept': 'application/vnd.ipld.raw'
+      }
+    });
+
+    return Buffer.from(response.data);
+  }
+
+  /**
+   * Pin content by hash
+   * @param {string} hash - IPFS hash to pin
+   * @returns {Promise<void>}
+   */
+  async pin(hash) {
+    await axios.post(`${this.apiUrl}/pinning/pinByHash`, {
+      hashToPin: hash,
+      pinataMetadata: {
+        name: 'pinned-contract',
+        keyvalues: {
+          type: 'smart-contract',
+          pinnedAt: new Date().toISOString()
+        }
+      }
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...this.authHeaders()
+      },
+      timeout: 30000
+    });
+  }
+
+  /**
+   * Remove a pin
+   * @param {string} hash - IPFS hash to unpin
+   * @returns {Promise<void>}
+   */
+  async unpin(hash) {
+    await axios.delete(`${this.apiUrl}/pinning/unpin/${encodeURIComponent(hash)}`, {
+      headers: this.authHeaders(),
+      timeout: 30000
+    });
+  }
+
+  /**
+   * List the hashes pinned by this service (pins tagged type=smart-contract)
+   * @returns {Promise<string[]>} Pinned IPFS hashes
+   */
+  async listPins() {
+    const pageLimit = 1000;
+    const hashes = [];
+    for (let pageOffset = 0; ; pageOffset += pageLimit) {
+      const response = await axios.get(`${this.apiUrl}/data/pinList`, {
+        params: {
+          status: 'pinned',
+          pageLimit,
+          pageOffset,
+          'metadata[keyvalues]': JSON.stringify({ type: { value: 'smart-contract', op: 'eq' } })
+        },
+        headers: this.authHeaders(),
+        timeout: 30000
+      });
+
+      const rows = (response.data && response.data.rows) || [];
+      rows.forEach(row => hashes.push(row.ipfs_pin_hash));
+      if (rows.length < pageLimit) {
+        return hashes;
+      }
+    }
+  }
+
+  /**
+   * Check whether the gateway can serve the content
+   * @param {string} hash - IPFS hash to check
+   * @returns {Promise<boolean>} Whether content exists
+   */
+  async exists(hash) {
+    try {
+      await axios.head(`${this.gateway}/ipfs/${hash}`, {
+        timeout: 10000
+      });
+      return true;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Verify the configured API credentials
+   * @returns {Promise<Object>} Pinata authentication response
+   */
+  async testAuth() {
+    const response = await axios.get(`${this.apiUrl}/data/testAuthentication`, {
+      headers: this.authHeaders(),
+      timeout: 10000
+    });
+    return response.data;
+  }
+}
+
+module.exports = PinataProvider;
@@ -0,0 +1,147 @@
+const RateLimitCounter = require('../models/RateLimitCounter');
+require('dotenv').config();
+
+/**
+ * Reads a non-negative integer limit from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when the variable is unset or invalid
+ * @returns {number} Limit; 0 disables it
+ */
+const readLimit = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+
+/**
+ * Fixed-window request limits per client IP and per wallet
+ *
+ * Counters live in MongoDB, so every instance behind a load balancer enforces the same budget.
+ * Each policy limits client IPs through its middleware. Policies with a wallet limit also count
+ * the wallet, but only once its signature has been verified (see limitWallet), so unsigned
+ * requests cannot spend another wallet's budget. Responses carry the RateLimit-* headers of
+ * whichever key has the least left. If the counter store is unavailable requests are let
+ * through, so an outage of the store never takes the API down with it.
+ */
+class RateLimiter {
+  constructor() {
+    this.windowMs = readLimit('RATE_LIMIT_WINDOW_MS', 60000) || 60000;
+    this.policies = {
+      // Uploads to IPFS; the wallet is the verified signing wallet
+      deploy: {
+        ip: readLimit('RATE_LIMIT_DEPLOY_PER_IP', 30),
+        wallet: readLimit('RATE_LIMIT_DEPLOY_PER_WALLET', 10)
+      },
+      // Public reads that may fetch content from IPFS, limited per client IP only
+      read: {
+        ip: readLimit('RATE_LIMIT_READ_PER_IP', 300),
+        wallet: 0
+      }
+    };
+  }
+
+  /**
+   * Count a request against a key
+   * @param {string} policy - Policy name
+   * @param {string} type - Key type: ip or wallet
+   * @param {string} id - Client IP or wallet address
+   * @returns {Promise<Object|null>} The key's state ({ type, limit, remaining, resetAt, exceeded }),
+   *          or null when the policy has no limit of that type
+   */
+  async consume(policy, type, id) {
+    const limit = this.policies[policy][type];
+    if (!(limit > 0) || !id) return null;
+
+    const now = Date.now();
+    const windowStart = new Date(now - (now % this.windowMs));
+    const resetAt = new Date(windowStart.getTime() + this.windowMs);
+
+    const count = await RateLimitCounter.hit(`${policy}:${type}:${id}`, windowStart, resetAt);
+    return {
+      type,
+      limit,
+      remaining: Math.max(0, limit - count),
+      resetAt,
+      exceeded: count > limit
+    };
+  }
+
+  /**
+   * Report a key's state in the RateLimit-* headers, unless a key with less left was already reported,
+   * and reject the request with 429 when the key is exhausted
+   * @param {Object} res - Express response
+   * @param {string} policy - Policy name
+   * @param {Object} state - Key state from consume
+   * @returns {boolean} Whether a 429 response was sent
+   */
+  apply(res, policy, state) {
+    const resetSeconds = Math.max(0, Math.ceil((state.resetAt.getTime() - Date.now()) / 1000));
+    const reported = res.get('RateLimit-Remaining');
+    if (state.exceeded || reported === undefined || state.remaining < Number(reported)) {
+      res.set({
+        'RateLimit-Policy': `${state.limit};w=${Math.ceil(this.windowMs / 1000)}`,
+        'RateLimit-Limit': String(state.limit),
+        'RateLimit-Remaining': String(state.remaining),
+        'RateLimit-Reset': String(resetSeconds)
+      });
+    }
+
+    if (!state.exceeded) return false;
+
+    res.set('Retry-After', String(resetSeconds));
+    res.status(429).json({
+      success: false,
+      message: `Too many requests from this ${state.type === 'ip' ? 'IP address' : 'wallet'}; try again in ${resetSeconds} seconds`,
+      rateLimit: {
+        policy,
+        scope: state.type,
+        limit: state.limit,
+        remaining: state.remaining,
+        windowSeconds: Math.ceil(this.windowMs / 1000),
+        resetAt: state.resetAt
+      }
+    });
+    return true;
+  }
+
+  /**
+   * Create middleware enforcing a policy's per-IP limit
+   * @param {string} policy - Policy name: deploy or read
+   * @returns {Function} Express middleware
+   */
+  limit(policy) {
+    if (!this.policies[policy]) {
+      throw new Error(`Unknown rate limit policy: ${policy}`);
+    }
+
+    return async (req, res, next) => {
+      let state;
+      try {
+        state = await this.consume(policy, 'ip', req.ip);
+      } catch (error) {
+        console.error(`Rate limit store error (${policy}):`, error.message);
+        return next();
+      }
+      if (!state || !this.apply(res, policy, state)) next();
+    };
+  }
+
+  /**
+   * Enforce a policy's per-wallet limit for a wallet whose signature has been verified
+   * @param {string} policy - Policy name
+   * @param {string} walletAddress - Verified signing wallet
+   * @param {Object} res - Express response
+   * @returns {Promise<boolean>} Whether a 429 response was sent; the caller must stop if so
+   */
+  async limitWallet(policy, walletAddress, res) {
+    let state;
+    try {
+      state = await this.consume(policy, 'wallet', walletAddress);
+    } catch (error) {
+      console.error(`Rate limit store error (${policy}):`, error.message);
+      return false;
+    }
+    return Boolean(state) && this.apply(res, policy, state);
+  }
+}
+
+module.exports = new RateLimiter();
@@ -0,0 +1,144 @@
+const SignatureNonce = require('../models/SignatureNonce');
+const Repository = require('../models/Repository');
+const {
+  SIGNATURE_TYPES,
+  buildActionMessage,
+  isSignableValue,
+  verifyWalletSignature
+} = require('../utils/walletSignature');
+require('dotenv').config();
+
+class SignatureService {
+constructor() {
+  this.maxAgeSeconds = parseInt(process.env.SIGNATURE_MAX_AGE_SECONDS, 10) || 300;
+}
+
+
+  /**
+   * Verify a wallet's signature over a deployment and consume its nonce
+   * @param {Object} params - Deployment being authorized
+   * @param {string} params.walletAddress - Deploying wallet
+   * @param {string} params.contractRepoName - Repository name
+   * @param {string} params.contractCodeHash - IPFS hash of the contract code
+   * @param {Object} params.signature - Signature payload ({ type, signature, nonce, timestamp })
+   * @returns {Promise<Object>} { verified: true, record } or { verified: false, reason }
+   */
+  async verifyDeploymentSignature({ contractCodeHash, ...params }) {
+    return this.verifyActionSignature({
+      ...params,
+      action: 'deployment',
+      fields: [['hash', contractCodeHash]]
+    });
+  }
+
+  /**
+   * Check that a wallet may act on a repository, then verify its signature over the action
+   * A repository that is not registered yet belongs to the wallet it is addressed under.
+   * When the signer is not that wallet, the message also names it on a "namespace" line.
+   * @param {Object} params - Action being authorized
+   * @param {Object|null} params.repository - Repository document, or null if not registered
+   * @param {string} params.walletAddress - Wallet the repository was created under
+   * @param {string} params.contractRepoName - Repository name
+   * @param {string} params.signer - Signing wallet; defaults to the repository's owner
+   * @param {string} params.role - Least role allowed to act: owner, deployer or viewer
+   * @param {string} params.action - Action name included in the signed message
+   * @param {Array<Array<string>>} params.fields - Action-specific [label, value] pairs
+   * @param {Object} params.signature - Signature payload ({ type, signature, nonce, timestamp })
+   * @returns {Promise<Object>} { verified: true, record, signer } or { verified: false, status, reason }
+   */
+  async authorizeRepoAction({ repository, walletAddress, contractRepoName, signer, role, action, fields, signature }) {
+    const owner = repository ? repository.owner : walletAddress;
+    const actor = signer || owner;
+    const actorRole = repository ? repository.roleOf(actor) : (actor === owner ? 'owner' : null);
+
+    if (!actorRole || Repository.ROLE_RANKS[actorRole] < Repository.ROLE_RANKS[role]) {
+      return {
+        verified: false,
+        status: 403,
+        reason: `Wallet ${actor} does not have the ${role} role in ${walletAddress}/${contractRepoName}`
+      };
+    }
+
+    const result = await this.verifyActionSignature({
+      walletAddress: actor,
+      contractRepoName,
+      action,
+      fields: actor === walletAddress ? fields : [['namespace', walletAddress], ...fields],
+      signature
+    });
+    return result.verified ? { ...result, signer: actor } : { ...result, status: 401 };
+  }
+
+  /**
+   * Verify a wallet's signature over an action on a repository and consume its nonce
+   * @param {Object} params - Action being authorized
+   * @param {string} params.walletAddress - Acting wallet
+   * @param {string} params.contractRepoName - Repository name
+   * @param {string} params.action - Action name included in the signed message
+   * @param {Array<Array<string>>} params.fields - Action-specific [label, value] pairs
+   * @param {Object} params.signature - Signature payload ({ type, signature, nonce, timestamp })
+   * @returns {Promise<Object>} { verified: true, record } or { verified: false, reason }
+   */
+  async verifyActionSignature({ walletAddress, contractRepoName, action, fields, signature }) {
+    if (!signature || typeof signature !== 'object') {
+      return { verified: false, reason: 'Wallet signature is required' };
+    }
+
+    const { type, signature: value, nonce, timestamp } = signature;
+
+    if (!SIGNATURE_TYPES.includes(type)) {
+      return { verified: false, reason: `Signature type must be one of: ${SIGNATURE_TYPES.join(', ')}` };
+    }
+    if (!value || !nonce || timestamp === undefined || timestamp === null) {
+      return { verified: false, reason: 'Signature must include signature, nonce and timestamp' };
+    }
+
+    // Reject stale or future-dated signatures
+    const signedAt = new Date(typeof timestamp === 'number' ? timestamp : String(timestamp));
+    if (isNaN(signedAt.getTime())) {
+      return { verified: false, reason: 'Signature timestamp must be ISO 8601 or epoch milliseconds' };
+    }
+    if (Math.abs(Date.now() - signedAt.getTime()) > this.maxAgeSeconds * 1000) {
+      return { verified: false, reason: `Signature timestamp must be within ${this.maxAgeSeconds} seconds of server time` };
+    }
+
+    // Each value takes one line of the message, so a newline could make two actions sign alike
+    const values = [walletAddress, contractRepoName, ...fields.map(([, fieldValue]) => fieldValue), nonce, timestamp];
+    if (!values.every(isSignableValue)) {
+      return { verified: false, reason: 'Signed values must not contain control characters' };
+    }
+
+    const message = buildActionMessage(action, {
+      walletAddress,
+      contractRepoName,
+      fields,
+      nonce,
+      timestamp
+    });
+
+    const result = verifyWalletSignature(type, message, value, walletAddress);
+    if (!result.valid) {
+      return { verified: false, reason: `Invalid signature: ${result.reason}` };
+    }
+
+    // Only consume the nonce once the signature is known to be genuine
+    const fresh = await SignatureNonce.consume(walletAddress, String(nonce));
+    if (!fresh) {
+      return { verified: false, reason: 'Signature nonce has already been used' };
+    }
+
+    return {
+      verified: true,
+      record: {
+        type,
+        signature: value,
+        publicKey: result.publicKey,
+        nonce: String(nonce),
+        timestamp: String(timestamp),
+        message
+      }
+    };
+  }
+}
+
+module.exports = new SignatureService();
@@ -0,0 +1,93 @@
+const StorageUsage = require('../models/StorageUsage');
+require('dotenv').config();
+
+/**
+ * Caps the cumulative bytes each wallet may upload to IPFS through the API
+ *
+ * Bytes are reserved in MongoDB before an upload and given back if it fails, so the quota holds
+ * across instances and concurrent deploys. Content that is not uploaded (an unchanged deploy, a
+ * rollback) costs nothing.
+ */
+class StorageQuota {
+  constructor() {
+    // 0 disables the quota; usage is still recorded
+    const quota = parseInt(process.env.STORAGE_QUOTA_BYTES, 10);
+    this.quotaBytes = Number.isInteger(quota) && quota >= 0 ? quota : 100 * 1024 * 1024;
+  }
+
+  /**
+   * Describe a wallet's usage against the quota
+   * @param {string} walletAddress - Wallet address
+   * @param {Object|null} usage - StorageUsage document
+   * @param {number} requested - Size of the upload being considered, if any
+   * @returns {Object} { walletAddress, limit, used, remaining, uploads[, requested] }; limit and
+   *          remaining are null when there is no quota
+   */
+  format(walletAddress, usage, requested) {
+    const used = usage ? usage.bytesUploaded : 0;
+    return {
+      walletAddress,
+      limit: this.quotaBytes || null,
+      used,
+      remaining: this.quotaBytes ? Math.max(0, this.quotaBytes - used) : null,
+      uploads: usage ? usage.uploads : 0,
+      ...(requested !== undefined && { requested })
+    };
+  }
+
+  /**
+   * Get a wallet's usage against the quota
+   * @param {string} walletAddress - Wallet address
+   * @returns {Promise<Object>} Quota description (see format)
+   */
+  async getUsage(walletAddress) {
+    return this.format(walletAddress, await StorageUsage.findByWallet(walletAddress));
+  }
+
+  /**
+   * Reserve quota for an upload
+   * @param {string} walletAddress - Uploading wallet
+   * @param {number} bytes - Upload size
+   * @returns {Promise<Object>} { allowed, quota } with the quota after the reservation, or as it
+   *          stands when the upload does not fit
+   */
+  async reserve(walletAddress, bytes) {
+    const usage = await StorageUsage.reserve(walletAddress, bytes, this.quotaBytes);
+    if (usage) {
+      return { allowed: true, quota: this.format(walletAddress, usage) };
+    }
+    return {
+      allowed: false,
+      quota: this.format(walletAddress, await StorageUsage.findByWallet(walletAddress), bytes)
+    };
+  }
+
+  /**
+   * Give back the quota reserved for an upload that failed
+   * @param {string} walletAddress - Uploading wallet
+   * @param {number} bytes - Upload size
+   */
+  async release(walletAddress, bytes) {
+    try {
+      await StorageUsage.release(walletAddress, bytes);
+    } catch (error) {
+      console.error(`Failed to release ${bytes} bytes of storage quota for ${walletAddress}:`, error.message);
+    }
+  }
+
+  /**
+   * Build the 413 response body for an upload that does not fit
+   * @param {Object} quota - Quota description including requested
+   * @returns {Object} Response body
+   */
+  exceededBody(quota) {
+    return {
+      success: false,
+      message: `Storage quota exceeded: upload of ${quota.requested} bytes, ${quota.remaining} of ${quota.limit} bytes remaining`,
+      code: 'STORAGE_QUOTA_EXCEEDED',
+      quota
+    };
+  }
+}
+
+module.exports = new StorageQuota();
@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const Webhook = require('../models/Webhook');
+const Repository = require('../models/Repository');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { ADDRESS_NOT_PUBLIC, publicLookup, checkWebhookUrl } = require('../utils/webhookUrl');
+require('dotenv').config();
+
+/**
+ * Delivers signed event payloads to registered webhooks
+ *
+ * Every delivery is persisted before it is attempted. Failed attempts are retried with
+ * exponential backoff by a polling worker until WEBHOOK_MAX_ATTEMPTS is reached, after
+ * which the delivery is marked dead. Workers claim due deliveries with a lease, so several
+ * server instances can share the queue.
+ */
+class WebhookService {
+  constructor() {
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+    this.retryBaseMs = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30 * 1000;
+    this.timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000;
+    this.pollIntervalMs = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 5 * 1000;
+    // An attempt never outlives its lease, so a claimed delivery is not picked up twice
+    this.leaseMs = this.timeoutMs * 2;
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Generate a signing secret for a new webhook
+   * @returns {string} Hex-encoded 256-bit secret
+   */
+  generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Sign a payload the way receivers are expected to verify it
+   * @param {string} secret - Webhook secret
+   * @param {string} timestamp - Unix timestamp in seconds, sent as X-DotClar-Timestamp
+   * @param {string} body - Raw JSON request body
+   * @returns {string} Hex-encoded HMAC-SHA256 of `${timestamp}.${body}`
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Delay before the next attempt after a failure
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Milliseconds to wait
+   */
+  retryDelay(attempts) {
+    return this.retryBaseMs * 2 ** (attempts - 1);
+  }
+
+  /**
+   * Queue an event for every webhook subscribed to it and attempt delivery right away
+   * Repo webhooks only receive events while the wallet that registered them still has a role in
+   * the repo, so a previous owner or a removed collaborator stops receiving them.
+   * Never throws: webhook failures must not fail the action that raised the event.
+   * @param {string} event - Event name (see Webhook.WEBHOOK_EVENTS)
+   * @param {Object} params - walletAddress (the repo's creating wallet), contractRepoName and event data
+   * @returns {Promise<Object[]>} Queued deliveries
+   */
+  async emit(event, { walletAddress, contractRepoName, data }) {
+    try {
+      const repository = await Repository.findOne({ walletAddress, contractRepoName }).exec();
+      const owner = repository ? repository.owner : walletAddress;
+      const webhooks = (await Webhook.findSubscribers(walletAddress, contractRepoName, owner, event))
+        .filter(webhook => webhook.contractRepoName === null
+          || (repository ? repository.roleOf(webhook.walletAddress) !== null : webhook.walletAddress === walletAddress));
+      if (webhooks.length === 0) {
+        return [];
+      }
+
+      const createdAt = new Date().toISOString();
+      // Leased to this instance for the immediate attempt below
+      const nextAttemptAt = new Date(Date.now() + this.leaseMs);
+      const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+        webhook: webhook._id,
+        event,
+        payload: { event, walletAddress, contractRepoName, createdAt, data },
+        nextAttemptAt
+      })));
+
+      for (const delivery of deliveries) {
+        this.attempt(delivery).catch(error => {
+          console.error(`Webhook delivery ${delivery._id} error:`, error.message);
+        });
+      }
+
+      return deliveries;
+    } catch (error) {
+      console.error(`Failed to queue ${event} webhooks:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Describe a failed request without revealing what the endpoint or network answered
+   * @param {Error} error - Request error
+   * @returns {string} Failure category
+   */
+  describeFailure(error) {
+    if (error.code === ADDRESS_NOT_PUBLIC) return 'Webhook URL resolves to a non-public address';
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return 'Request timed out';
+    return 'Request failed';
+  }
+
+  /**
+   * Make one delivery attempt and record its outcome
+   * @param {Object} delivery - WebhookDelivery document
+   * @returns {Promise<Object>} Updated delivery
+   */
+  async attempt(delivery) {
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret').exec();
+    if (!webhook || !webhook.active) {
+      delivery.status = 'dead';
+      delivery.lastError = 'Webhook was deleted or deactivated';
+      return delivery.save();
+    }
+
+    const body = JSON.stringify({ id: delivery._id, ...delivery.payload });
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    delivery.attempts += 1;
+    delivery.lastAttemptAt = new Date();
+
+    try {
+      // The host may have been re-pointed since registration
+      const problem = await checkWebhookUrl(webhook.url);
+      if (problem) {
+        const error = new Error(problem);
+        error.code = ADDRESS_NOT_PUBLIC;
+        throw error;
+      }
+
+      const response = await axios.post(webhook.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'dotClar-Webhooks',
+          'X-DotClar-Event': delivery.event,
+          'X-DotClar-Delivery': String(delivery._id),
+          'X-DotClar-Timestamp': timestamp,
+          'X-DotClar-Signature': `sha256=${this.sign(webhook.secret, timestamp, body)}`
+        },
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        lookup: publicLookup,
+        validateStatus: () => true
+      });
+
+      delivery.lastResponseStatus = response.status;
+      if (response.status >= 200 && response.status < 300) {
+        delivery.status = 'delivered';
+        delivery.deliveredAt = new Date();
+        delivery.lastError = undefined;
+      } else {
+        delivery.lastError = `Endpoint responded with HTTP ${response.status}`;
+      }
+    } catch (error) {
+      // Deliveries are listed publicly, so only a category of the failure is recorded
+      console.warn(`Webhook delivery ${delivery._id} attempt failed:`, error.message);
+      delivery.lastResponseStatus = undefined;
+      delivery.lastError = this.describeFailure(error);
+    }
+
+    if (delivery.status !== 'delivered') {
+      if (delivery.attempts >= this.maxAttempts) {
+        delivery.status = 'dead';
+        console.warn(`Webhook delivery ${delivery._id} is dead after ${delivery.attempts} attempts: ${delivery.lastError}`);
+      } else {
+        delivery.nextAttemptAt = new Date(Date.now() + this.retryDelay(delivery.attempts));
+      }
+    }
+
+    return delivery.save();
+  }
+
+  /**
+   * Reset a delivery and attempt it again, whatever its current status
+   * @param {Object} delivery - WebhookDelivery document
+   * @returns {Promise<Object>} Updated delivery
+   */
+  async redeliver(delivery) {
+    delivery.status = 'pending';
+    delivery.attempts = 0;
+    delivery.deliveredAt = undefined;
+    delivery.nextAttemptAt = new Date(Date.now() + this.leaseMs);
+    await delivery.save();
+    return this.attempt(delivery);
+  }
+
+  /**
+   * Attempt every delivery whose retry is due
+   */
+  async processDue() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      let delivery;
+      while ((delivery = await WebhookDelivery.claimDue(this.leaseMs))) {
+        await this.attempt(delivery);
+      }
+    } catch (error) {
+      console.error('Webhook retry worker error:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Start polling for due retries
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.processDue(), this.pollIntervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop polling for due retries
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new WebhookService();
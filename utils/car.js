@@ -0,0 +1,255 @@
+/**
+ * Utility functions for reading and writing CARv1 (Content Addressable aRchive) files
+ *
+ * A CARv1 file is a varint-prefixed DAG-CBOR header ({ roots, version: 1 }) followed by
+ * varint-prefixed sections, each a binary CID immediately followed by the block bytes.
+ * Only sha2-256 CIDs are produced or accepted: CIDv0 for dag-pb blocks and CIDv1 for
+ * the JSON manifest.
+ */
+
+const crypto = require('crypto');
+const { encodeVarint, decodeVarint, encodeBase58, encodeBase32 } = require('./cid');
+
+const CAR_VERSION = 1;
+const CID_V1 = 1;
+const CODEC_DAG_PB = 0x70;
+const CODEC_JSON = 0x0200;
+const SHA2_256 = 0x12;
+const SHA2_256_LENGTH = 32;
+const CBOR_CID_TAG = 42;
+
+/**
+ * Returns the sha2-256 multihash of a block
+ * @param {Buffer} bytes - Block bytes
+ * @returns {Buffer} Multihash bytes
+ */
+const sha256Multihash = (bytes) => {
+  return Buffer.concat([
+    Buffer.from([SHA2_256, SHA2_256_LENGTH]),
+    crypto.createHash('sha256').update(bytes).digest()
+  ]);
+};
+
+/**
+ * Formats a binary CID as a string: base58btc for CIDv0, base32 multibase for CIDv1
+ * @param {Buffer} cid - Binary CID
+ * @returns {string} CID string
+ */
+const cidToString = (cid) => {
+  const isV0 = cid.length === SHA2_256_LENGTH + 2 && cid[0] === SHA2_256 && cid[1] === SHA2_256_LENGTH;
+  return isV0 ? encodeBase58(cid) : `b${encodeBase32(cid)}`;
+};
+
+/**
+ * Wraps a JSON value as a CIDv1 block
+ * @param {*} value - JSON-serializable value
+ * @returns {Object} Block with cid (binary), cidString and bytes
+ */
+const createJsonBlock = (value) => {
+  const bytes = Buffer.from(JSON.stringify(value), 'utf8');
+  const cid = Buffer.concat([encodeVarint(CID_V1), encodeVarint(CODEC_JSON), sha256Multihash(bytes)]);
+  return { cid, cidString: cidToString(cid), bytes };
+};
+
+/**
+ * Encodes a CBOR head (major type and argument)
+ * @param {number} majorType - CBOR major type
+ * @param {number} value - Argument
+ * @returns {Buffer} Encoded head
+ */
+const encodeCborHead = (majorType, value) => {
+  const type = majorType << 5;
+  if (value < 24) return Buffer.from([type | value]);
+  if (value < 0x100) return Buffer.from([type | 24, value]);
+  if (value < 0x10000) return Buffer.from([type | 25, value >> 8, value & 0xff]);
+  const head = Buffer.alloc(5);
+  head[0] = type | 26;
+  head.writeUInt32BE(value, 1);
+  return head;
+};
+
+/**
+ * Encodes a CAR header as DAG-CBOR: { roots: [CID...], version: 1 }
+ * @param {Buffer[]} roots - Binary root CIDs
+ * @returns {Buffer} Encoded header
+ */
+const encodeHeader = (roots) => {
+  const text = (value) => Buffer.concat([encodeCborHead(3, Buffer.byteLength(value)), Buffer.from(value, 'utf8')]);
+  return Buffer.concat([
+    // Map keys in DAG-CBOR canonical order (shorter keys first)
+    encodeCborHead(5, 2),
+    text('roots'),
+    encodeCborHead(4, roots.length),
+    ...roots.map(cid => Buffer.concat([
+      encodeCborHead(6, CBOR_CID_TAG),
+      // CIDs in DAG-CBOR are byte strings with a leading identity multibase prefix
+      encodeCborHead(2, cid.length + 1),
+      Buffer.from([0]),
+      cid
+    ])),
+    text('version'),
+    encodeCborHead(0, CAR_VERSION)
+  ]);
+};
+
+/**
+ * Decodes the subset of CBOR used by CAR headers
+ * @param {Buffer} bytes - Encoded bytes
+ * @param {number} offset - Index of the item to decode
+ * @returns {Array} [value, offset after the item]
+ */
+const decodeCbor = (bytes, offset) => {
+  if (offset >= bytes.length) throw new Error('Truncated CAR header');
+  const initial = bytes[offset++];
+  const majorType = initial >> 5;
+  const info = initial & 31;
+
+  let value;
+  if (info < 24) {
+    value = info;
+  } else if (info === 24) {
+    value = bytes.readUInt8(offset);
+    offset += 1;
+  } else if (info === 25) {
+    value = bytes.readUInt16BE(offset);
+    offset += 2;
+  } else if (info === 26) {
+    value = bytes.readUInt32BE(offset);
+    offset += 4;
+  } else {
+    throw new Error('Unsupported CBOR encoding in CAR header');
+  }
+
+  switch (majorType) {
+    case 0:
+      return [value, offset];
+    case 2:
+    case 3: {
+      const end = offset + value;
+      if (end > bytes.length) throw new Error('Truncated CAR header');
+      const slice = bytes.subarray(offset, end);
+      return [majorType === 3 ? slice.toString('utf8') : slice, end];
+    }
+    case 4: {
+      const items = [];
+      for (let i = 0; i < value; i++) {
+        let item;
+        [item, offset] = decodeCbor(bytes, offset);
+        items.push(item);
+      }
+      return [items, offset];
+    }
+    case 5: {
+      const map = {};
+      for (let i = 0; i < value; i++) {
+        let key;
+        let item;
+        [key, offset] = decodeCbor(bytes, offset);
+        [item, offset] = decodeCbor(bytes, offset);
+        map[key] = item;
+      }
+      return [map, offset];
+    }
+    case 6: {
+      let item;
+      [item, offset] = decodeCbor(bytes, offset);
+      if (value === CBOR_CID_TAG && Buffer.isBuffer(item) && item[0] === 0) {
+        return [item.subarray(1), offset];
+      }
+      throw new Error(`Unsupported CBOR tag ${value} in CAR header`);
+    }
+    default:
+      throw new Error('Unsupported CBOR type in CAR header');
+  }
+};
+
+/**
+ * Reads a binary CID at the start of a CAR section
+ * @param {Buffer} bytes - Section bytes
+ * @returns {Object} Object with cid (binary), digest and length of the CID
+ */
+const readCid = (bytes) => {
+  // CIDv0 is a bare sha2-256 multihash
+  if (bytes[0] === SHA2_256 && bytes[1] === SHA2_256_LENGTH) {
+    const length = SHA2_256_LENGTH + 2;
+    return { cid: bytes.subarray(0, length), codec: CODEC_DAG_PB, hashCode: SHA2_256, digest: bytes.subarray(2, length), length };
+  }
+
+  let offset = 0;
+  let version;
+  let codec;
+  let hashCode;
+  let digestLength;
+  [version, offset] = decodeVarint(bytes, offset);
+  if (version !== CID_V1) throw new Error(`Unsupported CID version ${version}`);
+  [codec, offset] = decodeVarint(bytes, offset);
+  [hashCode, offset] = decodeVarint(bytes, offset);
+  [digestLength, offset] = decodeVarint(bytes, offset);
+  const length = offset + digestLength;
+  if (length > bytes.length) throw new Error('Truncated CID');
+
+  return { cid: bytes.subarray(0, length), codec, hashCode, digest: bytes.subarray(offset, length), length };
+};
+
+/**
+ * Writes a CARv1 file
+ * @param {Buffer[]} roots - Binary root CIDs
+ * @param {Array<{cid: Buffer, bytes: Buffer}>} blocks - Blocks in the order to write them
+ * @returns {Buffer} CAR file bytes
+ */
+const encodeCar = (roots, blocks) => {
+  const header = encodeHeader(roots);
+  const parts = [encodeVarint(header.length), header];
+  for (const { cid, bytes } of blocks) {
+    parts.push(encodeVarint(cid.length + bytes.length), cid, bytes);
+  }
+  return Buffer.concat(parts);
+};
+
+/**
+ * Reads a CARv1 file, verifying every block against its CID
+ * @param {Buffer} car - CAR file bytes
+ * @returns {Object} Object with roots (CID strings) and blocks (Map of CID string → { codec, bytes })
+ * @throws  When the file is malformed or a block does not match its CID
+ */
+const decodeCar = (car) => {
+  let [headerLength, offset] = decodeVarint(car, 0);
+  const [header] = decodeCbor(car.subarray(offset, offset + headerLength), 0);
+  offset += headerLength;
+
+  if (!header || header.version !== CAR_VERSION || !Array.isArray(header.roots)) {
+    throw new Error('Not a CARv1 file');
+  }
+
+  const blocks = new Map();
+  while (offset < car.length) {
+    let sectionLength;
+    [sectionLength, offset] = decodeVarint(car, offset);
+    const section = car.subarray(offset, offset + sectionLength);
+    if (section.length !== sectionLength) throw new Error('Truncated CAR section');
+    offset += sectionLength;
+
+    const { cid, codec, hashCode, digest, length } = readCid(section);
+    const cidString = cidToString(cid);
+    if (hashCode !== SHA2_256) {
+      throw new Error(`Block ${cidString} uses an unsupported hash function`);
+    }
+
+    const bytes = section.subarray(length);
+    if (!crypto.createHash('sha256').update(bytes).digest().equals(digest)) {
+      throw new Error(`Block ${cidString} does not match its CID`);
+    }
+    blocks.set(cidString, { codec, bytes });
+  }
+
+  return { roots: header.roots.map(cidToString), blocks };
+};
+
+module.exports = {
+  CODEC_DAG_PB,
+  CODEC_JSON,
+  createJsonBlock,
+  cidToString,
+  encodeCar,
+  decodeCar
+};
@@ -0,0 +1,104 @@
+/**
+ * Utility functions for generating repository changelogs from deployment history
+ */
+
+const { parseVersion } = require('./versionManager');
+
+/**
+ * Builds a changelog grouped by major and minor version
+ * @param {Object[]} deployments - Repository history, highest version first
+ * @returns {Object[]} Major groups, each with minor groups of entries, highest first
+ */
+const buildChangelog = (deployments) => {
+  const majors = [];
+
+  deployments.forEach((deploy, index) => {
+    const { major, minor } = parseVersion(deploy.version);
+    // History is ordered highest version first, so the previous version follows
+    const previousDeploy = deployments[index + 1] || null;
+
+    let majorGroup = majors[majors.length - 1];
+    if (!majorGroup || majorGroup.major !== major) {
+      majorGroup = { major, minors: [] };
+      majors.push(majorGroup);
+    }
+
+    let minorGroup = majorGroup.minors[majorGroup.minors.length - 1];
+    if (!minorGroup || minorGroup.minor !== minor) {
+      minorGroup = { minor, series: `${major}.${minor}`, entries: [] };
+      majorGroup.minors.push(minorGroup);
+    }
+
+    minorGroup.entries.push({
+      version: deploy.version,
+      deployedAt: deploy.deployedAt,
+      contractCodeHash: deploy.contractCodeHash,
+      message: deploy.message || null,
+      author: deploy.author || null,
+      git: deploy.git && (deploy.git.sha || deploy.git.branch)
+        ? { sha: deploy.git.sha || null, branch: deploy.git.branch || null }
+        : null,
+      rollback: deploy.rollback && deploy.rollback.toVersion ? deploy.rollback : null,
+      previousVersion: previousDeploy ? previousDeploy.version : null,
+      codeChanged: previousDeploy ? previousDeploy.contractCodeHash !== deploy.contractCodeHash : true
+    });
+  });
+
+  return majors;
+};
+
+/**
+ * Renders one changelog entry as a Markdown list item
+ * @param {Object} entry - Changelog entry
+ * @returns {string} Markdown lines
+ */
+const renderEntry = (entry) => {
+  const date = new Date(entry.deployedAt).toISOString().slice(0, 10);
+  // Messages may span lines; only the first line fits in a list item
+  const summary = entry.message ? entry.message.split('\n')[0] : '_No message_';
+
+  const details = [];
+  if (entry.author) details.push(entry.author);
+  if (entry.git) {
+    const sha = entry.git.sha ? `\`${entry.git.sha.slice(0, 7)}\`` : null;
+    details.push([entry.git.branch, sha].filter(Boolean).join(' @ '));
+  }
+
+  const lines = [`- **${entry.version}** (${date}) ${summary}${details.length > 0 ? ` — ${details.join(', ')}` : ''}`];
+
+  if (entry.rollback) {
+    lines.push(`  - Rolled back to ${entry.rollback.toVersion}`);
+  }
+  if (!entry.codeChanged) {
+    lines.push(`  - No code changes since ${entry.previousVersion}`);
+  } else if (entry.previousVersion === null) {
+    lines.push('  - Initial version');
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Renders a changelog as Markdown
+ * @param {string} contractRepoName - Repository name used as the title
+ * @param {Object[]} majors - Changelog from buildChangelog
+ * @returns {string} Markdown document
+ */
+const renderMarkdown = (contractRepoName, majors) => {
+  const sections = [`# Changelog: ${contractRepoName}`];
+
+  for (const { major, minors } of majors) {
+    sections.push(`## ${major}.x`);
+    for (const { series, entries } of minors) {
+      sections.push(`### ${series}`);
+      sections.push(entries.map(renderEntry).join('\n'));
+    }
+  }
+
+  return `${sections.join('\n\n')}\n`;
+};
+
+module.exports = {
+  buildChangelog,
+  renderMarkdown
+};
@@ -0,0 +1,495 @@
+/**
+ * Utility functions for computing IPFS content identifiers locally
+ *
+ * Mirrors the default UnixFS importer settings used by Pinata and Kubo
+ * (CIDv0, dag-pb leaves, 256 KiB fixed-size chunks, balanced layout with
+ * 174 links per node) so the CID computed here matches the one returned
+ * by the remote node for the same bytes.
+ */
+
+const crypto = require('crypto');
+
+const CHUNK_SIZE = 262144;
+const MAX_LINKS = 174;
+// Upper bound on nodes visited when reading a DAG (a 1 GiB file has about 4,100)
+const MAX_DAG_NODES = 100000;
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+// UnixFS Data.Type values
+const UNIXFS_DIRECTORY = 1;
+const UNIXFS_FILE = 2;
+
+/**
+ * Encodes an unsigned integer as a protobuf varint
+ * @param {number} value - Non-negative integer
+ * @returns {Buffer} Varint bytes
+ */
+const encodeVarint = (value) => {
+  const bytes = [];
+  let remaining = value;
+  while (remaining >= 0x80) {
+    bytes.push((remaining % 0x80) | 0x80);
+    remaining = Math.floor(remaining / 0x80);
+  }
+  bytes.push(remaining);
+  return Buffer.from(bytes);
+};
+
+/**
+ * Encodes a length-delimited protobuf field
+ * @param {number} fieldNumber - Protobuf field number
+ * @param {Buffer} value - Field payload
+ * @returns {Buffer} Encoded field
+ */
+const encodeBytesField = (fieldNumber, value) => {
+  return Buffer.concat([encodeVarint((fieldNumber << 3) | 2), encodeVarint(value.length), value]);
+};
+
+/**
+ * Encodes a varint protobuf field
+ * @param {number} fieldNumber - Protobuf field number
+ * @param {number} value - Field value
+ * @returns {Buffer} Encoded field
+ */
+const encodeVarintField = (fieldNumber, value) => {
+  return Buffer.concat([encodeVarint(fieldNumber << 3), encodeVarint(value)]);
+};
+
+/**
+ * Encodes bytes as a base58btc string
+ * @param {Buffer} bytes - Bytes to encode
+ * @returns {string} Base58btc string
+ */
+const encodeBase58 = (bytes) => {
+  const digits = [0];
+  for (const byte of bytes) {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8;
+      digits[i] = carry % 58;
+      carry = (carry / 58) | 0;
+    }
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = (carry / 58) | 0;
+    }
+  }
+
+  let result = '';
+  for (let i = 0; i < bytes.length && bytes[i] === 0; i++) {
+    result += BASE58_ALPHABET[0];
+  }
+  for (let i = digits.length - 1; i >= 0; i--) {
+    result += BASE58_ALPHABET[digits[i]];
+  }
+  return result;
+};
+
+/**
+ * Encodes bytes as unpadded lowercase base32 (RFC 4648)
+ * @param {Buffer} bytes - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const encodeBase32 = (bytes) => {
+  let output = '';
+  let buffer = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Returns the raw multihash bytes for a dag-pb block
+ * @param {Buffer} block - Serialized dag-pb node
+ * @returns {Buffer} Multihash bytes
+ */
+const multihash = (block) => {
+  const digest = crypto.createHash('sha256').update(block).digest();
+  return Buffer.concat([Buffer.from([0x12, 0x20]), digest]);
+};
+
+/**
+ * Computes the CIDv0 (base58btc sha2-256 multihash) of a dag-pb block
+ * @param {Buffer} block - Serialized dag-pb node
+ * @returns {string} CIDv0 string
+ */
+const cidV0 = (block) => encodeBase58(multihash(block));
+
+/**
+ * Serializes a UnixFS Data message for a file node
+ * @param {Buffer|null} data - Inline file bytes (leaf nodes only)
+ * @param {number} fileSize - Total bytes represented by the node
+ * @param {number[]} blockSizes - File sizes of each child node
+ * @returns {Buffer} Encoded UnixFS Data message
+ */
+const encodeUnixFsFile = (data, fileSize, blockSizes = []) => {
+  const fields = [encodeVarintField(1, UNIXFS_FILE)];
+  if (data && data.length > 0) {
+    fields.push(encodeBytesField(2, data));
+  }
+  fields.push(encodeVarintField(3, fileSize));
+  blockSizes.forEach(size => fields.push(encodeVarintField(4, size)));
+  return Buffer.concat(fields);
+};
+
+/**
+ * Serializes a dag-pb PBNode (links first, then data, as the spec requires)
+ * @param {Buffer} data - Node data
+ * @param {Array<{hash: Buffer, name: string, size: number}>} links - Node links
+ * @returns {Buffer} Encoded PBNode
+ */
+const encodePbNode = (data, links = []) => {
+  const fields = links.map(link => encodeBytesField(2, Buffer.concat([
+    encodeBytesField(1, link.hash),
+    encodeBytesField(2, Buffer.from(link.name || '', 'utf8')),
+    encodeVarintField(3, link.size)
+  ])));
+  fields.push(encodeBytesField(1, data));
+  return Buffer.concat(fields);
+};
+
+/**
+ * Builds a dag-pb node and describes it for use as a link in a parent
+ * @param {Buffer} block - Serialized dag-pb node
+ * @param {number} fileSize - File bytes below the node
+ * @param {number} childrenSize - Cumulative size of linked blocks
+ * @returns {Object} Node descriptor with hash, size and fileSize
+ */
+const describeNode = (block, fileSize, childrenSize = 0) => ({
+  hash: multihash(block),
+  block,
+  size: block.length + childrenSize,
+  fileSize
+});
+
+/**
+ * Builds the UnixFS DAG of a file exactly as the UnixFS importer would
+ * @param {Buffer|string} content - File contents
+ * @returns {Object} Object with cid (CIDv0 string) and blocks ({ hash, block }, root last)
+ */
+const buildFileDag = (content) => {
+  const bytes = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+  const blocks = [];
+
+  let nodes = [];
+  for (let offset = 0; offset < bytes.length || nodes.length === 0; offset += CHUNK_SIZE) {
+    const chunk = bytes.subarray(offset, offset + CHUNK_SIZE);
+    nodes.push(describeNode(encodePbNode(encodeUnixFsFile(chunk, chunk.length)), chunk.length));
+  }
+  blocks.push(...nodes);
+
+  while (nodes.length > 1) {
+    const parents = [];
+    for (let i = 0; i < nodes.length; i += MAX_LINKS) {
+      const children = nodes.slice(i, i + MAX_LINKS);
+      const fileSize = children.reduce((sum, child) => sum + child.fileSize, 0);
+      const block = encodePbNode(
+        encodeUnixFsFile(null, fileSize, children.map(child => child.fileSize)),
+        children.map(child => ({ hash: child.hash, name: '', size: child.size }))
+      );
+      parents.push(describeNode(block, fileSize, children.reduce((sum, child) => sum + child.size, 0)));
+    }
+    blocks.push(...parents);
+    nodes = parents;
+  }
+
+  return {
+    cid: cidV0(nodes[0].block),
+    // Cumulative size of the DAG, used as the Tsize of links to it
+    size: nodes[0].size,
+    blocks: blocks.map(({ hash, block }) => ({ hash, block }))
+  };
+};
+
+/**
+ * Builds the UnixFS directory DAG of a set of files, as `ipfs add -r` would for a folder
+ * Directories are implied by the file paths; links are sorted by name as dag-pb requires.
+ * @param {Array<{path: string, content: Buffer}>} files - Files with relative, "/"-separated paths
+ * @returns {Object} Object with cid, blocks (root last) and entries ({ path, hash, size } per file)
+ */
+const buildDirectoryDag = (files) => {
+  const root = new Map();
+  for (const { path, content } of files) {
+    const segments = path.split('/');
+    let directory = root;
+    for (const segment of segments.slice(0, -1)) {
+      if (!directory.has(segment)) directory.set(segment, new Map());
+      directory = directory.get(segment);
+    }
+    directory.set(segments[segments.length - 1], content);
+  }
+
+  const blocks = [];
+  const entries = [];
+
+  const build = (directory, prefix) => {
+    const links = [...directory.keys()]
+      .sort((a, b) => Buffer.compare(Buffer.from(a, 'utf8'), Buffer.from(b, 'utf8')))
+      .map(name => {
+        const child = directory.get(name);
+        if (child instanceof Map) {
+          const node = build(child, `${prefix}${name}/`);
+          return { hash: node.hash, name, size: node.size };
+        }
+        const dag = buildFileDag(child);
+        blocks.push(...dag.blocks);
+        entries.push({ path: `${prefix}${name}`, hash: dag.cid, size: child.length });
+        return { hash: dag.blocks[dag.blocks.length - 1].hash, name, size: dag.size };
+      });
+
+    const node = describeNode(
+      encodePbNode(encodeVarintField(1, UNIXFS_DIRECTORY), links),
+      0,
+      links.reduce((sum, link) => sum + link.size, 0)
+    );
+    blocks.push({ hash: node.hash, block: node.block });
+    return node;
+  };
+
+  const node = build(root, '');
+  entries.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+
+  return { cid: cidV0(node.block), blocks, entries };
+};
+
+/**
+ * Computes the IPFS CIDv0 of a file exactly as the UnixFS importer would
+ * @param {Buffer|string} content - File contents
+ * @returns {string} CIDv0 string (Qm...)
+ */
+const computeFileCid = (content) => buildFileDag(content).cid;
+
+/**
+ * Checks that content hashes to a CID, as imported with the settings above
+ * Accepts the CIDv0 form and the equivalent base32 CIDv1 (dag-pb, sha2-256) form.
+ * @param {string} cid - Expected CID
+ * @param {Buffer} content - Content bytes
+ * @returns {boolean} Whether the content matches the CID
+ */
+const contentMatchesCid = (cid, content) => {
+  const { blocks } = buildFileDag(content);
+  return blockMatchesCid(cid, blocks[blocks.length - 1].block);
+};
+
+/**
+ * Checks that a dag-pb block hashes to a CID
+ * Accepts the CIDv0 form and the equivalent base32 CIDv1 (dag-pb, sha2-256) form.
+ * @param {string} cid - Expected CID
+ * @param {Buffer} block - Block bytes
+ * @returns {boolean} Whether the block matches the CID
+ */
+const blockMatchesCid = (cid, block) => {
+  const hash = multihash(block);
+  return cid === encodeBase58(hash) || cid === `b${encodeBase32(Buffer.concat([Buffer.from([0x01, 0x70]), hash]))}`;
+};
+
+/**
+ * Decodes a dag-pb block into its UnixFS node type and links
+ * @param {Buffer} block - Block bytes
+ * @returns {Object} Object with type (file, directory or other), fileSize (files only) and links ({ name, cid, size })
+ */
+const decodeUnixFsNode = (block) => {
+  const links = [];
+  let data = null;
+  for (const [fieldNumber, value] of decodeFields(block)) {
+    if (fieldNumber === 2) {
+      const link = { name: '', cid: null, size: 0 };
+      for (const [number, linkValue] of decodeFields(value)) {
+        if (number === 1) link.cid = encodeBase58(linkValue);
+        if (number === 2) link.name = linkValue.toString('utf8');
+        if (number === 3) link.size = linkValue;
+      }
+      if (!link.cid) throw new Error('Link without hash');
+      links.push(link);
+    } else if (fieldNumber === 1) {
+      data = value;
+    }
+  }
+
+  const unixFs = data ? decodeFields(data) : [];
+  const type = unixFs.find(([number]) => number === 1);
+  const fileSize = unixFs.find(([number]) => number === 3);
+  const types = { [UNIXFS_DIRECTORY]: 'directory', [UNIXFS_FILE]: 'file' };
+  return { type: (type && types[type[1]]) || 'other', fileSize: fileSize ? fileSize[1] : null, links };
+};
+
+/**
+ * Reassembles every file of a UnixFS directory DAG from its blocks, verifying each block
+ * @param {string} cid - Root directory CID (CIDv0)
+ * @param {Function} getBlock - Returns the bytes of a block by CID string, or undefined
+ * @param {number} maxBytes - Largest total content size accepted
+ * @returns {Array<{path: string, content: Buffer}>} Files, sorted by path
+ * @throws  When a block is missing, does not match its CID, or the DAG is not a directory
+ */
+const readDirectoryDag = (cid, getBlock, maxBytes = Infinity) => {
+  const files = [];
+  let size = 0;
+  let visited = 0;
+  const pending = [[cid, '']];
+
+  while (pending.length > 0) {
+    const [hash, path] = pending.pop();
+    if (++visited > MAX_DAG_NODES) throw new Error(`Directory DAG ${cid} has too many nodes`);
+    const block = getBlock(hash);
+    if (!block) throw new Error(`Missing block ${hash}`);
+    if (!blockMatchesCid(hash, block)) throw new Error(`Block ${hash} does not match its CID`);
+
+    const node = decodeUnixFsNode(block);
+    if (node.type === 'directory') {
+      node.links.forEach(link => pending.push([link.cid, path ? `${path}/${link.name}` : link.name]));
+    } else if (node.type === 'file' && path) {
+      const content = readFileDag(hash, getBlock, maxBytes - size);
+      size += content.length;
+      files.push({ path, content });
+    } else {
+      throw new Error(`${cid} is not a UnixFS directory`);
+    }
+  }
+
+  return files.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+};
+
+/**
+ * Decodes a protobuf varint
+ * @param {Buffer} bytes - Encoded bytes
+ * @param {number} offset - Index of the first varint byte
+ * @returns {number[]} [value, offset after the varint]
+ */
+const decodeVarint = (bytes, offset = 0) => {
+  let value = 0;
+  let factor = 1;
+  let i = offset;
+  for (;;) {
+    if (i >= bytes.length) throw new Error('Truncated varint');
+    const byte = bytes[i++];
+    value += (byte & 0x7f) * factor;
+    if (byte < 0x80) return [value, i];
+    factor *= 0x80;
+    if (factor > Number.MAX_SAFE_INTEGER) throw new Error('Varint too large');
+  }
+};
+
+/**
+ * Decodes protobuf fields into (fieldNumber, value) pairs
+ * @param {Buffer} bytes - Encoded message
+ * @returns {Array<[number, Buffer|number]>} Fields in order; bytes fields as Buffers, varints as numbers
+ */
+const decodeFields = (bytes) => {
+  const fields = [];
+  let offset = 0;
+  while (offset < bytes.length) {
+    let key;
+    [key, offset] = decodeVarint(bytes, offset);
+    const fieldNumber = Math.floor(key / 8);
+    const wireType = key % 8;
+    if (wireType === 0) {
+      let value;
+      [value, offset] = decodeVarint(bytes, offset);
+      fields.push([fieldNumber, value]);
+    } else if (wireType === 2) {
+      let length;
+      [length, offset] = decodeVarint(bytes, offset);
+      if (offset + length > bytes.length) throw new Error('Truncated protobuf field');
+      fields.push([fieldNumber, bytes.subarray(offset, offset + length)]);
+      offset += length;
+    } else {
+      throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+  }
+  return fields;
+};
+
+/**
+ * Reassembles file bytes from the blocks of a UnixFS file DAG
+ * @param {string} cid - CIDv0 of the root block
+ * @param {Function} getBlock - Returns the block bytes for a CIDv0 string, or undefined if missing
+ * @param {number} maxBytes - Largest file to reassemble, guarding against malicious DAGs
+ * @returns {Buffer} File contents
+ * @throws  When a block is missing, is not a UnixFS file node, or the file exceeds maxBytes
+ */
+const readFileDag = (cid, getBlock, maxBytes = Infinity) => {
+  const parts = [];
+  let size = 0;
+  let visited = 0;
+  // Depth-first, left to right, without recursion
+  const pending = [cid];
+
+  while (pending.length > 0) {
+    const hash = pending.pop();
+    if (++visited > MAX_DAG_NODES) throw new Error(`File DAG ${cid} has too many nodes`);
+    const block = getBlock(hash);
+    if (!block) throw new Error(`Missing block ${hash}`);
+
+    const links = [];
+    let data = null;
+    for (const [fieldNumber, value] of decodeFields(block)) {
+      if (fieldNumber === 2) {
+        const link = decodeFields(value).find(([number]) => number === 1);
+        if (!link) throw new Error(`Link without hash in block ${hash}`);
+        links.push(encodeBase58(link[1]));
+      } else if (fieldNumber === 1) {
+        data = value;
+      }
+    }
+
+    const unixFs = data ? decodeFields(data) : [];
+    const type = unixFs.find(([number]) => number === 1);
+    if (!type || type[1] !== UNIXFS_FILE) throw new Error(`Block ${hash} is not a UnixFS file node`);
+
+    const inline = unixFs.find(([number]) => number === 2);
+    if (inline) {
+      size += inline[1].length;
+      if (size > maxBytes) throw new Error(`File ${cid} exceeds ${maxBytes} bytes`);
+      parts.push(inline[1]);
+    }
+    for (let i = links.length - 1; i >= 0; i--) pending.push(links[i]);
+  }
+
+  return Buffer.concat(parts);
+};
+
+/**
+ * Serializes contract code the same way it is uploaded to IPFS
+ * @param {Object} contractCode - Contract code object
+ * @returns {Buffer} UTF-8 JSON bytes
+ */
+const serializeContractCode = (contractCode) => {
+  return Buffer.from(JSON.stringify(contractCode, null, 2), 'utf8');
+};
+
+/**
+ * Computes the CIDv0 that IPFS will assign to a contract code object
+ * @param {Object} contractCode - Contract code object
+ * @returns {string} CIDv0 string (Qm...)
+ */
+const computeContractCodeCid = (contractCode) => {
+  return computeFileCid(serializeContractCode(contractCode));
+};
+
+module.exports = {
+  encodeVarint,
+  decodeVarint,
+  encodeBase58,
+  encodeBase32,
+  buildFileDag,
+  buildDirectoryDag,
+  readFileDag,
+  readDirectoryDag,
+  decodeUnixFsNode,
+  computeFileCid,
+  contentMatchesCid,
+  blockMatchesCid,
+  computeContractCodeCid,
+  serializeContractCode
+};
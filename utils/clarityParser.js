@@ -0,0 +1,370 @@
+/**
+ * Utility functions for parsing Clarity source and summarizing its interface
+ *
+ * The parser is deliberately tolerant: syntax problems are collected as diagnostics and
+ * parsing continues, so a summary is produced for whatever could be understood.
+ */
+
+const FUNCTION_DEFINITIONS = {
+  'define-public': 'public',
+  'define-read-only': 'read-only',
+  'define-private': 'private'
+};
+
+// Diagnostics kept per summary; malformed input can otherwise produce one per character
+const MAX_DIAGNOSTICS = 100;
+
+// Characters that end an atom
+const DELIMITERS = new Set(['(', ')', '{', '}', ',', ':', ';', '"', ' ', '\t', '\n', '\r']);
+
+/**
+ * Splits Clarity source into tokens, skipping whitespace and comments
+ * @param {string} source - Clarity source text
+ * @param {Function} report - Called with (message, line, column) for lexical errors
+ * @returns {Object[]} Tokens with type, text, line and column
+ */
+const tokenize = (source, report) => {
+  const tokens = [];
+  let line = 1;
+  let column = 1;
+  let i = 0;
+
+  const advance = (count) => {
+    for (let n = 0; n < count; n++) {
+      if (source[i] === '\n') {
+        line++;
+        column = 1;
+      } else {
+        column++;
+      }
+      i++;
+    }
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (char === ' ' || char === '\t' || char === '\n' || char === '\r' || char === ',') {
+      advance(1);
+    } else if (char === ';') {
+      while (i < source.length && source[i] !== '\n') advance(1);
+    } else if ('(){}:'.includes(char)) {
+      tokens.push({ type: char, text: char, line, column });
+      advance(1);
+    } else if (char === '"' || (char === 'u' && source[i + 1] === '"')) {
+      const start = i;
+      const startLine = line;
+      const startColumn = column;
+      advance(char === 'u' ? 2 : 1);
+      while (i < source.length && source[i] !== '"') {
+        advance(source[i] === '\\' ? 2 : 1);
+      }
+      if (i >= source.length) {
+        report('Unterminated string literal', startLine, startColumn);
+      } else {
+        advance(1);
+      }
+      tokens.push({ type: 'string', text: source.slice(start, i), line: startLine, column: startColumn });
+    } else {
+      const start = i;
+      const startLine = line;
+      const startColumn = column;
+      while (i < source.length && !DELIMITERS.has(source[i])) advance(1);
+      tokens.push({ type: 'atom', text: source.slice(start, i), line: startLine, column: startColumn });
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Converts the raw items of a tuple literal into key/value entries
+ * @param {Object} tuple - Tuple node with items
+ * @param {Function} report - Diagnostic reporter
+ */
+const buildTupleEntries = (tuple, report) => {
+  tuple.entries = [];
+  const { items } = tuple;
+  for (let i = 0; i < items.length; i += 3) {
+    const [key, colon, value] = [items[i], items[i + 1], items[i + 2]];
+    if (!key || key.kind !== 'atom' || !colon || colon.kind !== 'colon' || !value || value.kind === 'colon') {
+      report('Malformed tuple literal: expected {key: value, ...}', tuple.line, tuple.column);
+      break;
+    }
+    tuple.entries.push({ key: key.text, value });
+  }
+  delete tuple.items;
+};
+
+/**
+ * Parses Clarity source into top-level expressions
+ * Uses an explicit stack so deeply nested input cannot exhaust the call stack.
+ * @param {string} source - Clarity source text
+ * @returns {Object} Object with expressions (AST nodes) and diagnostics
+ */
+const parseClarity = (source) => {
+  const diagnostics = [];
+  const report = (message, line, column) => diagnostics.push({ severity: 'error', message, line, column });
+
+  const root = { kind: 'list', items: [] };
+  const stack = [root];
+
+  for (const token of tokenize(source, report)) {
+    const top = stack[stack.length - 1];
+    const position = { line: token.line, column: token.column };
+
+    if (token.type === '(' || token.type === '{') {
+      const node = { kind: token.type === '(' ? 'list' : 'tuple', items: [], ...position };
+      top.items.push(node);
+      stack.push(node);
+    } else if (token.type === ')' || token.type === '}') {
+      const expected = token.type === ')' ? 'list' : 'tuple';
+      if (stack.length === 1 || top.kind !== expected) {
+        report(`Unexpected "${token.type}"`, token.line, token.column);
+        continue;
+      }
+      stack.pop();
+      if (top.kind === 'tuple') buildTupleEntries(top, report);
+    } else if (token.type === ':') {
+      if (top.kind !== 'tuple') {
+        report('Unexpected ":" outside a tuple literal', token.line, token.column);
+        continue;
+      }
+      top.items.push({ kind: 'colon', ...position });
+    } else {
+      top.items.push({ kind: token.type, text: token.text, ...position });
+    }
+  }
+
+  while (stack.length > 1) {
+    const open = stack.pop();
+    report(`Unclosed "${open.kind === 'list' ? '(' : '{'}"`, open.line, open.column);
+    if (open.kind === 'tuple') buildTupleEntries(open, report);
+  }
+
+  return { expressions: root.items, diagnostics };
+};
+
+/**
+ * Renders an AST node back to normalized Clarity text
+ * @param {Object} node - AST node
+ * @returns {string} Clarity text
+ */
+const render = (node) => {
+  if (node.kind === 'list') return `(${node.items.map(render).join(' ')})`;
+  if (node.kind === 'tuple') return `{${node.entries.map(({ key, value }) => `${key}: ${render(value)}`).join(', ')}}`;
+  return node.text;
+};
+
+const isAtom = (node) => Boolean(node) && node.kind === 'atom';
+const isList = (node) => Boolean(node) && node.kind === 'list';
+
+/**
+ * Extracts the interface declared by parsed Clarity expressions
+ * @param {Object[]} expressions - Top-level expressions from parseClarity
+ * @param {Function} report - Called with (message, node) for malformed definitions
+ * @returns {Object} Functions, variables, maps, constants, traits, implTraits and useTraits
+ */
+const extractDefinitions = (expressions, report) => {
+  const summary = {
+    functions: [],
+    variables: [],
+    maps: [],
+    constants: [],
+    traits: [],
+    implTraits: [],
+    useTraits: []
+  };
+  const defined = new Set();
+
+  const declare = (name, node) => {
+    if (defined.has(name)) {
+      report(`Duplicate definition of "${name}"`, node);
+    }
+    defined.add(name);
+  };
+
+  for (const expression of expressions) {
+    if (!isList(expression) || !isAtom(expression.items[0])) continue;
+
+    const [head, ...args] = expression.items;
+    const form = head.text;
+
+    if (FUNCTION_DEFINITIONS[form]) {
+      const [signature, body] = args;
+      if (!isList(signature) || !isAtom(signature.items[0]) || !body) {
+        report(`Malformed ${form}: expected (${form} (name (arg type) ...) body)`, expression);
+        continue;
+      }
+
+      const [name, ...params] = signature.items;
+      const parsedParams = [];
+      for (const param of params) {
+        if (!isList(param) || param.items.length !== 2 || !isAtom(param.items[0])) {
+          report(`Malformed argument in ${name.text}: expected (name type)`, param);
+          continue;
+        }
+        parsedParams.push({ name: param.items[0].text, type: render(param.items[1]) });
+      }
+
+      declare(name.text, expression);
+      summary.functions.push({
+        name: name.text,
+        access: FUNCTION_DEFINITIONS[form],
+        args: parsedParams,
+        signature: `(${[name.text, ...parsedParams.map(p => `(${p.name} ${p.type})`)].join(' ')})`,
+        line: expression.line
+      });
+    } else if (form === 'define-data-var') {
+      const [name, type, value] = args;
+      if (!isAtom(name) || !type || !value) {
+        report('Malformed define-data-var: expected (define-data-var name type value)', expression);
+        continue;
+      }
+      declare(name.text, expression);
+      summary.variables.push({ name: name.text, type: render(type), line: expression.line });
+    } else if (form === 'define-map') {
+      const [name, keyType, valueType] = args;
+      if (!isAtom(name) || !keyType || !valueType) {
+        report('Malformed define-map: expected (define-map name key-type value-type)', expression);
+        continue;
+      }
+      declare(name.text, expression);
+      summary.maps.push({
+        name: name.text,
+        keyType: render(keyType),
+        valueType: render(valueType),
+        line: expression.line
+      });
+    } else if (form === 'define-constant') {
+      const [name, value] = args;
+      if (!isAtom(name) || !value) {
+        report('Malformed define-constant: expected (define-constant name value)', expression);
+        continue;
+      }
+      declare(name.text, expression);
+      summary.constants.push({ name: name.text, value: render(value), line: expression.line });
+    } else if (form === 'define-trait') {
+      const [name, signatures] = args;
+      if (!isAtom(name) || !isList(signatures)) {
+        report('Malformed define-trait: expected (define-trait name ((fn (arg-type ...) return-type) ...))', expression);
+        continue;
+      }
+      const functions = [];
+      for (const item of signatures.items) {
+        const [fnName, fnArgs, returns] = isList(item) ? item.items : [];
+        if (!isAtom(fnName) || !isList(fnArgs) || !returns) {
+          report(`Malformed function signature in trait ${name.text}`, item);
+          continue;
+        }
+        functions.push({ name: fnName.text, args: fnArgs.items.map(render), returns: render(returns) });
+      }
+      declare(name.text, expression);
+      summary.traits.push({ name: name.text, functions, line: expression.line });
+    } else if (form === 'impl-trait') {
+      const [trait] = args;
+      if (!isAtom(trait)) {
+        report('Malformed impl-trait: expected (impl-trait trait-identifier)', expression);
+        continue;
+      }
+      summary.implTraits.push({ trait: trait.text, line: expression.line });
+    } else if (form === 'use-trait') {
+      const [alias, trait] = args;
+      if (!isAtom(alias) || !isAtom(trait)) {
+        report('Malformed use-trait: expected (use-trait alias trait-identifier)', expression);
+        continue;
+      }
+      summary.useTraits.push({ alias: alias.text, trait: trait.text, line: expression.line });
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Finds Clarity sources among the string values of a contract code object
+ * @param {*} value - Contract code or a nested value
+ * @param {string} path - Dotted key path of value
+ * @param {Object[]} out - Accumulator
+ * @returns {Object[]} Sources with path and text
+ */
+const findClaritySources = (value, path = '', out = []) => {
+  if (typeof value === 'string') {
+    if (/\((define-[a-z-]+|impl-trait|use-trait)\s/.test(value)) {
+      out.push({ path, text: value });
+    }
+  } else if (value && typeof value === 'object') {
+    for (const key of Object.keys(value)) {
+      findClaritySources(value[key], path ? `${path}.${key}` : key, out);
+    }
+  }
+  return out;
+};
+
+/**
+ * Summarizes the Clarity interface of a contract code object
+ * Every definition and diagnostic records the dotted path of the source it came from.
+ * @param {Object} contractCode - Contract code object
+ * @returns {Object|null} Interface summary, or null if the payload contains no Clarity source
+ */
+const summarizeClarityInterface = (contractCode) => {
+  const sources = findClaritySources(contractCode);
+  if (sources.length === 0) return null;
+
+  const summary = {
+    language: 'clarity',
+    sources: sources.map(source => source.path),
+    functions: [],
+    variables: [],
+    maps: [],
+    constants: [],
+    traits: [],
+    implTraits: [],
+    useTraits: [],
+    diagnostics: []
+  };
+
+  const diagnostics = [];
+
+  for (const { path, text } of sources) {
+    try {
+      const parsed = parseClarity(text);
+      parsed.diagnostics.forEach(diagnostic => diagnostics.push({ ...diagnostic, source: path }));
+
+      const definitions = extractDefinitions(parsed.expressions, (message, node) => {
+        diagnostics.push({
+          severity: 'error',
+          message,
+          line: node ? node.line : null,
+          column: node ? node.column : null,
+          source: path
+        });
+      });
+
+      for (const [key, entries] of Object.entries(definitions)) {
+        entries.forEach(entry => summary[key].push({ ...entry, source: path }));
+      }
+    } catch (error) {
+      // Pathological input (e.g. nesting too deep to render); keep whatever else was extracted
+      diagnostics.push({ severity: 'error', message: `Could not summarize source: ${error.message}`, line: null, column: null, source: path });
+    }
+  }
+
+  summary.diagnostics = diagnostics.slice(0, MAX_DIAGNOSTICS);
+  if (diagnostics.length > MAX_DIAGNOSTICS) {
+    summary.diagnostics.push({
+      severity: 'warning',
+      message: `${diagnostics.length - MAX_DIAGNOSTICS} more diagnostics omitted`,
+      line: null,
+      column: null,
+      source: null
+    });
+  }
+
+  return summary;
+};
+
+module.exports = {
+  parseClarity,
+  summarizeClarityInterface
+};
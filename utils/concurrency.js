@@ -0,0 +1,47 @@
+/**
+ * Utility functions for bounding concurrent asynchronous work
+ */
+
+/**
+ * Creates a limiter that runs at most `concurrency` tasks at once, queueing the rest
+ * @param {number} concurrency - Maximum number of tasks in flight
+ * @returns {Function} limit(task) → Promise resolving to the task's result
+ */
+const createLimiter = (concurrency) => {
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error('Concurrency must be a positive integer');
+  }
+
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  const limit = (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+
+  Object.defineProperties(limit, {
+    activeCount: { get: () => active },
+    pendingCount: { get: () => queue.length }
+  });
+
+  return limit;
+};
+
+module.exports = {
+  createLimiter
+};
@@ -0,0 +1,139 @@
+/**
+ * Utility functions for comparing the public interface of two contract versions
+ */
+
+const { summarizeClarityInterface } = require('./clarityParser');
+
+// Clarity function access levels callable from outside the contract
+const CLARITY_PUBLIC_ACCESS = ['public', 'read-only'];
+
+/**
+ * Collects every string value nested anywhere in the contract code object
+ * @param {*} value - Contract code or a nested value
+ * @param {string[]} out - Accumulator
+ * @returns {string[]} String values
+ */
+const collectStrings = (value, out = []) => {
+  if (typeof value === 'string') {
+    out.push(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectStrings(item, out));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectStrings(item, out));
+  }
+  return out;
+};
+
+/**
+ * Extracts public and external function signatures from Solidity source
+ * @param {string} source - Solidity source text
+ * @param {Map} functions - Accumulator keyed by function name
+ */
+const extractSolidityFunctions = (source, functions) => {
+  const pattern = /function\s+(\w+)\s*\(([^)]*)\)([^{;]*)/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    const modifiers = match[3].replace(/\s+/g, ' ').trim();
+    if (!/\b(public|external)\b/.test(modifiers)) continue;
+
+    const params = match[2].split(',').map(param => param.trim().split(/\s+/)[0]).filter(Boolean);
+    functions.set(match[1], `function ${match[1]}(${params.join(',')}) ${modifiers}`);
+  }
+};
+
+/**
+ * Returns the ABI entries declared by the contract code, if any
+ * Supports Ethereum-style ABI arrays and Clarity ABI objects ({ functions: [...] })
+ * @param {Object} contractCode - Contract code object
+ * @returns {Object[]|null} ABI entries, or null if no ABI is present
+ */
+const extractAbi = (contractCode) => {
+  const abi = contractCode && contractCode.abi;
+  if (Array.isArray(abi)) return abi;
+  if (abi && Array.isArray(abi.functions)) {
+    return abi.functions.filter(fn => fn.access !== 'private');
+  }
+  return null;
+};
+
+/**
+ * Extracts the public interface of a contract code object
+ * Clarity functions come from the same parser that builds the published interface summary, and
+ * are keyed by source path and name (e.g. files.token.clar:transfer) so that same-named functions
+ * of different contracts in a project are compared separately.
+ * @param {Object} contractCode - Contract code object
+ * @returns {Object} Interface with functions (name → signature) and abi entry keys
+ */
+const extractInterface = (contractCode) => {
+  const functions = new Map();
+  const clarityNames = new Set();
+
+  const clarity = summarizeClarityInterface(contractCode);
+  (clarity ? clarity.functions : [])
+    .filter(fn => CLARITY_PUBLIC_ACCESS.includes(fn.access))
+    .forEach(fn => {
+      functions.set(`${fn.source}:${fn.name}`, `${fn.access} ${fn.signature}`);
+      clarityNames.add(fn.name);
+    });
+
+  collectStrings(contractCode).forEach(source => {
+    if (source.includes('function ')) extractSolidityFunctions(source, functions);
+  });
+
+  const abiEntries = extractAbi(contractCode);
+  const abi = abiEntries ? new Set(abiEntries.map(entry => JSON.stringify(entry))) : null;
+
+  (abiEntries || []).forEach(entry => {
+    if (entry.name && (!entry.type || entry.type === 'function')
+      && !functions.has(entry.name) && !clarityNames.has(entry.name)) {
+      functions.set(entry.name, JSON.stringify(entry));
+    }
+  });
+
+  return { functions, abi };
+};
+
+/**
+ * Determines which semantic version component should change between two versions
+ * Removed or changed public functions, a removed ABI or lost ABI entries are breaking (major);
+ * added public functions are minor; everything else is a patch.
+ * @param {Object} previousCode - Contract code of the previous version
+ * @param {Object} nextCode - Contract code of the new version
+ * @returns {Object} Object with bump ("major", "minor" or "patch") and a human-readable reason
+ */
+const detectBump = (previousCode, nextCode) => {
+  const previous = extractInterface(previousCode);
+  const next = extractInterface(nextCode);
+
+  const removed = [...previous.functions.keys()].filter(name => !next.functions.has(name));
+  const changed = [...previous.functions.keys()].filter(name =>
+    next.functions.has(name) && next.functions.get(name) !== previous.functions.get(name)
+  );
+  const added = [...next.functions.keys()].filter(name => !previous.functions.has(name));
+  const lostAbiEntries = previous.abi && next.abi
+    ? [...previous.abi].filter(entry => !next.abi.has(entry)).length
+    : 0;
+
+  if (removed.length > 0) {
+    return { bump: 'major', reason: `Removed public functions: ${removed.join(', ')}` };
+  }
+  if (changed.length > 0) {
+    return { bump: 'major', reason: `Changed public function signatures: ${changed.join(', ')}` };
+  }
+  if (previous.abi && !next.abi) {
+    return { bump: 'major', reason: 'ABI was removed' };
+  }
+  if (lostAbiEntries > 0) {
+    return { bump: 'major', reason: `ABI lost ${lostAbiEntries} entr${lostAbiEntries === 1 ? 'y' : 'ies'}` };
+  }
+  if (added.length > 0) {
+    return { bump: 'minor', reason: `Added public functions: ${added.join(', ')}` };
+  }
+  return { bump: 'patch', reason: 'No public interface changes' };
+};
+
+module.exports = {
+  collectStrings,
+  extractInterface,
+  detectBump
+};
@@ -0,0 +1,266 @@
+/**
+ * Utility functions for diffing contract code between versions
+ */
+
+const DEFAULT_CONTEXT = 3;
+
+/**
+ * Splits text into lines, ignoring a single trailing newline
+ * @param {string} text - Text to split
+ * @returns {string[]} Lines
+ */
+const splitLines = (text) => {
+  if (!text) return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+};
+
+// Above these limits a changed region is reported as wholly replaced instead of diffed line by line,
+// bounding the time and memory of the edit search
+const MAX_DIFF_LINES = 20000;
+const MAX_EDIT_DISTANCE = 1000;
+
+/**
+ * Reports lines as wholly replaced: every old line removed, then every new line added
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array<{type: string, line: string}>} Edit script
+ */
+const replaceLines = (a, b) => [
+  ...a.map(line => ({ type: '-', line })),
+  ...b.map(line => ({ type: '+', line }))
+];
+
+/**
+ * Computes a minimal edit script between lines with no common prefix or suffix, using Myers'
+ * O(ND) algorithm. Each step keeps only its own diagonals, so the trace takes O(D²) memory.
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array<{type: string, line: string}>|null} Edit script, or null if the edit distance
+ *          exceeds MAX_EDIT_DISTANCE
+ */
+const myersDiff = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Array(2 * max + 3).fill(0);
+  const trace = [];
+
+  // Furthest x reached on diagonal k before step d (diagonals beyond ±d are not reached yet)
+  const at = (d, k) => (Math.abs(k) <= d ? trace[d][k + d] : 0);
+
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice(offset - d, offset + d + 1));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+  if (!found) return null;
+
+  // Walk the trace backwards to recover the edit script
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(d, k - 1) < at(d, k + 1))) ? k + 1 : k - 1;
+    const prevX = at(d, prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: ' ', line: a[x - 1] });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: '+', line: b[y - 1] });
+      } else {
+        ops.push({ type: '-', line: a[x - 1] });
+      }
+    }
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+};
+
+/**
+ * Computes a line edit script, minimal unless the texts are too large or too different to diff
+ * cheaply (see MAX_DIFF_LINES and MAX_EDIT_DISTANCE), in which case the changed region between
+ * the common prefix and suffix is reported as replaced
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array<{type: string, line: string}>} Edit script (" " equal, "-" removed, "+" added)
+ */
+const diffLines = (a, b) => {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix
+    && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  const oldMiddle = a.slice(prefix, a.length - suffix);
+  const newMiddle = b.slice(prefix, b.length - suffix);
+  const edits = oldMiddle.length + newMiddle.length <= MAX_DIFF_LINES ? myersDiff(oldMiddle, newMiddle) : null;
+  const middle = edits || replaceLines(oldMiddle, newMiddle);
+
+  return [
+    ...a.slice(0, prefix).map(line => ({ type: ' ', line })),
+    ...middle,
+    ...a.slice(a.length - suffix).map(line => ({ type: ' ', line }))
+  ];
+};
+
+/**
+ * Produces a unified diff between two texts
+ * @param {string} oldText - Previous text
+ * @param {string} newText - New text
+ * @param {Object} options - Diff options
+ * @param {string} options.fromFile - Label for the old file
+ * @param {string} options.toFile - Label for the new file
+ * @param {number} options.context - Lines of context around each change
+ * @returns {string} Unified diff, or an empty string if the texts are equal
+ */
+const unifiedDiff = (oldText, newText, { fromFile = 'a', toFile = 'b', context = DEFAULT_CONTEXT } = {}) => {
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+
+  // Line counts consumed before each op, used for hunk headers
+  const oldBefore = [];
+  const newBefore = [];
+  let oldCount = 0;
+  let newCount = 0;
+  ops.forEach((op, i) => {
+    oldBefore[i] = oldCount;
+    newBefore[i] = newCount;
+    if (op.type !== '+') oldCount++;
+    if (op.type !== '-') newCount++;
+  });
+
+  const changes = ops.map((op, i) => (op.type === ' ' ? -1 : i)).filter(i => i >= 0);
+  if (changes.length === 0) return '';
+
+  // Group nearby changes into hunks
+  const ranges = [];
+  changes.forEach(i => {
+    const start = Math.max(0, i - context);
+    const end = Math.min(ops.length, i + context + 1);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end) {
+      last.end = end;
+    } else {
+      ranges.push({ start, end });
+    }
+  });
+
+  const output = [`--- ${fromFile}`, `+++ ${toFile}`];
+  ranges.forEach(({ start, end }) => {
+    const hunk = ops.slice(start, end);
+    const oldLines = hunk.filter(op => op.type !== '+').length;
+    const newLines = hunk.filter(op => op.type !== '-').length;
+    const oldStart = oldLines === 0 ? oldBefore[start] : oldBefore[start] + 1;
+    const newStart = newLines === 0 ? newBefore[start] : newBefore[start] + 1;
+
+    output.push(`@@ -${oldStart},${oldLines} +${newStart},${newLines} @@`);
+    hunk.forEach(op => output.push(`${op.type}${op.line}`));
+  });
+
+  return `${output.join('\n')}\n`;
+};
+
+/**
+ * Checks whether a value is a plain (non-array) object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Checks whether a field holds multi-line source text
+ * @param {*} value - Field value
+ * @returns {boolean} True for strings containing newlines
+ */
+const isSourceText = (value) => typeof value === 'string' && value.includes('\n');
+
+/**
+ * Computes a structured diff between two contract code objects
+ * Plain objects are compared key by key; arrays and scalars are compared as whole values.
+ * Modified source-text fields include a unified line diff.
+ * @param {Object} oldObj - Previous contract code
+ * @param {Object} newObj - New contract code
+ * @param {string} prefix - Key path prefix (used for recursion)
+ * @param {Object} result - Accumulator (used for recursion)
+ * @returns {Object} Object with added, removed and modified entries keyed by dotted path
+ */
+const diffObjects = (oldObj, newObj, prefix = '', result = { added: [], removed: [], modified: [] }) => {
+  const keys = new Set([...Object.keys(oldObj || {}), ...Object.keys(newObj || {})]);
+
+  [...keys].sort().forEach(key => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const hasOld = oldObj && Object.prototype.hasOwnProperty.call(oldObj, key);
+    const hasNew = newObj && Object.prototype.hasOwnProperty.call(newObj, key);
+
+    if (!hasOld) {
+      result.added.push({ path, value: newObj[key] });
+    } else if (!hasNew) {
+      result.removed.push({ path, value: oldObj[key] });
+    } else if (isPlainObject(oldObj[key]) && isPlainObject(newObj[key])) {
+      diffObjects(oldObj[key], newObj[key], path, result);
+    } else if (JSON.stringify(oldObj[key]) !== JSON.stringify(newObj[key])) {
+      const entry = { path, from: oldObj[key], to: newObj[key] };
+      if (isSourceText(oldObj[key]) || isSourceText(newObj[key])) {
+        entry.patch = unifiedDiff(String(oldObj[key]), String(newObj[key]), {
+          fromFile: `a/${path}`,
+          toFile: `b/${path}`
+        });
+      }
+      result.modified.push(entry);
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Renders a structured diff as a plain unified patch, one section per changed path
+ * Non-string values are rendered as pretty-printed JSON.
+ * @param {Object} structuredDiff - Result of diffObjects
+ * @returns {string} Unified diff
+ */
+const toPatch = (structuredDiff) => {
+  const asText = (value) => (typeof value === 'string' ? value : `${JSON.stringify(value, null, 2)}\n`);
+
+  const sections = [
+    ...structuredDiff.removed.map(({ path, value }) =>
+      unifiedDiff(asText(value), '', { fromFile: `a/${path}`, toFile: '/dev/null' })),
+    ...structuredDiff.added.map(({ path, value }) =>
+      unifiedDiff('', asText(value), { fromFile: '/dev/null', toFile: `b/${path}` })),
+    ...structuredDiff.modified.map(({ path, from, to }) =>
+      unifiedDiff(asText(from), asText(to), { fromFile: `a/${path}`, toFile: `b/${path}` }))
+  ];
+
+  return sections.join('');
+};
+
+module.exports = {
+  diffLines,
+  unifiedDiff,
+  diffObjects,
+  toPatch
+};
@@ -0,0 +1,172 @@
+/**
+ * Utility functions for validating values against JSON Schema (draft 2020-12, as used by OpenAPI 3.1)
+ *
+ * Only the keywords the API's schemas use are supported: type, enum, const, string length,
+ * pattern and format, numeric bounds, object properties, required and additionalProperties,
+ * array items and length, anyOf, oneOf and local $refs into a components object. A schema's
+ * x-message extension replaces the generic pattern and oneOf error messages.
+ */
+
+// Formats that are checked; any other format is treated as an annotation
+const FORMATS = {
+  'date-time': (value) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i.test(value) && !isNaN(Date.parse(value))
+};
+
+/**
+ * Names the JSON type of a value
+ * Multipart uploads carry file contents as Buffers, which stand in for strings.
+ * @param {*} value - Value
+ * @returns {string} null, array, integer, number, string, boolean or object
+ */
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Buffer.isBuffer(value)) return 'string';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+/**
+ * Resolves a local reference such as #/components/schemas/Deployment
+ * @param {string} ref - Reference
+ * @param {Object} root - Document the reference points into
+ * @returns {Object} Referenced schema
+ * @throws  When the reference does not resolve
+ */
+const resolveRef = (ref, root) => {
+  const target = ref.replace(/^#\//, '').split('/').reduce((node, key) => (node ? node[key] : undefined), root);
+  if (!target) throw new Error(`Unresolved schema reference: ${ref}`);
+  return target;
+};
+
+/**
+ * Joins a property name or array index onto a field path
+ * @param {string} path - Parent path, e.g. body.git
+ * @param {string|number} key - Property name or index
+ * @returns {string} Child path, e.g. body.git.sha or body.files[0]
+ */
+const childPath = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : (path ? `${path}.${key}` : key));
+
+/**
+ * Validates a value against a schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to check
+ * @param {Object} options - Options
+ * @param {string} options.path - Field path reported in errors
+ * @param {Object} options.root - Document $refs resolve against
+ * @returns {Array<{field: string, message: string}>} Problems found; empty when the value is valid
+ */
+const validateSchema = (schema, value, { path = '', root = {} } = {}) => {
+  if (schema.$ref) {
+    return validateSchema(resolveRef(schema.$ref, root), value, { path, root });
+  }
+
+  const errors = [];
+  const fail = (message) => errors.push({ field: path, message });
+  const type = typeOf(value);
+
+  if (schema.type !== undefined) {
+    const allowed = [].concat(schema.type);
+    const matches = allowed.includes(type) || (type === 'integer' && allowed.includes('number'));
+    if (!matches) {
+      fail(`must be ${allowed.map(name => (name === 'array' || name === 'object' || name === 'integer' ? `an ${name}` : (name === 'null' ? 'null' : `a ${name}`))).join(' or ')}`);
+      return errors;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.map(option => (option === null ? 'null' : option)).join(', ')}`);
+  }
+
+  if (type === 'string' && !Buffer.isBuffer(value)) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      fail(schema['x-message'] || `must match ${schema.pattern}`);
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      fail(`must be a ${schema.format} string`);
+    }
+  }
+
+  if (type === 'integer' || type === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+  }
+
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must contain at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must contain at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, { path: childPath(path, index), root })));
+    }
+  }
+
+  if (type === 'object') {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) errors.push({ field: childPath(path, name), message: 'is required' });
+    }
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (propertyValue === undefined) continue;
+      if (properties[name]) {
+        errors.push(...validateSchema(properties[name], propertyValue, { path: childPath(path, name), root }));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: childPath(path, name), message: 'is not allowed' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, propertyValue, { path: childPath(path, name), root }));
+      }
+    }
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(option => validateSchema(option, value, { path, root }).length === 0)) {
+    // Report the closest alternative, which is usually the one the caller meant
+    const attempts = schema.anyOf.map(option => validateSchema(option, value, { path, root }));
+    errors.push(...attempts.reduce((best, attempt) => (attempt.length < best.length ? attempt : best)));
+  }
+
+  if (schema.oneOf) {
+    const attempts = schema.oneOf.map(option => validateSchema(option, value, { path, root }));
+    const matches = attempts.filter(attempt => attempt.length === 0).length;
+    if (matches === 0) {
+      errors.push(...attempts.reduce((best, attempt) => (attempt.length < best.length ? attempt : best)));
+    } else if (matches > 1) {
+      fail(schema['x-message'] || 'must match exactly one alternative');
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Converts a path or query parameter from its string form to the type its schema declares
+ * Values that do not convert are returned unchanged so validation reports them.
+ * @param {Object} schema - Parameter schema
+ * @param {*} value - Raw parameter value
+ * @param {Object} root - Document $refs resolve against
+ * @returns {*} Converted value
+ */
+const coerceParameter = (schema, value, root = {}) => {
+  if (schema.$ref) return coerceParameter(resolveRef(schema.$ref, root), value, root);
+  if (typeof value !== 'string') return value;
+  const types = [].concat(schema.type || []);
+  if ((types.includes('integer') || types.includes('number')) && /^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+};
+
+module.exports = {
+  validateSchema,
+  coerceParameter
+};
@@ -0,0 +1,143 @@
+/**
+ * Utility functions for reading multipart/form-data request bodies
+ *
+ * Deploy requests are small and already size-limited, so bodies are buffered whole and
+ * split on the boundary rather than streamed.
+ */
+
+const express = require('express');
+
+const MAX_PARTS = 1000;
+const HEADER_SEPARATOR = Buffer.from('\r\n\r\n');
+
+/**
+ * Reads the parameters of a Content-Disposition header
+ * @param {string} header - Header value, e.g. form-data; name="file"; filename="a.clar"
+ * @returns {Object} Parameters by lower-case name
+ */
+const parseDisposition = (header) => {
+  const params = {};
+  const pattern = /;\s*([^=;\s]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g;
+  let match;
+  while ((match = pattern.exec(header)) !== null) {
+    const name = match[1].toLowerCase();
+    let value = match[2].trim();
+    if (value.startsWith('"')) {
+      value = value.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+    if (name.endsWith('*')) {
+      // RFC 5987 extended value: charset'language'percent-encoded
+      const [, encoded = ''] = value.split(/'[^']*'/);
+      params[name.slice(0, -1)] = decodeURIComponent(encoded);
+    } else if (!(name in params)) {
+      params[name] = value;
+    }
+  }
+  return params;
+};
+
+/**
+ * Splits a multipart/form-data body into fields and files
+ * @param {Buffer} body - Raw request body
+ * @param {string} contentType - Content-Type header, including the boundary parameter
+ * @returns {Object} Object with fields (name → string) and files ([{ name, filename, contentType, content }])
+ * @throws  When the body is not well-formed multipart/form-data
+ */
+const parseMultipart = (body, contentType) => {
+  const boundaryMatch = /;\s*boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+  if (!boundaryMatch) throw new Error('Missing multipart boundary');
+  const delimiter = Buffer.from(`--${boundaryMatch[1] || boundaryMatch[2]}`);
+
+  const fields = {};
+  const files = [];
+
+  let start = body.indexOf(delimiter);
+  if (start === -1) throw new Error('Multipart body has no parts');
+
+  for (let parts = 0; ; parts++) {
+    const afterDelimiter = start + delimiter.length;
+    // The closing delimiter is followed by "--"
+    if (body.subarray(afterDelimiter, afterDelimiter + 2).toString() === '--') break;
+    if (parts >= MAX_PARTS) throw new Error(`Multipart body has more than ${MAX_PARTS} parts`);
+
+    const headerStart = afterDelimiter + 2;
+    const headerEnd = body.indexOf(HEADER_SEPARATOR, headerStart);
+    if (headerEnd === -1) throw new Error('Malformed multipart part headers');
+
+    const next = body.indexOf(Buffer.concat([Buffer.from('\r\n'), delimiter]), headerEnd);
+    if (next === -1) throw new Error('Unterminated multipart body');
+
+    const headers = {};
+    body.subarray(headerStart, headerEnd).toString('utf8').split('\r\n').forEach(line => {
+      const colon = line.indexOf(':');
+      if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    });
+
+    const disposition = parseDisposition(headers['content-disposition'] || '');
+    if (!disposition.name) throw new Error('Multipart part without a name');
+
+    const content = body.subarray(headerEnd + HEADER_SEPARATOR.length, next);
+    if (disposition.filename !== undefined) {
+      files.push({
+        name: disposition.name,
+        filename: disposition.filename,
+        contentType: headers['content-type'] || 'application/octet-stream',
+        content: Buffer.from(content)
+      });
+    } else {
+      fields[disposition.name] = content.toString('utf8');
+    }
+
+    start = next + 2;
+  }
+
+  return { fields, files };
+};
+
+/**
+ * Middleware that turns a multipart/form-data body into req.body, leaving other bodies alone
+ * Fields become strings (JSON-decoded for jsonFields); uploaded files are collected into
+ * req.body.files as a map of file name (used as the project path) → Buffer.
+ * @param {Object} options - Options
+ * @param {string} options.limit - Largest body accepted
+ * @param {string[]} options.jsonFields - Fields whose values are JSON documents
+ * @returns {Function[]} Express middleware
+ */
+const multipartBody = ({ limit = '10mb', jsonFields = [] } = {}) => [
+  express.raw({ type: 'multipart/form-data', limit }),
+  (req, res, next) => {
+    if (!req.is('multipart/form-data') || !Buffer.isBuffer(req.body)) return next();
+
+    try {
+      const { fields, files } = parseMultipart(req.body, req.get('Content-Type'));
+      for (const name of jsonFields) {
+        if (fields[name] !== undefined) {
+          try {
+            fields[name] = JSON.parse(fields[name]);
+          } catch {
+            throw new Error(`Field ${name} must be a JSON document`);
+          }
+        }
+      }
+
+      const body = { ...fields };
+      if (files.length > 0) {
+        const duplicate = files.find((file, index) => files.findIndex(other => other.filename === file.filename) !== index);
+        if (duplicate) throw new Error(`File ${duplicate.filename} was uploaded more than once`);
+        body.files = Object.fromEntries(files.map(file => [file.filename, file.content]));
+      }
+      req.body = body;
+      next();
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: `Invalid multipart body: ${error.message}`
+      });
+    }
+  }
+];
+
+module.exports = {
+  parseMultipart,
+  multipartBody
+};
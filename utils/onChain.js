@@ -0,0 +1,178 @@
+/**
+ * Utility functions for recording where versions were deployed on chain
+ *
+ * A deployed contract is identified by a Stacks contract principal (ADDRESS.contract-name) or
+ * an EVM contract address (0x followed by 40 hex digits), on one of NETWORKS.
+ */
+
+const { c32addressDecode } = require('c32check');
+
+const NETWORKS = ['mainnet', 'testnet', 'devnet'];
+
+// Stacks address versions (single-sig, multi-sig) valid on each network; devnet uses testnet addresses
+const STACKS_ADDRESS_VERSIONS = {
+  mainnet: [22, 20],
+  testnet: [26, 21],
+  devnet: [26, 21]
+};
+
+const EVM_ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const CONTRACT_NAME_PATTERN = /^[a-zA-Z]([a-zA-Z0-9]|[-_])*$/;
+const MAX_CONTRACT_NAME_LENGTH = 128;
+const TX_ID_PATTERN = /^(0x)?[0-9a-fA-F]{64}$/;
+
+/**
+ * Normalizes a contract address for storage and lookups: EVM addresses are lowercased,
+ * Stacks principals are case-sensitive and kept as given
+ * @param {string} address - Contract principal or address
+ * @returns {string} Normalized address
+ */
+const normalizeContractAddress = (address) => {
+  if (typeof address !== 'string') return address;
+  const trimmed = address.trim();
+  return EVM_ADDRESS_PATTERN.test(trimmed) ? trimmed.toLowerCase() : trimmed;
+};
+
+/**
+ * Checks a contract principal or address, and that a Stacks principal belongs to the network
+ * @param {string} address - Contract principal or address
+ * @param {string} network - Network it is deployed on
+ * @returns {string|null} Problem description, or null if the address is valid
+ */
+const checkContractAddress = (address, network) => {
+  if (typeof address !== 'string' || address.length === 0) return 'Contract address is required';
+  if (EVM_ADDRESS_PATTERN.test(address)) return null;
+
+  const [principal, contractName, ...rest] = address.split('.');
+  if (contractName === undefined || rest.length > 0) {
+    return 'Contract address must be a Stacks contract principal (ADDRESS.contract-name) or a 0x-prefixed EVM address';
+  }
+  if (!CONTRACT_NAME_PATTERN.test(contractName) || contractName.length > MAX_CONTRACT_NAME_LENGTH) {
+    return `Contract name must start with a letter and contain only letters, digits, "-" and "_" (at most ${MAX_CONTRACT_NAME_LENGTH} characters)`;
+  }
+
+  let addressVersion;
+  try {
+    [addressVersion] = c32addressDecode(principal);
+  } catch (error) {
+    return `Invalid Stacks address ${principal}: ${error.message}`;
+  }
+  if (STACKS_ADDRESS_VERSIONS[network] && !STACKS_ADDRESS_VERSIONS[network].includes(addressVersion)) {
+    return `Stacks address ${principal} is not a ${network} address`;
+  }
+  return null;
+};
+
+/**
+ * Checks whether a value is a transaction id: 32 bytes of hex, optionally 0x-prefixed
+ * @param {string} txId - Transaction id
+ * @returns {boolean} True if valid
+ */
+const isValidTxId = (txId) => typeof txId === 'string' && TX_ID_PATTERN.test(txId.trim());
+
+/**
+ * Normalizes a transaction id to lowercase 0x-prefixed hex, as Stacks and EVM explorers show it
+ * @param {string} txId - Transaction id
+ * @returns {string} Normalized transaction id
+ */
+const normalizeTxId = (txId) => {
+  if (!isValidTxId(txId)) return txId;
+  return `0x${txId.trim().replace(/^0x/, '').toLowerCase()}`;
+};
+
+/**
+ * Builds the key that makes a mainnet or testnet contract linkable to only one version
+ * @param {Object} link - Link ({ network, contractAddress }, normalized)
+ * @returns {string|null} Key, or null for devnet contracts, which may be linked again
+ */
+const onChainKey = ({ network, contractAddress }) => (network === 'devnet' ? null : `${network}:${contractAddress}`);
+
+/**
+ * Decodes the hash160 of a Stacks address, which is the same for its mainnet and testnet forms
+ * @param {string} address - Stacks address
+ * @returns {string|null} Hex hash160, or null if the value is not a Stacks address
+ */
+const stacksAccount = (address) => {
+  try {
+    return c32addressDecode(address)[1];
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Checks that a mainnet or testnet contract was deployed by one of the wallets allowed to link it,
+ * so a repository cannot claim another account's contract. A Stacks principal names its deployer;
+ * an EVM contract address does not, so EVM contracts can only be linked on devnet.
+ * @param {Object} link - Link ({ network, contractAddress }, normalized)
+ * @param {string[]} wallets - Signing wallet and the repository's creating wallet, owner and collaborators
+ * @returns {string|null} Problem description, or null if the link may be recorded
+ */
+const checkLinkAuthority = ({ network, contractAddress }, wallets) => {
+  if (network === 'devnet') return null;
+  if (EVM_ADDRESS_PATTERN.test(contractAddress)) {
+    return `EVM contract ${contractAddress} cannot be linked on ${network}: its deployer cannot be verified`;
+  }
+
+  const deployer = stacksAccount(contractAddress.split('.')[0]);
+  return wallets.some(wallet => stacksAccount(wallet) === deployer)
+    ? null
+    : `Contract ${contractAddress} was not deployed by the signer or a wallet of the repository`;
+};
+
+/**
+ * Builds the 409 response body for a contract that is already linked to another version
+ * @param {Object} link - Requested link
+ * @param {Object} conflict - Deployment the contract is linked to
+ * @returns {Object} Error response body
+ */
+const onChainConflictBody = ({ network, contractAddress }, conflict) => ({
+  success: false,
+  message: `Contract ${contractAddress} on ${network} is already linked to ${conflict.walletAddress}/${conflict.contractRepoName} ${conflict.version}`,
+  data: {
+    deployment: {
+      id: conflict._id,
+      walletAddress: conflict.walletAddress,
+      contractRepoName: conflict.contractRepoName,
+      version: conflict.version
+    }
+  }
+});
+
+/**
+ * Shapes a deployment's on-chain links for API responses
+ * @param {Object[]} links - onChain links of a deployment
+ * @returns {Object[]|null} Links, or null when the version has none
+ */
+const formatOnChainLinks = (links) => (links && links.length > 0
+  ? links.map(link => ({
+    network: link.network,
+    contractAddress: link.contractAddress,
+    txId: link.txId || null,
+    linkedBy: link.linkedBy || null,
+    linkedAt: link.linkedAt
+  }))
+  : null);
+
+/**
+ * Finds which of a set of links a deployment is already linked to
+ * @param {Object[]} links - Requested links ({ network, contractAddress }, normalized)
+ * @param {Object} deployment - Deployment with onChain links
+ * @returns {Object|undefined} The first requested link the deployment has
+ */
+const findSharedLink = (links, deployment) => links.find(link => (deployment.onChain || []).some(
+  existing => existing.network === link.network && existing.contractAddress === link.contractAddress
+));
+
+module.exports = {
+  NETWORKS,
+  normalizeContractAddress,
+  checkContractAddress,
+  isValidTxId,
+  normalizeTxId,
+  onChainKey,
+  checkLinkAuthority,
+  onChainConflictBody,
+  formatOnChainLinks,
+  findSharedLink
+};
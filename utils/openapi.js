@@ -0,0 +1,98 @@
+/**
+ * Utility functions for generating the OpenAPI 3.1 document from operation schemas
+ *
+ * Operations are described once, in schemas/, with Express paths. The same objects drive request
+ * validation, so the published document always matches what the routes accept.
+ */
+
+/**
+ * Converts an Express path to an OpenAPI path template
+ * @param {string} path - Express path, e.g. /contract/:hash/*
+ * @returns {string} OpenAPI path, e.g. /contract/{hash}/{path}
+ */
+const toOpenApiPath = (path) => path.replace(/:([A-Za-z0-9_]+)/g, '{$1}').replace(/\*/g, '{path}');
+
+/**
+ * Lists the OpenAPI parameters described by an object schema
+ * @param {Object} schema - Object schema of the path params or query
+ * @param {string} location - path or query
+ * @returns {Object[]} Parameter objects
+ */
+const toParameters = (schema, location) => Object.entries(schema.properties).map(([name, property]) => {
+  const { description, ...propertySchema } = property;
+  return {
+    name,
+    in: location,
+    required: location === 'path' || (schema.required || []).includes(name),
+    ...(description && { description }),
+    schema: propertySchema
+  };
+});
+
+/**
+ * Converts an operation's responses to OpenAPI response objects
+ * @param {Object} responses - Responses by status code ({ description, schema } or { description, content })
+ * @returns {Object} OpenAPI responses
+ */
+const toResponses = (responses) => Object.fromEntries(
+  Object.entries(responses).map(([status, response]) => {
+    const content = response.content || (response.schema && { 'application/json': response.schema });
+    return [status, {
+      description: response.description,
+      ...(content && {
+        content: Object.fromEntries(Object.entries(content).map(([type, schema]) => [type, { schema }]))
+      })
+    }];
+  })
+);
+
+/**
+ * Builds an OpenAPI 3.1 document
+ * @param {Object} options - Document parts
+ * @param {Object} options.info - OpenAPI info object
+ * @param {string} options.basePath - Prefix the routes are mounted under, e.g. /api
+ * @param {Object} options.operations - Operations keyed by operationId
+ * @param {Object} options.schemas - Shared schemas published under components.schemas
+ * @returns {Object} OpenAPI document
+ */
+const buildOpenApiDocument = ({ info, basePath, operations, schemas }) => {
+  const paths = {};
+  for (const [operationId, operation] of Object.entries(operations)) {
+    const path = toOpenApiPath(operation.path);
+    const parameters = [
+      ...(operation.params ? toParameters(operation.params, 'path') : []),
+      ...(operation.query ? toParameters(operation.query, 'query') : [])
+    ];
+
+    paths[path] = paths[path] || {};
+    paths[path][operation.method] = {
+      operationId,
+      summary: operation.summary,
+      ...(operation.description && { description: operation.description }),
+      tags: operation.tags,
+      ...(parameters.length > 0 && { parameters }),
+      ...(operation.body && {
+        requestBody: {
+          required: (operation.body.schema.required || []).length > 0,
+          content: Object.fromEntries(
+            (operation.body.contentTypes || ['application/json']).map(type => [type, { schema: operation.body.schema }])
+          )
+        }
+      }),
+      responses: toResponses(operation.responses)
+    };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info,
+    servers: [{ url: basePath }],
+    paths,
+    components: { schemas }
+  };
+};
+
+module.exports = {
+  toOpenApiPath,
+  buildOpenApiDocument
+};
@@ -0,0 +1,73 @@
+/**
+ * Utility functions for cursor-based pagination
+ *
+ * A cursor encodes the sort value and _id of the last item on a page, so the
+ * next page starts strictly after it even when sort values repeat.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Encodes the position of a document as an opaque cursor
+ * @param {Object} doc - Last document on the page
+ * @param {string} sortField - Field the page is sorted by
+ * @returns {string} Base64url cursor
+ */
+const encodeCursor = (doc, sortField) => {
+  const value = doc[sortField] instanceof Date ? doc[sortField].toISOString() : doc[sortField];
+  return Buffer.from(JSON.stringify([value, String(doc._id)]), 'utf8').toString('base64url');
+};
+
+/**
+ * Decodes a cursor produced by encodeCursor
+ * @param {string} cursor - Base64url cursor
+ * @returns {Object} Object with value and id
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (value === undefined || !/^[0-9a-f]{24}$/i.test(id)) throw new Error('Malformed cursor');
+    return { value, id };
+  } catch {
+    throw new Error('Invalid cursor');
+  }
+};
+
+/**
+ * Builds the query condition selecting documents after a cursor
+ * @param {string} sortField - Field the page is sorted by
+ * @param {number} direction - 1 for ascending, -1 for descending
+ * @param {string} cursor - Cursor from the previous page
+ * @returns {Object} MongoDB filter
+ */
+const buildCursorFilter = (sortField, direction, cursor) => {
+  const { value, id } = decodeCursor(cursor);
+  const op = direction === 1 ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [sortField]: { [op]: value } },
+      { [sortField]: value, _id: { [op]: id } }
+    ]
+  };
+};
+
+/**
+ * Parses and clamps a page size
+ * @param {string|number} limit - Requested page size
+ * @returns {number} Page size between 1 and MAX_LIMIT
+ */
+const parseLimit = (limit) => {
+  const parsed = parseInt(limit, 10);
+  if (isNaN(parsed) || parsed < 1) return DEFAULT_LIMIT;
+  return Math.min(parsed, MAX_LIMIT);
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  parseLimit
+};
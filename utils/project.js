@@ -0,0 +1,108 @@
+/**
+ * Utility functions for multi-file contract projects (e.g. Clarinet projects)
+ *
+ * A project is a map of relative file paths to file contents. It is stored on IPFS as a
+ * UnixFS directory whose root CID is the deployment's contractCodeHash.
+ */
+
+const MAX_PROJECT_FILES = 500;
+const MAX_PATH_LENGTH = 255;
+
+/**
+ * Checks a project file path: relative, "/"-separated, without empty, "." or ".." segments
+ * @param {string} path - File path
+ * @returns {string|null} Problem description, or null if the path is valid
+ */
+const checkPath = (path) => {
+  if (typeof path !== 'string' || path.length === 0) return 'path must be a non-empty string';
+  if (Buffer.byteLength(path, 'utf8') > MAX_PATH_LENGTH) return `path cannot exceed ${MAX_PATH_LENGTH} bytes`;
+  if (/[\\\0]/.test(path)) return 'path cannot contain backslashes or NUL characters';
+  if (path.split('/').some(segment => segment === '' || segment === '.' || segment === '..')) {
+    return 'path must be relative, without empty, "." or ".." segments';
+  }
+  return null;
+};
+
+/**
+ * Validates a project's files and converts them for storage
+ * @param {Object|Array} files - Map of path → content (string or Buffer), or [{ path, content }]
+ * @returns {Object} Object with files ([{ path, content: Buffer }] sorted by path), or errors
+ */
+const normalizeProjectFiles = (files) => {
+  const list = Array.isArray(files)
+    ? files
+    : (files && typeof files === 'object' ? Object.entries(files).map(([path, content]) => ({ path, content })) : null);
+  if (!list) {
+    return { errors: ['Files must be an object mapping file paths to contents'] };
+  }
+  if (list.length === 0) {
+    return { errors: ['A project must contain at least one file'] };
+  }
+  if (list.length > MAX_PROJECT_FILES) {
+    return { errors: [`A project cannot contain more than ${MAX_PROJECT_FILES} files`] };
+  }
+
+  const errors = [];
+  const seen = new Set();
+  const normalized = [];
+  for (const { path, content } of list) {
+    const problem = checkPath(path);
+    if (problem) {
+      errors.push(`${JSON.stringify(path)}: ${problem}`);
+    } else if (typeof content !== 'string' && !Buffer.isBuffer(content)) {
+      errors.push(`${path}: content must be a string`);
+    } else if (seen.has(path)) {
+      errors.push(`${path}: duplicate path`);
+    } else {
+      seen.add(path);
+      normalized.push({ path, content: Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8') });
+    }
+  }
+
+  // A path cannot be both a file and a directory
+  for (const { path } of normalized) {
+    const segments = path.split('/');
+    for (let i = 1; i < segments.length; i++) {
+      const parent = segments.slice(0, i).join('/');
+      if (seen.has(parent)) errors.push(`${parent}: is both a file and a directory`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return { errors: [...new Set(errors)] };
+  }
+  return { files: normalized.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0)) };
+};
+
+/**
+ * Converts project files to the path → text object used for diffs, interfaces and search
+ * @param {Array<{path: string, content: Buffer}>} files - Project files
+ * @returns {Object} Map of path → UTF-8 text
+ */
+const toFilesObject = (files) => {
+  return Object.fromEntries(files.map(({ path, content }) => [path, content.toString('utf8')]));
+};
+
+/**
+ * Lists the files added, modified and removed between two versions of a project
+ * @param {Array<{path: string, hash: string}>} previous - Files of the earlier version
+ * @param {Array<{path: string, hash: string}>} next - Files of the later version
+ * @returns {Object} Object with added, modified and removed paths
+ */
+const diffProjectFiles = (previous, next) => {
+  const before = new Map(previous.map(file => [file.path, file.hash]));
+  const after = new Map(next.map(file => [file.path, file.hash]));
+  return {
+    added: [...after.keys()].filter(path => !before.has(path)),
+    modified: [...after.keys()].filter(path => before.has(path) && before.get(path) !== after.get(path)),
+    removed: [...before.keys()].filter(path => !after.has(path))
+  };
+};
+
+module.exports = {
+  MAX_PROJECT_FILES,
+  checkPath,
+  normalizeProjectFiles,
+  toFilesObject,
+  diffProjectFiles
+};
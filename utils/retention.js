@@ -0,0 +1,48 @@
+/**
+ * Utility functions for applying pin retention policies to a repository's history
+ */
+
+const { parseVersion } = require('./versionManager');
+
+/**
+ * Decides which versions of a repository a retention policy keeps pinned
+ * @param {Object[]} history - Repository history, highest version first
+ * @param {string[]} taggedVersions - Versions pointed at by a tag
+ * @param {Object|null} policy - Retention policy (keepLast, keepTagged, keepMajors), or null to keep everything
+ * @returns {Map<string, string[]>} Reasons (policy, last, tagged, major) keyed by the id of every retained deployment
+ */
+const selectRetained = (history, taggedVersions, policy) => {
+  const retained = new Map();
+  const keep = (deployment, reason) => {
+    const id = String(deployment._id);
+    retained.set(id, [...(retained.get(id) || []), reason]);
+  };
+
+  if (!policy) {
+    history.forEach(dep => keep(dep, 'policy'));
+    return retained;
+  }
+
+  history.slice(0, policy.keepLast).forEach(dep => keep(dep, 'last'));
+
+  if (policy.keepTagged) {
+    const tagged = new Set(taggedVersions);
+    history.filter(dep => tagged.has(dep.version)).forEach(dep => keep(dep, 'tagged'));
+  }
+
+  if (policy.keepMajors) {
+    // The lowest release of each major, normally X.0.0; history is highest first
+    const firstReleases = new Map();
+    history.forEach(dep => {
+      const { major, prerelease } = parseVersion(dep.version);
+      if (prerelease.length === 0) firstReleases.set(major, dep);
+    });
+    firstReleases.forEach(dep => keep(dep, 'major'));
+  }
+
+  return retained;
+};
+
+module.exports = {
+  selectRetained
+};
@@ -0,0 +1,75 @@
+/**
+ * Utility functions for building and querying the deployment search index
+ */
+
+const { collectStrings } = require('./contractInterface');
+
+// Source text indexed per deployment; keeps documents well under MongoDB's size limit
+const MAX_SEARCH_TEXT_LENGTH = 256 * 1024;
+
+// Longest q and repo accepted; both drive scans (text search, regex over repo names)
+const MAX_QUERY_LENGTH = 64;
+// Longest repo query matched fuzzily; each character adds a wildcard the regex may backtrack over
+const MAX_FUZZY_QUERY_LENGTH = 16;
+
+/**
+ * Extracts the text indexed for free-text search from contract code
+ * @param {Object} contractCode - Contract code object
+ * @returns {string} Every string value in the contract code, truncated to MAX_SEARCH_TEXT_LENGTH
+ */
+const extractSearchText = (contractCode) => {
+  return collectStrings(contractCode).join('\n').slice(0, MAX_SEARCH_TEXT_LENGTH);
+};
+
+/**
+ * Derives the indexed function and trait names from a Clarity interface summary
+ * Traits are indexed by their full identifier and by their bare name, so
+ * `'SP3FBR2AGK5H9QBDH3EEN6DF8EK8JY7RX8QJ5SVTE.sip-010-trait-ft-standard.sip-010-trait`
+ * is also found as `sip-010-trait`.
+ * @param {Object|null} contractInterface - Summary from summarizeClarityInterface
+ * @returns {Object} Object with functionNames and implementedTraits arrays
+ */
+const deriveSearchKeys = (contractInterface) => {
+  if (!contractInterface) {
+    return { functionNames: [], implementedTraits: [] };
+  }
+
+  const functionNames = new Set((contractInterface.functions || []).map(fn => fn.name));
+  const implementedTraits = new Set();
+  for (const { trait } of contractInterface.implTraits || []) {
+    implementedTraits.add(trait);
+    implementedTraits.add(trait.slice(trait.lastIndexOf('.') + 1));
+  }
+
+  return { functionNames: [...functionNames], implementedTraits: [...implementedTraits] };
+};
+
+/**
+ * Escapes a string for literal use in a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} Escaped pattern
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Builds a pattern matching names that contain the query's characters in order
+ * e.g. "tkn" matches "token" and "my-token-v2"
+ * @param {string} query - Fuzzy query, at most MAX_FUZZY_QUERY_LENGTH characters
+ * @returns {string} Regular expression source
+ */
+const fuzzyPattern = (query) => {
+  if (query.length > MAX_FUZZY_QUERY_LENGTH) {
+    throw new RangeError(`Fuzzy queries are limited to ${MAX_FUZZY_QUERY_LENGTH} characters`);
+  }
+  return [...query].map(escapeRegex).join('.*');
+};
+
+module.exports = {
+  MAX_SEARCH_TEXT_LENGTH,
+  MAX_QUERY_LENGTH,
+  MAX_FUZZY_QUERY_LENGTH,
+  extractSearchText,
+  deriveSearchKeys,
+  escapeRegex,
+  fuzzyPattern
+};
@@ -0,0 +1,104 @@
+/**
+ * Utility functions for validating requests, and in development responses, against operation schemas
+ *
+ * Invalid requests are rejected with 400 and one { field, message } entry per problem, where the
+ * field is prefixed with its location: params, query or body.
+ */
+
+const { validateSchema, coerceParameter } = require('./jsonSchema');
+const { schemas } = require('../schemas/components');
+
+// Document $refs in operation schemas resolve against
+const ROOT = { components: { schemas } };
+
+/**
+ * Validates path params or query values, converting them from strings first
+ * @param {Object} schema - Object schema of the values
+ * @param {Object} values - Raw values
+ * @param {string} location - params or query
+ * @returns {Array<{field: string, message: string}>} Problems found
+ */
+const validateParameters = (schema, values, location) => {
+  const coerced = {};
+  for (const [name, value] of Object.entries(values)) {
+    const property = schema.properties[name];
+    coerced[name] = property ? coerceParameter(property, value, ROOT) : value;
+  }
+  return validateSchema(schema, coerced, { path: location, root: ROOT });
+};
+
+/**
+ * Checks a JSON response body against the schema documented for its status code
+ * @param {Object} operation - Operation schema
+ * @param {number} status - Response status code
+ * @param {*} body - Response body passed to res.json
+ * @returns {Array<{field: string, message: string}>} Problems found
+ */
+const checkResponse = (operation, status, body) => {
+  const response = operation.responses[status];
+  if (!response) {
+    return [{ field: 'response', message: `status ${status} is not documented` }];
+  }
+  const schema = response.schema || (response.content && response.content['application/json']);
+  if (!schema) {
+    return [{ field: 'response', message: `status ${status} is not documented as JSON` }];
+  }
+  // Compare what the client receives: dates, ObjectIds and documents in their JSON form
+  return validateSchema(schema, JSON.parse(JSON.stringify(body)), { path: 'response', root: ROOT });
+};
+
+/**
+ * Middleware that validates a request against an operation's params, query and body schemas
+ * With NODE_ENV=development, JSON responses are also checked against the documented responses,
+ * and mismatches are logged so the schemas cannot drift from the handlers.
+ * @param {Object} operation - Operation schema (see schemas/deploymentSchemas.js)
+ * @returns {Function} Express middleware
+ */
+const validateRequest = (operation) => (req, res, next) => {
+  const errors = [];
+
+  if (operation.params) {
+    // A trailing * in the route is captured as params[0] and documented as path
+    const params = { ...req.params };
+    if (params[0] !== undefined) {
+      params.path = params[0];
+      delete params[0];
+    }
+    errors.push(...validateParameters(operation.params, params, 'params'));
+  }
+  if (operation.query) {
+    errors.push(...validateParameters(operation.query, req.query, 'query'));
+  }
+  if (operation.body) {
+    errors.push(...validateSchema(operation.body.schema, req.body || {}, { path: 'body', root: ROOT }));
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid request: ${errors.map(({ field, message }) => `${field} ${message}`).join('; ')}`,
+      errors
+    });
+  }
+
+  if (process.env.NODE_ENV === 'development') {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const problems = checkResponse(operation, res.statusCode, body);
+      if (problems.length > 0) {
+        console.error(
+          `Response of ${req.method} ${req.originalUrl} does not match its schema (${operation.method.toUpperCase()} ${operation.path}, status ${res.statusCode}):`,
+          problems.map(({ field, message }) => `${field} ${message}`).join('; ')
+        );
+      }
+      return json(body);
+    };
+  }
+
+  next();
+};
+
+module.exports = {
+  validateRequest,
+  checkResponse
+};
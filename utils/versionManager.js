@@ -1,60 +1,251 @@
 /**
- * Utility functions for semantic version management
+ * Utility functions for semantic version management (SemVer 2.0.0)
  */
 
+// Official SemVer 2.0.0 grammar: MAJOR.MINOR.PATCH[-PRERELEASE][+BUILD]
+const SEMVER_PATTERN = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\+([0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*))?$/;
+
+// A pre-release channel is a single alphanumeric identifier that is not purely numeric
+const CHANNEL_PATTERN = /^[0-9a-zA-Z-]*[a-zA-Z-][0-9a-zA-Z-]*$/;
+
+// Build metadata is one or more dot-separated alphanumeric identifiers
+const BUILD_PATTERN = /^[0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*$/;
+
 /**
  * Parses a semantic version string into its components
- * @param {string} version - Semantic version string (e.g., "1.2.3")
- * @returns {Object} Object with major, minor, patch components
+ * @param {string} version - Semantic version string (e.g., "1.2.3", "1.3.0-beta.2+sha.5114f85")
+ * @returns {Object} Object with major, minor, patch, prerelease and build components
  */
 const parseVersion = (version) => {
   if (!version || typeof version !== 'string') {
     throw new Error('Version must be a non-empty string');
   }
 
-  const parts = version.split('.');
-  if (parts.length !== 3) {
-    throw new Error('Version must be in format MAJOR.MINOR.PATCH');
+  const match = SEMVER_PATTERN.exec(version);
+  if (!match) {
+    throw new Error('Version must be in format MAJOR.MINOR.PATCH[-PRERELEASE][+BUILD]');
   }
 
-  const major = parseInt(parts[0], 10);
-  const minor = parseInt(parts[1], 10);
-  const patch = parseInt(parts[2], 10);
+  const major = parseInt(match[1], 10);
+  const minor = parseInt(match[2], 10);
+  const patch = parseInt(match[3], 10);
 
-  if (isNaN(major) || isNaN(minor) || isNaN(patch)) {
+  if (!Number.isSafeInteger(major) || !Number.isSafeInteger(minor) || !Number.isSafeInteger(patch)) {
     throw new Error('Version components must be numbers');
   }
 
-  return { major, minor, patch };
+  // Numeric pre-release identifiers are compared numerically, so keep them as numbers
+  const prerelease = match[4]
+    ? match[4].split('.').map(id => (/^\d+$/.test(id) ? parseInt(id, 10) : id))
+    : [];
+  const build = match[5] ? match[5].split('.') : [];
+
+  return { major, minor, patch, prerelease, build };
+};
+
+/**
+ * Formats version components back into a semantic version string
+ * @param {Object} parts - Object with major, minor, patch and optional prerelease and build arrays
+ * @returns {string} Semantic version string
+ */
+const formatVersion = ({ major, minor, patch, prerelease = [], build = [] }) => {
+  let version = `${major}.${minor}.${patch}`;
+  if (prerelease.length > 0) version += `-${prerelease.join('.')}`;
+  if (build.length > 0) version += `+${build.join('.')}`;
+  return version;
+};
+
+/**
+ * Compares two pre-release identifier lists per SemVer precedence rules
+ * @param {Array<string|number>} a - First identifiers
+ * @param {Array<string|number>} b - Second identifiers
+ * @returns {number} -1, 0 or 1
+ */
+const comparePrerelease = (a, b) => {
+  // A version without pre-release identifiers has higher precedence
+  if (a.length === 0 && b.length === 0) return 0;
+  if (a.length === 0) return 1;
+  if (b.length === 0) return -1;
+
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === undefined) return -1;
+    if (b[i] === undefined) return 1;
+    if (a[i] === b[i]) continue;
+
+    const aNumeric = typeof a[i] === 'number';
+    const bNumeric = typeof b[i] === 'number';
+    if (aNumeric && bNumeric) return a[i] < b[i] ? -1 : 1;
+    // Numeric identifiers have lower precedence than alphanumeric ones
+    if (aNumeric) return -1;
+    if (bNumeric) return 1;
+    return a[i] < b[i] ? -1 : 1;
+  }
+  return 0;
+};
+
+/**
+ * Compares two versions by SemVer precedence (build metadata is ignored)
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} -1 if a < b, 0 if equal precedence, 1 if a > b
+ */
+const compareVersions = (a, b) => {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+
+  for (const key of ['major', 'minor', 'patch']) {
+    if (left[key] !== right[key]) return left[key] < right[key] ? -1 : 1;
+  }
+  return comparePrerelease(left.prerelease, right.prerelease);
+};
+
+/**
+ * Builds a string key whose byte-wise ordering matches SemVer precedence,
+ * so versions can be sorted and indexed by the database
+ * Numbers are zero-padded, releases sort after their pre-releases ("~" > "-"),
+ * numeric identifiers sort before alphanumeric ones ("0" prefix < "1" prefix),
+ * and identifiers are separated by a space, which sorts below every identifier character.
+ * @param {string} version - Semantic version
+ * @returns {string} Sort key
+ */
+const toSortKey = (version) => {
+  const { major, minor, patch, prerelease } = parseVersion(version);
+  const pad = (value) => String(value).padStart(16, '0');
+
+  const base = `${pad(major)}.${pad(minor)}.${pad(patch)}`;
+  if (prerelease.length === 0) {
+    return `${base}~`;
+  }
+  return `${base}-${prerelease.map(id => (typeof id === 'number' ? `0${pad(id)}` : `1${id}`)).join(' ')}`;
+};
+
+/**
+ * Returns the pre-release channel of a version (its first pre-release identifier)
+ * @param {string} version - Semantic version
+ * @returns {string|null} Channel name, or null for releases
+ */
+const getChannel = (version) => {
+  const { prerelease } = parseVersion(version);
+  return prerelease.length > 0 ? String(prerelease[0]) : null;
 };
 
 /**
  * Increments the patch version of a semantic version
+ * A pre-release is promoted to its release (1.3.0-beta.2 → 1.3.0)
  * @param {string} version - Current semantic version
  * @returns {string} Next patch version
  */
 const incrementPatch = (version) => {
-  const { major, minor, patch } = parseVersion(version);
-  return `${major}.${minor}.${patch + 1}`;
+  const { major, minor, patch, prerelease } = parseVersion(version);
+  return formatVersion({ major, minor, patch: prerelease.length > 0 ? patch : patch + 1 });
 };
 
+/**
+ * Increments the minor version and resets the patch version
+ * A pre-release of a minor release is promoted to it (1.3.0-beta.2 → 1.3.0)
+ * @param {string} version - Current semantic version
+ * @returns {string} Next minor version
+ */
+const incrementMinor = (version) => {
+  const { major, minor, patch, prerelease } = parseVersion(version);
+  if (prerelease.length > 0 && patch === 0) {
+    return formatVersion({ major, minor, patch });
+  }
+  return formatVersion({ major, minor: minor + 1, patch: 0 });
+};
+
+/**
+ * Increments the major version and resets the minor and patch versions
+ * A pre-release of a major release is promoted to it (2.0.0-rc.1 → 2.0.0)
+ * @param {string} version - Current semantic version
+ * @returns {string} Next major version
+ */
+const incrementMajor = (version) => {
+  const { major, minor, patch, prerelease } = parseVersion(version);
+  if (prerelease.length > 0 && minor === 0 && patch === 0) {
+    return formatVersion({ major, minor, patch });
+  }
+  return formatVersion({ major: major + 1, minor: 0, patch: 0 });
+};
+
+const BUMP_TYPES = ['major', 'minor', 'patch'];
+
+const incrementers = {
+  major: incrementMajor,
+  minor: incrementMinor,
+  patch: incrementPatch
+};
+
+/**
+ * Increments the pre-release number within a channel (1.3.0-beta.2 → 1.3.0-beta.3)
+ * @param {string} version - Current pre-release version
+ * @returns {string} Next pre-release version
+ */
+const incrementPrerelease = (version) => {
+  const { major, minor, patch, prerelease } = parseVersion(version);
+  const last = prerelease[prerelease.length - 1];
+  const next = typeof last === 'number'
+    ? [...prerelease.slice(0, -1), last + 1]
+    : [...prerelease, 1];
+  return formatVersion({ major, minor, patch, prerelease: next });
+};
+
+/**
+ * Validates a pre-release channel name
+ * @param {string} channel - Channel name to validate
+ * @returns {boolean} True if valid, false otherwise
+ */
+const isValidChannel = (channel) => typeof channel === 'string' && CHANNEL_PATTERN.test(channel);
+
+/**
+ * Validates build metadata
+ * @param {string} build - Build metadata to validate (without the leading "+")
+ * @returns {boolean} True if valid, false otherwise
+ */
+const isValidBuild = (build) => typeof build === 'string' && BUILD_PATTERN.test(build);
+
 /**
  * Gets the next version for a deployment
- * If no previous deployment exists for the repo, returns "0.1.0"
- * If previous deployment exists, increments the patch version
- * @param {string} latestVersion - Latest version string or null if no previous deployment
+ * If no previous release exists for the repo, the target is "0.1.0";
+ * otherwise the requested component of the latest release is incremented.
+ * With a channel, the target becomes a pre-release in that channel: numbering
+ * continues from the channel's latest pre-release when it already targets an
+ * equal or higher release, and starts at 1 otherwise (1.2.5 + minor + beta → 1.3.0-beta.1).
+ * @param {string} latestVersion - Latest release version string or null if no previous release
+ * @param {string} bump - Component to increment: "major", "minor" or "patch" (default)
+ * @param {Object} options - Pre-release options
+ * @param {string} options.channel - Pre-release channel (e.g. "beta", "rc")
+ * @param {string} options.latestChannelVersion - Latest version already published in the channel
+ * @param {string} options.build - Build metadata to append (e.g. "sha.5114f85")
  * @returns {string} Next semantic version
  */
-const getNextVersion = (latestVersion) => {
-  if (!latestVersion) {
-    return '0.1.0';
+const getNextVersion = (latestVersion, bump = 'patch', { channel, latestChannelVersion, build } = {}) => {
+  if (!BUMP_TYPES.includes(bump)) {
+    throw new Error(`Bump must be one of: ${BUMP_TYPES.join(', ')}`);
+  }
+  if (channel && !isValidChannel(channel)) {
+    throw new Error('Channel must be a single alphanumeric identifier (e.g. "beta", "rc")');
+  }
+  if (build && !isValidBuild(build)) {
+    throw new Error('Build metadata must be dot-separated alphanumeric identifiers');
   }
 
+  let next;
   try {
-    return incrementPatch(latestVersion);
+    const target = latestVersion ? incrementers[bump](latestVersion) : '0.1.0';
+
+    if (!channel) {
+      next = parseVersion(target);
+    } else if (latestChannelVersion && compareVersions(incrementPatch(latestChannelVersion), target) >= 0) {
+      next = parseVersion(incrementPrerelease(latestChannelVersion));
+    } else {
+      next = { ...parseVersion(target), prerelease: [channel, 1] };
+    }
   } catch (error) {
     throw new Error(`Failed to calculate next version: ${error.message}`);
   }
+
+  return formatVersion({ ...next, build: build ? build.split('.') : [] });
 };
 
 /**
@@ -73,7 +264,18 @@ const isValidVersion = (version) => {
 
 module.exports = {
   parseVersion,
+  formatVersion,
+  compareVersions,
+  toSortKey,
+  getChannel,
   incrementPatch,
+  incrementMinor,
+  incrementMajor,
+  incrementPrerelease,
   getNextVersion,
-  isValidVersion
-};
\ No newline at end of file
+  isValidVersion,
+  isValidChannel,
+  isValidBuild,
+  BUMP_TYPES,
+  SEMVER_PATTERN
+};
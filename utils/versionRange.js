@@ -0,0 +1,228 @@
+/**
+ * Utility functions for resolving npm-style version ranges
+ *
+ * Supports primitive comparators (<, <=, >, >=, =), X-ranges (1.x, 1.2.*, *),
+ * tilde (~1.2.3), caret (^1.2.3), hyphen ranges (1.2.3 - 2.3.4), whitespace
+ * conjunction and || disjunction, following the semantics of the npm semver package.
+ */
+
+const { parseVersion, formatVersion, compareVersions } = require('./versionManager');
+
+const PARTIAL_PATTERN = /^(\^|~>?|[<>]=?|=)?v?(\*|x|X|0|[1-9]\d*)(?:\.(\*|x|X|0|[1-9]\d*)(?:\.(\*|x|X|0|[1-9]\d*)(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?)?)?$/;
+
+const isWildcard = (part) => part === undefined || part === '*' || part === 'x' || part === 'X';
+
+/**
+ * Parses a possibly partial version (e.g. "1", "1.2.x", "1.2.3-beta.1")
+ * @param {string} token - Version token, optionally prefixed with an operator
+ * @returns {Object} Object with operator, numeric parts (null when wildcard) and prerelease string
+ */
+const parsePartial = (token) => {
+  const match = PARTIAL_PATTERN.exec(token);
+  if (!match) {
+    throw new Error(`Invalid version range component: "${token}"`);
+  }
+
+  const [, operator = '', majorPart, minorPart, patchPart, prerelease] = match;
+  const major = isWildcard(majorPart) ? null : parseInt(majorPart, 10);
+  const minor = major === null || isWildcard(minorPart) ? null : parseInt(minorPart, 10);
+  const patch = minor === null || isWildcard(patchPart) ? null : parseInt(patchPart, 10);
+
+  return { operator, major, minor, patch, prerelease: patch === null ? null : prerelease || null };
+};
+
+/**
+ * Formats a version, defaulting missing parts to zero
+ * @param {number} major - Major version
+ * @param {number} minor - Minor version
+ * @param {number} patch - Patch version
+ * @param {string} suffix - Optional pre-release string
+ * @returns {string} Version string
+ */
+const toVersion = (major, minor, patch, suffix) => {
+  return formatVersion({
+    major: major || 0,
+    minor: minor || 0,
+    patch: patch || 0,
+    prerelease: suffix ? suffix.split('.') : []
+  });
+};
+
+/**
+ * Expands a single range token into primitive comparators
+ * @param {string} token - Range token (e.g. "^1.2.0", ">=1.0", "1.x")
+ * @returns {Array<{operator: string, version: string}>} Comparators
+ */
+const expandToken = (token) => {
+  const { operator, major, minor, patch, prerelease } = parsePartial(token);
+
+  if (major === null) {
+    // "*" matches every release; "<*" and ">*" match nothing
+    return operator === '<' || operator === '>' ? [{ operator: '<', version: '0.0.0-0' }] : [];
+  }
+
+  const lower = toVersion(major, minor, patch, prerelease);
+  const nextMajor = toVersion(major + 1, 0, 0, '0');
+  const nextMinor = toVersion(major, minor + 1, 0, '0');
+
+  if (operator === '^') {
+    let upper;
+    if (major > 0 || minor === null) upper = nextMajor;
+    else if (minor > 0 || patch === null) upper = nextMinor;
+    else upper = toVersion(0, 0, patch + 1, '0');
+    return [{ operator: '>=', version: lower }, { operator: '<', version: upper }];
+  }
+
+  if (operator === '~' || operator === '~>') {
+    return [{ operator: '>=', version: lower }, { operator: '<', version: minor === null ? nextMajor : nextMinor }];
+  }
+
+  if (minor === null || patch === null) {
+    // X-range: the missing components become the bounds
+    const upper = minor === null ? nextMajor : nextMinor;
+    switch (operator) {
+      case '>': return [{ operator: '>=', version: upper.replace(/-0$/, '') }];
+      case '>=': return [{ operator: '>=', version: lower }];
+      case '<': return [{ operator: '<', version: toVersion(major, minor, 0, '0') }];
+      case '<=': return [{ operator: '<', version: upper }];
+      default: return [{ operator: '>=', version: lower }, { operator: '<', version: upper }];
+    }
+  }
+
+  return [{ operator: operator || '=', version: lower }];
+};
+
+/**
+ * Expands a hyphen range ("1.2 - 2.3.4") into primitive comparators
+ * @param {string} from - Lower bound (inclusive)
+ * @param {string} to - Upper bound (inclusive, partial versions cover their whole range)
+ * @returns {Array<{operator: string, version: string}>} Comparators
+ */
+const expandHyphen = (from, to) => {
+  const lower = parsePartial(from);
+  const upper = parsePartial(to);
+  if (lower.operator || upper.operator) {
+    throw new Error(`Invalid hyphen range: "${from} - ${to}"`);
+  }
+
+  const comparators = [];
+  if (lower.major !== null) {
+    comparators.push({ operator: '>=', version: toVersion(lower.major, lower.minor, lower.patch, lower.prerelease) });
+  }
+  if (upper.major !== null) {
+    if (upper.minor === null) comparators.push({ operator: '<', version: toVersion(upper.major + 1, 0, 0, '0') });
+    else if (upper.patch === null) comparators.push({ operator: '<', version: toVersion(upper.major, upper.minor + 1, 0, '0') });
+    else comparators.push({ operator: '<=', version: toVersion(upper.major, upper.minor, upper.patch, upper.prerelease) });
+  }
+  return comparators;
+};
+
+/**
+ * Parses a range expression into a disjunction of comparator sets
+ * @param {string} range - Range expression (e.g. "^1.2.0 || >=2.1.0 <3")
+ * @returns {Array<Array<{operator: string, version: string}>>} Comparator sets
+ */
+const parseRange = (range) => {
+  if (typeof range !== 'string') {
+    throw new Error('Range must be a string');
+  }
+
+  return range.split('||').map(part => {
+    const trimmed = part.trim();
+    const hyphen = /^(\S+)\s+-\s+(\S+)$/.exec(trimmed);
+    if (hyphen) {
+      return expandHyphen(hyphen[1], hyphen[2]);
+    }
+
+    // Allow whitespace between an operator and its version (">= 1.2.0")
+    const tokens = trimmed.replace(/(\^|~>?|[<>]=?|=)\s+/g, '$1').split(/\s+/).filter(Boolean);
+    return tokens.length === 0 ? [] : tokens.flatMap(expandToken);
+  });
+};
+
+/**
+ * Tests a version against a single comparator
+ * @param {string} version - Version to test
+ * @param {Object} comparator - Comparator with operator and version
+ * @returns {boolean} True if the comparator matches
+ */
+const testComparator = (version, { operator, version: bound }) => {
+  const result = compareVersions(version, bound);
+  switch (operator) {
+    case '>': return result > 0;
+    case '>=': return result >= 0;
+    case '<': return result < 0;
+    case '<=': return result <= 0;
+    default: return result === 0;
+  }
+};
+
+/**
+ * Tests a version against a comparator set, applying npm's pre-release rule:
+ * pre-releases only match if a comparator names a pre-release of the same MAJOR.MINOR.PATCH
+ * @param {string} version - Version to test
+ * @param {Array} comparators - Comparator set
+ * @returns {boolean} True if every comparator matches
+ */
+const testSet = (version, comparators) => {
+  if (!comparators.every(comparator => testComparator(version, comparator))) {
+    return false;
+  }
+
+  const parsed = parseVersion(version);
+  if (parsed.prerelease.length === 0) {
+    return true;
+  }
+
+  return comparators.some(({ version: bound }) => {
+    const allowed = parseVersion(bound);
+    return allowed.prerelease.length > 0 &&
+      allowed.major === parsed.major &&
+      allowed.minor === parsed.minor &&
+      allowed.patch === parsed.patch;
+  });
+};
+
+/**
+ * Checks whether a version satisfies a range
+ * @param {string} version - Semantic version
+ * @param {string} range - Range expression
+ * @returns {boolean} True if the version is within the range
+ */
+const satisfies = (version, range) => {
+  return parseRange(range).some(comparators => testSet(version, comparators));
+};
+
+/**
+ * Returns the highest version satisfying a range
+ * @param {string[]} versions - Candidate versions
+ * @param {string} range - Range expression
+ * @returns {string|null} Highest matching version, or null if none match
+ */
+const maxSatisfying = (versions, range) => {
+  const sets = parseRange(range);
+  return versions
+    .filter(version => sets.some(comparators => testSet(version, comparators)))
+    .reduce((best, version) => (best === null || compareVersions(version, best) > 0 ? version : best), null);
+};
+
+/**
+ * Validates a range expression
+ * @param {string} range - Range expression
+ * @returns {boolean} True if the range parses
+ */
+const isValidRange = (range) => {
+  try {
+    parseRange(range);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+module.exports = {
+  parseRange,
+  satisfies,
+  maxSatisfying,
+  isValidRange
+};
@@ -0,0 +1,227 @@
+/**
+ * Utility functions for signing and verifying wallet message signatures offline
+ *
+ * Supports Ethereum personal_sign (EIP-191) and Stacks signed messages
+ * (RSV signatures over the "\x17Stacks Signed Message:\n" prefix).
+ */
+
+const { secp256k1 } = require('@noble/curves/secp256k1');
+const { keccak_256 } = require('@noble/hashes/sha3');
+const { sha256 } = require('@noble/hashes/sha256');
+const { ripemd160 } = require('@noble/hashes/ripemd160');
+const { bytesToHex, hexToBytes, utf8ToBytes, concatBytes } = require('@noble/hashes/utils');
+const { c32addressDecode } = require('c32check');
+
+const SIGNATURE_TYPES = ['ethereum', 'stacks'];
+
+const STACKS_MESSAGE_PREFIX = '\x17Stacks Signed Message:\n';
+
+// Characters that would let a value span lines of a message and pass for other fields
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f]/;
+
+/**
+ * Checks whether a value can be written on one line of a signed message
+ * @param {*} value - Value to check
+ * @returns {boolean} True when the value contains no control characters
+ */
+const isSignableValue = (value) => !CONTROL_CHARACTERS.test(String(value));
+
+/**
+ * Builds the canonical message a wallet signs to authorize an action on a repository
+ * @param {string} action - Action name (e.g. "deployment", "tag")
+ * @param {Object} params - Fields covered by the signature
+ * @param {string} params.walletAddress - Acting wallet
+ * @param {string} params.contractRepoName - Repository name
+ * @param {Array<Array<string>>} params.fields - Action-specific [label, value] pairs, in order
+ * @param {string} params.nonce - Single-use nonce chosen by the client
+ * @param {string|number} params.timestamp - Signing time (ISO 8601 or epoch milliseconds)
+ * @returns {string} Message text
+ * @throws  {RangeError} When a value contains control characters (see isSignableValue)
+ */
+const buildActionMessage = (action, { walletAddress, contractRepoName, fields = [], nonce, timestamp }) => {
+  const values = [walletAddress, contractRepoName, ...fields.map(([, value]) => value), nonce, timestamp];
+  if (!values.every(isSignableValue)) {
+    throw new RangeError('Signed values must not contain control characters');
+  }
+
+  return [
+    `dotClar ${action}`,
+    `wallet: ${walletAddress}`,
+    `repo: ${contractRepoName}`,
+    ...fields.map(([label, value]) => `${label}: ${value}`),
+    `nonce: ${nonce}`,
+    `timestamp: ${timestamp}`
+  ].join('\n');
+};
+
+/**
+ * Builds the canonical message a wallet signs to authorize a deployment
+ * @param {Object} params - Deployment fields covered by the signature
+ * @param {string} params.walletAddress - Deploying wallet
+ * @param {string} params.contractRepoName - Repository name
+ * @param {string} params.contractCodeHash - IPFS hash of the contract code
+ * @param {string} params.nonce - Single-use nonce chosen by the client
+ * @param {string|number} params.timestamp - Signing time (ISO 8601 or epoch milliseconds)
+ * @returns {string} Message text
+ */
+const buildDeploymentMessage = ({ contractCodeHash, ...params }) => {
+  return buildActionMessage('deployment', { ...params, fields: [['hash', contractCodeHash]] });
+};
+
+/**
+ * Encodes a length as a Bitcoin-style variable length integer
+ * @param {number} length - Value to encode
+ * @returns {Uint8Array} Encoded bytes
+ */
+const encodeCompactSize = (length) => {
+  if (length < 0xfd) return Uint8Array.of(length);
+  if (length <= 0xffff) return Uint8Array.of(0xfd, length & 0xff, length >> 8);
+  return Uint8Array.of(0xfe, length & 0xff, (length >> 8) & 0xff, (length >> 16) & 0xff, length >>> 24);
+};
+
+/**
+ * Hashes a message the way Ethereum personal_sign does
+ * @param {string} message - Message text
+ * @returns {Uint8Array} 32-byte digest
+ */
+const ethereumMessageDigest = (message) => {
+  const messageBytes = utf8ToBytes(message);
+  return keccak_256(concatBytes(
+    utf8ToBytes(`\x19Ethereum Signed Message:\n${messageBytes.length}`),
+    messageBytes
+  ));
+};
+
+/**
+ * Hashes a message the way Stacks wallets do before signing
+ * @param {string} message - Message text
+ * @returns {Uint8Array} 32-byte digest
+ */
+const stacksMessageDigest = (message) => {
+  const messageBytes = utf8ToBytes(message);
+  return sha256(concatBytes(
+    utf8ToBytes(STACKS_MESSAGE_PREFIX),
+    encodeCompactSize(messageBytes.length),
+    messageBytes
+  ));
+};
+
+/**
+ * Parses a 65-byte hex r||s||v signature into a recoverable signature
+ * @param {string} signature - Hex signature, optionally 0x-prefixed
+ * @returns {Object} Signature object with recovery bit applied
+ */
+const parseRecoverableSignature = (signature) => {
+  const bytes = hexToBytes(String(signature).replace(/^0x/, ''));
+  if (bytes.length !== 65) {
+    throw new Error('Signature must be 65 bytes');
+  }
+
+  let recovery = bytes[64];
+  if (recovery >= 27) recovery -= 27;
+  if (recovery > 3) {
+    throw new Error('Invalid signature recovery byte');
+  }
+
+  return secp256k1.Signature.fromCompact(bytes.slice(0, 64)).addRecoveryBit(recovery);
+};
+
+/**
+ * Recovers the signer of an Ethereum personal_sign message
+ * @param {string} message - Signed message text
+ * @param {string} signature - 65-byte hex signature (r||s||v)
+ * @returns {Object} Object with address (lowercase 0x-prefixed) and uncompressed publicKey hex
+ */
+const recoverEthereumSigner = (message, signature) => {
+  const digest = ethereumMessageDigest(message);
+  const publicKey = parseRecoverableSignature(signature).recoverPublicKey(digest).toRawBytes(false);
+  const address = `0x${bytesToHex(keccak_256(publicKey.slice(1)).slice(-20))}`;
+
+  return { address, publicKey: bytesToHex(publicKey) };
+};
+
+/**
+ * Recovers the signer of a Stacks signed message
+ * @param {string} message - Signed message text
+ * @param {string} signature - 65-byte hex RSV signature
+ * @returns {Object} Object with the recovered point and hash160 of its compressed and uncompressed encodings
+ */
+const recoverStacksSigner = (message, signature) => {
+  const digest = stacksMessageDigest(message);
+  const point = parseRecoverableSignature(signature).recoverPublicKey(digest);
+  const hash160 = (publicKey) => bytesToHex(ripemd160(sha256(publicKey)));
+
+  // Stacks addresses may be derived from either public key encoding
+  return {
+    compressed: { publicKey: bytesToHex(point.toRawBytes(true)), hash160: hash160(point.toRawBytes(true)) },
+    uncompressed: { publicKey: bytesToHex(point.toRawBytes(false)), hash160: hash160(point.toRawBytes(false)) }
+  };
+};
+
+/**
+ * Signs a message with a wallet's private key, as the wallet itself would
+ * @param {string} type - Signature type ("ethereum" or "stacks")
+ * @param {string} message - Message text
+ * @param {string} privateKey - Hex private key; a Stacks key may carry the trailing 01 compression flag
+ * @returns {string} 65-byte hex signature: r||s||v (v = 27 or 28) for Ethereum, RSV for Stacks
+ */
+const signWalletMessage = (type, message, privateKey) => {
+  if (!SIGNATURE_TYPES.includes(type)) {
+    throw new Error(`Signature type must be one of: ${SIGNATURE_TYPES.join(', ')}`);
+  }
+
+  let key = String(privateKey).replace(/^0x/, '');
+  if (key.length === 66 && key.endsWith('01')) key = key.slice(0, 64);
+  if (!/^[0-9a-fA-F]{64}$/.test(key)) {
+    throw new Error('Private key must be 32 bytes of hex');
+  }
+
+  const digest = type === 'ethereum' ? ethereumMessageDigest(message) : stacksMessageDigest(message);
+  const signature = secp256k1.sign(digest, hexToBytes(key));
+  const recovery = type === 'ethereum' ? 27 + signature.recovery : signature.recovery;
+  return bytesToHex(concatBytes(signature.toCompactRawBytes(), Uint8Array.of(recovery)));
+};
+
+/**
+ * Verifies that a message was signed by the given wallet
+ * @param {string} type - Signature type ("ethereum" or "stacks")
+ * @param {string} message - Signed message text
+ * @param {string} signature - Hex signature
+ * @param {string} walletAddress - Expected signer address
+ * @returns {Object} Object with valid flag, recovered publicKey, and reason when invalid
+ */
+const verifyWalletSignature = (type, message, signature, walletAddress) => {
+  try {
+    if (type === 'ethereum') {
+      const signer = recoverEthereumSigner(message, signature);
+      const valid = signer.address === String(walletAddress).toLowerCase();
+      return valid
+        ? { valid, publicKey: signer.publicKey }
+        : { valid, reason: `Signature was produced by ${signer.address}` };
+    }
+
+    if (type === 'stacks') {
+      const [, expectedHash160] = c32addressDecode(walletAddress);
+      const signer = recoverStacksSigner(message, signature);
+      const match = [signer.compressed, signer.uncompressed].find(key => key.hash160 === expectedHash160);
+      return match
+        ? { valid: true, publicKey: match.publicKey }
+        : { valid: false, reason: 'Signature was not produced by the wallet key' };
+    }
+
+    return { valid: false, reason: `Signature type must be one of: ${SIGNATURE_TYPES.join(', ')}` };
+  } catch (error) {
+    return { valid: false, reason: `Malformed signature: ${error.message}` };
+  }
+};
+
+module.exports = {
+  SIGNATURE_TYPES,
+  buildActionMessage,
+  buildDeploymentMessage,
+  isSignableValue,
+  recoverEthereumSigner,
+  recoverStacksSigner,
+  signWalletMessage,
+  verifyWalletSignature
+};
@@ -0,0 +1,134 @@
+/**
+ * Utility functions for keeping webhook deliveries away from private networks
+ *
+ * Webhook URLs are chosen by any wallet, so a URL pointing at loopback, link-local or private
+ * addresses would let the delivery worker probe the network the server runs in. Hosts are
+ * resolved when a webhook is registered and again, through publicLookup, on every attempt, so
+ * a host that later resolves to a private address is still refused.
+ * Set WEBHOOK_ALLOW_PRIVATE_URLS=true to deliver to private addresses (local development).
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+// Addresses that are not reachable on the public internet
+const NON_PUBLIC = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => NON_PUBLIC.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => NON_PUBLIC.addSubnet(address, prefix, 'ipv6'));
+
+const IPV4_MAPPED_PATTERN = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i;
+
+// Error code of lookups refused by publicLookup
+const ADDRESS_NOT_PUBLIC = 'EADDRNOTPUBLIC';
+
+/**
+ * Whether deliveries to private addresses are allowed
+ * @returns {boolean} True when WEBHOOK_ALLOW_PRIVATE_URLS=true
+ */
+const allowsPrivateAddresses = () => process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+/**
+ * Checks whether an IP address is reachable on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for public addresses
+ */
+const isPublicAddress = (address) => {
+  const mapped = IPV4_MAPPED_PATTERN.exec(address);
+  if (mapped) return isPublicAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !NON_PUBLIC.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Creates the error a refused address fails with
+ * @param {string} hostname - Host that was looked up
+ * @returns {Error} Error with code EADDRNOTPUBLIC
+ */
+const notPublicError = (hostname) => {
+  const error = new Error(`${hostname} resolves to a non-public address`);
+  error.code = ADDRESS_NOT_PUBLIC;
+  return error;
+};
+
+/**
+ * dns.lookup replacement for outgoing webhook requests that refuses non-public addresses
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!allowsPrivateAddresses() && addresses.some(({ address }) => !isPublicAddress(address))) {
+      return callback(notPublicError(hostname));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Checks that a webhook URL is an absolute http(s) URL whose host resolves only to public addresses
+ * @param {string} url - Webhook URL
+ * @returns {Promise<string|null>} Problem description, or null if the URL may be delivered to
+ */
+const checkWebhookUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'Webhook URL must be an absolute http or https URL';
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    return 'Webhook URL must be an absolute http or https URL';
+  }
+  if (allowsPrivateAddresses()) return null;
+
+  const hostname = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+  if (net.isIP(hostname)) {
+    return isPublicAddress(hostname) ? null : 'Webhook URL must not point at a loopback, link-local or private address';
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    return `Webhook URL host ${hostname} could not be resolved`;
+  }
+  return addresses.every(({ address }) => isPublicAddress(address))
+    ? null
+    : 'Webhook URL must not point at a loopback, link-local or private address';
+};
+
+module.exports = {
+  ADDRESS_NOT_PUBLIC,
+  isPublicAddress,
+  publicLookup,
+  checkWebhookUrl
+};